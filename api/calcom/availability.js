@@ -1,7 +1,9 @@
 /**
- * Cal.com Availability Check Endpoint
+ * Availability Check Endpoint
  * 
- * Check available appointment slots for a business.
+ * Check available appointment slots for a business, through whichever
+ * calendar it uses (Cal.com, CalDAV or the native scheduler - see
+ * lib/calendar).
  * This endpoint can be used by:
  * - VAPI assistant during calls (via function calling)
  * - Frontend dashboard/booking widget
@@ -13,15 +15,17 @@
  *   - businessId (required): Business UUID
  *   - date (required): Date to check (YYYY-MM-DD)
  *   - timePreference (optional): 'morning', 'afternoon', 'evening', 'any'
+ *   - service (optional): Service name (business_services) - uses its event type / duration
  * 
  * Authentication: 
  * - For now, uses businessId from query
  * - TODO: Add proper API key or JWT authentication
  */
 
-const { checkAvailability } = require('../../lib/calcom');
+const { checkAvailability } = require('../../lib/calendar');
 const { getBusinessById } = require('../../lib/supabase');
-const { APP_TIME_ZONE } = require('../../lib/time');
+const { getBusinessTimeZone } = require('../../lib/time');
+const { resolveBookingService } = require('../../lib/services');
 
 module.exports = async (req, res) => {
   if (req.method !== 'GET') {
@@ -29,7 +33,7 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const { businessId, date, timePreference = 'any' } = req.query;
+    const { businessId, date, timePreference = 'any', service: requestedService } = req.query;
 
     // Validate required parameters
     if (!businessId) {
@@ -70,12 +74,20 @@ module.exports = async (req, res) => {
       timePreference
     });
 
-    // Check availability via Cal.com
+    const { service, error: serviceError } = await resolveBookingService(businessId, requestedService);
+    if (serviceError) {
+      return res.status(400).json({
+        error: 'Invalid service',
+        message: serviceError
+      });
+    }
+
+    // Check availability via the connected calendar
     const [slots, business] = await Promise.all([
-      checkAvailability(businessId, date, timePreference),
+      checkAvailability(businessId, date, timePreference, { service }),
       getBusinessById(businessId)
     ]);
-    const timeZone = APP_TIME_ZONE;
+    const timeZone = getBusinessTimeZone(business);
 
     // Format response
     const formattedSlots = slots.map(slot => {
@@ -104,6 +116,7 @@ module.exports = async (req, res) => {
       success: true,
       date,
       timePreference,
+      service: service?.name || null,
       timeZone,
       availableSlots: formattedSlots,
       count: formattedSlots.length
@@ -113,10 +126,10 @@ module.exports = async (req, res) => {
     console.error('❌ Error checking availability:', error);
 
     // Handle specific errors
-    if (error.message.includes('not connected to Cal.com')) {
+    if (error.message.includes('not connected to')) {
       return res.status(400).json({
         error: 'Business not connected',
-        message: 'This business has not connected their Cal.com account'
+        message: 'This business has not connected a calendar'
       });
     }
 
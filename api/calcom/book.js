@@ -1,7 +1,8 @@
 /**
- * Cal.com Booking Creation Endpoint
+ * Booking Creation Endpoint
  * 
- * Create a new appointment booking via Cal.com.
+ * Create a new appointment booking in the business's connected calendar
+ * (Cal.com, CalDAV or the native scheduler - see lib/calendar).
  * This endpoint can be used by:
  * - VAPI assistant during calls (via function calling)
  * - Frontend booking widget
@@ -16,6 +17,7 @@
  *   - phone (optional): Customer phone
  *   - start (required): Appointment start time (ISO 8601)
  *   - notes (optional): Additional notes
+ *   - service (optional): Service name (business_services) - uses its event type / duration
  *   - callId (optional): Related call ID for tracking
  * 
  * Authentication: 
@@ -23,9 +25,11 @@
  * - TODO: Add proper API key or JWT authentication
  */
 
-const { createCalcomBooking } = require('../../lib/calcom');
-const { createBooking, getBusinessById, getCalcomCredentials } = require('../../lib/supabase');
-const { APP_TIME_ZONE } = require('../../lib/time');
+const { getCalendarProvider } = require('../../lib/calendar');
+const { createBooking, getBusinessById } = require('../../lib/supabase');
+const { isValidEmail } = require('../../lib/email-capture');
+const { getBusinessTimeZone } = require('../../lib/time');
+const { resolveBookingService } = require('../../lib/services');
 
 module.exports = async (req, res) => {
   if (req.method !== 'POST') {
@@ -33,7 +37,7 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const { businessId, name, email, phone, start, notes, callId } = req.body;
+    const { businessId, name, email, phone, start, notes, callId, service: requestedService } = req.body;
 
     // Validate required parameters
     if (!businessId) {
@@ -65,8 +69,7 @@ module.exports = async (req, res) => {
     }
 
     // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!isValidEmail(email.trim())) {
       return res.status(400).json({
         error: 'Invalid email',
         message: 'Please provide a valid email address'
@@ -90,6 +93,14 @@ module.exports = async (req, res) => {
       });
     }
 
+    const { service, error: serviceError } = await resolveBookingService(businessId, requestedService);
+    if (serviceError) {
+      return res.status(400).json({
+        error: 'Invalid service',
+        message: serviceError
+      });
+    }
+
     console.log('✨ Creating booking:', {
       businessId,
       name,
@@ -97,37 +108,35 @@ module.exports = async (req, res) => {
       start: startDate.toISOString()
     });
 
-    // Create booking in Cal.com
-    const calcomBooking = await createCalcomBooking(businessId, {
+    // Create booking in the connected calendar
+    const { provider } = await getCalendarProvider(businessId);
+    const providerBooking = await provider.book(businessId, {
       name,
       email,
       phone,
       start: startDate.toISOString(),
-      notes: notes || 'Booked via AI call assistant'
+      notes: notes || 'Booked via AI call assistant',
+      service
     });
-    const scheduledAt = calcomBooking.start || calcomBooking.startTime || startDate.toISOString();
+    const scheduledAt = providerBooking.start || startDate.toISOString();
     const scheduledDate = new Date(scheduledAt);
+    const durationMinutes = providerBooking.durationMinutes || service?.duration_minutes || 30;
 
-    console.log('✅ Cal.com booking created:', calcomBooking.uid);
+    console.log(`✅ ${provider.name} booking created:`, providerBooking.uid);
 
-    // Get business's Cal.com event type and other details
-    const [credentials, business] = await Promise.all([
-      getCalcomCredentials(businessId),
-      getBusinessById(businessId)
-    ]);
+    const business = await getBusinessById(businessId);
 
     // Store booking in our database
     const dbBooking = await createBooking({
       business_id: businessId,
       call_id: callId || null,
-      calcom_booking_id: calcomBooking.id,
-      calcom_uid: calcomBooking.uid,
-      calcom_event_type_id: credentials?.config?.event_type_id || credentials?.calcom_event_type_id || null,
+      ...provider.toBookingColumns(providerBooking),
+      service_id: service?.id || null,
       customer_name: name,
       customer_email: email,
       customer_phone: phone || null,
       scheduled_at: scheduledAt,
-      duration_minutes: calcomBooking.lengthInMinutes || calcomBooking.duration || 30,
+      duration_minutes: durationMinutes,
       status: 'confirmed',
       notes: notes || null
     });
@@ -143,7 +152,7 @@ module.exports = async (req, res) => {
       hour: 'numeric',
       minute: '2-digit',
       hour12: true,
-      timeZone: APP_TIME_ZONE
+      timeZone: getBusinessTimeZone(business)
     });
 
     return res.status(201).json({
@@ -151,16 +160,18 @@ module.exports = async (req, res) => {
       message: 'Booking created successfully',
       booking: {
         id: dbBooking.id,
-        calcomUid: calcomBooking.uid,
+        provider: provider.name,
+        calcomUid: provider.name === 'calcom' ? providerBooking.uid : null,
+        externalUid: providerBooking.uid,
         customerName: name,
         customerEmail: email,
         scheduledAt,
         scheduledAtFormatted: formattedDateTime,
-        duration: calcomBooking.lengthInMinutes || calcomBooking.duration || 30,
+        duration: durationMinutes,
         status: 'confirmed',
-        confirmationUrl: calcomBooking.confirmationUrl || null,
-        rescheduleUrl: calcomBooking.rescheduleUrl || null,
-        cancelUrl: calcomBooking.cancelUrl || null
+        confirmationUrl: providerBooking.raw?.confirmationUrl || null,
+        rescheduleUrl: providerBooking.raw?.rescheduleUrl || null,
+        cancelUrl: providerBooking.raw?.cancelUrl || null
       }
     });
 
@@ -168,10 +179,10 @@ module.exports = async (req, res) => {
     console.error('❌ Error creating booking:', error);
 
     // Handle specific errors
-    if (error.message.includes('not connected to Cal.com')) {
+    if (error.message.includes('not connected to')) {
       return res.status(400).json({
         error: 'Business not connected',
-        message: 'This business has not connected their Cal.com account'
+        message: 'This business has not connected a calendar'
       });
     }
 
@@ -0,0 +1,98 @@
+/**
+ * Cal.com Default Event Type
+ *
+ * Lets the business owner see their Cal.com event types and pick the one
+ * used for bookings that don't match a service (business_services).
+ * Requires an owner's Supabase session: `Authorization: Bearer <access_token>`.
+ *
+ * GET /api/calcom/event-types?business_id=xxx
+ *   Lists event types and the current default
+ *
+ * PUT /api/calcom/event-types
+ *   Body: { business_id, event_type_id }
+ *   Picking the first default switches booking on (businesses.calcom_enabled)
+ */
+
+const { getEventTypes, summarizeEventTypes } = require('../../lib/calcom');
+const { getCalcomCredentials, updateCalcomConfig, enableBusinessBooking } = require('../../lib/supabase');
+const { requireBusinessMember } = require('../../lib/auth');
+
+module.exports = async (req, res) => {
+  if (req.method === 'GET') {
+    return await listEventTypes(req, res);
+  }
+
+  if (req.method === 'PUT') {
+    return await setDefaultEventType(req, res);
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+};
+
+async function listEventTypes(req, res) {
+  const { business_id: businessId } = req.query || {};
+
+  if (!businessId) {
+    return res.status(400).json({ error: 'Missing business_id' });
+  }
+
+  const member = await requireBusinessMember(req, res, businessId, { roles: ['owner'] });
+  if (!member) return;
+
+  try {
+    const credentials = await getCalcomCredentials(businessId);
+    if (!credentials?.access_token) {
+      return res.status(404).json({ error: 'Business not connected to Cal.com' });
+    }
+
+    const eventTypes = summarizeEventTypes(await getEventTypes(businessId));
+
+    return res.status(200).json({
+      eventTypes,
+      defaultEventTypeId: credentials.config?.event_type_id || null
+    });
+  } catch (error) {
+    console.error('❌ Error listing Cal.com event types:', error.message);
+    return res.status(500).json({ error: 'Failed to load Cal.com event types' });
+  }
+}
+
+async function setDefaultEventType(req, res) {
+  const { business_id: businessId, event_type_id: rawEventTypeId } = req.body || {};
+  const eventTypeId = parseInt(rawEventTypeId, 10);
+
+  if (!businessId || !Number.isFinite(eventTypeId)) {
+    return res.status(400).json({ error: 'Missing business_id or event_type_id' });
+  }
+
+  const member = await requireBusinessMember(req, res, businessId, { roles: ['owner'] });
+  if (!member) return;
+
+  try {
+    const credentials = await getCalcomCredentials(businessId);
+    if (!credentials?.access_token) {
+      return res.status(404).json({ error: 'Business not connected to Cal.com' });
+    }
+
+    // Only event types from the connected Cal.com account
+    const eventTypes = summarizeEventTypes(await getEventTypes(businessId));
+    const eventType = eventTypes.find(row => Number(row.id) === eventTypeId);
+
+    if (!eventType) {
+      return res.status(400).json({ error: 'Event type not found in the connected Cal.com account' });
+    }
+
+    await updateCalcomConfig(businessId, { event_type_id: eventTypeId });
+
+    // Changing the default later leaves a paused business paused
+    if (!credentials.config?.event_type_id) {
+      await enableBusinessBooking(businessId);
+    }
+
+    console.log('✅ Default Cal.com event type set:', { businessId, eventTypeId });
+    return res.status(200).json({ defaultEventTypeId: eventTypeId, eventType });
+  } catch (error) {
+    console.error('❌ Error setting default event type:', error.message);
+    return res.status(500).json({ error: 'Failed to set default event type' });
+  }
+}
@@ -1,31 +1,104 @@
 /**
  * Cal.com OAuth2 Handler
- * 
+ *
  * This endpoint handles BOTH:
- * 1. Initial redirect TO Cal.com (with business_id)
+ * 1. Starting the connect flow (business owner, from the dashboard)
  * 2. Callback FROM Cal.com (with code and state)
- * 
+ *
  * Flow:
- * 1. Business visits: /api/calcom/oauth?business_id=xxx
- * 2. Redirected to Cal.com authorization page
- * 3. Cal.com redirects back with code
- * 4. Exchange code for access token
- * 5. Store credentials in database
- * 
+ * 1. Dashboard calls POST /api/calcom/oauth { business_id } with the owner's
+ *    Supabase session (`Authorization: Bearer <access_token>`)
+ * 2. Response contains a Cal.com authorization URL with a signed, expiring,
+ *    single-use state (lib/oauth-state.js); the dashboard redirects to it
+ * 3. Cal.com redirects back with code and state
+ * 4. State is verified, code exchanged for access token
+ * 5. Credentials stored; event types fetched so the owner can pick a default
+ *    with PUT /api/calcom/event-types (chosen automatically if there is only one)
+ * 6. A booking webhook with its own secret is registered on the owner's
+ *    Cal.com account (lib/calcom-webhooks.js)
+ * 7. Booking is switched on (businesses.calcom_enabled) once there is a
+ *    default event type to book with
+ *
  * URL: /api/calcom/oauth
- * Method: GET
+ * Method: POST (start), GET (callback)
  */
 
-const { exchangeCodeForToken } = require('../../lib/calcom');
-const { updateCalcomCredentials } = require('../../lib/supabase');
+const {
+  getAuthorizationUrl,
+  exchangeCodeForToken,
+  getEventTypes,
+  summarizeEventTypes
+} = require('../../lib/calcom');
+const {
+  updateCalcomCredentials,
+  updateCalcomConfig,
+  getCalcomCredentials,
+  enableBusinessBooking,
+  getBusinessRole,
+  logSecurityEvent
+} = require('../../lib/supabase');
+const { registerCalcomWebhook } = require('../../lib/calcom-webhooks');
+const { requireBusinessMember } = require('../../lib/auth');
+const { createSignedState, verifySignedState } = require('../../lib/oauth-state');
+const { getClientIp } = require('../../lib/http');
 
 module.exports = async (req, res) => {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  if (req.method === 'POST') {
+    return await startOAuth(req, res);
+  }
+
+  if (req.method === 'GET') {
+    return await handleCallback(req, res);
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+};
+
+// ============================================
+// STEP 1: Start - build the URL TO Cal.com
+// ============================================
+async function startOAuth(req, res) {
+  const { business_id: businessId } = req.body || {};
+
+  if (!businessId) {
+    return res.status(400).json({ error: 'Missing business_id' });
+  }
+
+  const member = await requireBusinessMember(req, res, businessId, { roles: ['owner'] });
+  if (!member) return;
+
+  // Validate environment variables
+  if (!process.env.CALCOM_CLIENT_ID || !process.env.CALCOM_REDIRECT_URI) {
+    console.error('❌ Missing Cal.com OAuth configuration');
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: 'Cal.com OAuth not configured. Check CALCOM_CLIENT_ID and CALCOM_REDIRECT_URI.'
+    });
   }
 
   try {
-    const { code, state, business_id, error: oauthError, error_description } = req.query;
+    console.log('🔐 Starting Cal.com OAuth for business:', businessId);
+
+    const state = await createSignedState({
+      provider: 'calcom',
+      businessId,
+      userId: member.user.id
+    });
+
+    return res.status(200).json({ url: getAuthorizationUrl(state) });
+
+  } catch (error) {
+    console.error('❌ Error starting Cal.com OAuth:', error.message);
+    return res.status(500).json({ error: 'Failed to start Cal.com connection' });
+  }
+}
+
+// ============================================
+// STEP 2: Callback - Handle redirect FROM Cal.com
+// ============================================
+async function handleCallback(req, res) {
+  try {
+    const { code, state, error: oauthError, error_description } = req.query;
 
     // Handle OAuth errors from Cal.com
     if (oauthError) {
@@ -36,72 +109,36 @@ module.exports = async (req, res) => {
       });
     }
 
-    // ============================================
-    // STEP 1: Initial Request - Redirect TO Cal.com
-    // ============================================
-    if (!code && business_id) {
-      console.log('🔐 Starting Cal.com OAuth for business:', business_id);
-
-      // Validate environment variables
-      const clientId = process.env.CALCOM_CLIENT_ID;
-      const redirectUri = process.env.CALCOM_REDIRECT_URI;
-
-      if (!clientId || !redirectUri) {
-        console.error('❌ Missing Cal.com OAuth configuration');
-        return res.status(500).json({
-          error: 'Configuration error',
-          message: 'Cal.com OAuth not configured. Check CALCOM_CLIENT_ID and CALCOM_REDIRECT_URI.'
-        });
-      }
-
-      // Create state parameter (base64 encoded business_id)
-      const stateData = JSON.stringify({ businessId: business_id });
-      const encodedState = Buffer.from(stateData).toString('base64');
-
-      // Build Cal.com authorization URL
-      const authUrl = new URL('https://app.cal.com/auth/oauth2/authorize');
-      authUrl.searchParams.append('client_id', clientId);
-      authUrl.searchParams.append('redirect_uri', redirectUri);
-      authUrl.searchParams.append('response_type', 'code');
-      authUrl.searchParams.append('state', encodedState);
-      // Optional: add scope if needed
-      // authUrl.searchParams.append('scope', 'READ_BOOKING WRITE_BOOKING');
-
-      console.log('🔄 Redirecting to Cal.com:', authUrl.toString());
-
-      // Redirect user to Cal.com
-      return res.redirect(authUrl.toString());
-    }
-
-    // ============================================
-    // STEP 2: Callback - Handle redirect FROM Cal.com
-    // ============================================
     if (!code || !state) {
       return res.status(400).json({
         error: 'Missing required parameters',
-        message: 'This endpoint requires either:\n1. business_id (to start OAuth)\n2. code and state (OAuth callback)',
-        example: '/api/calcom/oauth?business_id=your-business-uuid'
+        message: 'Start the connection with POST /api/calcom/oauth { business_id } as the business owner.'
       });
     }
 
-    // Decode state to get business ID
-    let businessId;
-    try {
-      const stateData = JSON.parse(Buffer.from(state, 'base64').toString('utf-8'));
-      businessId = stateData.businessId;
-    } catch (decodeError) {
-      console.error('❌ Error decoding state:', decodeError);
+    const verified = await verifySignedState(state, 'calcom');
+
+    if (!verified.ok) {
+      await logSecurityEvent({
+        source: 'calcom-oauth',
+        event_type: 'oauth_state_rejected',
+        reason: verified.reason,
+        ip_address: getClientIp(req),
+        user_agent: req.headers?.['user-agent'] || null
+      });
       return res.status(400).json({
         error: 'Invalid state parameter',
-        message: 'Could not decode business ID from state'
+        message: 'This connect link is invalid or has expired. Start the connection again from the dashboard.'
       });
     }
 
-    if (!businessId) {
-      return res.status(400).json({
-        error: 'Missing business ID',
-        message: 'State parameter did not contain business ID'
-      });
+    const { businessId, userId } = verified;
+
+    // Ownership may have changed since the flow started
+    const role = await getBusinessRole(businessId, userId);
+    if (role !== 'owner') {
+      console.warn('⚠️ Cal.com OAuth completed by a non-owner:', { businessId, userId, role });
+      return res.status(403).json({ error: 'Forbidden' });
     }
 
     console.log('🔐 Processing Cal.com OAuth callback for business:', businessId);
@@ -111,26 +148,65 @@ module.exports = async (req, res) => {
 
     console.log('✅ Successfully obtained Cal.com access token');
 
-    // Store credentials in database
+    // Store credentials in database (keeps a previously chosen event type)
     await updateCalcomCredentials(businessId, {
       access_token: tokens.access_token,
       refresh_token: tokens.refresh_token,
-      expires_at: tokens.expires_at,
-      event_type_id: null // Will be configured later
+      expires_at: tokens.expires_at
     });
 
     console.log('✅ Cal.com credentials stored successfully');
 
+    let eventTypes = [];
+    try {
+      eventTypes = summarizeEventTypes(await getEventTypes(businessId));
+    } catch (error) {
+      console.error('⚠️ Failed to fetch Cal.com event types after connect:', error.message);
+    }
+
+    let webhookRegistered = false;
+    try {
+      await registerCalcomWebhook(businessId);
+      webhookRegistered = true;
+      console.log('✅ Cal.com booking webhook registered');
+    } catch (error) {
+      console.error('⚠️ Failed to register Cal.com webhook after connect:', error.response?.data || error.message);
+    }
+
+    const credentials = await getCalcomCredentials(businessId);
+    let defaultEventTypeId = credentials?.config?.event_type_id || null;
+
+    if (!defaultEventTypeId && eventTypes.length === 1) {
+      defaultEventTypeId = eventTypes[0].id;
+      await updateCalcomConfig(businessId, { event_type_id: defaultEventTypeId });
+      console.log('✅ Only one event type, set as default:', defaultEventTypeId);
+    }
+
+    if (defaultEventTypeId) {
+      await enableBusinessBooking(businessId);
+      console.log('✅ Booking enabled for business:', businessId);
+    }
+
+    const nextSteps = defaultEventTypeId
+      ? ['Test booking by calling your number']
+      : [
+        'Pick the default event type: PUT /api/calcom/event-types { business_id, event_type_id }',
+        'Test booking by calling your number'
+      ];
+
+    if (!webhookRegistered) {
+      nextSteps.unshift('Reconnect Cal.com so bookings changed in Cal.com are synced (webhook registration failed)');
+    }
+
     // Return success response
     return res.status(200).json({
       success: true,
       message: 'Cal.com connected successfully!',
       businessId: businessId,
-      next_steps: [
-        'Set calcom_enabled = true in businesses table',
-        'Configure your event type in Cal.com',
-        'Test booking by calling your number'
-      ]
+      defaultEventTypeId,
+      eventTypes,
+      webhookRegistered,
+      next_steps: nextSteps
     });
 
   } catch (error) {
@@ -147,4 +223,4 @@ module.exports = async (req, res) => {
       details: error.response?.data || 'No additional details'
     });
   }
-};
+}
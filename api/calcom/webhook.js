@@ -0,0 +1,116 @@
+/**
+ * Cal.com Webhook Endpoint
+ *
+ * Receives booking events from Cal.com so bookings made, cancelled,
+ * rescheduled or marked as no-show outside the assistant are reflected
+ * in the bookings table (see lib/calcom-webhooks.js).
+ *
+ * URL: /api/calcom/webhook?integration=<business_integrations.id>
+ * Method: POST
+ * Triggers: BOOKING_CREATED, BOOKING_CANCELLED, BOOKING_RESCHEDULED,
+ *   MEETING_ENDED, BOOKING_NO_SHOW_UPDATED (others are acknowledged and ignored)
+ *
+ * Authentication:
+ * - `x-cal-signature-256` HMAC of the raw body using the webhook secret of the
+ *   integration named in the URL (registered when the owner connected Cal.com);
+ *   rejected requests are recorded in security_events. Body parsing is
+ *   turned off so the signature is checked against the bytes Cal.com sent.
+ * - The event is only applied to that integration's business.
+ *
+ * Every delivery is logged in webhook_events and retried deliveries are
+ * answered with the stored response.
+ */
+
+const { logSecurityEvent, getIntegrationById } = require('../../lib/supabase');
+const { readJsonBody, getClientIp } = require('../../lib/http');
+const {
+  verifyCalcomWebhook,
+  getCalcomDedupeKey,
+  processCalcomWebhook
+} = require('../../lib/calcom-webhooks');
+const {
+  claimWebhookEvent,
+  completeWebhookEvent,
+  failWebhookEvent
+} = require('../../lib/webhook-events');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    await readJsonBody(req);
+  } catch (error) {
+    console.error('❌ Invalid Cal.com webhook body:', error.message);
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+
+  const integrationId = typeof req.query?.integration === 'string' ? req.query.integration : null;
+  const integration = integrationId ? await getIntegrationById(integrationId) : null;
+
+  // Failures and dev-mode bypasses both go to security_events
+  const auth = verifyCalcomWebhook(req, integration);
+  if (!auth.ok || auth.bypassed) {
+    await logSecurityEvent({
+      source: 'calcom-webhook',
+      event_type: auth.ok ? 'webhook_auth_bypassed' : 'webhook_auth_failed',
+      reason: auth.reason || 'dev_bypass',
+      ip_address: getClientIp(req),
+      user_agent: req.headers?.['user-agent'] || null,
+      metadata: {
+        integrationId,
+        triggerEvent: req.body?.triggerEvent || null,
+        bookingUid: req.body?.payload?.uid || null
+      }
+    });
+  }
+
+  if (!auth.ok) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const event = req.body || {};
+  let webhookEvent = null;
+
+  try {
+    console.log('🔔 Cal.com Event:', {
+      trigger: event.triggerEvent,
+      uid: event.payload?.uid || event.payload?.bookingUid,
+      timestamp: new Date().toISOString()
+    });
+
+    webhookEvent = await claimWebhookEvent({
+      source: 'calcom',
+      eventType: event.triggerEvent || 'unknown',
+      dedupeKey: getCalcomDedupeKey(event, integration.business_id),
+      externalId: event.payload?.uid || event.payload?.bookingUid || null,
+      payload: event
+    });
+
+    if (webhookEvent.duplicate) {
+      console.log('ℹ️ Duplicate Cal.com event, replaying stored response:', webhookEvent.dedupeKey);
+      return res.status(200).json(webhookEvent.response || { received: true, duplicate: true });
+    }
+
+    const responseBody = await processCalcomWebhook(event, integration.business_id);
+
+    await completeWebhookEvent(webhookEvent, responseBody);
+    return res.status(200).json(responseBody);
+
+  } catch (error) {
+    console.error('❌ Cal.com webhook error:', error);
+    await failWebhookEvent(webhookEvent, error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+// Read the raw body ourselves so the HMAC signature can be verified
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
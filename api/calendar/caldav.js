@@ -0,0 +1,107 @@
+/**
+ * CalDAV Calendar Connection
+ *
+ * Lets the business owner book into a CalDAV calendar (Nextcloud, Fastmail,
+ * iCloud, Radicale, ...) instead of Cal.com. The URL and login are checked
+ * against the server before they are stored; the password is encrypted at
+ * rest like other integration secrets. Connecting switches booking on
+ * (businesses.calcom_enabled).
+ * Requires an owner's Supabase session: `Authorization: Bearer <access_token>`.
+ *
+ * POST /api/calendar/caldav
+ *   Body: {
+ *     business_id,
+ *     calendar_url,            // Calendar collection URL: a public host (https required in production)
+ *     username,
+ *     password,                // App password where the server supports them
+ *     slot_minutes,            // Optional: default appointment length (default 30)
+ *     slot_interval_minutes    // Optional: minutes between slot starts (default: slot length)
+ *   }
+ */
+
+const { saveIntegrationCredentials, enableBusinessBooking } = require('../../lib/supabase');
+const { requireBusinessMember } = require('../../lib/auth');
+const { verifyConnection } = require('../../lib/calendar/caldav');
+const { getDeploymentEnvironment } = require('../../lib/config');
+const { assertPublicUrl, PrivateAddressError } = require('../../lib/network');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const {
+    business_id: businessId,
+    calendar_url: calendarUrl,
+    username,
+    password,
+    slot_minutes: slotMinutes,
+    slot_interval_minutes: slotIntervalMinutes
+  } = req.body || {};
+
+  if (!businessId || !calendarUrl || !username || !password) {
+    return res.status(400).json({ error: 'Missing business_id, calendar_url, username or password' });
+  }
+
+  let url;
+  try {
+    url = new URL(calendarUrl);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid calendar_url' });
+  }
+
+  const allowedProtocols = getDeploymentEnvironment() === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!allowedProtocols.includes(url.protocol)) {
+    return res.status(400).json({ error: 'calendar_url must use https' });
+  }
+
+  const config = {
+    calendar_url: url.toString(),
+    username,
+    ...(parseInt(slotMinutes, 10) > 0 ? { slot_minutes: parseInt(slotMinutes, 10) } : {}),
+    ...(parseInt(slotIntervalMinutes, 10) > 0 ? { slot_interval_minutes: parseInt(slotIntervalMinutes, 10) } : {})
+  };
+
+  const member = await requireBusinessMember(req, res, businessId, { roles: ['owner'] });
+  if (!member) return;
+
+  // The server fetches this URL, so it must not point into our own network
+  try {
+    await assertPublicUrl(config.calendar_url);
+  } catch (error) {
+    console.warn('⚠️ Refusing CalDAV URL:', { businessId, host: url.hostname, reason: error.message });
+    return res.status(400).json({
+      error: error instanceof PrivateAddressError
+        ? 'calendar_url must point to a public server'
+        : 'Could not resolve calendar_url host'
+    });
+  }
+
+  try {
+    const check = await verifyConnection({ access_token: password, config });
+
+    if (!check.ok) {
+      console.warn('⚠️ CalDAV connection check failed:', { businessId, reason: check.reason });
+      return res.status(400).json({ error: 'Could not connect to calendar', message: check.reason });
+    }
+
+    await saveIntegrationCredentials(businessId, 'caldav', {
+      access_token: password,
+      refresh_token: null,
+      token_expires_at: null,
+      config
+    });
+    await enableBusinessBooking(businessId);
+
+    console.log('✅ CalDAV calendar connected:', { businessId, calendar: check.displayName });
+
+    return res.status(200).json({
+      success: true,
+      calendar: check.displayName,
+      next_steps: ['Test booking by calling your number']
+    });
+  } catch (error) {
+    console.error('❌ Error connecting CalDAV calendar:', error.message);
+    return res.status(500).json({ error: 'Failed to connect calendar' });
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * Native Scheduler Settings
+ *
+ * Turns on the built-in scheduler (lib/calendar/native.js) for a business
+ * that has no Cal.com or CalDAV calendar, or updates its settings. Slots
+ * follow business_hours, business_closures and booking_blackouts.
+ * Turning it on switches booking on (businesses.calcom_enabled); updating
+ * settings leaves a paused business paused.
+ * Requires an owner's Supabase session: `Authorization: Bearer <access_token>`.
+ *
+ * POST /api/calendar/native
+ *   Body: {
+ *     business_id,
+ *     slot_minutes,            // Optional: default appointment length (default 30)
+ *     slot_interval_minutes,   // Optional: minutes between slot starts (default: slot length)
+ *     buffer_before_minutes,   // Optional: gap kept free before appointments (default 0)
+ *     buffer_after_minutes,    // Optional: gap kept free after appointments (default 0)
+ *     capacity,                // Optional: appointments allowed at the same time (default 1)
+ *     min_notice_minutes       // Optional: how soon a slot can be booked (default 60)
+ *   }
+ */
+
+const {
+  getIntegrationCredentials,
+  saveIntegrationCredentials,
+  enableBusinessBooking
+} = require('../../lib/supabase');
+const { requireBusinessMember } = require('../../lib/auth');
+const { getNativeSettings } = require('../../lib/calendar/native');
+
+const SETTING_FIELDS = [
+  'slot_minutes',
+  'slot_interval_minutes',
+  'buffer_before_minutes',
+  'buffer_after_minutes',
+  'capacity',
+  'min_notice_minutes'
+];
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { business_id: businessId, ...body } = req.body || {};
+
+  if (!businessId) {
+    return res.status(400).json({ error: 'Missing business_id' });
+  }
+
+  const config = {};
+  for (const field of SETTING_FIELDS) {
+    if (body[field] === undefined || body[field] === null) {
+      continue;
+    }
+
+    const value = parseInt(body[field], 10);
+    if (!Number.isInteger(value) || value < 0 || (value === 0 && ['slot_minutes', 'capacity'].includes(field))) {
+      return res.status(400).json({ error: `Invalid ${field}` });
+    }
+
+    config[field] = value;
+  }
+
+  const member = await requireBusinessMember(req, res, businessId, { roles: ['owner'] });
+  if (!member) return;
+
+  try {
+    const existing = await getIntegrationCredentials(businessId, 'native');
+
+    await saveIntegrationCredentials(businessId, 'native', {
+      access_token: null,
+      refresh_token: null,
+      token_expires_at: null,
+      config
+    });
+
+    if (existing?.status !== 'connected') {
+      await enableBusinessBooking(businessId);
+    }
+
+    console.log('✅ Native scheduler enabled:', { businessId, config });
+
+    return res.status(200).json({
+      success: true,
+      settings: getNativeSettings({ config }),
+      next_steps: ['Test booking by calling your number']
+    });
+  } catch (error) {
+    console.error('❌ Error enabling native scheduler:', error.message);
+    return res.status(500).json({ error: 'Failed to enable scheduler' });
+  }
+};
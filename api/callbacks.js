@@ -0,0 +1,126 @@
+/**
+ * Callback Queue API
+ *
+ * Lets business owners and staff see open callback requests and mark them
+ * done. Requires a Supabase session: `Authorization: Bearer <access_token>`.
+ *
+ * GET /api/callbacks?business_id=xxx[&status=open|done|all]
+ *   Lists callback requests (default: open and in progress)
+ *
+ * PATCH /api/callbacks
+ *   Body: { business_id, id, status?, assigned_to?, resolution_notes? }
+ *   status: 'open' | 'in_progress' | 'done' | 'cancelled'
+ */
+
+const {
+  getCallbackRequests,
+  updateCallbackRequest,
+  getBusinessRole
+} = require('../lib/supabase');
+const { requireBusinessMember } = require('../lib/auth');
+
+const STATUS_FILTERS = {
+  open: ['open', 'in_progress'],
+  done: ['done', 'cancelled'],
+  all: ['open', 'in_progress', 'done', 'cancelled']
+};
+const CALLBACK_STATUSES = STATUS_FILTERS.all;
+
+module.exports = async (req, res) => {
+  if (req.method === 'GET') {
+    return await listCallbacks(req, res);
+  }
+
+  if (req.method === 'PATCH') {
+    return await updateCallback(req, res);
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+};
+
+async function listCallbacks(req, res) {
+  const { business_id: businessId, status = 'open' } = req.query || {};
+
+  if (!businessId) {
+    return res.status(400).json({ error: 'Missing business_id' });
+  }
+
+  if (!STATUS_FILTERS[status]) {
+    return res.status(400).json({ error: `Invalid status filter. Use one of: ${Object.keys(STATUS_FILTERS).join(', ')}` });
+  }
+
+  const member = await requireBusinessMember(req, res, businessId);
+  if (!member) return;
+
+  try {
+    const callbacks = await getCallbackRequests(businessId, { statuses: STATUS_FILTERS[status] });
+    return res.status(200).json({ callbacks });
+  } catch (error) {
+    console.error('❌ Error listing callbacks:', error);
+    return res.status(500).json({ error: 'Failed to load callbacks' });
+  }
+}
+
+async function updateCallback(req, res) {
+  const {
+    business_id: businessId,
+    id,
+    status,
+    assigned_to: assignedTo,
+    resolution_notes: resolutionNotes
+  } = req.body || {};
+
+  if (!businessId || !id) {
+    return res.status(400).json({ error: 'Missing business_id or id' });
+  }
+
+  if (status !== undefined && !CALLBACK_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status. Use one of: ${CALLBACK_STATUSES.join(', ')}` });
+  }
+
+  const member = await requireBusinessMember(req, res, businessId);
+  if (!member) return;
+
+  const updates = {};
+
+  if (status !== undefined) {
+    updates.status = status;
+
+    if (status === 'done' || status === 'cancelled') {
+      updates.completed_at = new Date().toISOString();
+      updates.completed_by = member.user.id;
+    } else {
+      updates.completed_at = null;
+      updates.completed_by = null;
+    }
+  }
+
+  if (assignedTo !== undefined) {
+    if (assignedTo !== null && !(await getBusinessRole(businessId, assignedTo))) {
+      return res.status(400).json({ error: 'Assignee is not a member of this business' });
+    }
+    updates.assigned_to = assignedTo;
+  }
+
+  if (resolutionNotes !== undefined) {
+    updates.resolution_notes = resolutionNotes;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update' });
+  }
+
+  try {
+    const callback = await updateCallbackRequest(businessId, id, updates);
+
+    if (!callback) {
+      return res.status(404).json({ error: 'Callback request not found' });
+    }
+
+    console.log('✅ Callback updated:', { id, status: callback.status, by: member.user.id });
+    return res.status(200).json({ callback });
+  } catch (error) {
+    console.error('❌ Error updating callback:', error);
+    return res.status(500).json({ error: 'Failed to update callback' });
+  }
+}
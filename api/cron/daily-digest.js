@@ -3,12 +3,19 @@
  * Called by Vercel Cron (UTC schedule) to email business owners a summary.
  */
 
-const { supabaseService } = require('../../lib/supabase');
-const { APP_TIME_ZONE } = require('../../lib/time');
+const { supabaseService, getCallbackRequests } = require('../../lib/supabase');
+const { formatCallbackWindow } = require('../../lib/callbacks');
+const { getRecordingLink } = require('../../lib/voicemail');
+const { isEmailConfigured, sendEmail, resolveRecipientEmail, escapeHtml } = require('../../lib/email');
+const {
+  resolveTimeZone,
+  addDaysToDate,
+  getLocalDateKey,
+  getLocalDayRangeUtc,
+  getTimeZoneParts
+} = require('../../lib/time');
 
 const CRON_SECRET = process.env.CRON_SECRET;
-const RESEND_API_KEY = process.env.RESEND_API_KEY;
-const EMAIL_FROM = process.env.EMAIL_FROM;
 const DASHBOARD_URL = process.env.DASHBOARD_URL;
 
 module.exports = async (req, res) => {
@@ -29,7 +36,7 @@ module.exports = async (req, res) => {
     return res.status(500).json({ error: 'Supabase service client not initialized' });
   }
 
-  if (!RESEND_API_KEY || !EMAIL_FROM) {
+  if (!isEmailConfigured()) {
     return res.status(500).json({ error: 'Email provider not configured' });
   }
 
@@ -54,7 +61,7 @@ module.exports = async (req, res) => {
       processed += 1;
 
       try {
-        const timeZone = APP_TIME_ZONE;
+        const timeZone = resolveTimeZone(business.digest_timezone, business.timezone);
         if (window === 'previous-day' && !shouldSendDigestNow(business, timeZone)) {
           continue;
         }
@@ -62,7 +69,7 @@ module.exports = async (req, res) => {
 
         const { data: calls, error: callsError } = await supabaseService
           .from('calls')
-          .select('id, created_at, from_phone, customer_phone, status, intent, summary')
+          .select('id, created_at, from_phone, customer_phone, caller_name, status, missed, intent, urgency, outcome, follow_up_needed, follow_up_notes, summary')
           .eq('business_id', business.id)
           .gte('created_at', startUtc.toISOString())
           .lt('created_at', endUtc.toISOString())
@@ -70,7 +77,20 @@ module.exports = async (req, res) => {
 
         if (callsError) throw callsError;
 
-        const stats = buildCallStats(calls || []);
+        const { data: voicemails, error: voicemailsError } = await supabaseService
+          .from('voicemails')
+          .select('id, created_at, recording_url, summary, intent, urgency, transcription_text, metadata')
+          .eq('business_id', business.id)
+          .gte('created_at', startUtc.toISOString())
+          .lt('created_at', endUtc.toISOString())
+          .order('created_at', { ascending: false });
+
+        if (voicemailsError) throw voicemailsError;
+
+        // Open callbacks are listed every day until staff mark them done
+        const openCallbacks = await getCallbackRequests(business.id);
+
+        const stats = buildCallStats(calls || [], voicemails || []);
         const recipient = await resolveRecipientEmail(business);
 
         if (!recipient) {
@@ -84,6 +104,8 @@ module.exports = async (req, res) => {
           timeZone,
           label,
           calls: calls || [],
+          voicemails: voicemails || [],
+          openCallbacks,
           stats
         });
 
@@ -108,47 +130,37 @@ module.exports = async (req, res) => {
   }
 };
 
-async function resolveRecipientEmail(business) {
-  if (business.email) return business.email;
-
-  const { data: owners, error } = await supabaseService
-    .from('business_users')
-    .select('user_id, role')
-    .eq('business_id', business.id)
-    .eq('role', 'owner')
-    .limit(1);
-
-  if (error || !owners || owners.length === 0) return null;
-
-  const ownerId = owners[0].user_id;
-  try {
-    const { data } = await supabaseService.auth.admin.getUserById(ownerId);
-    return data?.user?.email || null;
-  } catch (err) {
-    console.error('❌ Failed to load owner email:', err);
-    return null;
-  }
-}
+module.exports.shouldSendDigestNow = shouldSendDigestNow;
 
-function buildCallStats(calls) {
+function buildCallStats(calls, voicemails = []) {
   const stats = {
     total: calls.length,
     missed: 0,
-    intents: {}
+    voicemails: voicemails.length,
+    urgentVoicemails: voicemails.filter((vm) => ['high', 'emergency'].includes(vm.urgency)).length,
+    intents: {},
+    outcomes: {},
+    followUps: 0
   };
 
   for (const call of calls) {
-    if (['no-answer', 'busy', 'failed'].includes(call.status)) {
+    if (call.missed || ['no-answer', 'busy', 'failed'].includes(call.status)) {
       stats.missed += 1;
     }
     const intent = call.intent || 'unknown';
     stats.intents[intent] = (stats.intents[intent] || 0) + 1;
+    if (call.outcome) {
+      stats.outcomes[call.outcome] = (stats.outcomes[call.outcome] || 0) + 1;
+    }
+    if (call.follow_up_needed) {
+      stats.followUps += 1;
+    }
   }
 
   return stats;
 }
 
-function buildDigestEmail({ business, recipient, timeZone, label, calls, stats }) {
+function buildDigestEmail({ business, recipient, timeZone, label, calls, voicemails = [], openCallbacks = [], stats }) {
   const subject = `Daily Call Digest - ${business.name} (${label})`;
   const dashboardLink = DASHBOARD_URL || '';
 
@@ -158,24 +170,73 @@ function buildDigestEmail({ business, recipient, timeZone, label, calls, stats }
     .map(([intent, count]) => `${intent}: ${count}`)
     .join(', ');
 
+  const outcomes = Object.entries(stats.outcomes)
+    .sort((a, b) => b[1] - a[1])
+    .map(([outcome, count]) => `${outcome}: ${count}`)
+    .join(', ');
+
   const keyCalls = calls.slice(0, 5).map((call) => {
     const time = formatDateTime(call.created_at, timeZone);
-    const from = call.from_phone || call.customer_phone || 'unknown';
+    const phone = call.from_phone || call.customer_phone || 'unknown';
+    const from = call.caller_name ? `${call.caller_name} (${phone})` : phone;
     const summary = call.summary ? call.summary.slice(0, 140) : 'No summary';
     return `${time} | ${from} | ${call.status || 'unknown'} | ${summary}`;
   });
 
+  const keyVoicemails = voicemails.slice(0, 10).map((vm) => ({
+    time: formatDateTime(vm.created_at, timeZone),
+    from: vm.metadata?.from || 'unknown',
+    urgency: vm.urgency || 'normal',
+    summary: (vm.summary || vm.transcription_text || 'No transcription').slice(0, 140),
+    link: getRecordingLink(vm)
+  }));
+
+  const followUpItems = calls.filter((call) => call.follow_up_needed).map((call) => ({
+    time: formatDateTime(call.created_at, timeZone),
+    caller: call.caller_name
+      ? `${call.caller_name} (${call.customer_phone || call.from_phone || 'unknown'})`
+      : call.customer_phone || call.from_phone || 'unknown',
+    urgency: call.urgency || 'normal',
+    notes: (call.follow_up_notes || call.summary || 'No details').slice(0, 140)
+  }));
+
+  const callbackItems = openCallbacks.map((cb) => ({
+    requested: formatDateTime(cb.created_at, timeZone),
+    caller: cb.customer_name ? `${cb.customer_name} (${cb.customer_phone})` : cb.customer_phone,
+    when: formatCallbackWindow({ timezone: timeZone }, cb),
+    reason: (cb.reason || '').slice(0, 140)
+  }));
+
   const text = [
     `Daily Call Digest for ${business.name}`,
     `Date: ${label} (${timeZone})`,
     '',
     `Total calls: ${stats.total}`,
     `Missed calls: ${stats.missed}`,
+    `Voicemails: ${stats.voicemails}${stats.urgentVoicemails ? ` (${stats.urgentVoicemails} urgent)` : ''}`,
+    `Open callbacks: ${callbackItems.length}`,
     `Top intents: ${topIntents || 'None'}`,
+    `Outcomes: ${outcomes || 'None'}`,
+    `Calls needing follow-up: ${stats.followUps}`,
     '',
     'Key calls:',
     keyCalls.length ? keyCalls.join('\n') : 'No calls recorded.',
     '',
+    'Needs follow-up:',
+    followUpItems.length
+      ? followUpItems.map((item) => `${item.time} | ${item.caller} | ${item.urgency} | ${item.notes}`).join('\n')
+      : 'No calls need follow-up.',
+    '',
+    'Voicemails:',
+    keyVoicemails.length
+      ? keyVoicemails.map((vm) => `${vm.time} | ${vm.from} | ${vm.urgency} | ${vm.summary}${vm.link ? ` | ${vm.link}` : ''}`).join('\n')
+      : 'No voicemails.',
+    '',
+    'Open callbacks:',
+    callbackItems.length
+      ? callbackItems.map((cb) => `${cb.caller} | ${cb.when} | ${cb.reason} (requested ${cb.requested})`).join('\n')
+      : 'No open callbacks.',
+    '',
     dashboardLink ? `Dashboard: ${dashboardLink}` : ''
   ].filter(Boolean).join('\n');
 
@@ -197,13 +258,58 @@ function buildDigestEmail({ business, recipient, timeZone, label, calls, stats }
       </tr>
     `;
 
+  const voicemailRows = keyVoicemails.length
+    ? keyVoicemails.map((vm) => `
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(vm.time)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(vm.from)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(vm.urgency)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(vm.summary)}${vm.link ? ` <a href="${escapeHtml(vm.link)}">Listen</a>` : ''}</td>
+          </tr>
+        `).join('')
+    : `
+      <tr>
+        <td colspan="4" style="padding: 8px; text-align: center; color: #666;">No voicemails.</td>
+      </tr>
+    `;
+
+  const followUpRows = followUpItems.length
+    ? followUpItems.map((item) => `
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.time)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.caller)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.urgency)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.notes)}</td>
+          </tr>
+        `).join('')
+    : `
+      <tr>
+        <td colspan="4" style="padding: 8px; text-align: center; color: #666;">No calls need follow-up.</td>
+      </tr>
+    `;
+
+  const callbackRows = callbackItems.length
+    ? callbackItems.map((cb) => `
+          <tr>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(cb.requested)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(cb.caller)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(cb.when)}</td>
+            <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(cb.reason)}</td>
+          </tr>
+        `).join('')
+    : `
+      <tr>
+        <td colspan="4" style="padding: 8px; text-align: center; color: #666;">No open callbacks.</td>
+      </tr>
+    `;
+
   const html = `
     <div style="font-family: Arial, sans-serif; color: #111; line-height: 1.5;">
       <h2 style="margin-bottom: 4px;">Daily Call Digest</h2>
       <p style="margin: 0;"><strong>${escapeHtml(business.name)}</strong></p>
       <p style="margin-top: 4px;">Date: ${escapeHtml(label)} (${escapeHtml(timeZone)})</p>
       <hr />
-      <div style="display: grid; grid-template-columns: repeat(3, minmax(0, 1fr)); gap: 12px; margin-bottom: 16px;">
+      <div style="display: grid; grid-template-columns: repeat(4, minmax(0, 1fr)); gap: 12px; margin-bottom: 16px;">
         <div style="background: #f8f8f8; padding: 10px; border-radius: 8px;">
           <div style="font-size: 12px; color: #666;">Total Calls</div>
           <div style="font-size: 20px; font-weight: 700;">${stats.total}</div>
@@ -212,11 +318,16 @@ function buildDigestEmail({ business, recipient, timeZone, label, calls, stats }
           <div style="font-size: 12px; color: #666;">Missed Calls</div>
           <div style="font-size: 20px; font-weight: 700;">${stats.missed}</div>
         </div>
+        <div style="background: #f8f8f8; padding: 10px; border-radius: 8px;">
+          <div style="font-size: 12px; color: #666;">Voicemails</div>
+          <div style="font-size: 20px; font-weight: 700;">${stats.voicemails}</div>
+        </div>
         <div style="background: #f8f8f8; padding: 10px; border-radius: 8px;">
           <div style="font-size: 12px; color: #666;">Top Intents</div>
           <div style="font-size: 14px; font-weight: 600;">${escapeHtml(topIntents || 'None')}</div>
         </div>
       </div>
+      <p style="margin: 0 0 16px;"><strong>Outcomes:</strong> ${escapeHtml(outcomes || 'None')}</p>
       <h3 style="margin-bottom: 8px;">Key calls</h3>
       <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
         <thead>
@@ -231,6 +342,48 @@ function buildDigestEmail({ business, recipient, timeZone, label, calls, stats }
           ${tableRows}
         </tbody>
       </table>
+      <h3 style="margin-bottom: 8px;">Needs follow-up (${followUpItems.length})</h3>
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+        <thead>
+          <tr style="text-align: left; background: #fafafa;">
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Time</th>
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Caller</th>
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Urgency</th>
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">What's needed</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${followUpRows}
+        </tbody>
+      </table>
+      <h3 style="margin-bottom: 8px;">Voicemails</h3>
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+        <thead>
+          <tr style="text-align: left; background: #fafafa;">
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Time</th>
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Caller</th>
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Urgency</th>
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Summary</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${voicemailRows}
+        </tbody>
+      </table>
+      <h3 style="margin-bottom: 8px;">Open callbacks (${callbackItems.length})</h3>
+      <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+        <thead>
+          <tr style="text-align: left; background: #fafafa;">
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Requested</th>
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Caller</th>
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Preferred time</th>
+            <th style="padding: 8px; border-bottom: 1px solid #eee;">Reason</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${callbackRows}
+        </tbody>
+      </table>
       ${dashboardLink ? `<p style="margin-top: 16px;"><a href="${dashboardLink}">Open dashboard</a></p>` : ''}
     </div>
   `;
@@ -238,32 +391,7 @@ function buildDigestEmail({ business, recipient, timeZone, label, calls, stats }
   return { to: recipient, subject, html, text };
 }
 
-async function sendEmail({ to, subject, html, text }) {
-  const response = await fetch('https://api.resend.com/emails', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${RESEND_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      from: EMAIL_FROM,
-      to,
-      subject,
-      html,
-      text
-    })
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('❌ Resend error:', response.status, errorText);
-    return { ok: false, error: errorText };
-  }
-
-  return { ok: true };
-}
-
-function shouldSendDigestNow(business, timeZone) {
+function shouldSendDigestNow(business, timeZone, now = new Date()) {
   const digestTime = business.digest_time_local || '08:00';
   const [targetHour, targetMinute] = digestTime.split(':').map((part) => Number(part));
 
@@ -271,7 +399,6 @@ function shouldSendDigestNow(business, timeZone) {
     return false;
   }
 
-  const now = new Date();
   const parts = getTimeZoneParts(now, timeZone);
   if (parts.hour !== targetHour || parts.minute !== targetMinute) {
     return false;
@@ -295,34 +422,16 @@ async function markDigestSent(businessId) {
   }
 }
 
-function getPreviousDayRangeUtc(timeZone) {
-  const now = new Date();
-  const parts = getTimeZoneParts(now, timeZone);
-  const endUtc = zonedTimeToUtc(timeZone, {
-    year: parts.year,
-    month: parts.month,
-    day: parts.day,
-    hour: 0,
-    minute: 0,
-    second: 0
-  });
-  const startUtc = new Date(endUtc.getTime() - 24 * 60 * 60 * 1000);
+function getPreviousDayRangeUtc(timeZone, now = new Date()) {
+  const today = getLocalDateKey(now, timeZone);
+  const { startUtc, endUtc } = getLocalDayRangeUtc(addDaysToDate(today, -1), timeZone);
   const label = formatDate(startUtc, timeZone);
 
   return { startUtc, endUtc, label };
 }
 
-function getTodaySoFarRangeUtc(timeZone) {
-  const now = new Date();
-  const parts = getTimeZoneParts(now, timeZone);
-  const startUtc = zonedTimeToUtc(timeZone, {
-    year: parts.year,
-    month: parts.month,
-    day: parts.day,
-    hour: 0,
-    minute: 0,
-    second: 0
-  });
+function getTodaySoFarRangeUtc(timeZone, now = new Date()) {
+  const { startUtc } = getLocalDayRangeUtc(getLocalDateKey(now, timeZone), timeZone);
   const endUtc = now;
   const label = `${formatDate(startUtc, timeZone)} (today so far)`;
   return { startUtc, endUtc, label };
@@ -349,79 +458,6 @@ function getDigestRangeUtc(window, timeZone) {
   }
 }
 
-function getTimeZoneParts(date, timeZone) {
-  const dtf = new Intl.DateTimeFormat('en-US', {
-    timeZone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-
-  const parts = dtf.formatToParts(date);
-  const map = {};
-  for (const part of parts) {
-    if (part.type !== 'literal') {
-      map[part.type] = part.value;
-    }
-  }
-
-  return {
-    year: Number(map.year),
-    month: Number(map.month),
-    day: Number(map.day),
-    hour: Number(map.hour),
-    minute: Number(map.minute),
-    second: Number(map.second)
-  };
-}
-
-function getTimeZoneOffset(date, timeZone) {
-  const parts = getTimeZoneParts(date, timeZone);
-  const asUTC = Date.UTC(
-    parts.year,
-    parts.month - 1,
-    parts.day,
-    parts.hour,
-    parts.minute,
-    parts.second
-  );
-  return asUTC - date.getTime();
-}
-
-function zonedTimeToUtc(timeZone, parts) {
-  const utcGuess = new Date(Date.UTC(
-    parts.year,
-    parts.month - 1,
-    parts.day,
-    parts.hour,
-    parts.minute,
-    parts.second
-  ));
-  const offset = getTimeZoneOffset(utcGuess, timeZone);
-  return new Date(utcGuess.getTime() - offset);
-}
-
-function getLocalDateKey(date, timeZone) {
-  const dtf = new Intl.DateTimeFormat('en-US', {
-    timeZone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit'
-  });
-  const parts = dtf.formatToParts(date);
-  const map = {};
-  for (const part of parts) {
-    if (part.type !== 'literal') {
-      map[part.type] = part.value;
-    }
-  }
-  return `${map.year}-${map.month}-${map.day}`;
-}
-
 function formatDate(date, timeZone) {
   return new Intl.DateTimeFormat('en-US', {
     timeZone,
@@ -441,12 +477,3 @@ function formatDateTime(dateString, timeZone) {
     hour12: true
   }).format(new Date(dateString));
 }
-
-function escapeHtml(text) {
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
-}
@@ -0,0 +1,37 @@
+/**
+ * Urgent alert escalation cron endpoint
+ * Called every few minutes by a scheduler. Alerts the next level of
+ * on-call contacts for urgent alerts nobody acknowledged in time.
+ */
+
+const { supabaseService } = require('../../lib/supabase');
+const { escalatePendingAlerts } = require('../../lib/alerts');
+
+const CRON_SECRET = process.env.CRON_SECRET;
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!CRON_SECRET) {
+    return res.status(500).json({ error: 'CRON_SECRET not configured' });
+  }
+
+  const providedSecret = req.headers['x-cron-secret'];
+  if (providedSecret !== CRON_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!supabaseService) {
+    return res.status(500).json({ error: 'Supabase service client not initialized' });
+  }
+
+  try {
+    const result = await escalatePendingAlerts();
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('❌ Alert escalation cron failed:', err);
+    return res.status(500).json({ error: 'Alert escalation cron failed', message: err.message });
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Appointment reminder cron endpoint
+ * Called every few minutes by a scheduler. Texts (or emails) customers
+ * the reminders that are due for upcoming appointments (see lib/reminders.js).
+ */
+
+const { supabaseService } = require('../../lib/supabase');
+const { sendDueReminders } = require('../../lib/reminders');
+
+const CRON_SECRET = process.env.CRON_SECRET;
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!CRON_SECRET) {
+    return res.status(500).json({ error: 'CRON_SECRET not configured' });
+  }
+
+  const providedSecret = req.headers['x-cron-secret'];
+  if (providedSecret !== CRON_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (!supabaseService) {
+    return res.status(500).json({ error: 'Supabase service client not initialized' });
+  }
+
+  try {
+    const result = await sendDueReminders();
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('❌ Appointment reminder cron failed:', err);
+    return res.status(500).json({ error: 'Appointment reminder cron failed', message: err.message });
+  }
+};
@@ -13,7 +13,8 @@
  *   - voice: Voice preset - 'rachel', 'adam', 'bella' (default: rachel)
  */
 
-const { getBusinessByPhone, getCalcomCredentials } = require('../../lib/supabase');
+const { getBusinessByPhone } = require('../../lib/supabase');
+const { getCalendarIntegration } = require('../../lib/calendar');
 const { 
   buildAssistantConfig, 
   buildBasicConfig, 
@@ -21,7 +22,7 @@ const {
   validateConfig 
 } = require('../../lib/vapi');
 const { buildSystemPrompt } = require('../../lib/prompts');
-const { APP_TIME_ZONE } = require('../../lib/time');
+const { getBusinessTimeZone } = require('../../lib/time');
 
 module.exports = async (req, res) => {
   // Basic auth check - require secret in production
@@ -51,9 +52,9 @@ module.exports = async (req, res) => {
       });
     }
 
-    // Check Cal.com
-    const calcomIntegration = await getCalcomCredentials(business.id);
-    const hasCalcom = !!(business.calcom_enabled && calcomIntegration?.access_token);
+    // Check calendar (Cal.com, CalDAV or native scheduler)
+    const calcomIntegration = await getCalendarIntegration(business.id);
+    const hasCalcom = !!(business.calcom_enabled && calcomIntegration);
 
     // Determine config type
     const configType = type || (hasCalcom ? 'booking' : 'basic');
@@ -105,7 +106,7 @@ module.exports = async (req, res) => {
       business: {
         id: business.id,
         name: business.name,
-        timezone: APP_TIME_ZONE,
+        timezone: getBusinessTimeZone(business),
         calcom_enabled: business.calcom_enabled,
         appointment_handling_enabled: business.appointment_handling_enabled,
         business_hours: business.business_hours
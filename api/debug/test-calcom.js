@@ -3,7 +3,7 @@
  */
 const { getBusinessByPhone, getCalcomCredentials } = require('../../lib/supabase');
 const { checkAvailability } = require('../../lib/calcom');
-const { APP_TIME_ZONE, getTomorrowDateInAppTimeZone } = require('../../lib/time');
+const { getBusinessTimeZone, getTomorrowDateInTimeZone } = require('../../lib/time');
 
 module.exports = async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -29,14 +29,14 @@ module.exports = async function handler(req, res) {
     }
     
     const eventTypeId = credentials.config?.event_type_id;
-    const timeZone = APP_TIME_ZONE;
+    const timeZone = getBusinessTimeZone(business);
 
     if (requestedDate && !/^\d{4}-\d{2}-\d{2}$/.test(requestedDate)) {
       return res.status(400).json({ error: 'Invalid date parameter. Use YYYY-MM-DD.' });
     }
     
     // 3. Test availability
-    const dateStr = requestedDate || getTomorrowDateInAppTimeZone();
+    const dateStr = requestedDate || getTomorrowDateInTimeZone(timeZone);
     
     let slots = [];
     let slotsError = null;
@@ -0,0 +1,166 @@
+/**
+ * Dial Status Handler
+ *
+ * Twilio posts here (the <Dial action> URL) once a ring-first call stops ringing.
+ * - answered/completed: staff took the call, nothing more to do
+ * - no-answer/busy/failed: the call was missed, hand it to the Vapi assistant
+ * - canceled: the caller hung up while ringing, record the missed call and
+ *   send the missed-call text-back
+ */
+
+const twilio = require('twilio');
+const { validateTwilioRequest, sendTwiml, sendErrorTwiml } = require('../lib/twilio');
+const { createBypassCall } = require('../lib/vapi/call');
+const { upsertCall, getPhoneNumberConfig } = require('../lib/supabase');
+const { sendMissedCallText } = require('../lib/sms');
+const { claimWebhookEvent, completeWebhookEvent, failWebhookEvent } = require('../lib/webhook-events');
+
+const MISSED_DIAL_STATUSES = ['no-answer', 'busy', 'failed'];
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let webhookEvent = null;
+
+  try {
+    if (!validateTwilioRequest(req)) {
+      console.error('❌ Invalid Twilio signature');
+      return res.status(403).json({ error: 'Invalid signature' });
+    }
+
+    const { CallSid, DialCallStatus, DialCallDuration } = req.body;
+
+    console.log('☎️ Dial finished:', {
+      callSid: CallSid,
+      dialStatus: DialCallStatus,
+      duration: DialCallDuration,
+      timestamp: new Date().toISOString()
+    });
+
+    // A retried action request must not text the caller or start Vapi twice
+    webhookEvent = await claimWebhookEvent({
+      source: 'twilio',
+      eventType: 'dial-status',
+      dedupeKey: `dial-status:${CallSid}`,
+      externalId: CallSid,
+      payload: req.body
+    });
+
+    if (webhookEvent.duplicate) {
+      console.log('ℹ️ Duplicate dial status, replaying stored TwiML:', CallSid);
+      if (webhookEvent.response?.twiml) {
+        return sendTwiml(res, webhookEvent.response.twiml);
+      }
+      return sendErrorTwiml(res, 'Sorry, no one is available to take your call. Please try again later.');
+    }
+
+    const twiml = (await handleDialStatus(req.body)).toString();
+
+    await completeWebhookEvent(webhookEvent, { twiml });
+    return sendTwiml(res, twiml);
+
+  } catch (error) {
+    console.error('❌ Error handling dial status:', error);
+    await failWebhookEvent(webhookEvent, error);
+    return sendErrorTwiml(res, error.userMessage || 'Sorry, no one is available to take your call. Please try again later.');
+  }
+};
+
+/**
+ * Act on the outcome of ringing staff
+ * @param {Object} params - Twilio <Dial> action payload
+ * @returns {Promise<string|import('twilio').twiml.VoiceResponse>} TwiML for Twilio
+ */
+async function handleDialStatus(params) {
+  const {
+    CallSid,
+    From,
+    To,
+    DialCallStatus,
+    DialCallDuration,
+    CallerCity,
+    CallerState
+  } = params;
+
+  const phoneConfig = await getPhoneNumberConfig(To);
+  const baseCall = {
+    twilio_call_sid: CallSid,
+    customer_phone: From || 'unknown',
+    from_phone: From || 'unknown',
+    to_phone: To || 'unknown',
+    direction: 'inbound',
+    ...(phoneConfig?.business_id ? { business_id: phoneConfig.business_id } : {})
+  };
+
+  if (!MISSED_DIAL_STATUSES.includes(DialCallStatus)) {
+    const answered = DialCallStatus === 'completed' || DialCallStatus === 'answered';
+
+    const callRecord = await recordCall({
+      ...baseCall,
+      status: answered ? 'completed' : 'no-answer',
+      missed: !answered,
+      duration_seconds: answered && DialCallDuration ? Number(DialCallDuration) : null,
+      ended_at: new Date().toISOString(),
+      ended_reason: answered ? 'answered-by-staff' : `dial-${DialCallStatus || 'unknown'}`
+    });
+
+    if (!answered && phoneConfig?.businesses) {
+      await sendMissedCallText(phoneConfig.businesses, {
+        callId: callRecord?.id || null,
+        customerPhone: From,
+        businessPhone: To,
+        reason: `dial-${DialCallStatus || 'unknown'}`
+      });
+    }
+
+    const twiml = new twilio.twiml.VoiceResponse();
+    twiml.hangup();
+    return twiml;
+  }
+
+  console.log('🤖 Staff did not answer, handing call to AI assistant');
+
+  const vapiCall = await createBypassCall({
+    callSid: CallSid,
+    from: From,
+    to: To,
+    callerLocation: `${CallerCity}, ${CallerState}`,
+    metadata: {
+      missedCall: true,
+      dialStatus: DialCallStatus
+    }
+  });
+
+  await recordCall({
+    ...baseCall,
+    vapi_call_id: vapiCall.id,
+    status: 'in-progress',
+    missed: true,
+    ai_handled: true,
+    metadata: {
+      routing_mode: 'ring_first',
+      dial_status: DialCallStatus
+    }
+  });
+
+  return vapiCall.twiml;
+}
+
+/**
+ * Update the call row created when ringing started (matched by CallSid)
+ * @returns {Promise<Object|null>} Call record, or null if it could not be saved
+ */
+async function recordCall(callData) {
+  if (!callData.business_id) {
+    return null;
+  }
+
+  try {
+    return await upsertCall(callData, { onConflict: 'twilio_call_sid' });
+  } catch (error) {
+    console.error('⚠️ Failed to record call:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Email Capture Form
+ *
+ * Page behind the link the assistant texts to callers who can't spell their
+ * email on the phone (verifyEmail tool, lib/email-capture.js). The caller
+ * types the address, it is checked (syntax and MX) and stored, and
+ * createBooking picks it up while the call is still going.
+ *
+ * GET  /api/email-capture?t=<token>   - Show the form
+ * POST /api/email-capture             - Form submission: { t, email }
+ */
+
+const { escapeHtml } = require('../lib/email');
+const { getEmailCaptureForLink, submitCapturedEmail } = require('../lib/email-capture');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const token = req.method === 'POST' ? req.body?.t : req.query?.t;
+
+  try {
+    const capture = await getEmailCaptureForLink(token);
+
+    if (!capture) {
+      return sendPage(res, 404, renderMessage('This link has expired. Please ask us for a new one.'));
+    }
+
+    const businessName = capture.businesses?.name || 'us';
+
+    if (capture.status === 'submitted') {
+      return sendPage(res, 200, renderMessage(`Thanks, ${businessName} has your email address. You can go back to your call.`));
+    }
+
+    if (req.method === 'GET') {
+      return sendPage(res, 200, renderForm(businessName, token));
+    }
+
+    const check = await submitCapturedEmail(capture, req.body?.email);
+
+    if (!check.valid) {
+      const error = check.reason === 'no_mail_server'
+        ? `${check.email.split('@').pop()} can't receive email. Please check the address.`
+        : 'Please enter a valid email address.';
+      return sendPage(res, 400, renderForm(businessName, token, { email: req.body?.email, error }));
+    }
+
+    return sendPage(res, 200, renderMessage(`Thanks! ${businessName} has your email address. You can go back to your call.`));
+
+  } catch (error) {
+    console.error('❌ Email capture failed:', error);
+    return sendPage(res, 500, renderMessage('Something went wrong. Please tell us your email on the call instead.'));
+  }
+};
+
+function sendPage(res, status, body) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.status(status).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Your email address</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 420px; margin: 0 auto; padding: 24px;">
+  ${body}
+</body>
+</html>`);
+}
+
+function renderMessage(message) {
+  return `<p style="font-size: 18px;">${escapeHtml(message)}</p>`;
+}
+
+function renderForm(businessName, token, { email = '', error = null } = {}) {
+  return `
+  <h1 style="font-size: 20px;">Your email for ${escapeHtml(businessName)}</h1>
+  ${error ? `<p style="color: #b91c1c;">${escapeHtml(error)}</p>` : ''}
+  <form method="POST" action="/api/email-capture">
+    <input type="hidden" name="t" value="${escapeHtml(token)}">
+    <input type="email" name="email" value="${escapeHtml(email || '')}" required autofocus autocomplete="email"
+      placeholder="you@example.com" style="width: 100%; font-size: 18px; padding: 10px; box-sizing: border-box;">
+    <button type="submit" style="margin-top: 12px; width: 100%; font-size: 18px; padding: 10px;">Send</button>
+  </form>`;
+}
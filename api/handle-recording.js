@@ -1,17 +1,43 @@
 /**
  * Recording Handler
  * 
- * Processes voicemail recordings from callers
+ * Processes voicemail recordings from callers. This is the <Record> action
+ * URL, so it responds with TwiML to end the call.
+ *
+ * The recording is stored in the voicemails table, linked to the calls row
+ * via CallSid. Analysis and owner notification run once the transcription
+ * arrives (see api/transcription.js).
  */
 
+const twilio = require('twilio');
+const { validateTwilioRequest, sendTwiml } = require('../lib/twilio');
+const { upsertVoicemail } = require('../lib/supabase');
+const { resolveVoicemailCall } = require('../lib/voicemail');
+const { claimWebhookEvent, completeWebhookEvent, failWebhookEvent } = require('../lib/webhook-events');
+
 module.exports = async (req, res) => {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say({
+    voice: 'Polly.Joanna'
+  }, 'Thank you. Your message has been recorded. Goodbye!');
+  twiml.hangup();
+
+  let webhookEvent = null;
+
   try {
+    if (!validateTwilioRequest(req)) {
+      console.error('❌ Invalid Twilio signature');
+      return res.status(403).json({ error: 'Invalid signature' });
+    }
+
     const {
       CallSid,
+      From,
+      To,
       RecordingUrl,
       RecordingDuration,
       RecordingSid
@@ -26,19 +52,48 @@ module.exports = async (req, res) => {
       timestamp: new Date().toISOString()
     });
 
-    // TODO: Store recording metadata in database
-    // TODO: Trigger AI processing pipeline
-    // TODO: Send notification (email, SMS, etc.)
+    if (!RecordingSid) {
+      return sendTwiml(res, twiml);
+    }
+
+    webhookEvent = await claimWebhookEvent({
+      source: 'twilio',
+      eventType: 'recording',
+      dedupeKey: `recording:${RecordingSid}`,
+      externalId: CallSid,
+      payload: req.body
+    });
+
+    if (webhookEvent.duplicate) {
+      console.log('ℹ️ Duplicate recording callback ignored:', RecordingSid);
+      return sendTwiml(res, twiml);
+    }
+
+    const call = await resolveVoicemailCall(req.body);
+    if (!call) {
+      console.warn('⚠️ No business found for voicemail:', { callSid: CallSid, to: To });
+      await completeWebhookEvent(webhookEvent, { stored: false });
+      return sendTwiml(res, twiml);
+    }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Recording received'
+    await upsertVoicemail({
+      business_id: call.business_id,
+      call_id: call.id,
+      twilio_call_sid: CallSid,
+      recording_sid: RecordingSid,
+      recording_url: RecordingUrl,
+      duration_seconds: RecordingDuration ? parseInt(RecordingDuration, 10) : null,
+      metadata: { from: From, to: To }
     });
 
+    console.log('✅ Voicemail stored:', RecordingSid);
+    await completeWebhookEvent(webhookEvent, { stored: true });
+    return sendTwiml(res, twiml);
+
   } catch (error) {
     console.error('❌ Error handling recording:', error);
-    return res.status(500).json({
-      error: 'Failed to process recording'
-    });
+    await failWebhookEvent(webhookEvent, error);
+    // The caller has already left their message; end the call cleanly
+    return sendTwiml(res, twiml);
   }
 };
@@ -0,0 +1,166 @@
+/**
+ * Twilio SMS Webhook Handler
+ *
+ * Receives inbound text messages to a business number and replies with the
+ * SMS assistant (same business context and booking tools as voice).
+ * Configure this URL as your Twilio phone number's messaging webhook.
+ *
+ * Flow:
+ * 1. Customer texts the business number (usually replying to a missed-call text)
+ * 2. The message is stored on the customer's open sms_conversations thread
+ * 3. The assistant generates a reply, running booking tools as needed, within
+ *    a time budget that keeps the response inside Twilio's 15s webhook timeout
+ * 4. The reply is stored and returned as TwiML <Message>
+ *
+ * On-call contacts can reply ACK to an urgent-call alert (see lib/alerts.js);
+ * those replies acknowledge the alert instead of starting a conversation.
+ * Likewise, customers replying YES or C to an appointment confirmation or
+ * reminder (see lib/reminders.js) confirm or cancel the appointment.
+ * ACKs and YES/C replies are keyed off the sender's number, so they are only
+ * honored on requests with a valid Twilio signature (never in dev-mode bypass).
+ */
+
+const twilio = require('twilio');
+const { validateTwilioRequest, hasValidTwilioSignature, sendTwiml } = require('../lib/twilio');
+const {
+  getBusinessByPhone,
+  getOpenSmsConversation,
+  createSmsConversation,
+  insertSmsMessage
+} = require('../lib/supabase');
+const { generateSmsReply } = require('../lib/sms');
+const { acknowledgeAlertsFromPhone } = require('../lib/alerts');
+const { handleReminderReply } = require('../lib/reminders');
+const { claimWebhookEvent, completeWebhookEvent, failWebhookEvent } = require('../lib/webhook-events');
+
+// Postgres unique_violation - Twilio retried a message we already stored
+const DUPLICATE_KEY_ERROR = '23505';
+
+const ACK_PATTERN = /^\s*ack\b/i;
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let webhookEvent = null;
+
+  try {
+    if (!validateTwilioRequest(req)) {
+      console.error('❌ Invalid Twilio signature');
+      return res.status(403).json({ error: 'Invalid signature' });
+    }
+
+    const { MessageSid, From, To, Body } = req.body;
+
+    console.log('📨 Inbound SMS:', {
+      messageSid: MessageSid,
+      from: From,
+      to: To,
+      text: Body?.substring(0, 50),
+      timestamp: new Date().toISOString()
+    });
+
+    webhookEvent = await claimWebhookEvent({
+      source: 'twilio',
+      eventType: 'sms',
+      dedupeKey: `sms:${MessageSid}`,
+      externalId: MessageSid,
+      payload: req.body
+    });
+
+    if (webhookEvent.duplicate) {
+      console.log('ℹ️ Duplicate SMS delivery, replaying stored reply:', MessageSid);
+      return sendTwiml(res, webhookEvent.response?.twiml || new twilio.twiml.MessagingResponse());
+    }
+
+    const twiml = (await handleInboundSms(req.body, { signed: hasValidTwilioSignature(req) })).toString();
+
+    await completeWebhookEvent(webhookEvent, { twiml });
+    return sendTwiml(res, twiml);
+
+  } catch (error) {
+    console.error('❌ Error handling SMS:', error);
+    await failWebhookEvent(webhookEvent, error);
+    return sendTwiml(res, new twilio.twiml.MessagingResponse());
+  }
+};
+
+/**
+ * Store an inbound message and build the assistant's reply
+ * @param {Object} params - Twilio messaging webhook payload
+ * @param {Object} options
+ * @param {boolean} options.signed - Request carried a valid Twilio signature, so From can be trusted
+ * @returns {Promise<import('twilio').twiml.MessagingResponse>} TwiML reply
+ */
+async function handleInboundSms({ MessageSid, From, To, Body }, { signed }) {
+  const twiml = new twilio.twiml.MessagingResponse();
+
+  const business = await getBusinessByPhone(To);
+  if (!business) {
+    console.warn('⚠️ Business not found for SMS number:', To);
+    return twiml;
+  }
+
+  // A forged ACK would stop an urgent alert's escalation, so only trust From when signed
+  if (ACK_PATTERN.test(Body || '') && signed) {
+    const ack = await acknowledgeAlertsFromPhone(business, From);
+    if (ack) {
+      twiml.message(ack.acknowledged > 0
+        ? `Thanks ${ack.contact.name}, the urgent alert is acknowledged.`
+        : 'There are no open urgent alerts for you to acknowledge.');
+      return twiml;
+    }
+  }
+
+  // Same for YES/C: a forged From could cancel someone else's appointment
+  const reminderReply = signed ? await handleReminderReply(business, From, Body) : null;
+  if (reminderReply) {
+    twiml.message(reminderReply);
+    return twiml;
+  }
+
+  const conversation = await getOpenSmsConversation(business.id, From)
+    || await createSmsConversation({
+      business_id: business.id,
+      customer_phone: From,
+      business_phone: To
+    });
+
+  try {
+    await insertSmsMessage({
+      conversation_id: conversation.id,
+      direction: 'inbound',
+      body: Body || '',
+      twilio_message_sid: MessageSid
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      console.log('ℹ️ Duplicate SMS delivery ignored:', MessageSid);
+      return twiml;
+    }
+    throw error;
+  }
+
+  let reply;
+  try {
+    reply = await generateSmsReply(business, conversation);
+  } catch (error) {
+    console.error('❌ SMS assistant failed:', error);
+    reply = `Thanks for your message! Someone from ${business.name} will get back to you shortly.`;
+  }
+
+  if (!reply) {
+    return twiml;
+  }
+
+  await insertSmsMessage({
+    conversation_id: conversation.id,
+    direction: 'outbound',
+    body: reply,
+    metadata: { type: 'assistant_reply' }
+  });
+
+  twiml.message(reply);
+  return twiml;
+}
@@ -12,9 +12,12 @@ module.exports = async (req, res) => {
     environment: process.env.NODE_ENV || 'production',
     endpoints: {
       webhook: '/api/webhook',
+      dialStatus: '/api/dial-status',
+      smsWebhook: '/api/sms-webhook',
       handleSpeech: '/api/handle-speech',
       handleRecording: '/api/handle-recording',
       transcription: '/api/transcription',
+      callbacks: '/api/callbacks',
       status: '/api/status'
     }
   });
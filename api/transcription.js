@@ -1,20 +1,36 @@
 /**
  * Transcription Callback Handler
  * 
- * Receives transcription results from Twilio's transcription service
+ * Receives transcription results from Twilio's transcription service,
+ * stores them on the voicemail, runs AI analysis and notifies the owner.
  */
 
+const { validateTwilioRequest } = require('../lib/twilio');
+const { upsertVoicemail } = require('../lib/supabase');
+const { resolveVoicemailCall, processVoicemail } = require('../lib/voicemail');
+const { claimWebhookEvent, completeWebhookEvent, failWebhookEvent } = require('../lib/webhook-events');
+
 module.exports = async (req, res) => {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let webhookEvent = null;
+
   try {
+    if (!validateTwilioRequest(req)) {
+      console.error('❌ Invalid Twilio signature');
+      return res.status(403).json({ error: 'Invalid signature' });
+    }
+
     const {
       CallSid,
+      From,
+      To,
       TranscriptionText,
       TranscriptionStatus,
       RecordingSid,
+      RecordingUrl,
       TranscriptionSid
     } = req.body;
 
@@ -28,17 +44,62 @@ module.exports = async (req, res) => {
       timestamp: new Date().toISOString()
     });
 
-    // TODO: Store transcription in database
-    // TODO: Trigger AI analysis (sentiment, intent, urgency)
-    // TODO: Auto-respond based on AI insights
+    if (!RecordingSid) {
+      return res.status(400).json({ error: 'Missing RecordingSid' });
+    }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Transcription received'
+    // Retried callbacks must not notify the owner twice
+    webhookEvent = await claimWebhookEvent({
+      source: 'twilio',
+      eventType: 'transcription',
+      dedupeKey: `transcription:${TranscriptionSid || RecordingSid}`,
+      externalId: CallSid,
+      payload: req.body
+    });
+
+    if (webhookEvent.duplicate) {
+      console.log('ℹ️ Duplicate transcription callback ignored:', TranscriptionSid || RecordingSid);
+      return res.status(200).json(webhookEvent.response || { success: true, duplicate: true });
+    }
+
+    // The recording callback usually arrives first, but resolve the call
+    // here too so a late or lost recording callback doesn't drop the voicemail
+    const call = await resolveVoicemailCall(req.body);
+    if (!call) {
+      console.warn('⚠️ No business found for transcription:', { callSid: CallSid, to: To });
+      const responseBody = { success: true, message: 'No matching business' };
+      await completeWebhookEvent(webhookEvent, responseBody);
+      return res.status(200).json(responseBody);
+    }
+
+    const voicemail = await upsertVoicemail({
+      business_id: call.business_id,
+      call_id: call.id,
+      twilio_call_sid: CallSid,
+      recording_sid: RecordingSid,
+      ...(RecordingUrl ? { recording_url: RecordingUrl } : {}),
+      transcription_sid: TranscriptionSid,
+      transcription_status: TranscriptionStatus,
+      transcription_text: TranscriptionStatus === 'completed' ? TranscriptionText : null,
+      ...(From || To ? { metadata: { from: From, to: To } } : {})
     });
 
+    // Failed transcriptions still notify the owner with the audio link
+    const processed = await processVoicemail(voicemail);
+
+    const responseBody = {
+      success: true,
+      message: 'Transcription received',
+      voicemailId: processed.id,
+      urgency: processed.urgency
+    };
+
+    await completeWebhookEvent(webhookEvent, responseBody);
+    return res.status(200).json(responseBody);
+
   } catch (error) {
     console.error('❌ Error handling transcription:', error);
+    await failWebhookEvent(webhookEvent, error);
     return res.status(500).json({
       error: 'Failed to process transcription'
     });
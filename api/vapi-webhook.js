@@ -12,8 +12,16 @@
  * - transcript: Real-time conversation
  * - function-call: AI function execution
  * - tool-calls: AI tool/function execution (current Vapi event)
+ * - transfer-update: Call handed to a staff member (live transfer)
  * - end-of-call-report: Final analytics
  * 
+ * Body parsing is turned off so the HMAC signature is checked against the
+ * raw request bytes (see lib/http.js).
+ * 
+ * Requests must be authenticated (see lib/vapi/auth.js); rejected requests
+ * are recorded in security_events. Every event is logged in webhook_events
+ * and retried deliveries are answered with the stored response.
+ * 
  * VAPI Webhook Docs: https://docs.vapi.ai/server-url
  */
 
@@ -21,9 +29,25 @@ const {
   getBusinessByPhone,
   upsertCall,
   insertTranscript,
-  createBooking,
-  getCalcomCredentials
+  getTransferDestinations,
+  logSecurityEvent
 } = require('../lib/supabase');
+const { verifyVapiRequest } = require('../lib/vapi/auth');
+const { readJsonBody, getClientIp } = require('../lib/http');
+const {
+  claimWebhookEvent,
+  completeWebhookEvent,
+  failWebhookEvent,
+  getVapiDedupeKey
+} = require('../lib/webhook-events');
+const { runAssistantTool } = require('../lib/assistant-tools');
+const { sendMissedCallText } = require('../lib/sms');
+const { getAvailableTransferDestinations, sendTransferSummary } = require('../lib/transfers');
+const { processEndOfCallAlert } = require('../lib/alerts');
+const { getCustomerContext, recordCustomerCall } = require('../lib/customers');
+const { parseStructuredData } = require('../lib/vapi/analysis');
+const { getBookableServices } = require('../lib/services');
+const { getCalendarIntegration } = require('../lib/calendar');
 
 const {
   buildAssistantConfig,
@@ -31,10 +55,9 @@ const {
   buildBookingConfig,
   ASSISTANT_TYPES
 } = require('../lib/vapi');
-const { APP_TIME_ZONE, getCurrentDateInAppTimeZone } = require('../lib/time');
 
-// Transcript sequence tracking (in-memory, per-instance)
-const transcriptSequences = new Map();
+const ERROR_RESULT = 'I encountered an error. Let me take a message.';
+const STILL_PROCESSING_RESULT = 'This request is still being processed. Wait a moment, then check before trying it again.';
 
 /**
  * Main webhook handler
@@ -45,41 +68,77 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const event = req.body;
-    const eventType = event.message?.type || 'unknown';
+    await readJsonBody(req);
+  } catch (error) {
+    console.error('❌ Invalid VAPI webhook body:', error.message);
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+
+  // Failures and dev-mode bypasses both go to security_events
+  const auth = verifyVapiRequest(req);
+  if (!auth.ok || auth.bypassed) {
+    await logSecurityEvent({
+      source: 'vapi-webhook',
+      event_type: auth.ok ? 'webhook_auth_bypassed' : 'webhook_auth_failed',
+      reason: auth.reason || 'dev_bypass',
+      ip_address: getClientIp(req),
+      user_agent: req.headers?.['user-agent'] || null,
+      metadata: {
+        scheme: auth.scheme,
+        messageType: req.body?.message?.type || null,
+        vapiCallId: req.body?.message?.call?.id || null
+      }
+    });
+  }
+
+  if (!auth.ok) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
 
+  const event = req.body || {};
+  const eventType = event.message?.type || 'unknown';
+  let webhookEvent = null;
+
+  try {
     console.log('🔔 VAPI Event:', {
       type: eventType,
       callId: event.message?.call?.id,
       timestamp: new Date().toISOString()
     });
 
-    switch (eventType) {
-      case 'assistant-request':
-        return await handleAssistantRequest(event, res);
-      
-      case 'status-update':
-        return await handleStatusUpdate(event, res);
-      
-      case 'transcript':
-        return await handleTranscript(event, res);
-      
-      case 'function-call':
-        return await handleFunctionCall(event, res);
-
-      case 'tool-calls':
-        return await handleToolCalls(event, res);
-      
-      case 'end-of-call-report':
-        return await handleEndOfCallReport(event, res);
-      
-      default:
-        console.log('ℹ️ Unhandled event type:', eventType);
-        return res.status(200).json({ received: true });
+    // Test calls skip all DB writes, including the event log
+    if (!isTestCall(event.message?.call)) {
+      webhookEvent = await claimWebhookEvent({
+        source: 'vapi',
+        eventType,
+        dedupeKey: getVapiDedupeKey(event.message),
+        externalId: event.message?.call?.id || null,
+        payload: event
+      });
+
+      if (webhookEvent.duplicate) {
+        console.log('ℹ️ Duplicate VAPI event, replaying stored response:', webhookEvent.dedupeKey);
+        return res.status(200).json(webhookEvent.response
+          || buildFallbackResponse(eventType, event, STILL_PROCESSING_RESULT)
+          || { received: true, duplicate: true });
+      }
     }
 
+    const responseBody = await dispatchEvent(eventType, event);
+
+    await completeWebhookEvent(webhookEvent, responseBody);
+    return res.status(200).json(responseBody);
+
   } catch (error) {
     console.error('❌ Webhook error:', error);
+    await failWebhookEvent(webhookEvent, error);
+
+    // Live-call events still get a usable answer; the rest return 500 so Vapi retries
+    const fallback = buildFallbackResponse(eventType, event, ERROR_RESULT);
+    if (fallback) {
+      return res.status(200).json(fallback);
+    }
+
     return res.status(500).json({ 
       error: 'Internal server error',
       message: error.message 
@@ -87,6 +146,77 @@ module.exports = async (req, res) => {
   }
 };
 
+// Read the raw body ourselves so HMAC signatures can be verified
+module.exports.config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+/**
+ * Response for a live-call event that has no real answer: a handler error,
+ * or a retry of an event another instance is still processing. Vapi needs
+ * an assistant for assistant-request and a result for every tool call.
+ * @param {string} eventType - Vapi message type
+ * @param {Object} event - Webhook body
+ * @param {string} result - Text returned to the assistant for each tool call
+ * @returns {Object|null} Response body, or null for events that don't need one
+ */
+function buildFallbackResponse(eventType, event, result) {
+  switch (eventType) {
+    case 'assistant-request':
+      return { assistant: buildDefaultConfig() };
+
+    case 'function-call':
+      return { result };
+
+    case 'tool-calls':
+      return {
+        results: (event.message?.toolCallList || []).map(toolCall => ({
+          name: getToolCallName(toolCall),
+          toolCallId: toolCall.id,
+          result
+        }))
+      };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Route an event to its handler
+ * @returns {Promise<Object>} Response body for Vapi
+ */
+async function dispatchEvent(eventType, event) {
+  switch (eventType) {
+    case 'assistant-request':
+      return await handleAssistantRequest(event);
+    
+    case 'status-update':
+      return await handleStatusUpdate(event);
+    
+    case 'transcript':
+      return await handleTranscript(event);
+    
+    case 'function-call':
+      return await handleFunctionCall(event);
+
+    case 'tool-calls':
+      return await handleToolCalls(event);
+    
+    case 'transfer-update':
+      return await handleTransferUpdate(event);
+
+    case 'end-of-call-report':
+      return await handleEndOfCallReport(event);
+    
+    default:
+      console.log('ℹ️ Unhandled event type:', eventType);
+      return { received: true };
+  }
+}
+
 // ============================================================
 // EVENT HANDLERS
 // ============================================================
@@ -102,7 +232,7 @@ function isTestCall(call) {
 /**
  * Handle assistant-request: Return dynamic assistant configuration
  */
-async function handleAssistantRequest(event, res) {
+async function handleAssistantRequest(event) {
   const { call } = event.message;
   
   const phoneNumber = getBusinessPhoneNumber(call, event.message);
@@ -110,118 +240,120 @@ async function handleAssistantRequest(event, res) {
   
   console.log('🤖 Assistant request for phone:', phoneNumber, testMode ? '(TEST MODE - no DB write)' : '');
 
-  try {
-    // Look up business
-    const business = await getBusinessByPhone(phoneNumber);
-    
-    if (!business) {
-      console.warn('⚠️ Business not found:', phoneNumber);
-      return res.status(200).json({
-        assistant: buildDefaultConfig()
-      });
-    }
+  // Look up business
+  const business = await getBusinessByPhone(phoneNumber);
+  
+  if (!business) {
+    console.warn('⚠️ Business not found:', phoneNumber);
+    return {
+      assistant: buildDefaultConfig()
+    };
+  }
 
-    console.log('✅ Found business:', business.name);
-
-    // Only create call record for real calls (not test calls)
-    if (!testMode) {
-      await upsertCall({
-        business_id: business.id,
-        vapi_call_id: call?.id,
-        customer_phone: call?.customer?.number,
-        from_phone: call?.customer?.number || 'unknown',
-        to_phone: phoneNumber || 'unknown',
-        status: 'queued',
-        direction: 'inbound',
-        metadata: { vapi_call: call }
-      });
-    } else {
-      console.log('🧪 Test call - skipping DB insert');
-    }
+  console.log('✅ Found business:', business.name);
 
-    // Check Cal.com integration
-    const calcomIntegration = await getCalcomCredentials(business.id);
-    const hasCalcom = !!(business.calcom_enabled && calcomIntegration?.access_token);
+  // Look up returning callers before this call is recorded against them
+  const customerContext = await getCustomerContext(business, call?.customer?.number);
 
-    // Build appropriate config
-    // TODO: Get voice preference from business.ai_config in the future
-    const voiceOptions = {
-      voicePreset: 'tara',
-      appointmentHandlingEnabled: business.appointment_handling_enabled
-    }; // Using Tara (VAPI voice) as default
-    
-    let config;
-    if (hasCalcom) {
-      config = buildBookingConfig(business, calcomIntegration, voiceOptions);
-      console.log('✅ Booking config generated with Cal.com + Tara voice');
-    } else {
-      config = buildAssistantConfig(business, {
-        type: ASSISTANT_TYPES.BASIC,
-        enableBooking: false,
-        enableCallback: business.appointment_handling_enabled,
-        ...voiceOptions
-      });
-      console.log('✅ Basic config generated with Tara voice');
-    }
+  // Only create call record for real calls (not test calls)
+  if (!testMode) {
+    const callRecord = await upsertCall({
+      business_id: business.id,
+      vapi_call_id: call?.id,
+      customer_phone: call?.customer?.number,
+      from_phone: call?.customer?.number || 'unknown',
+      to_phone: phoneNumber || 'unknown',
+      status: 'queued',
+      direction: 'inbound',
+      metadata: { vapi_call: call }
+    });
 
-    // Debug: Log the generated prompt (remove in production)
-    console.log('📝 Generated prompt preview:', 
-      config.model.messages[0].content.substring(0, 100) + '...'
-    );
+    await recordCustomerCall(business, { phone: call?.customer?.number, callId: callRecord.id });
+  } else {
+    console.log('🧪 Test call - skipping DB insert');
+  }
 
-    return res.status(200).json({ assistant: config });
+  // Check calendar integration (Cal.com, CalDAV or native scheduler)
+  const calendarIntegration = await getCalendarIntegration(business.id);
+  const hasCalendar = !!(business.calcom_enabled && calendarIntegration);
 
-  } catch (error) {
-    console.error('❌ Error building assistant config:', error);
-    return res.status(200).json({
-      assistant: buildDefaultConfig()
+  // Build appropriate config
+  // TODO: Get voice preference from business.ai_config in the future
+  // Closed-day routing from /api/webhook arrives as call metadata
+  const afterHours = call?.metadata?.hoursStatus === 'closed_day';
+  const transferDestinations = await getAvailableTransferDestinations(business, {
+    callerPhone: call?.customer?.number
+  });
+  const voiceOptions = {
+    voicePreset: 'tara',
+    appointmentHandlingEnabled: business.appointment_handling_enabled,
+    afterHours,
+    closureReason: call?.metadata?.closureReason || null,
+    transferDestinations,
+    customerContext,
+    bookableServices: hasCalendar ? await getBookableServices(business.id, calendarIntegration) : []
+  }; // Using Tara (VAPI voice) as default
+  
+  let config;
+  if (hasCalendar) {
+    config = buildBookingConfig(business, calendarIntegration, voiceOptions);
+    console.log(`✅ Booking config generated with ${calendarIntegration.provider} + Tara voice`);
+  } else {
+    config = buildAssistantConfig(business, {
+      type: afterHours ? ASSISTANT_TYPES.AFTER_HOURS : ASSISTANT_TYPES.BASIC,
+      enableBooking: false,
+      enableCallback: business.appointment_handling_enabled,
+      ...voiceOptions
     });
+    console.log('✅ Basic config generated with Tara voice');
   }
+
+  // Debug: Log the generated prompt (remove in production)
+  console.log('📝 Generated prompt preview:', 
+    config.model.messages[0].content.substring(0, 100) + '...'
+  );
+
+  return { assistant: config };
 }
 
 /**
  * Handle status-update: Track call lifecycle
  */
-async function handleStatusUpdate(event, res) {
+async function handleStatusUpdate(event) {
   const { call, status } = event.message;
   const phoneNumber = getBusinessPhoneNumber(call, event.message);
   const testMode = isTestCall(call);
 
   console.log('📊 Status update:', { callId: call?.id, status, testMode });
 
-  try {
-    const business = await getBusinessByPhone(phoneNumber);
-    if (!business) {
-      return res.status(200).json({ received: true });
-    }
-
-    if (testMode) {
-      console.log('🧪 Test call - skipping DB update');
-      return res.status(200).json({ received: true });
-    }
-
-    await upsertCall({
-      business_id: business.id,
-      vapi_call_id: call?.id,
-      customer_phone: call?.customer?.number,
-      from_phone: call?.customer?.number || 'unknown',
-      to_phone: phoneNumber || 'unknown',
-      status: mapVapiStatus(status),
-      started_at: call?.startedAt ? new Date(call.startedAt).toISOString() : null,
-      metadata: { vapi_status: status }
-    });
+  const business = await getBusinessByPhone(phoneNumber);
+  if (!business) {
+    return { received: true };
+  }
 
-  } catch (error) {
-    console.error('❌ Error updating status:', error);
+  if (testMode) {
+    console.log('🧪 Test call - skipping DB update');
+    return { received: true };
   }
 
-  return res.status(200).json({ received: true });
+  await upsertCall({
+    business_id: business.id,
+    vapi_call_id: call?.id,
+    customer_phone: call?.customer?.number,
+    from_phone: call?.customer?.number || 'unknown',
+    to_phone: phoneNumber || 'unknown',
+    status: mapVapiStatus(status),
+    started_at: call?.startedAt ? new Date(call.startedAt).toISOString() : null,
+    metadata: { vapi_status: status }
+  });
+
+  return { received: true };
 }
 
 /**
  * Handle transcript: Store conversation
  */
-async function handleTranscript(event, res) {
+async function handleTranscript(event) {
   const { call, transcript, role } = event.message;
   const phoneNumber = getBusinessPhoneNumber(call, event.message);
   const testMode = isTestCall(call);
@@ -233,42 +365,34 @@ async function handleTranscript(event, res) {
     testMode
   });
 
-  try {
-    const business = await getBusinessByPhone(phoneNumber);
-    if (!business) {
-      return res.status(200).json({ received: true });
-    }
-
-    if (testMode) {
-      console.log('🧪 Test call - skipping DB insert');
-      return res.status(200).json({ received: true });
-    }
-
-    const callRecord = await upsertCall({
-      business_id: business.id,
-      vapi_call_id: call?.id,
-      customer_phone: call?.customer?.number,
-      from_phone: call?.customer?.number || 'unknown',
-      to_phone: phoneNumber || 'unknown'
-    });
+  const business = await getBusinessByPhone(phoneNumber);
+  if (!business) {
+    return { received: true };
+  }
 
-    // Track sequence
-    const callKey = call?.id;
-    const sequence = (transcriptSequences.get(callKey) || 0) + 1;
-    transcriptSequences.set(callKey, sequence);
+  if (testMode) {
+    console.log('🧪 Test call - skipping DB insert');
+    return { received: true };
+  }
 
-    await insertTranscript(
-      callRecord.id,
-      role === 'user' ? 'user' : 'assistant',
-      transcript,
-      sequence
-    );
+  const callRecord = await upsertCall({
+    business_id: business.id,
+    vapi_call_id: call?.id,
+    customer_phone: call?.customer?.number,
+    from_phone: call?.customer?.number || 'unknown',
+    to_phone: phoneNumber || 'unknown'
+  });
 
-  } catch (error) {
-    console.error('❌ Error saving transcript:', error);
-  }
+  // Sequence numbers are assigned by the database (shared across instances)
+  await insertTranscript(
+    callRecord.id,
+    role === 'user' ? 'user' : 'assistant',
+    transcript,
+    null,
+    event.message.timestamp ? new Date(event.message.timestamp).toISOString() : null
+  );
 
-  return res.status(200).json({ received: true });
+  return { received: true };
 }
 
 /**
@@ -288,66 +412,27 @@ async function executeFunctionCall(call, message, name, parameters) {
 
   console.log('✅ Business found:', business.name);
 
-  if (name === 'checkAvailability' || name === 'createBooking') {
-    if (!business.calcom_enabled) {
-      console.log('⚠️ calcom_enabled is false');
-      return {
-        result: "Scheduling isn't available right now. Can I take a message for you?"
-      };
-    }
-
-    const calcomIntegration = await getCalcomCredentials(business.id);
-    if (!calcomIntegration?.access_token) {
-      console.log('⚠️ No Cal.com access token');
-      return {
-        result: "Scheduling isn't available right now. Can I take a message for you?"
-      };
-    }
-
-    console.log('✅ Cal.com ready');
-  }
-
-  switch (name) {
-    case 'checkAvailability':
-      return await handleCheckAvailability(business, parameters);
-
-    case 'createBooking':
-      return await handleCreateBooking(business, call, parameters);
-
-    case 'scheduleCallback':
-      return {
-        result: "I've noted your request for a callback. Someone will contact you soon."
-      };
-
-    default:
-      console.warn('⚠️ Unknown function:', name);
-      return {
-        error: `Function ${name} not implemented`,
-        result: "I can't perform that action."
-      };
-  }
+  return await runAssistantTool(business, {
+    channel: 'voice',
+    vapiCallId: call?.id || null,
+    callId: null,
+    customerPhone: call?.customer?.number || null,
+    businessPhone: phoneNumber
+  }, name, parameters);
 }
 
 /**
  * Handle function-call: backward-compatible execution path
  */
-async function handleFunctionCall(event, res) {
+async function handleFunctionCall(event) {
   const { call, functionCall } = event.message;
   const { name, parameters } = functionCall;
   const callId = call?.id;
 
   console.log('🔧 FUNCTION CALL:', { callId, name, parameters, timestamp: new Date().toISOString() });
 
-  try {
-    const payload = await executeFunctionCall(call, event.message, name, parameters);
-    return res.status(200).json(payload);
-  } catch (error) {
-    console.error('❌ Function call error:', error);
-    return res.status(200).json({
-      error: error.message,
-      result: "I encountered an error. Let me take a message."
-    });
-  }
+  const payload = await executeFunctionCall(call, event.message, name, parameters);
+  return payload;
 }
 
 function getToolCallName(toolCall) {
@@ -389,7 +474,7 @@ function getToolCallParameters(toolCall) {
 /**
  * Handle tool-calls: current Vapi execution path
  */
-async function handleToolCalls(event, res) {
+async function handleToolCalls(event) {
   const { call, toolCallList = [] } = event.message;
   const toolNames = toolCallList.map(getToolCallName);
 
@@ -402,246 +487,142 @@ async function handleToolCalls(event, res) {
 
   console.log('🧾 RAW TOOL CALL PAYLOAD:', JSON.stringify(toolCallList));
 
-  try {
-    const results = [];
-
-    for (const toolCall of toolCallList) {
-      const name = getToolCallName(toolCall);
-      const parameters = getToolCallParameters(toolCall);
+  const results = [];
 
-      const payload = await executeFunctionCall(call, event.message, name, parameters);
-      results.push({
-        name,
-        toolCallId: toolCall.id,
-        result: payload.result || payload.error || JSON.stringify(payload)
-      });
-    }
+  for (const toolCall of toolCallList) {
+    const name = getToolCallName(toolCall);
+    const parameters = getToolCallParameters(toolCall);
 
-    return res.status(200).json({ results });
-  } catch (error) {
-    console.error('❌ Tool call error:', error);
-    return res.status(200).json({
-      results: toolCallList.map(toolCall => ({
-        name: getToolCallName(toolCall),
-        toolCallId: toolCall.id,
-        result: "I encountered an error. Let me take a message."
-      }))
+    const payload = await executeFunctionCall(call, event.message, name, parameters);
+    results.push({
+      name,
+      toolCallId: toolCall.id,
+      result: payload.result || payload.error || JSON.stringify(payload)
     });
   }
+
+  return { results };
 }
 
 /**
- * Handle end-of-call-report: Finalize call data
+ * Handle transfer-update: Record the transfer and text the staff member a summary
  */
-async function handleEndOfCallReport(event, res) {
-  const { call, endedReason, summary, transcript, recording, analysis } = event.message;
+async function handleTransferUpdate(event) {
+  const { call, destination, artifact } = event.message;
   const phoneNumber = getBusinessPhoneNumber(call, event.message);
   const testMode = isTestCall(call);
 
-  console.log('📋 End of call:', { 
-    callId: call?.id, 
-    duration: call?.duration,
-    reason: endedReason,
+  console.log('📞 Transfer update:', {
+    callId: call?.id,
+    destination: destination?.number,
     testMode
   });
 
-  try {
-    const business = await getBusinessByPhone(phoneNumber);
-    if (!business) {
-      return res.status(200).json({ received: true });
-    }
-
-    if (testMode) {
-      console.log('🧪 Test call - skipping DB update');
-      return res.status(200).json({ received: true });
-    }
-
-    await upsertCall({
-      business_id: business.id,
-      vapi_call_id: call?.id,
-      customer_phone: call?.customer?.number,
-      from_phone: call?.customer?.number || 'unknown',
-      to_phone: phoneNumber || 'unknown',
-      status: 'completed',
-      started_at: call?.startedAt ? new Date(call.startedAt).toISOString() : null,
-      ended_at: call?.endedAt ? new Date(call.endedAt).toISOString() : null,
-      duration_seconds: call?.duration || null,
-      ended_reason: endedReason,
-      recording_url: recording?.url,
-      full_transcript: transcript,
-      summary: summary,
-      sentiment: analysis?.sentiment || null,
-      intent: analysis?.intent || extractIntent(summary, transcript),
-      metadata: {
-        vapi_analysis: analysis,
-        vapi_call: call
-      }
-    });
-
-    // Cleanup
-    transcriptSequences.delete(call?.id);
+  const business = await getBusinessByPhone(phoneNumber);
+  if (!business) {
+    return { received: true };
+  }
 
-  } catch (error) {
-    console.error('❌ Error saving end-of-call report:', error);
+  if (testMode) {
+    console.log('🧪 Test call - skipping DB update');
+    return { received: true };
   }
 
-  return res.status(200).json({ received: true });
-}
+  const destinations = await getTransferDestinations(business.id);
+  const transferDestination = destinations.find(row => row.phone_number === destination?.number) || null;
+
+  await upsertCall({
+    business_id: business.id,
+    vapi_call_id: call?.id,
+    customer_phone: call?.customer?.number,
+    from_phone: call?.customer?.number || 'unknown',
+    to_phone: phoneNumber || 'unknown',
+    transferred_at: new Date().toISOString(),
+    transfer_destination_id: transferDestination?.id || null
+  });
 
-// ============================================================
-// BUSINESS LOGIC HANDLERS
-// ============================================================
+  await sendTransferSummary(business, {
+    destination: transferDestination,
+    callerPhone: call?.customer?.number,
+    transcript: artifact?.transcript || '',
+    businessPhone: phoneNumber
+  });
 
-async function handleCheckAvailability(business, parameters) {
-  const { date, timePreference } = parameters;
-  
-  console.log('📅 Checking availability:', { date, timePreference, business: business.name });
+  return { received: true };
+}
 
-  const todayInBusinessTimezone = getCurrentDateInAppTimeZone();
+/**
+ * Handle end-of-call-report: Finalize call data
+ */
+async function handleEndOfCallReport(event) {
+  const { call, endedReason, summary, transcript, recording, analysis } = event.message;
+  const phoneNumber = getBusinessPhoneNumber(call, event.message);
+  const testMode = isTestCall(call);
 
-  if (!date || date < todayInBusinessTimezone) {
-    console.warn('⚠️ Rejecting past availability date:', {
-      requestedDate: date,
-      todayInBusinessTimezone,
-      businessTimezone: APP_TIME_ZONE
-    });
+  console.log('📋 End of call:', { 
+    callId: call?.id, 
+    duration: call?.duration,
+    reason: endedReason,
+    testMode
+  });
 
-    return {
-      error: 'Past date requested',
-      result: `That date is in the past. Please ask for a date on or after ${todayInBusinessTimezone}.`
-    };
+  const business = await getBusinessByPhone(phoneNumber);
+  if (!business) {
+    return { received: true };
   }
 
-  try {
-    const { checkAvailability } = require('../lib/calcom');
-    const slots = await checkAvailability(business.id, date, timePreference);
-
-    if (slots?.length > 0) {
-      const slotOptions = slots.slice(0, 3).map(slot => ({
-        iso: slot,
-        display: new Date(slot).toLocaleTimeString('en-US', {
-          hour: 'numeric',
-          minute: '2-digit',
-          hour12: true,
-          timeZone: APP_TIME_ZONE
-        })
-      }));
-      const formatted = slotOptions.map(slot => slot.display);
-
-      return {
-        result: `I have availability at: ${formatted.join(', ')}. Which time works best for you?`,
-        slots: slots,
-        slotOptions
-      };
-    } else {
-      return {
-        result: `I don't have any availability on ${date}. Would you like to try another date?`
-      };
-    }
-
-  } catch (error) {
-    console.error('❌ Availability check failed:', error);
-    return {
-      error: 'Unable to check availability at this time'
-    };
+  if (testMode) {
+    console.log('🧪 Test call - skipping DB update');
+    return { received: true };
   }
-}
 
-async function handleCreateBooking(business, call, parameters) {
-  const { name, email, phone, dateTime, notes } = parameters;
-  
-  console.log('🔧 CREATE BOOKING CALLED:', { 
-    name, 
-    email, 
-    dateTime, 
-    business: business.name,
-    businessId: business.id,
-    calcomEnabled: business.calcom_enabled,
-    timestamp: new Date().toISOString()
+  // Typed outcome columns from the analysis plan (lib/vapi/analysis.js)
+  const outcome = parseStructuredData(analysis?.structuredData);
+
+  const callRecord = await upsertCall({
+    business_id: business.id,
+    vapi_call_id: call?.id,
+    customer_phone: call?.customer?.number,
+    from_phone: call?.customer?.number || 'unknown',
+    to_phone: phoneNumber || 'unknown',
+    status: 'completed',
+    started_at: call?.startedAt ? new Date(call.startedAt).toISOString() : null,
+    ended_at: call?.endedAt ? new Date(call.endedAt).toISOString() : null,
+    duration_seconds: call?.duration || null,
+    ended_reason: endedReason,
+    recording_url: recording?.url,
+    full_transcript: transcript,
+    summary: summary,
+    ...outcome,
+    sentiment: outcome.sentiment || analysis?.sentiment || null,
+    intent: outcome.intent || analysis?.intent || extractIntent(summary, transcript),
+    metadata: {
+      vapi_analysis: analysis,
+      vapi_call: call
+    }
   });
 
-  try {
-    const { createCalcomBooking } = require('../lib/calcom');
-    
-    console.log('📡 Calling Cal.com API...');
-    
-    const calcomBooking = await createCalcomBooking(business.id, {
-      name,
-      email,
-      phone: phone || call?.customer?.number,
-      start: dateTime,
-      notes: notes || `Booked via AI assistant for ${business.name}`
-    });
-    const scheduledAt = calcomBooking?.start || calcomBooking?.startTime || new Date(dateTime).toISOString();
-    
-    console.log('✅ BOOKING CREATED SUCCESSFULLY:', {
-      bookingId: calcomBooking?.id,
-      bookingUid: calcomBooking?.uid,
-      startTime: scheduledAt
-    });
-
-    const formattedTime = new Date(scheduledAt).toLocaleString('en-US', {
-      weekday: 'long',
-      month: 'long',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true,
-      timeZone: APP_TIME_ZONE
-    });
-
-    try {
-      const callRecord = await upsertCall({
-        business_id: business.id,
-        vapi_call_id: call?.id,
-        customer_phone: call?.customer?.number,
-        from_phone: call?.customer?.number || 'unknown',
-        to_phone: getBusinessPhoneNumberQuiet(call) || 'unknown'
-      });
-
-      const calcomIntegration = await getCalcomCredentials(business.id);
-      
-      await createBooking({
-        business_id: business.id,
-        call_id: callRecord.id,
-        calcom_booking_id: calcomBooking.id,
-        calcom_uid: calcomBooking.uid,
-        calcom_event_type_id: calcomIntegration?.config?.event_type_id || null,
-        customer_name: name,
-        customer_email: email,
-        customer_phone: phone || call?.customer?.number,
-        scheduled_at: scheduledAt,
-        duration_minutes: calcomBooking?.lengthInMinutes || calcomBooking?.duration || 30,
-        status: 'confirmed',
-        notes: notes
-      });
-    } catch (persistenceError) {
-      console.error('⚠️ Booking saved in Cal.com but local persistence failed:', {
-        error: persistenceError.message,
-        bookingUid: calcomBooking?.uid,
-        business: business.name
-      });
-    }
+  // Alert on-call contacts about emergencies, upset callers and "call me back now"
+  await processEndOfCallAlert(business, {
+    callId: callRecord.id,
+    transcript,
+    summary,
+    sentiment: outcome.sentiment || analysis?.sentiment || null,
+    urgency: outcome.urgency || null,
+    recordingUrl: recording?.url || null,
+    customerPhone: call?.customer?.number,
+    businessPhone: phoneNumber
+  });
 
-    return {
-      result: `Perfect! I've scheduled your appointment for ${formattedTime}. You'll receive a confirmation email at ${email}. Is there anything else I can help you with?`
-    };
+  // Text the caller back if the call ended without a booking
+  await sendMissedCallText(business, {
+    callId: callRecord.id,
+    customerPhone: call?.customer?.number,
+    businessPhone: phoneNumber,
+    reason: endedReason
+  });
 
-  } catch (error) {
-    console.error('❌ BOOKING CREATION FAILED:', {
-      error: error.message,
-      stack: error.stack,
-      response: error.response?.data,
-      status: error.response?.status,
-      business: business.name,
-      timestamp: new Date().toISOString()
-    });
-    
-    return {
-      error: `Booking failed: ${error.message}`,
-      result: "I wasn't able to complete the booking. Let me take a message and have someone follow up with you."
-    };
-  }
+  return { received: true };
 }
 
 // ============================================================
@@ -670,25 +651,6 @@ function getBusinessPhoneNumber(call, message = null) {
   return null;
 }
 
-function getBusinessPhoneNumberQuiet(call, message = null) {
-  const possibleNumbers = [
-    message?.phoneNumber?.number,
-    message?.phoneNumber?.twilioPhoneNumber,
-    call?.phoneNumber?.twilioPhoneNumber,
-    call?.phoneNumber?.number,
-    call?.to?.number,
-    call?.to,
-  ];
-
-  for (const num of possibleNumbers) {
-    if (num && typeof num === 'string' && num.startsWith('+')) {
-      return num;
-    }
-  }
-
-  return null;
-}
-
 function mapVapiStatus(vapiStatus) {
   const map = {
     'queued': 'queued',
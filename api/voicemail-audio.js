@@ -0,0 +1,65 @@
+/**
+ * Voicemail Audio
+ *
+ * Plays a voicemail for the signed, expiring links in owner notifications and
+ * digests (getRecordingLink in lib/voicemail.js). Twilio media URLs require
+ * account credentials, so the recording is fetched here and streamed back.
+ *
+ * GET /api/voicemail-audio?v=<voicemail id>&e=<expiry>&s=<signature>
+ */
+
+const axios = require('axios');
+const { getVoicemailById, logSecurityEvent } = require('../lib/supabase');
+const { verifyRecordingLink } = require('../lib/voicemail');
+const { getClientIp } = require('../lib/http');
+
+const TWILIO_MEDIA_PREFIX = 'https://api.twilio.com/';
+const RECORDING_FETCH_TIMEOUT_MS = 15000;
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const link = verifyRecordingLink(req.query || {});
+  if (!link.ok) {
+    if (link.reason === 'invalid_signature') {
+      await logSecurityEvent({
+        source: 'voicemail-audio',
+        event_type: 'recording_link_rejected',
+        reason: link.reason,
+        ip_address: getClientIp(req),
+        user_agent: req.headers?.['user-agent'] || null,
+        metadata: { voicemailId: req.query?.v || null }
+      });
+    }
+    return res.status(link.reason === 'expired_link' ? 410 : 403).json({ error: 'This link is invalid or has expired' });
+  }
+
+  try {
+    const voicemail = await getVoicemailById(link.voicemailId);
+
+    // Only send Twilio credentials to Twilio
+    if (!voicemail?.recording_url?.startsWith(TWILIO_MEDIA_PREFIX)) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    const recording = await axios.get(`${voicemail.recording_url}.mp3`, {
+      auth: {
+        username: process.env.TWILIO_ACCOUNT_SID,
+        password: process.env.TWILIO_AUTH_TOKEN
+      },
+      responseType: 'arraybuffer',
+      timeout: RECORDING_FETCH_TIMEOUT_MS
+    });
+
+    res.setHeader('Content-Type', 'audio/mpeg');
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('Content-Disposition', `inline; filename="voicemail-${voicemail.recording_sid}.mp3"`);
+    return res.status(200).send(Buffer.from(recording.data));
+
+  } catch (error) {
+    console.error('❌ Failed to fetch voicemail recording:', error.response?.status || error.message);
+    return res.status(502).json({ error: 'Recording unavailable' });
+  }
+};
@@ -1,26 +1,42 @@
 /**
  * Twilio Voice Webhook Handler with Vapi AI Integration
- * 
- * This endpoint receives incoming voice calls from Twilio and forwards them to Vapi AI.
+ *
+ * This endpoint receives incoming voice calls from Twilio and routes them
+ * according to the dialed number's `routing_mode` in business_phone_numbers.
  * Configure this URL as your Twilio phone number's voice webhook.
- * 
- * Flow:
+ *
+ * Routing modes:
+ * - ai (default): every call goes straight to the Vapi assistant
+ * - ring_first: dial the business's ring_targets first; /api/dial-status hands
+ *   the call to Vapi only on no-answer/busy/failed
+ * - business_hours: ring staff while open (business timezone, business_closures
+ *   honoured), AI after hours, after-hours assistant variant on closed days
+ *
+ * AI flow:
  * 1. Twilio receives call → POST to this webhook
  * 2. We call Vapi's /call endpoint with phoneCallProviderBypassEnabled: true
  * 3. Vapi returns TwiML that connects the call to their AI assistant
  * 4. We return that TwiML to Twilio
  * 5. Vapi handles the entire AI conversation
  * 6. Call events are sent to /api/vapi-webhook
- * 
+ *
  * Based on: https://github.com/VapiAI/example-phone-call-provider-bypass
  */
 
 const twilio = require('twilio');
+const { validateTwilioRequest, sendTwiml, sendErrorTwiml } = require('../lib/twilio');
+const { createBypassCall } = require('../lib/vapi/call');
+const { getPhoneNumberConfig, getBusinessClosure, upsertCall } = require('../lib/supabase');
+const { claimWebhookEvent, completeWebhookEvent, failWebhookEvent } = require('../lib/webhook-events');
+const { HOURS_STATUS, getBusinessHoursStatus } = require('../lib/business-hours');
+const { getBusinessTimeZone, getCurrentDateInTimeZone } = require('../lib/time');
+
+const DEFAULT_RING_TIMEOUT_SECONDS = 20;
 
 /**
  * Main webhook handler for incoming Twilio voice calls
- * Forwards call to Vapi AI assistant
- * 
+ * Rings staff first or forwards the call to the Vapi AI assistant
+ *
  * @param {Request} req - Vercel request object
  * @param {Response} res - Vercel response object
  */
@@ -30,24 +46,13 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let webhookEvent = null;
+
   try {
     // Validate the request is from Twilio (recommended for production)
-    const twilioSignature = req.headers['x-twilio-signature'];
-    const authToken = process.env.TWILIO_AUTH_TOKEN;
-    
-    if (authToken && twilioSignature) {
-      const url = `https://${req.headers.host}${req.url}`;
-      const isValid = twilio.validateRequest(
-        authToken,
-        twilioSignature,
-        url,
-        req.body
-      );
-      
-      if (!isValid) {
-        console.error('❌ Invalid Twilio signature');
-        return res.status(403).json({ error: 'Invalid signature' });
-      }
+    if (!validateTwilioRequest(req)) {
+      console.error('❌ Invalid Twilio signature');
+      return res.status(403).json({ error: 'Invalid signature' });
     }
 
     // Extract call details from Twilio webhook payload
@@ -73,113 +78,187 @@ module.exports = async (req, res) => {
       timestamp: new Date().toISOString()
     });
 
-    // Check Vapi configuration
-    const vapiApiKey = process.env.VAPI_API_KEY;
-    const vapiPhoneNumberId = process.env.VAPI_PHONE_NUMBER_ID;
-    const vapiAssistantId = process.env.VAPI_ASSISTANT_ID;
-    const twilioAccountSid = process.env.TWILIO_ACCOUNT_SID;
-    const twilioAuthToken = process.env.TWILIO_AUTH_TOKEN;
-    
-    console.log('🔧 Env vars check:', {
-      hasVapiKey: !!vapiApiKey,
-      hasAssistantId: !!vapiAssistantId,
-      hasPhoneNumberId: !!vapiPhoneNumberId,
-      hasTwilioSid: !!twilioAccountSid,
-      hasTwilioToken: !!twilioAuthToken
+    // Twilio retries must not ring staff twice or create a second Vapi call
+    webhookEvent = await claimWebhookEvent({
+      source: 'twilio',
+      eventType: 'voice',
+      dedupeKey: `voice:${CallSid}`,
+      externalId: CallSid,
+      payload: req.body
     });
-    
-    if (!vapiApiKey) {
-      console.error('❌ VAPI_API_KEY not configured');
-      return sendErrorResponse(res, 'Service configuration error. Please contact support.');
-    }
-    
-    if (!vapiAssistantId) {
-      console.error('❌ VAPI_ASSISTANT_ID not configured');
-      return sendErrorResponse(res, 'Service configuration error. Please contact support.');
+
+    if (webhookEvent.duplicate) {
+      console.log('ℹ️ Duplicate voice webhook, replaying stored TwiML:', CallSid);
+      if (webhookEvent.response?.twiml) {
+        return sendTwiml(res, webhookEvent.response.twiml);
+      }
+      return sendErrorTwiml(res, 'We are still connecting your call. Please try again in a moment.');
     }
 
-    // Call Vapi to get TwiML for this call
-    console.log('🤖 Requesting Vapi AI TwiML...');
-    
-    const vapiCallResponse = await fetch('https://api.vapi.ai/call', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${vapiApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        // Phone number ID from Vapi dashboard (if you imported Twilio number to Vapi)
-        // OR pass the raw phone number below
-        phoneNumberId: vapiPhoneNumberId || undefined,
-        
-        // If no phoneNumberId, pass the Twilio number as object
-        phoneNumber: vapiPhoneNumberId ? undefined : {
-          twilioAccountSid: twilioAccountSid,
-          twilioAuthToken: twilioAuthToken,
-          twilioPhoneNumber: To
-        },
-        
-        // This tells Vapi to return TwiML instead of initiating the call itself
-        phoneCallProviderBypassEnabled: true,
-        
-        // Customer information
-        customer: {
-          number: From
-        },
-        
-        // Assistant ID (required)
-        assistantId: vapiAssistantId,
-        
-        // Optional: Add metadata for tracking
-        metadata: {
-          twilioCallSid: CallSid,
-          twilioNumber: To,
-          callerLocation: `${CallerCity}, ${CallerState}`,
-          timestamp: new Date().toISOString()
-        }
-      })
+    const twiml = (await handleIncomingCall(req.body)).toString();
+
+    await completeWebhookEvent(webhookEvent, { twiml });
+    return sendTwiml(res, twiml);
+
+  } catch (error) {
+    console.error('❌ Error handling webhook:', error);
+    await failWebhookEvent(webhookEvent, error);
+    return sendErrorTwiml(res, error.userMessage || 'We are experiencing technical difficulties. Please try again later.');
+  }
+};
+
+/**
+ * Route a new inbound call
+ * @param {Object} params - Twilio webhook payload
+ * @returns {Promise<string|import('twilio').twiml.VoiceResponse>} TwiML for Twilio
+ */
+async function handleIncomingCall(params) {
+  const { CallSid, From, To, CallerCity, CallerState } = params;
+
+  const phoneConfig = await loadPhoneConfig(To);
+  const route = await resolveRoute(phoneConfig);
+
+  console.log('🧭 Route selected:', route);
+
+  if (route.ringStaff) {
+    return await ringStaff(phoneConfig, params, route);
+  }
+
+  const vapiCall = await createBypassCall({
+    callSid: CallSid,
+    from: From,
+    to: To,
+    callerLocation: `${CallerCity}, ${CallerState}`,
+    metadata: route.hoursStatus ? {
+      hoursStatus: route.hoursStatus,
+      closureReason: route.closureReason
+    } : {}
+  });
+
+  if (phoneConfig?.business_id) {
+    await recordCall({
+      business_id: phoneConfig.business_id,
+      vapi_call_id: vapiCall.id,
+      twilio_call_sid: CallSid,
+      customer_phone: From || 'unknown',
+      from_phone: From || 'unknown',
+      to_phone: To || 'unknown',
+      direction: 'inbound',
+      ai_handled: true
     });
+  }
+
+  // Return Vapi's TwiML to Twilio
+  return vapiCall.twiml;
+}
+
+/**
+ * Decide whether to ring staff or go straight to the AI assistant
+ * @param {Object|null} phoneConfig - business_phone_numbers row
+ * @returns {Promise<{ringStaff: boolean, hoursStatus: string|null, closureReason: string|null}>}
+ */
+async function resolveRoute(phoneConfig) {
+  const routingMode = phoneConfig?.routing_mode || 'ai';
+  const hasRingTargets = (phoneConfig?.ring_targets || []).length > 0;
+  const route = { ringStaff: false, hoursStatus: null, closureReason: null };
 
-    if (!vapiCallResponse.ok) {
-      const errorText = await vapiCallResponse.text();
-      console.error('❌ Vapi API error:', vapiCallResponse.status, errorText);
-      return sendErrorResponse(res, 'AI service temporarily unavailable. Please try again.');
+  if (routingMode === 'ring_first') {
+    if (!hasRingTargets) {
+      console.warn('⚠️ ring_first configured without ring_targets, routing to AI:', phoneConfig.phone_number);
     }
+    return { ...route, ringStaff: hasRingTargets };
+  }
+
+  if (routingMode !== 'business_hours' || !phoneConfig.businesses) {
+    return route;
+  }
+
+  const business = phoneConfig.businesses;
+  let closure = null;
+
+  try {
+    const today = getCurrentDateInTimeZone(getBusinessTimeZone(business));
+    closure = await getBusinessClosure(business.id, today);
+  } catch (error) {
+    console.error('⚠️ Closure lookup failed, using weekly hours:', error.message);
+  }
 
-    const vapiCall = await vapiCallResponse.json();
-    console.log('✅ Vapi call created:', vapiCall.id);
+  const { status, closureReason } = getBusinessHoursStatus(business, { closure });
 
-    // Extract TwiML from Vapi response
-    const twiml = vapiCall.phoneCallProviderDetails?.twiml;
+  return {
+    ringStaff: status === HOURS_STATUS.OPEN && hasRingTargets,
+    hoursStatus: status,
+    closureReason
+  };
+}
 
-    if (!twiml) {
-      console.error('❌ No TwiML in Vapi response:', vapiCall);
-      return sendErrorResponse(res, 'AI service error. Please try again.');
+/**
+ * Dial the business's own lines; Twilio posts the outcome to /api/dial-status
+ * @param {Object} phoneConfig - business_phone_numbers row
+ * @param {Object} params - Twilio webhook payload
+ * @param {Object} route - Result of resolveRoute
+ * @returns {Promise<import('twilio').twiml.VoiceResponse>} Dial TwiML
+ */
+async function ringStaff(phoneConfig, params, route) {
+  const { CallSid, From, To } = params;
+  const timeout = phoneConfig.ring_timeout_seconds || DEFAULT_RING_TIMEOUT_SECONDS;
+
+  console.log('🔔 Ringing staff first:', {
+    callSid: CallSid,
+    targets: phoneConfig.ring_targets,
+    timeout
+  });
+
+  await recordCall({
+    business_id: phoneConfig.business_id,
+    twilio_call_sid: CallSid,
+    customer_phone: From || 'unknown',
+    from_phone: From || 'unknown',
+    to_phone: To || 'unknown',
+    direction: 'inbound',
+    status: 'ringing',
+    metadata: {
+      routing_mode: phoneConfig.routing_mode,
+      ring_targets: phoneConfig.ring_targets,
+      ...(route.hoursStatus ? { hours_status: route.hoursStatus } : {})
     }
+  }, { onConflict: 'twilio_call_sid' });
 
-    // Return Vapi's TwiML to Twilio
-    // This TwiML contains the WebSocket connection to Vapi's AI assistant
-    res.setHeader('Content-Type', 'text/xml');
-    return res.status(200).send(twiml);
+  const twiml = new twilio.twiml.VoiceResponse();
+  const dial = twiml.dial({
+    timeout,
+    answerOnBridge: true,
+    action: '/api/dial-status',
+    method: 'POST'
+  });
 
+  for (const target of phoneConfig.ring_targets) {
+    dial.number(target);
+  }
+
+  return twiml;
+}
+
+/**
+ * Look up routing settings for the dialed number.
+ * Routing falls back to the AI assistant if the lookup fails.
+ */
+async function loadPhoneConfig(phoneNumber) {
+  try {
+    return await getPhoneNumberConfig(phoneNumber);
   } catch (error) {
-    console.error('❌ Error handling webhook:', error);
-    return sendErrorResponse(res, 'We are experiencing technical difficulties. Please try again later.');
+    console.error('⚠️ Phone number lookup failed, routing to AI:', error.message);
+    return null;
   }
-};
+}
 
 /**
- * Helper function to send error TwiML response
- * @param {Response} res - Vercel response object
- * @param {string} message - Error message to speak
+ * Persist the call row without blocking the caller on DB errors
  */
-function sendErrorResponse(res, message) {
-  const errorTwiml = new twilio.twiml.VoiceResponse();
-  errorTwiml.say({
-    voice: 'Polly.Joanna'
-  }, message);
-  errorTwiml.hangup();
-  
-  res.setHeader('Content-Type', 'text/xml');
-  return res.status(200).send(errorTwiml.toString());
+async function recordCall(callData, options) {
+  try {
+    await upsertCall(callData, options);
+  } catch (error) {
+    console.error('⚠️ Failed to record call:', error.message);
+  }
 }
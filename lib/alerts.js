@@ -0,0 +1,432 @@
+/**
+ * Urgent-Call Alerts
+ *
+ * Alerts on-call contacts right away when a call needs urgent attention:
+ * an emergency (no heat, gas smell, dental swelling...), an upset caller, or
+ * an explicit "call me back now".
+ *
+ * Alerts are raised by:
+ * - the flagUrgentCall assistant tool, during the call
+ * - the end-of-call report, from the summary and the caller's side of the transcript
+ *
+ * Flow:
+ * 1. An urgent_alerts row is created (one per call) and calls.escalation_required is set
+ * 2. The lowest escalation level of on_call_contacts is alerted by SMS and email.
+ *    Contacts in their quiet hours only receive emergencies.
+ * 3. If nobody replies ACK within businesses.alert_escalation_minutes, the
+ *    next level is alerted (api/cron/escalate-alerts.js)
+ * 4. When the chain runs out, the owner is notified and the alert is marked exhausted
+ */
+
+const {
+  updateCall,
+  getOnCallContacts,
+  createUrgentAlert,
+  getUrgentAlertByCall,
+  getPendingUrgentAlerts,
+  updateUrgentAlert
+} = require('./supabase');
+const { notifyBusinessOwner, notifyOnCallContact, isWithinQuietHours } = require('./notifications');
+const { escapeHtml } = require('./email');
+const { getBusinessTimeZone } = require('./time');
+
+const EMERGENCY_PATTERN = /(emergency|no heat|gas (smell|leak|odor)|smoke|flood|bleeding|swelling|can't breathe|severe pain)/i;
+const URGENT_PATTERN = /(urgent|asap|as soon as possible|right away|call me back (now|today)|immediately)/i;
+const UPSET_PATTERN = /(unacceptable|furious|ridiculous|outrageous|speak to (a|the|your) (manager|owner)|file a complaint|my lawyer|worst service)/i;
+
+// Postgres unique_violation - the call already has an alert
+const DUPLICATE_KEY_ERROR = '23505';
+
+const DEFAULT_ESCALATION_MINUTES = 10;
+
+/**
+ * Decide whether a finished call needs an urgent alert
+ * @param {Object} call - End-of-call details
+ * @param {string} [call.transcript] - Full transcript ("User: ..." / "AI: ..." lines)
+ * @param {string} [call.summary] - Call summary
+ * @param {string} [call.sentiment] - 'positive', 'neutral' or 'negative'
+ * @returns {{urgency: string, reason: string}|null} null if the call isn't urgent
+ */
+function assessCallUrgency({ transcript = '', summary = '', sentiment = null }) {
+  // Only the caller's words - the assistant itself mentions emergencies when giving advice
+  const lines = (transcript || '').split('\n');
+  const callerLines = lines.filter(line => /^\s*(user|customer|caller)\s*:/i.test(line));
+  const text = [(callerLines.length > 0 ? callerLines : lines).join('\n'), summary || ''].join('\n');
+
+  const emergency = text.match(EMERGENCY_PATTERN);
+  if (emergency) {
+    return { urgency: 'emergency', reason: `Caller reported "${emergency[0].toLowerCase()}"` };
+  }
+
+  const urgent = text.match(URGENT_PATTERN);
+  if (urgent) {
+    return { urgency: 'high', reason: `Caller asked for an urgent response ("${urgent[0].toLowerCase()}")` };
+  }
+
+  const upset = text.match(UPSET_PATTERN);
+  if (upset || (sentiment === 'negative' && /complain/i.test(text))) {
+    return { urgency: 'high', reason: 'Caller is upset' };
+  }
+
+  return null;
+}
+
+/**
+ * Build the alert sent to on-call contacts
+ * @param {Object} business - Business object from DB
+ * @param {Object} alert - urgent_alerts row
+ * @returns {{subject: string, text: string, html: string, sms: string}}
+ */
+function buildAlertMessage(business, alert) {
+  const caller = alert.customer_phone || 'Unknown caller';
+  const label = alert.urgency === 'emergency' ? 'EMERGENCY' : 'URGENT';
+  const details = alert.summary || alert.reason;
+
+  const text = [
+    `${label} call for ${business.name}`,
+    '',
+    `Caller: ${caller}`,
+    `Reason: ${alert.reason}`,
+    `Summary: ${alert.summary || 'Not available yet (call in progress)'}`,
+    alert.recording_url ? `Recording: ${alert.recording_url}` : null,
+    '',
+    'Reply ACK to the alert text to acknowledge it.'
+  ].filter(line => line !== null).join('\n');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; color: #111827;">
+      <h2 style="margin: 0 0 12px; color: #b91c1c;">${label} call for ${escapeHtml(business.name)}</h2>
+      <p style="margin: 0 0 8px;">
+        <strong>Caller:</strong> ${escapeHtml(caller)}<br />
+        <strong>Reason:</strong> ${escapeHtml(alert.reason)}
+      </p>
+      <p style="margin: 0 0 8px;">${escapeHtml(alert.summary || 'Summary not available yet (call in progress).')}</p>
+      ${alert.recording_url ? `<p style="margin: 0 0 8px;"><a href="${escapeHtml(alert.recording_url)}">Listen to the recording</a></p>` : ''}
+      <p style="margin: 0; color: #6b7280;">Reply ACK to the alert text to acknowledge it.</p>
+    </div>
+  `;
+
+  return {
+    subject: `[${label}] Call from ${caller} - ${business.name}`,
+    text,
+    html,
+    sms: `${label} call for ${business.name} from ${caller}: ${details}${alert.recording_url ? ` Recording: ${alert.recording_url}` : ''} Reply ACK to acknowledge.`
+  };
+}
+
+/**
+ * Alert the next escalation level that has a reachable contact
+ * @param {Object} business - Business with id, name, timezone (and owner notification fields)
+ * @param {Object} alert - urgent_alerts row
+ * @param {Object} options - Escalation options
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} Updated alert
+ */
+async function escalateAlert(business, alert, { now = new Date() } = {}) {
+  const contacts = await getOnCallContacts(business.id);
+  const timeZone = getBusinessTimeZone(business);
+  const message = buildAlertMessage(business, alert);
+  const levels = [...new Set(contacts.map(contact => contact.escalation_level))]
+    .filter(level => level > alert.escalation_level)
+    .sort((a, b) => a - b);
+
+  for (const level of levels) {
+    const reachable = contacts.filter(contact =>
+      contact.escalation_level === level
+      && (alert.urgency === 'emergency' || !isWithinQuietHours(contact, timeZone, now))
+    );
+
+    if (reachable.length === 0) {
+      console.log('🌙 Escalation level in quiet hours, skipping:', { alertId: alert.id, level });
+      continue;
+    }
+
+    const deliveries = [];
+    for (const contact of reachable) {
+      const results = await notifyOnCallContact(contact, message, {
+        from: alert.metadata?.business_phone || null
+      });
+      deliveries.push(...results.map(result => ({
+        contact_id: contact.id,
+        level,
+        ...result,
+        sent_at: now.toISOString()
+      })));
+    }
+
+    if (!deliveries.some(delivery => delivery.ok)) {
+      console.warn('⚠️ No alert delivered at level, escalating further:', { alertId: alert.id, level });
+      continue;
+    }
+
+    console.log('🚨 Urgent alert sent:', { alertId: alert.id, level, contacts: reachable.length });
+
+    return await updateUrgentAlert(alert.id, {
+      escalation_level: level,
+      last_notified_at: now.toISOString(),
+      deliveries: [...(alert.deliveries || []), ...deliveries]
+    }, { expectedStatus: 'pending' }) || alert;
+  }
+
+  // Chain exhausted (or no contacts configured) - fall back to the owner
+  const alreadyAlerted = (alert.deliveries || []).some(delivery => delivery.ok);
+  await notifyBusinessOwner(business, alreadyAlerted
+    ? { ...message, subject: `[UNACKNOWLEDGED] ${message.subject}`, sms: `Nobody acknowledged: ${message.sms}` }
+    : message);
+
+  console.log('📣 Urgent alert escalation exhausted, owner notified:', alert.id);
+
+  return await updateUrgentAlert(alert.id, {
+    status: 'exhausted',
+    last_notified_at: now.toISOString()
+  }, { expectedStatus: 'pending' }) || alert;
+}
+
+/**
+ * Raise an urgent alert and notify the first escalation level
+ * @param {Object} business - Business object from DB
+ * @param {Object} details - Alert details
+ * @param {string|null} details.callId - calls.id (one alert per call)
+ * @param {string} details.source - 'end_of_call' or 'assistant_tool'
+ * @param {string} details.urgency - 'high' or 'emergency'
+ * @param {string} details.reason - Why the call is urgent
+ * @param {string} [details.summary] - Call summary
+ * @param {string} [details.customerPhone] - Caller number
+ * @param {string} [details.recordingUrl] - Call recording
+ * @param {string} [details.businessPhone] - Business number (alert texts are sent from it)
+ * @returns {Promise<Object|null>} urgent_alerts row, or null if it couldn't be raised
+ */
+async function raiseUrgentAlert(business, {
+  callId = null,
+  source,
+  urgency,
+  reason,
+  summary = null,
+  customerPhone = null,
+  recordingUrl = null,
+  businessPhone = null
+}) {
+  try {
+    let alert;
+
+    try {
+      alert = await createUrgentAlert({
+        business_id: business.id,
+        call_id: callId,
+        source,
+        urgency,
+        reason,
+        summary,
+        customer_phone: customerPhone,
+        recording_url: recordingUrl,
+        metadata: { business_phone: businessPhone }
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+      console.log('ℹ️ Call already has an urgent alert:', callId);
+      return await updateAlertDetails(business, await getUrgentAlertByCall(callId), {
+        urgency,
+        summary,
+        recordingUrl
+      });
+    }
+
+    console.log('🚨 Urgent alert raised:', { alertId: alert.id, business: business.name, urgency, reason });
+
+    if (callId) {
+      await updateCall(callId, { escalation_required: true });
+    }
+
+    return await escalateAlert(business, alert);
+
+  } catch (error) {
+    console.error('❌ Failed to raise urgent alert:', error);
+    return null;
+  }
+}
+
+/**
+ * Add end-of-call details to an alert raised during the call, and send
+ * the recording to the contacts who were already alerted
+ * @param {Object} business - Business object from DB
+ * @param {Object} alert - urgent_alerts row
+ * @param {Object} details - New details
+ * @returns {Promise<Object|null>} Updated alert
+ */
+async function updateAlertDetails(business, alert, { urgency = null, summary = null, recordingUrl = null }) {
+  if (!alert) {
+    return null;
+  }
+
+  const updates = {};
+  if (summary && !alert.summary) updates.summary = summary;
+  if (recordingUrl && !alert.recording_url) updates.recording_url = recordingUrl;
+  if (urgency === 'emergency' && alert.urgency !== 'emergency') updates.urgency = urgency;
+
+  if (Object.keys(updates).length === 0) {
+    return alert;
+  }
+
+  const updated = await updateUrgentAlert(alert.id, updates) || alert;
+
+  // Contacts alerted mid-call get the summary and recording once the call ends
+  if (alert.status === 'pending' && (updates.summary || updates.recording_url)) {
+    const notifiedIds = new Set((alert.deliveries || []).filter(delivery => delivery.ok).map(delivery => delivery.contact_id));
+    const contacts = (await getOnCallContacts(business.id)).filter(contact => notifiedIds.has(contact.id));
+    const message = buildAlertMessage(business, updated);
+
+    for (const contact of contacts) {
+      await notifyOnCallContact(contact, {
+        ...message,
+        subject: `[UPDATE] ${message.subject}`,
+        sms: `Update: ${message.sms}`
+      }, { from: alert.metadata?.business_phone || null });
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Raise or complete the urgent alert for a finished call
+ * @param {Object} business - Business object from DB
+ * @param {Object} call - End-of-call details
+ * @param {string} call.callId - calls.id
+ * @param {string} [call.transcript] - Full transcript
+ * @param {string} [call.summary] - Call summary
+ * @param {string} [call.sentiment] - Call sentiment
+ * @param {string} [call.urgency] - Urgency from the call analysis (calls.urgency)
+ * @param {string} [call.recordingUrl] - Call recording
+ * @param {string} [call.customerPhone] - Caller number
+ * @param {string} [call.businessPhone] - Business number
+ * @returns {Promise<Object|null>} urgent_alerts row, or null if the call wasn't urgent
+ */
+async function processEndOfCallAlert(business, {
+  callId,
+  transcript = '',
+  summary = null,
+  sentiment = null,
+  urgency = null,
+  recordingUrl = null,
+  customerPhone = null,
+  businessPhone = null
+}) {
+  try {
+    const assessment = assessCallUrgency({ transcript, summary, sentiment })
+      || (['high', 'emergency'].includes(urgency)
+        ? { urgency, reason: `Call analysis rated the call ${urgency} urgency` }
+        : null);
+    const existing = await getUrgentAlertByCall(callId);
+
+    if (existing) {
+      return await updateAlertDetails(business, existing, {
+        urgency: assessment?.urgency || null,
+        summary,
+        recordingUrl
+      });
+    }
+
+    if (!assessment) {
+      return null;
+    }
+
+    return await raiseUrgentAlert(business, {
+      callId,
+      source: 'end_of_call',
+      urgency: assessment.urgency,
+      reason: assessment.reason,
+      summary,
+      customerPhone,
+      recordingUrl,
+      businessPhone
+    });
+  } catch (error) {
+    console.error('❌ Failed to process end-of-call alert:', error);
+    return null;
+  }
+}
+
+/**
+ * Escalate alerts nobody acknowledged in time (run from cron)
+ * @param {Object} options - Run options
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<{checked: number, escalated: number, errors: Array}>}
+ */
+async function escalatePendingAlerts({ now = new Date() } = {}) {
+  const alerts = await getPendingUrgentAlerts();
+  const errors = [];
+  let escalated = 0;
+
+  for (const alert of alerts) {
+    const business = alert.businesses;
+    const minutes = business?.alert_escalation_minutes || DEFAULT_ESCALATION_MINUTES;
+    const lastNotified = alert.last_notified_at ? new Date(alert.last_notified_at) : null;
+
+    if (lastNotified && now.getTime() - lastNotified.getTime() < minutes * 60 * 1000) {
+      continue;
+    }
+
+    try {
+      await escalateAlert(business, alert, { now });
+      escalated += 1;
+    } catch (error) {
+      console.error('❌ Failed to escalate urgent alert:', { alertId: alert.id, error: error.message });
+      errors.push({ alertId: alert.id, error: error.message });
+    }
+  }
+
+  return { checked: alerts.length, escalated, errors };
+}
+
+/**
+ * Acknowledge alerts when an on-call contact texts ACK
+ * @param {Object} business - Business object from DB
+ * @param {string} phoneNumber - Number the ACK came from
+ * @param {Object} options - Options
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<{contact: Object, acknowledged: number}|null>} null if the sender isn't an on-call contact
+ */
+async function acknowledgeAlertsFromPhone(business, phoneNumber, { now = new Date() } = {}) {
+  const digits = value => (value || '').replace(/\D/g, '').slice(-10);
+  const contacts = await getOnCallContacts(business.id);
+  const contact = contacts.find(row => row.phone_number && digits(row.phone_number) === digits(phoneNumber));
+
+  if (!contact) {
+    return null;
+  }
+
+  const alerts = await getPendingUrgentAlerts({ businessId: business.id });
+  let acknowledged = 0;
+
+  for (const alert of alerts) {
+    const wasAlerted = (alert.deliveries || []).some(delivery => delivery.contact_id === contact.id);
+    if (!wasAlerted) {
+      continue;
+    }
+
+    const updated = await updateUrgentAlert(alert.id, {
+      status: 'acknowledged',
+      acknowledged_at: now.toISOString(),
+      acknowledged_by: contact.id
+    }, { expectedStatus: 'pending' });
+
+    if (updated) {
+      acknowledged += 1;
+    }
+  }
+
+  console.log('✅ Urgent alerts acknowledged:', { contact: contact.name, acknowledged });
+  return { contact, acknowledged };
+}
+
+module.exports = {
+  EMERGENCY_PATTERN,
+  URGENT_PATTERN,
+  assessCallUrgency,
+  raiseUrgentAlert,
+  processEndOfCallAlert,
+  escalatePendingAlerts,
+  acknowledgeAlertsFromPhone
+};
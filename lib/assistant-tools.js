@@ -0,0 +1,922 @@
+/**
+ * Assistant Tool Handlers
+ *
+ * Executes the tools defined in lib/vapi/functions.js. Shared by the voice
+ * assistant (api/vapi-webhook.js) and the SMS assistant (lib/sms.js) so both
+ * channels book and take messages the same way.
+ */
+
+const {
+  upsertCall,
+  createBooking,
+  getUpcomingBookings,
+  getBookingById,
+  updateBooking
+} = require('./supabase');
+const { getBusinessTimeZone, getCurrentDateInTimeZone } = require('./time');
+const { raiseUrgentAlert } = require('./alerts');
+const { recordCustomerBooking } = require('./customers');
+const { requestCallback, formatCallbackWindow } = require('./callbacks');
+const { sendBookingConfirmation } = require('./reminders');
+const {
+  isValidEmail,
+  verifyEmailAddress,
+  spellEmailForSpeech,
+  requestEmailByText,
+  getCapturedEmail
+} = require('./email-capture');
+const { resolveBookingService } = require('./services');
+const { CalcomUnavailableError, isCircuitOpen } = require('./calcom');
+const {
+  getCalendarIntegration,
+  getCalendarProvider,
+  getBookingProvider,
+  getBookingUid,
+  checkAvailability,
+  findNextAvailable,
+  findNearestAvailable
+} = require('./calendar');
+const { holdSlots, releaseHolds } = require('./calendar/holds');
+const { isSlotConflict } = require('./calendar/slots');
+
+// Tools that need a calendar (Cal.com, CalDAV or the native scheduler)
+const CALENDAR_TOOLS = [
+  'checkAvailability',
+  'findNextAvailable',
+  'createBooking',
+  'findMyAppointment',
+  'rescheduleAppointment',
+  'cancelAppointment'
+];
+
+// Vapi gives up on a tool call after ~20s; leave time for the assistant to answer
+const TOOL_CALL_BUDGET_MS = 15000;
+
+// Returned while the Cal.com circuit breaker is open (or a tool call runs out
+// of time), so the assistant switches to taking a callback instead of
+// retrying bookings that will fail
+const CALCOM_UNAVAILABLE_RESPONSE = {
+  error: 'Cal.com temporarily unavailable',
+  result: "Online scheduling is temporarily unavailable. Do not check availability or try to book, reschedule, or cancel again during this conversation. Briefly apologize, collect the customer's name, best callback number, preferred time, and what they need, then use scheduleCallback() so the team can take care of it."
+};
+
+/**
+ * @typedef {Object} ToolSession
+ * @property {string} channel - 'voice' or 'sms'
+ * @property {string|null} vapiCallId - Vapi call ID (voice only)
+ * @property {string|null} callId - calls.id when already known (e.g. SMS threads)
+ * @property {string|null} customerPhone - Caller / texter number
+ * @property {string|null} businessPhone - Business number that was called or texted
+ * @property {Object} [metadata] - Extra metadata stored with bookings
+ */
+
+/**
+ * Execute a single tool call for a business
+ * @param {Object} business - Business object from DB
+ * @param {ToolSession} session - Channel context for the tool call
+ * @param {string} name - Tool name
+ * @param {Object} parameters - Tool arguments
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - When the tool call has to answer (ms); every
+ *   calendar request, retry and token refresh wait in this call shares it
+ * @returns {Promise<Object>} `{ result }` text for the assistant, plus optional `error`
+ */
+async function runAssistantTool(business, session, name, parameters = {}, options = {}) {
+  const { deadline = Date.now() + TOOL_CALL_BUDGET_MS } = options;
+
+  if (CALENDAR_TOOLS.includes(name)) {
+    if (!business.calcom_enabled) {
+      console.log('⚠️ calcom_enabled is false');
+      return {
+        result: "Scheduling isn't available right now. Can I take a message for you?"
+      };
+    }
+
+    const calendarIntegration = await getCalendarIntegration(business.id);
+    if (!calendarIntegration) {
+      console.log('⚠️ No connected calendar');
+      return {
+        result: "Scheduling isn't available right now. Can I take a message for you?"
+      };
+    }
+
+    if (isCircuitOpen(calendarIntegration)) {
+      console.log('⚠️ Calendar circuit open, switching to callback mode');
+      return CALCOM_UNAVAILABLE_RESPONSE;
+    }
+
+    console.log('✅ Calendar ready:', calendarIntegration.provider);
+  }
+
+  switch (name) {
+    case 'checkAvailability':
+      return await handleCheckAvailability(business, session, parameters, { deadline });
+
+    case 'findNextAvailable':
+      return await handleFindNextAvailable(business, session, parameters, { deadline });
+
+    case 'createBooking':
+      return await handleCreateBooking(business, session, parameters, { deadline });
+
+    case 'verifyEmail':
+      return await handleVerifyEmail(business, session, parameters);
+
+    case 'findMyAppointment':
+      return await handleFindMyAppointment(business, session, parameters);
+
+    case 'rescheduleAppointment':
+      return await handleRescheduleAppointment(business, session, parameters, { deadline });
+
+    case 'cancelAppointment':
+      return await handleCancelAppointment(business, session, parameters, { deadline });
+
+    case 'scheduleCallback':
+      return await handleScheduleCallback(business, session, parameters);
+
+    case 'flagUrgentCall':
+      return await handleFlagUrgentCall(business, session, parameters);
+
+    default:
+      console.warn('⚠️ Unknown function:', name);
+      return {
+        error: `Function ${name} not implemented`,
+        result: "I can't perform that action."
+      };
+  }
+}
+
+/**
+ * Resolve the calls.id a tool result should be linked to
+ * @param {Object} business - Business object from DB
+ * @param {ToolSession} session - Channel context
+ * @returns {Promise<string|null>} calls.id or null
+ */
+async function resolveSessionCallId(business, session) {
+  if (session.callId) {
+    return session.callId;
+  }
+
+  if (!session.vapiCallId) {
+    return null;
+  }
+
+  const callRecord = await upsertCall({
+    business_id: business.id,
+    vapi_call_id: session.vapiCallId,
+    customer_phone: session.customerPhone,
+    from_phone: session.customerPhone || 'unknown',
+    to_phone: session.businessPhone || 'unknown'
+  });
+
+  return callRecord.id;
+}
+
+async function handleCheckAvailability(business, session, parameters, { deadline }) {
+  const { date, timePreference, service: requestedService } = parameters;
+
+  console.log('📅 Checking availability:', { date, timePreference, service: requestedService, business: business.name });
+
+  const timeZone = getBusinessTimeZone(business);
+  const todayInBusinessTimezone = getCurrentDateInTimeZone(timeZone);
+
+  if (!date || date < todayInBusinessTimezone) {
+    console.warn('⚠️ Rejecting past availability date:', {
+      requestedDate: date,
+      todayInBusinessTimezone,
+      businessTimezone: timeZone
+    });
+
+    return {
+      error: 'Past date requested',
+      result: `That date is in the past. Please ask for a date on or after ${todayInBusinessTimezone}.`
+    };
+  }
+
+  const { service, error: serviceError } = await resolveBookingService(business.id, requestedService);
+  if (serviceError) {
+    return { error: 'Service required', result: serviceError };
+  }
+
+  try {
+    // The caller's earlier offers are replaced by this one
+    await releaseHolds(business.id, session, { deadline });
+
+    const slots = await checkAvailability(business.id, date, timePreference, { service, deadline });
+
+    if (slots?.length > 0) {
+      const slotOptions = slots.slice(0, 3).map(slot => ({
+        iso: slot,
+        display: new Date(slot).toLocaleTimeString('en-US', {
+          hour: 'numeric',
+          minute: '2-digit',
+          hour12: true,
+          timeZone
+        })
+      }));
+      const formatted = slotOptions.map(slot => slot.display);
+
+      await holdSlots(business.id, session, slotOptions.map(slot => slot.iso), { service, deadline });
+
+      return {
+        result: `I have availability${service ? ` for ${service.name}` : ''} at: ${formatted.join(', ')}. Which time works best for you?`,
+        slots: slots,
+        slotOptions
+      };
+    } else {
+      return {
+        result: `I don't have any availability on ${date}. Would you like to try another date?`
+      };
+    }
+
+  } catch (error) {
+    if (error instanceof CalcomUnavailableError) {
+      return CALCOM_UNAVAILABLE_RESPONSE;
+    }
+
+    console.error('❌ Availability check failed:', error);
+    return {
+      error: 'Unable to check availability at this time'
+    };
+  }
+}
+
+async function handleFindNextAvailable(business, session, parameters, { deadline }) {
+  const { timePreference = 'any', startDate, days, service: requestedService } = parameters;
+
+  console.log('📅 Finding next available:', { startDate, days, timePreference, service: requestedService, business: business.name });
+
+  const { service, error: serviceError } = await resolveBookingService(business.id, requestedService);
+  if (serviceError) {
+    return { error: 'Service required', result: serviceError };
+  }
+
+  try {
+    await releaseHolds(business.id, session, { deadline });
+
+    const options = await findNextAvailable(business.id, {
+      startDate,
+      days,
+      timePreference,
+      service,
+      deadline
+    });
+
+    if (options.length === 0) {
+      const preferenceNote = timePreference && timePreference !== 'any' ? ` in the ${timePreference}` : '';
+      return {
+        result: `I don't see any openings${preferenceNote} in the next ${days || 14} days. Would you like me to take a message so the team can find a time for you?`
+      };
+    }
+
+    await holdSlots(business.id, session, options.map(option => option.start), { service, deadline });
+
+    return {
+      result: `The soonest openings${service ? ` for ${service.name}` : ''} are ${joinSpokenOptions(options)}. Which works best for you?`,
+      slots: options.map(option => option.start),
+      slotOptions: options.map(option => ({ iso: option.start, display: option.label }))
+    };
+
+  } catch (error) {
+    if (error instanceof CalcomUnavailableError) {
+      return CALCOM_UNAVAILABLE_RESPONSE;
+    }
+
+    console.error('❌ Next available search failed:', error);
+    return {
+      error: 'Unable to check availability at this time'
+    };
+  }
+}
+
+/**
+ * Join slot labels the way they are read out: "A, B, or C"
+ */
+function joinSpokenOptions(options) {
+  const labels = options.map(option => option.label);
+
+  return labels.length > 2
+    ? `${labels.slice(0, -1).join(', ')}, or ${labels[labels.length - 1]}`
+    : labels.join(' or ');
+}
+
+/**
+ * Offer (and hold) the open times closest to one that was just taken,
+ * so the caller can pick another instead of leaving a message
+ */
+async function offerNearestAlternatives(business, session, requestedStart, service, { deadline }) {
+  let options = [];
+
+  try {
+    options = await findNearestAvailable(business.id, requestedStart, { service, deadline });
+  } catch (error) {
+    if (error instanceof CalcomUnavailableError) {
+      return CALCOM_UNAVAILABLE_RESPONSE;
+    }
+
+    console.error('⚠️ Failed to find alternatives for taken slot:', error.message);
+  }
+
+  if (options.length === 0) {
+    return {
+      result: "Sorry, that time was just taken and I don't see anything close to it. Would you like to try another day, or should I take a message so the team can find a time for you?"
+    };
+  }
+
+  await holdSlots(business.id, session, options.map(option => option.start), { service, deadline });
+
+  return {
+    result: `Sorry, that time was just taken. The closest openings are ${joinSpokenOptions(options)}. Which works best for you?`,
+    slots: options.map(option => option.start),
+    slotOptions: options.map(option => ({ iso: option.start, display: option.label }))
+  };
+}
+
+async function handleVerifyEmail(business, session, parameters) {
+  const { spokenEmail, textLink } = parameters;
+
+  console.log('📧 Verifying email:', { spokenEmail, textLink, channel: session.channel, business: business.name });
+
+  if (textLink) {
+    if (session.channel === 'sms') {
+      return { result: 'The customer is already texting. Ask them to type their email address in their reply.' };
+    }
+
+    const capture = await requestEmailByText(business, session);
+    if (!capture) {
+      return {
+        error: 'Email link not sent',
+        result: "I can't text a link right now. Ask the caller to spell their email one letter at a time, or offer to book without email confirmation by taking a message."
+      };
+    }
+
+    return {
+      result: "I've texted the caller a link where they can type their email. Ask them to let you know once they've submitted it, then call createBooking() without an email."
+    };
+  }
+
+  if (!spokenEmail) {
+    return { error: 'Missing email', result: 'Ask the customer for their email address first.' };
+  }
+
+  const check = await verifyEmailAddress(spokenEmail);
+
+  if (!check.valid) {
+    return {
+      error: check.reason === 'no_mail_server' ? 'Email domain cannot receive mail' : 'Invalid email',
+      result: check.reason === 'no_mail_server'
+        ? `"${check.email.split('@').pop()}" doesn't look like it can receive email. Ask the customer to spell the part after the "at" again. If it still doesn't work, offer to text them a link to type it.`
+        : "That didn't come through as a complete email address. Ask the customer to spell it again slowly, including the part after the \"at\". If it still doesn't work, offer to text them a link to type it."
+    };
+  }
+
+  if (session.channel === 'sms') {
+    return { result: `The email is ${check.email}. Use exactly this address in createBooking().` };
+  }
+
+  return {
+    result: `The email is ${check.email}. Read it back to the caller as: "${spellEmailForSpeech(check.email)}" and ask if that's right. Once confirmed, use exactly ${check.email} in createBooking().`
+  };
+}
+
+/**
+ * Use the email a caller typed through the texted link when the booking has none
+ * @returns {Promise<{email?: string, response?: Object}>} Email, or a tool response to return
+ */
+async function resolveBookingEmail(business, session, email) {
+  if (email) {
+    return isValidEmail(email.trim().toLowerCase())
+      ? { email: email.trim().toLowerCase() }
+      : { response: { error: 'Invalid email', result: 'That email address is not valid. Check it with verifyEmail() before booking.' } };
+  }
+
+  const capture = await getCapturedEmail(business, session);
+
+  if (capture?.status === 'submitted') {
+    return { email: capture.email };
+  }
+
+  if (capture) {
+    return {
+      response: {
+        error: 'Email not submitted yet',
+        result: "The caller hasn't submitted their email through the link yet. Tell them: \"I've texted you a link; let me know once you've replied with your email.\" When they say it's sent, call createBooking() again without an email."
+      }
+    };
+  }
+
+  return {
+    response: {
+      error: 'Missing email',
+      result: 'Ask the customer for their email address and check it with verifyEmail() before booking.'
+    }
+  };
+}
+
+async function handleCreateBooking(business, session, parameters, { deadline }) {
+  const { name, phone, dateTime, notes, service: requestedService } = parameters;
+
+  console.log('🔧 CREATE BOOKING CALLED:', {
+    name,
+    email: parameters.email,
+    dateTime,
+    channel: session.channel,
+    business: business.name,
+    businessId: business.id,
+    calcomEnabled: business.calcom_enabled,
+    timestamp: new Date().toISOString()
+  });
+
+  const { service, error: serviceError } = await resolveBookingService(business.id, requestedService);
+  if (serviceError) {
+    return { error: 'Service required', result: serviceError };
+  }
+
+  const { email, response: emailResponse } = await resolveBookingEmail(business, session, parameters.email);
+  if (emailResponse) {
+    return emailResponse;
+  }
+
+  try {
+    const { provider } = await getCalendarProvider(business.id);
+
+    console.log(`📡 Booking through ${provider.name}...`);
+
+    // Free the caller's own holds (a Cal.com reservation hides the slot from them too)
+    await releaseHolds(business.id, session, { deadline });
+
+    const providerBooking = await provider.book(business.id, {
+      name,
+      email,
+      phone: phone || session.customerPhone,
+      start: dateTime,
+      notes: notes || `Booked via AI assistant for ${business.name}`,
+      service,
+      deadline
+    });
+    const scheduledAt = providerBooking?.start || new Date(dateTime).toISOString();
+
+    console.log('✅ BOOKING CREATED SUCCESSFULLY:', {
+      provider: provider.name,
+      bookingId: providerBooking?.id,
+      bookingUid: providerBooking?.uid,
+      startTime: scheduledAt
+    });
+
+    const formattedTime = formatAppointmentTime(business, scheduledAt);
+
+    try {
+      const callId = await resolveSessionCallId(business, session);
+
+      const booking = await createBooking({
+        business_id: business.id,
+        call_id: callId,
+        ...provider.toBookingColumns(providerBooking),
+        service_id: service?.id || null,
+        customer_name: name,
+        customer_email: email,
+        customer_phone: phone || session.customerPhone,
+        scheduled_at: scheduledAt,
+        duration_minutes: providerBooking?.durationMinutes || service?.duration_minutes || 30,
+        status: 'confirmed',
+        notes: notes,
+        metadata: {
+          channel: session.channel,
+          ...(service ? { service: service.name } : {}),
+          ...session.metadata
+        }
+      });
+
+      await recordCustomerBooking(business, {
+        phone: phone || session.customerPhone,
+        name,
+        email,
+        bookingId: booking.id
+      });
+
+      await sendBookingConfirmation(business, booking, {
+        fromPhone: session.businessPhone,
+        emailedByCalendar: provider.sendsConfirmationEmail
+      });
+    } catch (persistenceError) {
+      console.error('⚠️ Booking saved in calendar but local persistence failed:', {
+        error: persistenceError.message,
+        provider: provider.name,
+        bookingUid: providerBooking?.uid,
+        business: business.name
+      });
+    }
+
+    return {
+      result: `Perfect! I've scheduled your ${service ? `${service.name} ` : ''}appointment for ${formattedTime}.${provider.sendsConfirmationEmail ? ` You'll receive a confirmation email at ${email}.` : ''} Is there anything else I can help you with?`
+    };
+
+  } catch (error) {
+    if (error instanceof CalcomUnavailableError) {
+      return CALCOM_UNAVAILABLE_RESPONSE;
+    }
+
+    if (isSlotConflict(error)) {
+      console.warn('⚠️ Requested slot taken, offering alternatives:', { dateTime, business: business.name });
+      return await offerNearestAlternatives(business, session, dateTime, service, { deadline });
+    }
+
+    console.error('❌ BOOKING CREATION FAILED:', {
+      error: error.message,
+      stack: error.stack,
+      response: error.response?.data,
+      status: error.response?.status,
+      business: business.name,
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      error: `Booking failed: ${error.message}`,
+      result: "I wasn't able to complete the booking. Let me take a message and have someone follow up with you."
+    };
+  }
+}
+
+async function handleScheduleCallback(business, session, parameters) {
+  const { reason, preferredTime, name, phone } = parameters;
+  const customerPhone = phone || session.customerPhone;
+
+  console.log('📞 Callback requested:', {
+    preferredTime,
+    channel: session.channel,
+    business: business.name
+  });
+
+  if (!customerPhone) {
+    return {
+      error: 'No callback number',
+      result: 'What is the best phone number to reach you?'
+    };
+  }
+
+  try {
+    const callId = await resolveSessionCallId(business, session);
+
+    const callback = await requestCallback(business, {
+      callId,
+      smsConversationId: session.metadata?.sms_conversation_id || null,
+      channel: session.channel,
+      customerPhone,
+      customerName: name || null,
+      reason: reason || 'Callback requested',
+      preferredTime: preferredTime || null
+    });
+
+    const when = callback.window_start
+      ? ` on ${formatCallbackWindow(business, callback)}`
+      : ' as soon as possible';
+
+    return {
+      result: `I've noted your request for a callback. Someone from ${business.name} will call you at ${customerPhone}${when}.`
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to save callback request:', error);
+    return {
+      error: `Callback request failed: ${error.message}`,
+      result: "I've noted your request for a callback. Someone will contact you soon."
+    };
+  }
+}
+
+async function handleFlagUrgentCall(business, session, parameters) {
+  const { reason, urgency } = parameters;
+
+  console.log('🚨 Urgent call flagged:', { reason, urgency, channel: session.channel, business: business.name });
+
+  try {
+    // SMS threads may point at an earlier call, so only voice alerts are tied to a call
+    const callId = session.channel === 'voice' ? await resolveSessionCallId(business, session) : null;
+
+    const alert = await raiseUrgentAlert(business, {
+      callId,
+      source: 'assistant_tool',
+      urgency: urgency === 'emergency' ? 'emergency' : 'high',
+      reason: reason || 'Flagged as urgent by the assistant',
+      customerPhone: session.customerPhone,
+      businessPhone: session.businessPhone
+    });
+
+    if (!alert) {
+      return {
+        error: 'Urgent alert failed',
+        result: "I've marked this as urgent for the team."
+      };
+    }
+
+    return {
+      result: "I've alerted the on-call team. Someone will be in touch as soon as possible."
+    };
+
+  } catch (error) {
+    console.error('❌ Failed to flag urgent call:', error);
+    return {
+      error: `Urgent alert failed: ${error.message}`,
+      result: "I've marked this as urgent for the team."
+    };
+  }
+}
+
+// ============================================================
+// EXISTING APPOINTMENTS
+// ============================================================
+
+function formatAppointmentTime(business, dateTime) {
+  return new Date(dateTime).toLocaleString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: getBusinessTimeZone(business)
+  });
+}
+
+function phonesMatch(a, b) {
+  const digitsA = (a || '').replace(/\D/g, '').slice(-10);
+  const digitsB = (b || '').replace(/\D/g, '').slice(-10);
+  return digitsA.length === 10 && digitsA === digitsB;
+}
+
+function namesMatch(provided, stored) {
+  const tokens = value => (value || '').toLowerCase().replace(/[^a-z\s'-]/g, '').split(/\s+/).filter(Boolean);
+  const given = tokens(provided);
+  const booked = tokens(stored);
+
+  if (given.length === 0 || booked.length === 0) {
+    return false;
+  }
+
+  // First and last name must both match (single-word names match exactly)
+  return given[0] === booked[0] && given[given.length - 1] === booked[booked.length - 1];
+}
+
+/**
+ * A caller may change a booking if they call from the booked number, or
+ * give both the email and the name the appointment was booked under.
+ */
+function isBookingOwner(booking, session, { name, email } = {}) {
+  if (phonesMatch(session.customerPhone, booking.customer_phone)) {
+    return true;
+  }
+
+  const emailMatches = !!email && !!booking.customer_email
+    && email.trim().toLowerCase() === booking.customer_email.trim().toLowerCase();
+
+  return emailMatches && namesMatch(name, booking.customer_name);
+}
+
+/**
+ * Load a booking for modification and check the caller may change it
+ * @returns {Promise<{booking?: Object, response?: Object}>} Booking, or a tool response to return
+ */
+async function loadOwnedBooking(business, session, parameters) {
+  const { appointmentId, name, email } = parameters;
+
+  const booking = appointmentId ? await getBookingById(business.id, appointmentId) : null;
+
+  if (!booking || !['pending', 'confirmed'].includes(booking.status) || new Date(booking.scheduled_at) < new Date()) {
+    return {
+      response: {
+        error: 'Appointment not found',
+        result: "I couldn't find that upcoming appointment. Let me look up your appointments again."
+      }
+    };
+  }
+
+  if (!isBookingOwner(booking, session, { name, email })) {
+    console.warn('⚠️ Appointment identity check failed:', {
+      bookingId: booking.id,
+      channel: session.channel,
+      customerPhone: session.customerPhone
+    });
+    return {
+      response: {
+        error: 'Identity not verified',
+        result: "I wasn't able to verify that appointment with the details provided. Can you confirm the full name and email address used when booking?"
+      }
+    };
+  }
+
+  if (!getBookingUid(booking)) {
+    return {
+      response: {
+        error: 'Booking has no calendar UID',
+        result: "I can't change that appointment from here. Let me take a message and have the team follow up with you."
+      }
+    };
+  }
+
+  return { booking };
+}
+
+async function handleFindMyAppointment(business, session, parameters) {
+  const email = parameters.email?.trim() || null;
+
+  console.log('🔎 Finding appointments:', {
+    business: business.name,
+    channel: session.channel,
+    customerPhone: session.customerPhone,
+    email
+  });
+
+  try {
+    const bookings = await getUpcomingBookings(business.id, {
+      phone: session.customerPhone,
+      email
+    });
+
+    if (bookings.length === 0) {
+      return {
+        result: email
+          ? `I couldn't find any upcoming appointments for ${email} or this phone number. Would you like to book a new appointment?`
+          : "I couldn't find any upcoming appointments for this phone number. What email address did you use when booking?"
+      };
+    }
+
+    const verifiedByPhone = bookings.some(booking => phonesMatch(session.customerPhone, booking.customer_phone));
+    const lines = bookings.map(booking => {
+      const when = formatAppointmentTime(business, booking.scheduled_at);
+      // Only reveal the booked name once the caller ID matched
+      const who = phonesMatch(session.customerPhone, booking.customer_phone) && booking.customer_name
+        ? ` for ${booking.customer_name}`
+        : '';
+      return `Appointment ID ${booking.id}: ${when}${who}`;
+    });
+
+    return {
+      result: `I found ${bookings.length === 1 ? 'this upcoming appointment' : 'these upcoming appointments'}:\n${lines.join('\n')}${
+        verifiedByPhone ? '' : '\nBefore changing an appointment, ask the caller for the full name it was booked under.'
+      }`,
+      appointments: bookings.map(booking => ({ id: booking.id, scheduledAt: booking.scheduled_at }))
+    };
+
+  } catch (error) {
+    console.error('❌ Appointment lookup failed:', error);
+    return {
+      error: 'Unable to look up appointments',
+      result: "I'm having trouble looking up appointments right now. Let me take a message and have someone follow up."
+    };
+  }
+}
+
+async function handleRescheduleAppointment(business, session, parameters, { deadline }) {
+  const { newDateTime } = parameters;
+
+  console.log('🔁 Rescheduling appointment:', {
+    appointmentId: parameters.appointmentId,
+    newDateTime,
+    channel: session.channel,
+    business: business.name
+  });
+
+  if (!newDateTime || Number.isNaN(new Date(newDateTime).getTime()) || new Date(newDateTime) < new Date()) {
+    return {
+      error: 'Invalid new time',
+      result: 'That time is not valid. Please check availability and choose a future time.'
+    };
+  }
+
+  const { booking, response } = await loadOwnedBooking(business, session, parameters);
+  if (response) {
+    return response;
+  }
+
+  // Duration and event type of the booked service, for alternatives
+  const bookedService = {
+    id: booking.service_id || null,
+    duration_minutes: booking.duration_minutes,
+    calcom_event_type_id: booking.calcom_event_type_id || null
+  };
+
+  try {
+    await releaseHolds(business.id, session, { deadline });
+
+    const provider = getBookingProvider(booking);
+    const bookingUid = getBookingUid(booking);
+    const providerBooking = await provider.reschedule(business.id, bookingUid, newDateTime,
+      `Rescheduled by customer via ${session.channel}`, { deadline });
+    const scheduledAt = providerBooking?.start || new Date(newDateTime).toISOString();
+
+    try {
+      const updated = await updateBooking(booking.id, {
+        scheduled_at: scheduledAt,
+        status: 'confirmed',
+        ...(providerBooking ? provider.toBookingColumns(providerBooking) : {}),
+        metadata: {
+          ...booking.metadata,
+          rescheduled_from: booking.scheduled_at,
+          rescheduled_from_uid: bookingUid,
+          rescheduled_via: session.channel
+        }
+      });
+
+      await sendBookingConfirmation(business, updated, {
+        fromPhone: session.businessPhone,
+        emailedByCalendar: provider.sendsConfirmationEmail
+      });
+    } catch (persistenceError) {
+      console.error('⚠️ Booking rescheduled in calendar but local update failed:', {
+        error: persistenceError.message,
+        bookingId: booking.id,
+        business: business.name
+      });
+    }
+
+    return {
+      result: `Done! Your appointment has been moved to ${formatAppointmentTime(business, scheduledAt)}.${provider.sendsConfirmationEmail ? " You'll receive an updated confirmation by email." : ''} Is there anything else I can help you with?`
+    };
+
+  } catch (error) {
+    if (error instanceof CalcomUnavailableError) {
+      return CALCOM_UNAVAILABLE_RESPONSE;
+    }
+
+    if (isSlotConflict(error)) {
+      console.warn('⚠️ Requested reschedule slot taken, offering alternatives:', { newDateTime, bookingId: booking.id });
+      return await offerNearestAlternatives(business, session, newDateTime, bookedService, { deadline });
+    }
+
+    console.error('❌ RESCHEDULE FAILED:', {
+      error: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+      bookingId: booking.id,
+      business: business.name
+    });
+
+    return {
+      error: `Reschedule failed: ${error.message}`,
+      result: "I wasn't able to move that appointment. Would you like to try a different time, or should I have someone follow up?"
+    };
+  }
+}
+
+async function handleCancelAppointment(business, session, parameters, { deadline }) {
+  const reason = parameters.reason || `Cancelled by customer via ${session.channel}`;
+
+  console.log('🗑️ Cancelling appointment:', {
+    appointmentId: parameters.appointmentId,
+    channel: session.channel,
+    business: business.name
+  });
+
+  const { booking, response } = await loadOwnedBooking(business, session, parameters);
+  if (response) {
+    return response;
+  }
+
+  try {
+    await getBookingProvider(booking).cancel(business.id, getBookingUid(booking), reason, { deadline });
+
+    try {
+      await updateBooking(booking.id, {
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        metadata: {
+          ...booking.metadata,
+          cancellation_reason: reason,
+          cancelled_via: session.channel
+        }
+      });
+    } catch (persistenceError) {
+      console.error('⚠️ Booking cancelled in calendar but local update failed:', {
+        error: persistenceError.message,
+        bookingId: booking.id,
+        business: business.name
+      });
+    }
+
+    return {
+      result: `Your appointment on ${formatAppointmentTime(business, booking.scheduled_at)} has been cancelled. Would you like to book a new time?`
+    };
+
+  } catch (error) {
+    if (error instanceof CalcomUnavailableError) {
+      return CALCOM_UNAVAILABLE_RESPONSE;
+    }
+
+    console.error('❌ CANCELLATION FAILED:', {
+      error: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+      bookingId: booking.id,
+      business: business.name
+    });
+
+    return {
+      error: `Cancellation failed: ${error.message}`,
+      result: "I wasn't able to cancel that appointment. Let me take a message and have someone from the team follow up."
+    };
+  }
+}
+
+module.exports = {
+  runAssistantTool,
+  resolveSessionCallId
+};
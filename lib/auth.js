@@ -0,0 +1,65 @@
+/**
+ * Dashboard API Authentication
+ *
+ * Endpoints called by business owners/staff authenticate with the Supabase
+ * session access token: `Authorization: Bearer <access_token>`.
+ * Membership and roles come from business_users.
+ */
+
+const { supabaseService, getBusinessRole } = require('./supabase');
+
+/**
+ * Resolve the Supabase user for a request
+ * @param {Object} req - Incoming request
+ * @returns {Promise<Object|null>} Supabase auth user, or null if unauthenticated
+ */
+async function getAuthenticatedUser(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (!match || !supabaseService) {
+    return null;
+  }
+
+  const { data, error } = await supabaseService.auth.getUser(match[1]);
+
+  if (error || !data?.user) {
+    return null;
+  }
+
+  return data.user;
+}
+
+/**
+ * Require an authenticated member of a business.
+ * Sends the 401/403 response itself when access is denied.
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Response
+ * @param {string} businessId - UUID of the business
+ * @param {Object} [options]
+ * @param {string[]} [options.roles] - Allowed roles (default: owner and staff)
+ * @returns {Promise<{user: Object, role: string}|null>} Member, or null if a response was sent
+ */
+async function requireBusinessMember(req, res, businessId, { roles = ['owner', 'staff'] } = {}) {
+  const user = await getAuthenticatedUser(req);
+
+  if (!user) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+
+  const role = businessId ? await getBusinessRole(businessId, user.id) : null;
+
+  if (!role || !roles.includes(role)) {
+    console.warn('⚠️ Business access denied:', { userId: user.id, businessId, role });
+    res.status(403).json({ error: 'Forbidden' });
+    return null;
+  }
+
+  return { user, role };
+}
+
+module.exports = {
+  getAuthenticatedUser,
+  requireBusinessMember
+};
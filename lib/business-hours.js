@@ -0,0 +1,125 @@
+/**
+ * Business Hours Evaluation
+ *
+ * Decides whether a business is open at a given moment in its own timezone,
+ * using `businesses.business_hours` and per-date rows in `business_closures`.
+ */
+
+const { getBusinessTimeZone, getLocalDateTimeParts } = require('./time');
+
+/**
+ * Possible results of getBusinessHoursStatus
+ */
+const HOURS_STATUS = {
+  OPEN: 'open',
+  AFTER_HOURS: 'after_hours',
+  CLOSED_DAY: 'closed_day'
+};
+
+// Mirrors the businesses.business_hours column default
+const DEFAULT_BUSINESS_HOURS = {
+  mon: { start: '09:00', end: '17:00' },
+  tue: { start: '09:00', end: '17:00' },
+  wed: { start: '09:00', end: '17:00' },
+  thu: { start: '09:00', end: '17:00' },
+  fri: { start: '09:00', end: '17:00' }
+};
+
+/**
+ * Convert "HH:MM" (or Postgres "HH:MM:SS") to minutes after midnight
+ * @param {string} value - Clock time
+ * @returns {number} Minutes, or NaN if unparseable
+ */
+function parseClockTime(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+
+  if (!match) {
+    return NaN;
+  }
+
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Resolve the opening hours that apply on a local date
+ * @param {Object} businessHours - business_hours JSON
+ * @param {string} weekday - 'mon'..'sun'
+ * @param {Object|null} closure - business_closures row for that date
+ * @returns {{start: string, end: string}|null} Hours, or null if closed all day
+ */
+function getHoursForDay(businessHours, weekday, closure = null) {
+  if (closure) {
+    if (closure.start_time && closure.end_time) {
+      return { start: closure.start_time, end: closure.end_time };
+    }
+    return null;
+  }
+
+  const dayHours = (businessHours || DEFAULT_BUSINESS_HOURS)[weekday];
+
+  if (!dayHours || dayHours.closed || !dayHours.start || !dayHours.end) {
+    return null;
+  }
+
+  return { start: dayHours.start, end: dayHours.end };
+}
+
+/**
+ * Check whether a local clock time falls within opening hours
+ * @param {{start: string, end: string}|null} hours - Hours from getHoursForDay
+ * @param {string} time - Local time "HH:MM"
+ * @returns {boolean} True if open at that time
+ */
+function isTimeWithinHours(hours, time) {
+  if (!hours) {
+    return false;
+  }
+
+  const minutes = parseClockTime(time);
+  const opensAt = parseClockTime(hours.start);
+  const closesAt = parseClockTime(hours.end);
+
+  return minutes >= opensAt && minutes < closesAt;
+}
+
+/**
+ * Determine whether a business is open right now
+ * @param {Object} business - Business with timezone and business_hours
+ * @param {Object} options - Evaluation options
+ * @param {Date} options.now - Moment to evaluate (default: current time)
+ * @param {Object|null} options.closure - business_closures row for the local date, if any
+ * @returns {{status: string, timeZone: string, localDate: string, hours: Object|null, closureReason: string|null}}
+ */
+function getBusinessHoursStatus(business, options = {}) {
+  const { now = new Date(), closure = null } = options;
+  const timeZone = getBusinessTimeZone(business);
+  const local = getLocalDateTimeParts(now, timeZone);
+  const hours = getHoursForDay(business?.business_hours, local.weekday, closure);
+
+  const result = {
+    timeZone,
+    localDate: local.date,
+    hours,
+    closureReason: closure?.reason || null
+  };
+
+  if (!hours) {
+    return { status: HOURS_STATUS.CLOSED_DAY, ...result };
+  }
+
+  if (Number.isNaN(parseClockTime(hours.start)) || Number.isNaN(parseClockTime(hours.end))) {
+    console.warn('⚠️ Unparseable business hours, treating as after hours:', hours);
+    return { status: HOURS_STATUS.AFTER_HOURS, ...result };
+  }
+
+  const isOpen = isTimeWithinHours(hours, local.time);
+  return { status: isOpen ? HOURS_STATUS.OPEN : HOURS_STATUS.AFTER_HOURS, ...result };
+}
+
+module.exports = {
+  HOURS_STATUS,
+  parseClockTime,
+  getHoursForDay,
+  isTimeWithinHours,
+  getBusinessHoursStatus
+};
@@ -0,0 +1,385 @@
+/**
+ * Cal.com Webhook Sync
+ *
+ * Keeps the bookings table in step with changes made directly in Cal.com
+ * (by staff, or by customers through Cal.com emails). Bookings are matched
+ * by calcom_uid within the business the webhook belongs to; every status or
+ * time change is written to booking_events.
+ *
+ * Handled triggers:
+ * - BOOKING_CREATED: insert the booking (or confirm the one we created)
+ * - BOOKING_CANCELLED: mark cancelled
+ * - BOOKING_RESCHEDULED: move the original booking to the new UID and time
+ * - MEETING_ENDED: mark completed
+ * - BOOKING_NO_SHOW_UPDATED: mark no-show
+ *
+ * Each Cal.com connection has its own webhook, registered on the owner's
+ * Cal.com account when they connect (registerCalcomWebhook). Its secret is
+ * random, never shown to the owner, and stored encrypted on the integration
+ * row; the subscriber URL carries the integration ID, so a delivery is only
+ * checked against that integration's secret and only touches its business.
+ *
+ * Signatures: Cal.com sends `x-cal-signature-256` = hex HMAC-SHA256 of the
+ * raw body, keyed with the webhook secret. The route reads the raw body
+ * itself (lib/http.js) so the HMAC covers the exact bytes Cal.com signed.
+ *
+ * Environment variables:
+ * - CALCOM_WEBHOOK_URL: Public URL of /api/calcom/webhook, e.g. https://your-domain.com/api/calcom/webhook
+ * - CALCOM_SKIP_WEBHOOK_AUTH: Local dev only - accept unsigned webhooks for an
+ *   integration without a secret (ignored in production; each bypass is logged by the caller)
+ */
+
+const crypto = require('crypto');
+const {
+  getBookingByCalcomUid,
+  insertBookingByCalcomUid,
+  updateBooking,
+  createBookingEvent,
+  getCalcomCredentials,
+  updateCalcomWebhook
+} = require('./supabase');
+const { createCalcomWebhook, deleteCalcomWebhook } = require('./calcom');
+const { getDeploymentEnvironment } = require('./config');
+const { safeEqual } = require('./http');
+const { recordCustomerBooking } = require('./customers');
+const { hashPayload } = require('./webhook-events');
+
+const CALCOM_TRIGGERS = {
+  BOOKING_CREATED: 'BOOKING_CREATED',
+  BOOKING_CANCELLED: 'BOOKING_CANCELLED',
+  BOOKING_RESCHEDULED: 'BOOKING_RESCHEDULED',
+  MEETING_ENDED: 'MEETING_ENDED',
+  BOOKING_NO_SHOW_UPDATED: 'BOOKING_NO_SHOW_UPDATED'
+};
+
+// Statuses a late or replayed event must not overwrite
+const FINAL_STATUSES = ['cancelled', 'completed', 'no-show'];
+
+/**
+ * Verify a Cal.com webhook request
+ * @param {Object} req - Incoming request, with req.rawBody set by readJsonBody (lib/http.js)
+ * @param {Object|null} integration - business_integrations row named in the subscriber URL
+ * @returns {{ok: boolean, reason?: string, bypassed?: boolean}}
+ */
+function verifyCalcomWebhook(req, integration) {
+  if (integration?.provider !== 'calcom') {
+    return { ok: false, reason: 'unknown_integration' };
+  }
+
+  const secret = integration.webhook_secret;
+
+  if (!secret) {
+    if (process.env.CALCOM_SKIP_WEBHOOK_AUTH === 'true' && getDeploymentEnvironment() !== 'production') {
+      console.warn('⚠️ CALCOM_SKIP_WEBHOOK_AUTH set - accepting unsigned Cal.com webhook');
+      return { ok: true, bypassed: true };
+    }
+
+    return { ok: false, reason: 'secret_not_configured' };
+  }
+
+  const signature = req.headers?.['x-cal-signature-256'];
+
+  if (!signature) {
+    return { ok: false, reason: 'missing_signature' };
+  }
+
+  if (typeof req.rawBody !== 'string') {
+    return { ok: false, reason: 'missing_raw_body' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(req.rawBody)
+    .digest('hex');
+
+  if (!safeEqual(String(signature).replace(/^sha256=/, ''), expected)) {
+    return { ok: false, reason: 'invalid_signature' };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Register this app's webhook on a business's Cal.com account
+ * Replaces the webhook from an earlier connection, if any.
+ * @param {string} businessId - UUID of the business
+ * @returns {Promise<Object>} Integration record with the new webhook stored
+ */
+async function registerCalcomWebhook(businessId) {
+  const webhookUrl = process.env.CALCOM_WEBHOOK_URL;
+
+  if (!webhookUrl) {
+    throw new Error('CALCOM_WEBHOOK_URL not configured');
+  }
+
+  const integration = await getCalcomCredentials(businessId);
+  const previousWebhookId = integration?.config?.webhook_id;
+
+  if (previousWebhookId) {
+    try {
+      await deleteCalcomWebhook(businessId, previousWebhookId);
+    } catch (error) {
+      console.error('⚠️ Failed to delete previous Cal.com webhook:', error.message);
+    }
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const webhook = await createCalcomWebhook(businessId, {
+    subscriberUrl: `${webhookUrl}?${new URLSearchParams({ integration: integration.id })}`,
+    secret,
+    triggers: Object.values(CALCOM_TRIGGERS)
+  });
+
+  try {
+    return await updateCalcomWebhook(businessId, { webhookId: webhook.id, webhookSecret: secret });
+  } catch (error) {
+    // Without its secret stored, every delivery to this webhook would be rejected
+    await deleteCalcomWebhook(businessId, webhook.id).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Dedupe key for a Cal.com webhook delivery
+ * @param {Object} event - Webhook body
+ * @param {string} businessId - Business the webhook belongs to
+ * @returns {string} Dedupe key
+ */
+function getCalcomDedupeKey(event, businessId) {
+  const trigger = event?.triggerEvent || 'unknown';
+  const uid = event?.payload?.uid || event?.payload?.bookingUid || 'no-uid';
+  return `${businessId}:${trigger}:${uid}:${event?.createdAt || hashPayload(event)}`;
+}
+
+/**
+ * Map a Cal.com booking status to bookings.status
+ * @param {string} calcomStatus - e.g. 'ACCEPTED', 'PENDING', 'CANCELLED'
+ * @returns {string} bookings.status
+ */
+function mapCalcomStatus(calcomStatus) {
+  switch (String(calcomStatus || '').toUpperCase()) {
+    case 'PENDING':
+    case 'AWAITING_HOST':
+      return 'pending';
+    case 'CANCELLED':
+    case 'REJECTED':
+      return 'cancelled';
+    default:
+      return 'confirmed';
+  }
+}
+
+/**
+ * Booking columns described by a Cal.com booking payload
+ * @param {Object} payload - Webhook `payload`
+ * @returns {Object} bookings fields (only those present in the payload)
+ */
+function getBookingFields(payload) {
+  const attendee = payload.attendees?.[0] || {};
+  const phone = attendee.phoneNumber
+    || payload.responses?.attendeePhoneNumber?.value
+    || payload.smsReminderNumber
+    || null;
+
+  const fields = {
+    calcom_booking_id: payload.bookingId || payload.id || undefined,
+    calcom_event_type_id: payload.eventTypeId || undefined,
+    scheduled_at: payload.startTime ? new Date(payload.startTime).toISOString() : undefined,
+    customer_name: attendee.name || undefined,
+    customer_email: attendee.email ? attendee.email.trim().toLowerCase() : undefined,
+    customer_phone: phone || undefined
+  };
+
+  if (payload.startTime && payload.endTime) {
+    const minutes = Math.round((new Date(payload.endTime) - new Date(payload.startTime)) / 60000);
+    if (minutes > 0) {
+      fields.duration_minutes = minutes;
+    }
+  }
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Work out the status a trigger moves a booking to
+ * @param {string} trigger - Cal.com trigger event
+ * @param {Object} payload - Webhook `payload`
+ * @param {Object|null} existing - Current bookings row
+ * @returns {string} New bookings.status
+ */
+function getNextStatus(trigger, payload, existing) {
+  const current = existing?.status || null;
+
+  switch (trigger) {
+    case CALCOM_TRIGGERS.BOOKING_CREATED:
+      // A replayed create must not reopen a booking that has moved on
+      return current && FINAL_STATUSES.includes(current) ? current : mapCalcomStatus(payload.status);
+
+    case CALCOM_TRIGGERS.BOOKING_CANCELLED:
+      return 'cancelled';
+
+    case CALCOM_TRIGGERS.BOOKING_RESCHEDULED:
+      return current === 'cancelled' ? current : mapCalcomStatus(payload.status);
+
+    case CALCOM_TRIGGERS.MEETING_ENDED:
+      return current === 'cancelled' || current === 'no-show' ? current : 'completed';
+
+    case CALCOM_TRIGGERS.BOOKING_NO_SHOW_UPDATED: {
+      const noShow = (payload.attendees || []).some(attendee => attendee.noShow);
+      if (noShow) {
+        return 'no-show';
+      }
+      return current === 'no-show' ? 'completed' : current;
+    }
+
+    default:
+      return current;
+  }
+}
+
+/**
+ * Apply a Cal.com webhook to a business's bookings
+ * @param {Object} event - Webhook body `{ triggerEvent, createdAt, payload }`
+ * @param {string} businessId - Business whose integration the webhook belongs to
+ * @returns {Promise<Object>} Response body, e.g. `{ received: true, bookingId, status }`
+ */
+async function processCalcomWebhook(event, businessId) {
+  const trigger = event?.triggerEvent;
+  const payload = event?.payload || {};
+  const uid = payload.uid || payload.bookingUid;
+
+  if (!Object.values(CALCOM_TRIGGERS).includes(trigger)) {
+    console.log('ℹ️ Ignoring Cal.com trigger:', trigger);
+    return { received: true, ignored: true };
+  }
+
+  if (!uid) {
+    console.warn('⚠️ Cal.com webhook without booking UID:', trigger);
+    return { received: true, ignored: true };
+  }
+
+  let existing = await getBookingByCalcomUid(businessId, uid);
+  const rescheduledFromUid = payload.rescheduleUid || payload.fromReschedule || null;
+
+  if (!existing && trigger === CALCOM_TRIGGERS.BOOKING_RESCHEDULED && rescheduledFromUid) {
+    existing = await getBookingByCalcomUid(businessId, rescheduledFromUid);
+  }
+
+  const fields = getBookingFields(payload);
+
+  if (!existing && !fields.scheduled_at) {
+    // e.g. a no-show update for a booking we never stored
+    console.warn('⚠️ Cal.com update for unknown booking without a start time:', { trigger, uid });
+    return { received: true, ignored: true };
+  }
+
+  const status = getNextStatus(trigger, payload, existing) || 'confirmed';
+  const now = new Date().toISOString();
+
+  const metadata = {
+    ...(existing?.metadata || {}),
+    calcom_last_trigger: trigger,
+    ...(trigger === CALCOM_TRIGGERS.BOOKING_RESCHEDULED && existing && existing.calcom_uid !== uid
+      ? { rescheduled_from_uid: existing.calcom_uid, rescheduled_at: now }
+      : {}),
+    ...(trigger === CALCOM_TRIGGERS.BOOKING_CANCELLED && payload.cancellationReason
+      ? { cancellation_reason: payload.cancellationReason }
+      : {})
+  };
+
+  const updates = {
+    calcom_uid: uid,
+    status,
+    metadata,
+    ...(status === 'cancelled' && existing?.status !== 'cancelled' ? { cancelled_at: now } : {})
+  };
+
+  // Other triggers can be late or replayed with stale times; only a reschedule moves a stored booking
+  const movesSlot = trigger === CALCOM_TRIGGERS.BOOKING_RESCHEDULED;
+
+  let booking;
+
+  if (existing) {
+    // Keep the details our assistant collected; fill in anything missing
+    booking = await updateBooking(existing.id, {
+      ...updates,
+      ...pick(fields, movesSlot
+        ? ['scheduled_at', 'duration_minutes', 'calcom_booking_id', 'calcom_event_type_id']
+        : ['calcom_booking_id', 'calcom_event_type_id'].filter(key => !existing[key])),
+      customer_name: existing.customer_name || fields.customer_name || null,
+      customer_email: existing.customer_email || fields.customer_email || null,
+      customer_phone: existing.customer_phone || fields.customer_phone || null
+    });
+  } else {
+    booking = await insertBookingByCalcomUid({
+      business_id: businessId,
+      ...fields,
+      ...updates,
+      metadata: { ...metadata, source: 'calcom' }
+    });
+
+    if (!booking) {
+      // Stored meanwhile by a concurrent delivery, or the UID belongs to another business
+      booking = await getBookingByCalcomUid(businessId, uid);
+      if (!booking) {
+        console.warn('⚠️ Cal.com UID already stored for another business:', { trigger, uid, businessId });
+        return { received: true, ignored: true };
+      }
+    } else if (booking.customer_phone) {
+      await recordCustomerBooking({ id: businessId }, {
+        phone: booking.customer_phone,
+        name: booking.customer_name,
+        email: booking.customer_email,
+        bookingId: booking.id
+      });
+    }
+  }
+
+  const statusChanged = existing?.status !== booking.status;
+  const timeChanged = existing
+    && new Date(existing.scheduled_at).getTime() !== new Date(booking.scheduled_at).getTime();
+
+  if (!existing || statusChanged || timeChanged || existing.calcom_uid !== booking.calcom_uid) {
+    try {
+      await createBookingEvent({
+        business_id: businessId,
+        booking_id: booking.id,
+        event_type: trigger,
+        calcom_uid: uid,
+        previous_status: existing?.status || null,
+        status: booking.status,
+        previous_scheduled_at: existing?.scheduled_at || null,
+        scheduled_at: booking.scheduled_at,
+        details: {
+          ...(rescheduledFromUid ? { rescheduled_from_uid: rescheduledFromUid } : {}),
+          ...(payload.cancellationReason ? { cancellation_reason: payload.cancellationReason } : {}),
+          ...(payload.cancelledBy ? { cancelled_by: payload.cancelledBy } : {}),
+          ...(payload.rescheduledBy ? { rescheduled_by: payload.rescheduledBy } : {})
+        }
+      });
+    } catch (error) {
+      console.error('⚠️ Failed to record booking history:', error.message);
+    }
+  }
+
+  console.log('✅ Cal.com booking synced:', {
+    trigger,
+    bookingId: booking.id,
+    previousStatus: existing?.status || null,
+    status: booking.status
+  });
+
+  return { received: true, bookingId: booking.id, status: booking.status };
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
+
+module.exports = {
+  CALCOM_TRIGGERS,
+  verifyCalcomWebhook,
+  registerCalcomWebhook,
+  getCalcomDedupeKey,
+  processCalcomWebhook
+};
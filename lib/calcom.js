@@ -14,14 +14,43 @@
  * - CALCOM_REDIRECT_URI: OAuth callback URL (e.g., https://your-domain.com/api/calcom/oauth)
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
-const { getBusinessById, getCalcomCredentials, updateCalcomCredentials } = require('./supabase');
-const { APP_TIME_ZONE } = require('./time');
+const {
+  getBusinessById,
+  getCalcomCredentials,
+  updateCalcomCredentials,
+  acquireIntegrationRefreshLock,
+  releaseIntegrationRefreshLock,
+  markIntegrationDisconnected,
+  recordIntegrationFailure,
+  resetIntegrationCircuit
+} = require('./supabase');
+const {
+  APP_TIME_ZONE,
+  resolveTimeZone,
+  getLocalDayRangeUtc,
+  getLocalDateTimeParts
+} = require('./time');
+const { filterSlotsByTimePreference, matchRequestedSlot, SlotUnavailableError } = require('./calendar/slots');
+const { notifyBusinessOwner } = require('./notifications');
+const { escapeHtml } = require('./email');
 
 const CALCOM_API_BASE = 'https://api.cal.com/v2';
 const CALCOM_DEFAULT_API_VERSION = '2024-08-13';
 const CALCOM_LEGACY_SLOTS_API_VERSION = '2024-06-06';
 const CALCOM_SLOTS_API_VERSION = '2024-09-04';
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const TOKEN_REFRESH_LEASE_SECONDS = 30;
+const TOKEN_REFRESH_WAIT_MS = 15000;
+const TOKEN_REFRESH_POLL_MS = 500;
+const CALCOM_REQUEST_TIMEOUT_MS = 8000;
+const CALCOM_REQUEST_BUDGET_MS = 15000;
+const CALCOM_MIN_ATTEMPT_MS = 1000;
+const CALCOM_MAX_RETRIES = 2;
+const CALCOM_RETRY_BASE_DELAY_MS = 300;
+const CALCOM_CIRCUIT_FAILURE_THRESHOLD = 3;
+const CALCOM_CIRCUIT_OPEN_SECONDS = 60;
 const CALCOM_CLIENT_ID = process.env.CALCOM_CLIENT_ID;
 const CALCOM_CLIENT_SECRET = process.env.CALCOM_CLIENT_SECRET;
 const CALCOM_REDIRECT_URI = process.env.CALCOM_REDIRECT_URI;
@@ -38,8 +67,8 @@ function buildCalcomHeaders(accessToken, apiVersion = CALCOM_DEFAULT_API_VERSION
   };
 }
 
-function getBusinessTimeZone(business, credentials) {
-  return APP_TIME_ZONE;
+function getBusinessTimeZone(business) {
+  return resolveTimeZone(business?.timezone);
 }
 
 function extractSlotStart(slot) {
@@ -87,15 +116,8 @@ function unwrapCalcomData(payload) {
   return payload?.data ?? payload;
 }
 
-function getHourInTimeZone(dateTime, timeZone) {
-  const parts = new Intl.DateTimeFormat('en-US', {
-    hour: 'numeric',
-    hourCycle: 'h23',
-    timeZone
-  }).formatToParts(new Date(dateTime));
-
-  const hour = parts.find(part => part.type === 'hour');
-  return hour ? Number(hour.value) : NaN;
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 function normalizePhoneNumber(phone) {
@@ -123,29 +145,6 @@ function normalizePhoneNumber(phone) {
   return null;
 }
 
-function getTimePartsInTimeZone(dateTime, timeZone = APP_TIME_ZONE) {
-  const parts = new Intl.DateTimeFormat('en-CA', {
-    timeZone,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    hourCycle: 'h23'
-  }).formatToParts(new Date(dateTime));
-
-  const lookup = Object.fromEntries(
-    parts
-      .filter(part => part.type !== 'literal')
-      .map(part => [part.type, part.value])
-  );
-
-  return {
-    date: `${lookup.year}-${lookup.month}-${lookup.day}`,
-    time: `${lookup.hour}:${lookup.minute}`
-  };
-}
-
 function getRequestedWallClockParts(dateTime) {
   const match = String(dateTime || '').match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/);
 
@@ -159,7 +158,7 @@ function getRequestedWallClockParts(dateTime) {
   };
 }
 
-async function resolveBookingStartTime(businessId, requestedStart) {
+async function resolveBookingStartTime(businessId, requestedStart, timeZone = APP_TIME_ZONE, eventTypeId = null, options = {}) {
   const requestedWallClock = getRequestedWallClockParts(requestedStart);
   const requestedInstant = new Date(requestedStart);
 
@@ -167,44 +166,39 @@ async function resolveBookingStartTime(businessId, requestedStart) {
     throw new Error('Invalid booking start time');
   }
 
-  const availableSlots = await checkAvailability(businessId, requestedWallClock.date, 'any');
-
-  const wallClockMatch = availableSlots.find(slot => {
-    const slotParts = getTimePartsInTimeZone(slot, APP_TIME_ZONE);
-    return slotParts.date === requestedWallClock.date && slotParts.time === requestedWallClock.time;
+  const availableSlots = await checkAvailability(businessId, requestedWallClock.date, 'any', {
+    eventTypeId,
+    deadline: options.deadline
   });
-
-  if (wallClockMatch) {
-    console.warn('⚠️ Adjusted booking start to exact available slot in New York timezone:', {
-      requestedStart,
-      resolvedStart: wallClockMatch
-    });
-    return wallClockMatch;
+  const slot = matchRequestedSlot(availableSlots, requestedStart, timeZone);
+
+  if (slot) {
+    if (new Date(slot).getTime() !== requestedInstant.getTime()) {
+      console.warn('⚠️ Adjusted booking start to exact available slot in business timezone:', {
+        requestedStart,
+        resolvedStart: slot,
+        timeZone
+      });
+    }
+    return slot;
   }
 
-  const exactInstantMatch = availableSlots.find(slot =>
-    new Date(slot).getTime() === requestedInstant.getTime()
+  throw new SlotUnavailableError(
+    `Requested slot ${requestedWallClock.date} ${requestedWallClock.time} is not currently available`,
+    requestedStart
   );
-
-  if (exactInstantMatch) {
-    return exactInstantMatch;
-  }
-
-  throw new Error(`Requested slot ${requestedWallClock.date} ${requestedWallClock.time} is not currently available`);
 }
 
 /**
  * Generate Cal.com OAuth2 authorization URL
- * @param {string} businessId - Business UUID to store in state
+ * @param {string} state - Signed state from lib/oauth-state.js createSignedState()
  * @returns {string} Authorization URL
  */
-function getAuthorizationUrl(businessId) {
+function getAuthorizationUrl(state) {
   if (!CALCOM_CLIENT_ID || !CALCOM_REDIRECT_URI) {
     throw new Error('Cal.com OAuth not configured');
   }
 
-  const state = Buffer.from(JSON.stringify({ businessId })).toString('base64');
-  
   // Cal.com OAuth authorization endpoint
   const params = new URLSearchParams({
     client_id: CALCOM_CLIENT_ID,
@@ -273,7 +267,8 @@ async function refreshAccessToken(refreshToken) {
     }, {
       headers: {
         'Content-Type': 'application/json'
-      }
+      },
+      timeout: 10000
     });
 
     const { access_token, refresh_token, expires_in } = response.data;
@@ -290,12 +285,45 @@ async function refreshAccessToken(refreshToken) {
   }
 }
 
+/**
+ * Check whether stored credentials need a refresh (expired or expiring within 5 minutes)
+ */
+function needsTokenRefresh(credentials, now = Date.now()) {
+  return new Date(credentials.token_expires_at).getTime() < now + TOKEN_REFRESH_MARGIN_MS;
+}
+
+/**
+ * Whether Cal.com rejected the refresh token itself (as opposed to a network or server error)
+ */
+function isRefreshRejected(error) {
+  const status = error.response?.status;
+  return status === 400 || status === 401 || error.response?.data?.error === 'invalid_grant';
+}
+
 /**
  * Get valid access token for a business (auto-refresh if expired)
  * @param {string} businessId - Business UUID
  * @returns {Promise<string>} Valid access token
  */
 async function getValidAccessToken(businessId) {
+  const credentials = await getValidCredentials(businessId);
+  return credentials.access_token;
+}
+
+/**
+ * Get the business's Cal.com integration with a valid access token
+ *
+ * Cal.com rotates refresh tokens, so concurrent refreshes would invalidate
+ * each other. One request takes a lease on the integration row and
+ * refreshes; the others wait and re-read the stored token.
+ *
+ * @param {string} businessId - Business UUID
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Stop waiting for another request's refresh at this time (ms)
+ * @returns {Promise<Object>} business_integrations row with a valid access_token
+ */
+async function getValidCredentials(businessId, options = {}) {
+  const { deadline = Date.now() + TOKEN_REFRESH_WAIT_MS } = options;
   const credentials = await getCalcomCredentials(businessId);
   
   console.log('🔍 Validating token for business:', businessId);
@@ -309,30 +337,254 @@ async function getValidAccessToken(businessId) {
     throw new Error('Business not connected to Cal.com');
   }
 
-  // Check if token is expired or will expire in the next 5 minutes
-  const expiresAt = new Date(credentials.token_expires_at);
-  const now = new Date();
-  const fiveMinutesFromNow = new Date(now.getTime() + 5 * 60 * 1000);
+  if (!needsTokenRefresh(credentials)) {
+    console.log('✅ Token is valid');
+    return credentials;
+  }
 
-  if (expiresAt < fiveMinutesFromNow) {
-    console.log('🔄 Refreshing expired Cal.com token');
-    
-    const newTokens = await refreshAccessToken(credentials.refresh_token);
-    await updateCalcomCredentials(businessId, newTokens);
-    
-    return newTokens.access_token;
+  for (;;) {
+    const lockId = crypto.randomUUID();
+
+    if (await acquireIntegrationRefreshLock(credentials.id, lockId, TOKEN_REFRESH_LEASE_SECONDS)) {
+      try {
+        // The refresh itself isn't cut short by the deadline: Cal.com rotates
+        // the refresh token, so abandoning the response would lose the new one
+        return await refreshStoredToken(businessId, lockId);
+      } finally {
+        await releaseIntegrationRefreshLock(credentials.id, lockId);
+      }
+    }
+
+    // Another request is refreshing - wait for it to store the new token
+    await sleep(Math.max(0, Math.min(TOKEN_REFRESH_POLL_MS, deadline - Date.now())));
+
+    const latest = await getCalcomCredentials(businessId);
+
+    if (!latest?.access_token) {
+      throw new Error('Business not connected to Cal.com');
+    }
+
+    if (!needsTokenRefresh(latest)) {
+      console.log('✅ Using token refreshed by another request');
+      return latest;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new CalcomTimeoutError('Timed out waiting for Cal.com token refresh');
+    }
   }
+}
 
-  console.log('✅ Token is valid');
-  return credentials.access_token;
+/**
+ * Refresh the stored token while holding the refresh lease
+ * @param {string} businessId - Business UUID
+ * @param {string} lockId - Lease ID (for logging)
+ * @returns {Promise<Object>} business_integrations row with a valid access_token
+ */
+async function refreshStoredToken(businessId, lockId) {
+  // Re-read after taking the lease: another request may have just refreshed
+  const credentials = await getCalcomCredentials(businessId);
+
+  if (!credentials?.access_token) {
+    throw new Error('Business not connected to Cal.com');
+  }
+
+  if (!needsTokenRefresh(credentials)) {
+    console.log('✅ Token already refreshed by another request');
+    return credentials;
+  }
+
+  console.log('🔄 Refreshing expired Cal.com token', { businessId, lockId });
+
+  let newTokens;
+  try {
+    if (!credentials.refresh_token) {
+      throw Object.assign(new Error('No refresh token stored'), { response: { status: 401 } });
+    }
+
+    newTokens = await refreshAccessToken(credentials.refresh_token);
+  } catch (error) {
+    if (isRefreshRejected(error)) {
+      await handleRefreshRejected(businessId, credentials, error);
+      throw new Error('Business not connected to Cal.com');
+    }
+    throw error;
+  }
+
+  const updated = await updateCalcomCredentials(businessId, newTokens);
+  console.log('✅ Cal.com token refreshed');
+
+  return { ...credentials, ...updated, access_token: newTokens.access_token };
+}
+
+/**
+ * Mark the integration disconnected and tell the owner to reconnect
+ * Bookings fall back to callback requests while disconnected.
+ */
+async function handleRefreshRejected(businessId, credentials, error) {
+  const reason = error.response?.data?.error_description
+    || error.response?.data?.error
+    || error.message
+    || 'Token refresh rejected';
+
+  console.error('🚨 Cal.com refresh rejected, marking integration disconnected:', { businessId, reason });
+
+  const disconnected = await markIntegrationDisconnected(credentials.id, String(reason).slice(0, 500));
+  if (!disconnected) {
+    // Another request already handled it
+    return;
+  }
+
+  try {
+    const business = await getBusinessById(businessId);
+    if (!business) return;
+
+    const subject = `Action needed: reconnect Cal.com for ${business.name}`;
+    const text = [
+      `Cal.com stopped accepting the connection for ${business.name}, so the assistant can't book appointments right now.`,
+      'Callers are being offered a callback instead.',
+      '',
+      'Reconnect Cal.com from your dashboard to turn booking back on.',
+      '',
+      `Error from Cal.com: ${reason}`
+    ].join('\n');
+
+    await notifyBusinessOwner(business, {
+      subject,
+      text,
+      html: `<p>Cal.com stopped accepting the connection for <strong>${escapeHtml(business.name)}</strong>, so the assistant can't book appointments right now. Callers are being offered a callback instead.</p>`
+        + '<p>Reconnect Cal.com from your dashboard to turn booking back on.</p>'
+        + `<p style="color:#666">Error from Cal.com: ${escapeHtml(reason)}</p>`,
+      sms: `${business.name}: Cal.com disconnected - online booking is paused. Reconnect it from your dashboard.`
+    });
+  } catch (notifyError) {
+    console.error('❌ Failed to alert owner about Cal.com disconnect:', notifyError.message);
+  }
+}
+
+/**
+ * Thrown instead of calling Cal.com while the business's circuit breaker is open
+ */
+class CalcomUnavailableError extends Error {
+  constructor(message, openUntil = null) {
+    super(message);
+    this.name = 'CalcomUnavailableError';
+    this.openUntil = openUntil;
+  }
+}
+
+/**
+ * Thrown when a request's deadline runs out before Cal.com answers
+ * Treated like an open circuit: the assistant offers a callback instead.
+ */
+class CalcomTimeoutError extends CalcomUnavailableError {
+  constructor(message, cause = null) {
+    super(message);
+    this.name = 'CalcomTimeoutError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Whether the business's Cal.com circuit breaker is open
+ * @param {Object|null} credentials - business_integrations row
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ */
+function isCircuitOpen(credentials, now = Date.now()) {
+  return !!credentials?.circuit_open_until
+    && new Date(credentials.circuit_open_until).getTime() > now;
+}
+
+/**
+ * Whether a failed request may be retried
+ * Writes are only retried on 429 (rejected before processing), so a booking
+ * that timed out is never submitted twice.
+ */
+function isRetryableError(error, method) {
+  const status = error.response?.status;
+
+  if (status === 429) {
+    return true;
+  }
+
+  if (!['GET', 'DELETE'].includes(method)) {
+    return false;
+  }
+
+  return !error.response || status >= 500;
+}
+
+/**
+ * Whether a failed request counts toward the circuit breaker
+ * Other 4xx responses mean Cal.com is up and answering.
+ */
+function isServiceFailure(error) {
+  const status = error.response?.status;
+  return !error.response || status === 429 || status >= 500;
+}
+
+/**
+ * Delay before the next attempt, in ms
+ * Honors Retry-After (seconds or HTTP date), otherwise exponential backoff with full jitter.
+ */
+function getRetryDelay(error, attempt, now = Date.now()) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+
+  if (retryAfter !== undefined && retryAfter !== null) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  return Math.random() * CALCOM_RETRY_BASE_DELAY_MS * 2 ** attempt;
+}
+
+/**
+ * Count a failed request toward the circuit breaker
+ */
+async function recordCalcomFailure(businessId, credentials) {
+  try {
+    const openUntil = await recordIntegrationFailure(
+      credentials.id,
+      CALCOM_CIRCUIT_FAILURE_THRESHOLD,
+      CALCOM_CIRCUIT_OPEN_SECONDS
+    );
+
+    if (openUntil && new Date(openUntil).getTime() > Date.now()) {
+      console.error('🚨 Cal.com circuit open, pausing requests:', { businessId, openUntil });
+    }
+  } catch (error) {
+    console.error('⚠️ Failed to record Cal.com failure:', error.message);
+  }
 }
 
 /**
  * Make authenticated request to Cal.com API
+ *
+ * Each attempt has a timeout and the whole request a deadline, so a slow
+ * Cal.com can't hold a live call. Assistant tools pass one deadline for
+ * the whole tool call (lib/assistant-tools.js); otherwise each request
+ * gets its own budget. Rate limits (429), 5xx responses
+ * and network errors are retried with backoff. Requests that still fail
+ * count toward a per-business circuit breaker; while it is open, requests
+ * throw CalcomUnavailableError without calling Cal.com. Running out of time
+ * throws CalcomTimeoutError (a CalcomUnavailableError).
+ *
  * @param {string} businessId - Business UUID
  * @param {string} method - HTTP method
  * @param {string} endpoint - API endpoint (without base URL)
  * @param {Object} data - Request body
+ * @param {Object} [options]
+ * @param {string} [options.apiVersion] - cal-api-version header
+ * @param {Object} [options.params] - Query parameters
+ * @param {number} [options.deadline] - Give up at this time (ms), including token refresh waits
  * @returns {Promise<Object>} API response
  */
 async function calcomApiRequest(businessId, method, endpoint, data = null, options = {}) {
@@ -340,15 +592,26 @@ async function calcomApiRequest(businessId, method, endpoint, data = null, optio
     apiVersion = CALCOM_DEFAULT_API_VERSION,
     params = null
   } = options;
-  const accessToken = await getValidAccessToken(businessId);
+  const credentials = await getValidCredentials(businessId, options.deadline ? { deadline: options.deadline } : {});
+
+  if (isCircuitOpen(credentials)) {
+    console.warn('⚠️ Cal.com circuit open, skipping request:', {
+      businessId,
+      endpoint,
+      openUntil: credentials.circuit_open_until
+    });
+    throw new CalcomUnavailableError('Cal.com temporarily unavailable', credentials.circuit_open_until);
+  }
   
   const url = `${CALCOM_API_BASE}${endpoint}`;
-  console.log('📡 Cal.com API request:', { method, url });
+  const httpMethod = String(method).toUpperCase();
+  const deadline = options.deadline || Date.now() + CALCOM_REQUEST_BUDGET_MS;
+  console.log('📡 Cal.com API request:', { method: httpMethod, url });
   
   const config = {
-    method,
+    method: httpMethod,
     url,
-    headers: buildCalcomHeaders(accessToken, apiVersion)
+    headers: buildCalcomHeaders(credentials.access_token, apiVersion)
   };
 
   if (data) {
@@ -359,18 +622,60 @@ async function calcomApiRequest(businessId, method, endpoint, data = null, optio
     config.params = params;
   }
 
-  try {
-    const response = await axios(config);
-    console.log('✅ Cal.com API success:', endpoint);
-    return response.data;
-  } catch (error) {
-    console.error('❌ Cal.com API error:', {
-      endpoint,
-      url,
-      status: error.response?.status,
-      data: error.response?.data
-    });
-    throw error;
+  for (let attempt = 0; ; attempt += 1) {
+    const remaining = deadline - Date.now();
+
+    if (remaining < CALCOM_MIN_ATTEMPT_MS) {
+      throw new CalcomTimeoutError(`No time left for Cal.com request: ${endpoint}`);
+    }
+
+    try {
+      const response = await axios({
+        ...config,
+        timeout: Math.max(1, Math.min(CALCOM_REQUEST_TIMEOUT_MS, remaining))
+      });
+      console.log('✅ Cal.com API success:', endpoint);
+
+      if (credentials.circuit_failures > 0) {
+        await resetIntegrationCircuit(credentials.id);
+      }
+
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      const delay = getRetryDelay(error, attempt);
+      const canRetry = attempt < CALCOM_MAX_RETRIES
+        && isRetryableError(error, httpMethod)
+        && Date.now() + delay < deadline - CALCOM_MIN_ATTEMPT_MS;
+
+      console.error('❌ Cal.com API error:', {
+        endpoint,
+        url,
+        attempt: attempt + 1,
+        status,
+        code: error.code,
+        data: error.response?.data,
+        retrying: canRetry
+      });
+
+      if (canRetry) {
+        await sleep(delay);
+        continue;
+      }
+
+      if (isServiceFailure(error)) {
+        await recordCalcomFailure(businessId, credentials);
+      } else if (credentials.circuit_failures > 0) {
+        await resetIntegrationCircuit(credentials.id);
+      }
+
+      // No time left to try again, so the caller should stop waiting on Cal.com
+      if (isServiceFailure(error) && deadline - Date.now() < CALCOM_MIN_ATTEMPT_MS) {
+        throw new CalcomTimeoutError(`Cal.com request ran out of time: ${endpoint}`, error);
+      }
+
+      throw error;
+    }
   }
 }
 
@@ -402,15 +707,34 @@ async function getEventTypes(businessId) {
   return [];
 }
 
+/**
+ * Reduce Cal.com event types to what an owner needs to pick a default
+ * @param {Array} eventTypes - Event types from getEventTypes()
+ * @returns {Array<{id: number, title: string, slug: string, lengthMinutes: number|null}>}
+ */
+function summarizeEventTypes(eventTypes) {
+  return (eventTypes || [])
+    .filter(eventType => eventType?.id)
+    .map(eventType => ({
+      id: eventType.id,
+      title: eventType.title || eventType.slug || `Event type ${eventType.id}`,
+      slug: eventType.slug || null,
+      lengthMinutes: eventType.lengthInMinutes || eventType.length || null
+    }));
+}
+
 /**
  * Check availability for a specific date
  * @param {string} businessId - Business UUID
  * @param {string} date - Date to check (YYYY-MM-DD)
  * @param {string} timePreference - 'morning', 'afternoon', 'evening', or 'any'
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.eventTypeId] - Event type for the requested service (default: business default)
+ * @param {number} [options.deadline] - Give up at this time (ms)
  * @returns {Promise<Array>} Available time slots (ISO 8601 strings)
  */
-async function checkAvailability(businessId, date, timePreference = 'any') {
-  console.log('📅 Checking availability:', { businessId, date, timePreference });
+async function checkAvailability(businessId, date, timePreference = 'any', options = {}) {
+  console.log('📅 Checking availability:', { businessId, date, timePreference, eventTypeId: options.eventTypeId });
   
   const [credentials, business] = await Promise.all([
     getCalcomCredentials(businessId),
@@ -421,9 +745,9 @@ async function checkAvailability(businessId, date, timePreference = 'any') {
     throw new Error('Business not connected to Cal.com');
   }
   
-  // Get event_type_id from config (stored as JSONB)
-  const eventTypeId = credentials?.config?.event_type_id || credentials?.calcom_event_type_id;
-  const timeZone = getBusinessTimeZone(business, credentials);
+  // Service event type, else event_type_id from config (stored as JSONB)
+  const eventTypeId = options.eventTypeId || credentials?.config?.event_type_id || credentials?.calcom_event_type_id;
+  const timeZone = getBusinessTimeZone(business);
   
   if (!eventTypeId) {
     console.error('❌ No event type ID found for availability check');
@@ -433,62 +757,13 @@ async function checkAvailability(businessId, date, timePreference = 'any') {
   console.log('📅 Using event type ID:', eventTypeId, 'timezone:', timeZone);
 
   try {
-    const startTime = `${date}T00:00:00.000Z`;
-    const endTime = `${date}T23:59:59.999Z`;
-
-    let response = null;
-    let slots = [];
-
-    try {
-      response = await calcomApiRequest(
-        businessId,
-        'GET',
-        '/slots/available',
-        null,
-        {
-          apiVersion: CALCOM_LEGACY_SLOTS_API_VERSION,
-          params: {
-            eventTypeId: String(parseInt(eventTypeId, 10)),
-            startTime,
-            endTime,
-            timeZone
-          }
-        }
-      );
-
-      console.log('📅 Legacy slots API response:', JSON.stringify(response).substring(0, 500));
-      slots = normalizeSlotsResponse(response);
-    } catch (legacyError) {
-      if (legacyError.response?.status !== 404) {
-        throw legacyError;
-      }
-
-      console.log('⚠️ Legacy slots endpoint not available, falling back to /slots');
-    }
-
-    if (!slots.length) {
-      response = await calcomApiRequest(
-        businessId,
-        'GET',
-        '/slots',
-        null,
-        {
-          apiVersion: CALCOM_SLOTS_API_VERSION,
-          params: {
-            eventTypeId: String(parseInt(eventTypeId, 10)),
-            start: date,
-            end: date,
-            timeZone,
-            format: 'time'
-          }
-        }
-      );
-
-      console.log('📅 Fallback slots API response:', JSON.stringify(response).substring(0, 500));
-      slots = normalizeSlotsResponse(response);
-    }
+    let slots = await fetchAvailableSlots(businessId, eventTypeId, date, date, timeZone, {
+      deadline: options.deadline
+    });
 
-    slots = slots.sort();
+    slots = slots
+      .filter(slot => getLocalDateTimeParts(slot, timeZone).date === date)
+      .sort();
     
     console.log('📅 Found', slots.length, 'available slots');
 
@@ -506,27 +781,76 @@ async function checkAvailability(businessId, date, timePreference = 'any') {
 }
 
 /**
- * Filter time slots by time of day preference
- * @param {Array} slots - Array of ISO 8601 time strings
- * @param {string} preference - 'morning', 'afternoon', or 'evening'
- * @param {string} timeZone - IANA timezone used to interpret the slot hour
- * @returns {Array} Filtered slots
+ * Fetch open slots for an event type across a range of local dates
+ * @param {string} businessId - Business UUID
+ * @param {number} eventTypeId - Cal.com event type ID
+ * @param {string} startDate - First local date (YYYY-MM-DD)
+ * @param {string} endDate - Last local date (YYYY-MM-DD), inclusive
+ * @param {string} timeZone - Business timezone
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Give up at this time (ms)
+ * @returns {Promise<Array>} Slot start times (ISO 8601 strings), unsorted
  */
-function filterSlotsByTimePreference(slots, preference, timeZone = APP_TIME_ZONE) {
-  return slots.filter(slot => {
-    const hour = getHourInTimeZone(slot, timeZone);
-    
-    switch (preference) {
-      case 'morning':
-        return hour >= 6 && hour < 12;
-      case 'afternoon':
-        return hour >= 12 && hour < 17;
-      case 'evening':
-        return hour >= 17 && hour < 21;
-      default:
-        return true;
+async function fetchAvailableSlots(businessId, eventTypeId, startDate, endDate, timeZone, options = {}) {
+  // Query the business's local days, not the UTC days
+  const startTime = getLocalDayRangeUtc(startDate, timeZone).startUtc.toISOString();
+  const endTime = new Date(getLocalDayRangeUtc(endDate, timeZone).endUtc.getTime() - 1).toISOString();
+
+  let response = null;
+  let slots = [];
+
+  try {
+    response = await calcomApiRequest(
+      businessId,
+      'GET',
+      '/slots/available',
+      null,
+      {
+        apiVersion: CALCOM_LEGACY_SLOTS_API_VERSION,
+        deadline: options.deadline,
+        params: {
+          eventTypeId: String(parseInt(eventTypeId, 10)),
+          startTime,
+          endTime,
+          timeZone
+        }
+      }
+    );
+
+    console.log('📅 Legacy slots API response:', JSON.stringify(response).substring(0, 500));
+    slots = normalizeSlotsResponse(response);
+  } catch (legacyError) {
+    if (legacyError.response?.status !== 404) {
+      throw legacyError;
     }
-  });
+
+    console.log('⚠️ Legacy slots endpoint not available, falling back to /slots');
+  }
+
+  if (!slots.length) {
+    response = await calcomApiRequest(
+      businessId,
+      'GET',
+      '/slots',
+      null,
+      {
+        apiVersion: CALCOM_SLOTS_API_VERSION,
+        deadline: options.deadline,
+        params: {
+          eventTypeId: String(parseInt(eventTypeId, 10)),
+          start: startDate,
+          end: endDate,
+          timeZone,
+          format: 'time'
+        }
+      }
+    );
+
+    console.log('📅 Fallback slots API response:', JSON.stringify(response).substring(0, 500));
+    slots = normalizeSlotsResponse(response);
+  }
+
+  return slots;
 }
 
 /**
@@ -538,9 +862,12 @@ function filterSlotsByTimePreference(slots, preference, timeZone = APP_TIME_ZONE
  * @param {string} bookingData.phone - Customer phone
  * @param {string} bookingData.start - Start time (ISO 8601)
  * @param {string} bookingData.notes - Optional notes
+ * @param {number} [bookingData.eventTypeId] - Event type for the booked service (default: business default)
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Give up at this time (ms)
  * @returns {Promise<Object>} Created booking
  */
-async function createCalcomBooking(businessId, bookingData) {
+async function createCalcomBooking(businessId, bookingData, options = {}) {
   const [credentials, business] = await Promise.all([
     getCalcomCredentials(businessId),
     getBusinessById(businessId)
@@ -550,9 +877,9 @@ async function createCalcomBooking(businessId, bookingData) {
     throw new Error('Business not connected to Cal.com');
   }
   
-  // Get event_type_id from config (stored as JSONB)
-  const eventTypeId = credentials?.config?.event_type_id || credentials?.calcom_event_type_id;
-  const timeZone = getBusinessTimeZone(business, credentials);
+  // Service event type, else event_type_id from config (stored as JSONB)
+  const eventTypeId = bookingData.eventTypeId || credentials?.config?.event_type_id || credentials?.calcom_event_type_id;
+  const timeZone = getBusinessTimeZone(business);
   
   if (!eventTypeId) {
     console.error('❌ No event type ID found for business:', businessId);
@@ -563,7 +890,7 @@ async function createCalcomBooking(businessId, bookingData) {
   console.log('📅 Creating booking with event type ID:', eventTypeId);
 
   const normalizedPhone = normalizePhoneNumber(bookingData.phone);
-  const resolvedStart = await resolveBookingStartTime(businessId, bookingData.start);
+  const resolvedStart = await resolveBookingStartTime(businessId, bookingData.start, timeZone, eventTypeId, options);
   const normalizedStart = new Date(resolvedStart).toISOString();
 
   if (bookingData.phone && !normalizedPhone) {
@@ -593,7 +920,7 @@ async function createCalcomBooking(businessId, bookingData) {
     'POST',
     '/bookings',
     payload,
-    { apiVersion: CALCOM_DEFAULT_API_VERSION }
+    { apiVersion: CALCOM_DEFAULT_API_VERSION, deadline: options.deadline }
   );
   const booking = unwrapCalcomData(response);
 
@@ -606,10 +933,14 @@ async function createCalcomBooking(businessId, bookingData) {
  * Get booking details
  * @param {string} businessId - Business UUID
  * @param {string} bookingUid - Cal.com booking UID
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Give up at this time (ms)
  * @returns {Promise<Object>} Booking details
  */
-async function getBooking(businessId, bookingUid) {
-  const response = await calcomApiRequest(businessId, 'GET', `/bookings/${bookingUid}`);
+async function getBooking(businessId, bookingUid, options = {}) {
+  const response = await calcomApiRequest(businessId, 'GET', `/bookings/${bookingUid}`, null, {
+    deadline: options.deadline
+  });
   return unwrapCalcomData(response);
 }
 
@@ -618,14 +949,17 @@ async function getBooking(businessId, bookingUid) {
  * @param {string} businessId - Business UUID
  * @param {string} bookingUid - Cal.com booking UID
  * @param {string} reason - Cancellation reason
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Give up at this time (ms)
  * @returns {Promise<Object>} Cancellation response
  */
-async function cancelBooking(businessId, bookingUid, reason = 'Cancelled by customer') {
+async function cancelBooking(businessId, bookingUid, reason = 'Cancelled by customer', options = {}) {
   const response = await calcomApiRequest(
     businessId,
-    'DELETE',
-    `/bookings/${bookingUid}`,
-    { reason }
+    'POST',
+    `/bookings/${bookingUid}/cancel`,
+    { cancellationReason: reason },
+    { deadline: options.deadline }
   );
   
   console.log('✅ Cal.com booking cancelled:', bookingUid);
@@ -635,17 +969,28 @@ async function cancelBooking(businessId, bookingUid, reason = 'Cancelled by cust
 
 /**
  * Reschedule a booking
+ * Cal.com creates a new booking (new UID) and cancels the original.
  * @param {string} businessId - Business UUID
  * @param {string} bookingUid - Cal.com booking UID
  * @param {string} newStart - New start time (ISO 8601)
- * @returns {Promise<Object>} Updated booking
+ * @param {string} reason - Rescheduling reason
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Give up at this time (ms)
+ * @returns {Promise<Object>} The new booking
  */
-async function rescheduleBooking(businessId, bookingUid, newStart) {
+async function rescheduleBooking(businessId, bookingUid, newStart, reason = 'Rescheduled by customer', options = {}) {
+  const business = await getBusinessById(businessId);
+  const resolvedStart = await resolveBookingStartTime(businessId, newStart, getBusinessTimeZone(business), null, options);
+
   const response = await calcomApiRequest(
     businessId,
-    'PATCH',
-    `/bookings/${bookingUid}`,
-    { start: newStart }
+    'POST',
+    `/bookings/${bookingUid}/reschedule`,
+    {
+      start: new Date(resolvedStart).toISOString(),
+      reschedulingReason: reason
+    },
+    { deadline: options.deadline }
   );
   
   console.log('✅ Cal.com booking rescheduled:', bookingUid);
@@ -653,15 +998,117 @@ async function rescheduleBooking(businessId, bookingUid, newStart) {
   return unwrapCalcomData(response);
 }
 
+/**
+ * Reserve a slot so other people booking this event type don't see it
+ * Used to hold times the assistant has offered (see lib/calendar/holds.js).
+ * @param {string} businessId - Business UUID
+ * @param {number} eventTypeId - Cal.com event type ID
+ * @param {string} slotStart - Slot start (ISO 8601)
+ * @param {number} reservationMinutes - How long Cal.com keeps the reservation
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Give up at this time (ms)
+ * @returns {Promise<{reservationUid: string, reservationUntil: string|null}>}
+ */
+async function reserveSlot(businessId, eventTypeId, slotStart, reservationMinutes, options = {}) {
+  const response = await calcomApiRequest(
+    businessId,
+    'POST',
+    '/slots/reservations',
+    {
+      eventTypeId: parseInt(eventTypeId, 10),
+      slotStart: new Date(slotStart).toISOString(),
+      reservationDuration: reservationMinutes
+    },
+    { apiVersion: CALCOM_SLOTS_API_VERSION, deadline: options.deadline }
+  );
+  const reservation = unwrapCalcomData(response);
+
+  return {
+    reservationUid: reservation?.reservationUid || reservation?.uid || null,
+    reservationUntil: reservation?.reservationUntil || null
+  };
+}
+
+/**
+ * Release a slot reservation
+ * @param {string} businessId - Business UUID
+ * @param {string} reservationUid - Reservation UID from reserveSlot
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Give up at this time (ms)
+ * @returns {Promise<void>}
+ */
+async function releaseSlotReservation(businessId, reservationUid, options = {}) {
+  try {
+    await calcomApiRequest(
+      businessId,
+      'DELETE',
+      `/slots/reservations/${reservationUid}`,
+      null,
+      { apiVersion: CALCOM_SLOTS_API_VERSION, deadline: options.deadline }
+    );
+  } catch (error) {
+    // Already expired or used
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a webhook on the business's Cal.com account
+ * @param {string} businessId - Business UUID
+ * @param {Object} webhook
+ * @param {string} webhook.subscriberUrl - URL Cal.com delivers to
+ * @param {string} webhook.secret - Key Cal.com signs deliveries with
+ * @param {Array<string>} webhook.triggers - Trigger events to subscribe to
+ * @returns {Promise<Object>} Created webhook (with id)
+ */
+async function createCalcomWebhook(businessId, { subscriberUrl, secret, triggers }) {
+  const response = await calcomApiRequest(businessId, 'POST', '/webhooks', {
+    active: true,
+    subscriberUrl,
+    triggers,
+    secret
+  });
+
+  return unwrapCalcomData(response);
+}
+
+/**
+ * Delete a webhook from the business's Cal.com account
+ * @param {string} businessId - Business UUID
+ * @param {string|number} webhookId - Cal.com webhook ID
+ * @returns {Promise<void>}
+ */
+async function deleteCalcomWebhook(businessId, webhookId) {
+  try {
+    await calcomApiRequest(businessId, 'DELETE', `/webhooks/${webhookId}`);
+  } catch (error) {
+    // Already removed in Cal.com
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+  }
+}
+
 module.exports = {
   getAuthorizationUrl,
   exchangeCodeForToken,
   refreshAccessToken,
   getValidAccessToken,
+  isCircuitOpen,
+  CalcomUnavailableError,
+  CalcomTimeoutError,
   getEventTypes,
+  summarizeEventTypes,
   checkAvailability,
+  fetchAvailableSlots,
   createCalcomBooking,
   getBooking,
   cancelBooking,
-  rescheduleBooking
+  rescheduleBooking,
+  reserveSlot,
+  releaseSlotReservation,
+  createCalcomWebhook,
+  deleteCalcomWebhook
 };
@@ -0,0 +1,157 @@
+/**
+ * Cal.com Calendar Provider
+ *
+ * Adapts lib/calcom.js to the calendar provider interface (lib/calendar).
+ * Services book with their own event type (business_services.calcom_event_type_id),
+ * everything else with the default in business_integrations.config.event_type_id.
+ */
+
+const {
+  fetchAvailableSlots,
+  createCalcomBooking,
+  getBooking: getCalcomBooking,
+  cancelBooking,
+  rescheduleBooking,
+  reserveSlot: reserveCalcomSlot,
+  releaseSlotReservation
+} = require('../calcom');
+const { getCalcomCredentials } = require('../supabase');
+
+const name = 'calcom';
+
+// Connected through OAuth (access_token)
+const requiresCredentials = true;
+
+// Cal.com emails the attendee on booking, reschedule and cancel
+const sendsConfirmationEmail = true;
+
+/**
+ * Convert a Cal.com booking to the provider-neutral shape
+ */
+function normalizeBooking(booking) {
+  if (!booking) {
+    return null;
+  }
+
+  const start = booking.start || booking.startTime || null;
+  const end = booking.end || booking.endTime || null;
+
+  return {
+    uid: booking.uid || null,
+    id: booking.id || null,
+    start,
+    end,
+    durationMinutes: booking.lengthInMinutes || booking.duration
+      || (start && end ? Math.round((new Date(end) - new Date(start)) / 60000) : null),
+    status: booking.status ? String(booking.status).toLowerCase() : null,
+    eventTypeId: booking.eventTypeId || booking.eventType?.id || null,
+    raw: booking
+  };
+}
+
+async function listSlots(businessId, { startDate, endDate, timeZone, service = null, deadline }) {
+  const credentials = await getCalcomCredentials(businessId);
+
+  if (!credentials || !credentials.access_token) {
+    throw new Error('Business not connected to Cal.com');
+  }
+
+  const eventTypeId = service?.calcom_event_type_id || credentials.config?.event_type_id;
+
+  if (!eventTypeId) {
+    console.error('❌ No event type ID found for availability search');
+    throw new Error('No default event type configured for business');
+  }
+
+  return await fetchAvailableSlots(businessId, eventTypeId, startDate, endDate, timeZone, { deadline });
+}
+
+async function book(businessId, { name: customerName, email, phone, start, notes, service = null, deadline }) {
+  const booking = await createCalcomBooking(businessId, {
+    name: customerName,
+    email,
+    phone,
+    start,
+    notes,
+    eventTypeId: service?.calcom_event_type_id
+  }, { deadline });
+  const normalized = normalizeBooking(booking);
+
+  if (!normalized.eventTypeId) {
+    const credentials = await getCalcomCredentials(businessId);
+    normalized.eventTypeId = service?.calcom_event_type_id || credentials?.config?.event_type_id || null;
+  }
+
+  return normalized;
+}
+
+async function cancel(businessId, uid, reason, options = {}) {
+  await cancelBooking(businessId, uid, reason, options);
+}
+
+async function reschedule(businessId, uid, newStart, reason, options = {}) {
+  return normalizeBooking(await rescheduleBooking(businessId, uid, newStart, reason, options));
+}
+
+async function getBooking(businessId, uid, options = {}) {
+  return normalizeBooking(await getCalcomBooking(businessId, uid, options));
+}
+
+/**
+ * Hold an offered slot with a Cal.com reservation
+ * @returns {Promise<string|null>} Reservation UID
+ */
+async function reserveSlot(businessId, { start, service = null, minutes, deadline }) {
+  const credentials = await getCalcomCredentials(businessId);
+  const eventTypeId = service?.calcom_event_type_id || credentials?.config?.event_type_id;
+
+  if (!eventTypeId) {
+    return null;
+  }
+
+  const { reservationUid } = await reserveCalcomSlot(businessId, eventTypeId, start, minutes, { deadline });
+  return reservationUid;
+}
+
+async function releaseReservation(businessId, reservationUid, options = {}) {
+  await releaseSlotReservation(businessId, reservationUid, options);
+}
+
+/**
+ * Services need their own Cal.com event type to be bookable
+ */
+function supportsService(service) {
+  return !!service?.calcom_event_type_id;
+}
+
+function getBookingUid(booking) {
+  return booking.calcom_uid || null;
+}
+
+/**
+ * bookings columns identifying a Cal.com booking
+ */
+function toBookingColumns(booking) {
+  return {
+    calendar_provider: name,
+    ...(booking.uid ? { calcom_uid: booking.uid } : {}),
+    ...(booking.id ? { calcom_booking_id: booking.id } : {}),
+    ...(booking.eventTypeId ? { calcom_event_type_id: booking.eventTypeId } : {})
+  };
+}
+
+module.exports = {
+  name,
+  requiresCredentials,
+  sendsConfirmationEmail,
+  listSlots,
+  book,
+  cancel,
+  reschedule,
+  getBooking,
+  reserveSlot,
+  releaseReservation,
+  supportsService,
+  getBookingUid,
+  toBookingColumns
+};
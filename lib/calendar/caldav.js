@@ -0,0 +1,493 @@
+/**
+ * CalDAV Calendar Provider
+ *
+ * Books directly into a CalDAV calendar (Nextcloud, Fastmail, iCloud,
+ * Radicale, practice-management systems that expose CalDAV, ...).
+ * Open slots are generated from business_hours and business_closures, minus
+ * the events already on the calendar and slots other callers are holding
+ * (lib/calendar/holds.js). Each booking is one VEVENT stored at
+ * <calendar_url>/<uid>.ics.
+ *
+ * Integration row (business_integrations, provider 'caldav'):
+ * - access_token: Password or app password (encrypted like other integration secrets)
+ * - config.calendar_url: Calendar collection URL
+ * - config.username: Login
+ * - config.slot_minutes: Default appointment length (default: 30)
+ * - config.slot_interval_minutes: Minutes between slot starts (default: slot length)
+ *
+ * Services book with their business_services.duration_minutes.
+ *
+ * The calendar URL comes from the owner, so every request is checked to go
+ * to a public address (lib/network.js) and redirects are not followed.
+ *
+ * Availability is checked before writing, but another booking (ours or made
+ * directly in the calendar) can land in the same slot meanwhile. After each
+ * write the slot is queried again, and the write is undone if it overlaps.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  getBusinessById,
+  getBusinessClosures,
+  getIntegrationCredentials,
+  getActiveSlotHolds
+} = require('../supabase');
+const { getBusinessTimeZone, getLocalDayRangeUtc, getLocalDateTimeParts } = require('../time');
+const { buildCalendarEvent, parseCalendarEvents, formatUtcDateTime } = require('../ics');
+const { generateSlots, matchRequestedSlot, SlotUnavailableError } = require('./slots');
+const { assertPublicUrl, getPublicAgents, PrivateAddressError } = require('../network');
+
+const name = 'caldav';
+
+// Password stored in access_token
+const requiresCredentials = true;
+
+// CalDAV servers store the event without emailing the customer
+const sendsConfirmationEmail = false;
+const CALDAV_TIMEOUT_MS = 8000;
+const DEFAULT_SLOT_MINUTES = 30;
+
+/**
+ * Read connection settings from an integration row (or connect-form input)
+ * @param {Object} integration - business_integrations row
+ * @returns {{calendarUrl: string, username: string, password: string, slotMinutes: number, intervalMinutes: number|null}}
+ */
+function getCaldavSettings(integration) {
+  const config = integration?.config || {};
+  const calendarUrl = String(config.calendar_url || '');
+
+  return {
+    calendarUrl: calendarUrl.endsWith('/') ? calendarUrl : `${calendarUrl}/`,
+    username: config.username || '',
+    password: integration?.access_token || '',
+    slotMinutes: parseInt(config.slot_minutes, 10) || DEFAULT_SLOT_MINUTES,
+    intervalMinutes: parseInt(config.slot_interval_minutes, 10) || null
+  };
+}
+
+async function caldavRequest(settings, method, url, { data = null, headers = {} } = {}) {
+  const auth = Buffer.from(`${settings.username}:${settings.password}`).toString('base64');
+
+  await assertPublicUrl(url);
+
+  return await axios({
+    method,
+    url,
+    data,
+    headers: {
+      Authorization: `Basic ${auth}`,
+      ...headers
+    },
+    ...getPublicAgents(),
+    maxRedirects: 0,
+    timeout: CALDAV_TIMEOUT_MS,
+    responseType: 'text',
+    transformResponse: [body => body]
+  });
+}
+
+function decodeXml(value) {
+  return String(value)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function getXmlElements(xml, localName) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${localName}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${localName}>`, 'g');
+  return [...String(xml || '').matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Events on the calendar that overlap a time range
+ * Recurring events are expanded by the server.
+ */
+async function fetchEvents(settings, start, end, timeZone) {
+  const range = `start="${formatUtcDateTime(start)}" end="${formatUtcDateTime(end)}"`;
+  const body = `<?xml version="1.0" encoding="utf-8" ?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data>
+      <c:expand ${range}/>
+    </c:calendar-data>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range ${range}/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+
+  const response = await caldavRequest(settings, 'REPORT', settings.calendarUrl, {
+    data: body,
+    headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' }
+  });
+
+  return getXmlElements(response.data, 'calendar-data')
+    .flatMap(data => parseCalendarEvents(decodeXml(data), { defaultTimeZone: timeZone }));
+}
+
+/**
+ * Load everything needed to work with a business's CalDAV calendar
+ */
+async function loadContext(businessId) {
+  const [integration, business] = await Promise.all([
+    getIntegrationCredentials(businessId, name),
+    getBusinessById(businessId)
+  ]);
+
+  if (!integration?.access_token || !integration.config?.calendar_url) {
+    throw new Error('Business not connected to a CalDAV calendar');
+  }
+
+  return {
+    settings: getCaldavSettings(integration),
+    business,
+    timeZone: getBusinessTimeZone(business)
+  };
+}
+
+function getDurationMinutes(settings, service) {
+  return service?.duration_minutes || settings.slotMinutes;
+}
+
+/**
+ * Appointment length for a service (used to size slot holds)
+ */
+async function getSlotMinutes(businessId, service = null) {
+  const { settings } = await loadContext(businessId);
+  return getDurationMinutes(settings, service);
+}
+
+/**
+ * Slots other callers are holding (lib/calendar/holds.js)
+ */
+async function getHeldPeriods(businessId, rangeStart, rangeEnd) {
+  try {
+    const holds = await getActiveSlotHolds(businessId, name, rangeStart.toISOString(), rangeEnd.toISOString());
+    return holds.map(hold => ({ start: new Date(hold.slot_start), end: new Date(hold.slot_end) }));
+  } catch (error) {
+    console.error('⚠️ Failed to load slot holds:', error.message);
+    return [];
+  }
+}
+
+async function listSlotsWithContext(businessId, context, { startDate, endDate, service = null, ignoreUid = null }) {
+  const { settings, business, timeZone } = context;
+  const rangeStart = getLocalDayRangeUtc(startDate, timeZone).startUtc;
+  const rangeEnd = getLocalDayRangeUtc(endDate, timeZone).endUtc;
+  const durationMinutes = getDurationMinutes(settings, service);
+
+  const [events, closures, held] = await Promise.all([
+    fetchEvents(settings, rangeStart, rangeEnd, timeZone),
+    getBusinessClosures(businessId, startDate, endDate).catch(error => {
+      console.error('⚠️ Failed to load closures for CalDAV availability:', error.message);
+      return [];
+    }),
+    getHeldPeriods(businessId, rangeStart, rangeEnd)
+  ]);
+
+  const busy = events
+    .filter(event => !event.transparent && event.status !== 'CANCELLED' && event.uid !== ignoreUid)
+    .map(event => ({ start: event.start, end: event.end }))
+    .concat(held);
+
+  return generateSlots({
+    businessHours: business?.business_hours,
+    closures,
+    startDate,
+    endDate,
+    timeZone,
+    durationMinutes,
+    intervalMinutes: settings.intervalMinutes,
+    busy
+  });
+}
+
+async function listSlots(businessId, options) {
+  return await listSlotsWithContext(businessId, await loadContext(businessId), options);
+}
+
+/**
+ * Check a requested time is still open and return the exact slot
+ */
+async function resolveSlot(businessId, context, requestedStart, service, ignoreUid = null) {
+  const requested = new Date(requestedStart);
+
+  if (Number.isNaN(requested.getTime())) {
+    throw new Error('Invalid booking start time');
+  }
+
+  const localDate = String(requestedStart).match(/^(\d{4}-\d{2}-\d{2})T/)?.[1]
+    || getLocalDateTimeParts(requested, context.timeZone).date;
+  const slots = await listSlotsWithContext(businessId, context, {
+    startDate: localDate,
+    endDate: localDate,
+    service,
+    ignoreUid
+  });
+  const slot = matchRequestedSlot(slots, requestedStart, context.timeZone);
+
+  if (!slot) {
+    throw new SlotUnavailableError(`Requested slot ${requestedStart} is not currently available`, requestedStart);
+  }
+
+  return slot;
+}
+
+/**
+ * Find an event, other than the one just written, that overlaps a time range
+ */
+async function findOverlappingEvent(context, start, end, uid) {
+  const events = await fetchEvents(context.settings, start, end, context.timeZone);
+
+  return events.find(event => (
+    event.uid !== uid
+    && !event.transparent
+    && event.status !== 'CANCELLED'
+    && event.start < end
+    && event.end > start
+  )) || null;
+}
+
+function getEventUrl(settings, uid) {
+  return `${settings.calendarUrl}${encodeURIComponent(uid)}.ics`;
+}
+
+function buildDescription({ phone, email, notes, service }) {
+  return [
+    service ? `Service: ${service.name}` : null,
+    phone ? `Phone: ${phone}` : null,
+    email ? `Email: ${email}` : null,
+    notes || null
+  ].filter(Boolean).join('\n');
+}
+
+function normalizeEvent(event, uid) {
+  return {
+    uid: event.uid || uid,
+    id: null,
+    start: event.start.toISOString(),
+    end: event.end.toISOString(),
+    durationMinutes: Math.round((event.end - event.start) / 60000),
+    status: event.status === 'CANCELLED' ? 'cancelled' : 'confirmed',
+    summary: event.summary
+  };
+}
+
+async function book(businessId, { name: customerName, email, phone, start, notes, service = null }) {
+  const context = await loadContext(businessId);
+  const slot = await resolveSlot(businessId, context, start, service);
+  const durationMinutes = getDurationMinutes(context.settings, service);
+  const uid = crypto.randomUUID();
+  const startDate = new Date(slot);
+  const endDate = new Date(startDate.getTime() + durationMinutes * 60 * 1000);
+
+  const ics = buildCalendarEvent({
+    uid,
+    start: startDate,
+    end: endDate,
+    summary: `${service?.name || 'Appointment'}: ${customerName}`,
+    description: buildDescription({ phone, email, notes, service }),
+    attendees: email ? [{ name: customerName, email }] : []
+  });
+
+  const eventUrl = getEventUrl(context.settings, uid);
+
+  await caldavRequest(context.settings, 'PUT', eventUrl, {
+    data: ics,
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' }
+  });
+
+  const clash = await findOverlappingEvent(context, startDate, endDate, uid);
+  if (clash) {
+    console.warn('⚠️ CalDAV slot taken while booking, removing event:', { uid, clashingUid: clash.uid });
+    await caldavRequest(context.settings, 'DELETE', eventUrl);
+    throw new SlotUnavailableError(`Requested slot ${start} was just taken`, start);
+  }
+
+  console.log('✅ CalDAV event created:', uid);
+
+  return {
+    uid,
+    id: null,
+    start: startDate.toISOString(),
+    end: endDate.toISOString(),
+    durationMinutes,
+    status: 'confirmed'
+  };
+}
+
+async function fetchEvent(settings, uid) {
+  try {
+    const response = await caldavRequest(settings, 'GET', getEventUrl(settings, uid));
+    return { ics: response.data, etag: response.headers?.etag || null };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function cancel(businessId, uid) {
+  const { settings } = await loadContext(businessId);
+
+  try {
+    await caldavRequest(settings, 'DELETE', getEventUrl(settings, uid));
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+    console.log('⚠️ CalDAV event already gone:', uid);
+    return;
+  }
+
+  console.log('✅ CalDAV event deleted:', uid);
+}
+
+/**
+ * Move an event, keeping its UID (so the booking row keeps pointing at it)
+ */
+async function reschedule(businessId, uid, newStart) {
+  const context = await loadContext(businessId);
+  const stored = await fetchEvent(context.settings, uid);
+  const [event] = stored ? parseCalendarEvents(stored.ics, { defaultTimeZone: context.timeZone }) : [];
+
+  if (!event) {
+    throw Object.assign(new Error('Booking not found in calendar'), { response: { status: 404 } });
+  }
+
+  const durationMs = event.end - event.start;
+  const slot = await resolveSlot(businessId, context, newStart, { duration_minutes: Math.round(durationMs / 60000) }, uid);
+  const startDate = new Date(slot);
+  const endDate = new Date(startDate.getTime() + durationMs);
+
+  const ics = buildCalendarEvent({
+    uid,
+    start: startDate,
+    end: endDate,
+    summary: event.summary || 'Appointment',
+    description: event.description,
+    attendees: event.attendees,
+    sequence: event.sequence + 1
+  });
+
+  await caldavRequest(context.settings, 'PUT', getEventUrl(context.settings, uid), {
+    data: ics,
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      ...(stored.etag ? { 'If-Match': stored.etag } : {})
+    }
+  });
+
+  const clash = await findOverlappingEvent(context, startDate, endDate, uid);
+  if (clash) {
+    console.warn('⚠️ CalDAV slot taken while rescheduling, restoring event:', { uid, clashingUid: clash.uid });
+    await caldavRequest(context.settings, 'PUT', getEventUrl(context.settings, uid), {
+      data: stored.ics,
+      headers: { 'Content-Type': 'text/calendar; charset=utf-8' }
+    });
+    throw new SlotUnavailableError(`Requested slot ${newStart} was just taken`, newStart);
+  }
+
+  console.log('✅ CalDAV event moved:', uid);
+
+  return normalizeEvent({ ...event, start: startDate, end: endDate }, uid);
+}
+
+async function getBooking(businessId, uid) {
+  const context = await loadContext(businessId);
+  const stored = await fetchEvent(context.settings, uid);
+  const [event] = stored ? parseCalendarEvents(stored.ics, { defaultTimeZone: context.timeZone }) : [];
+
+  return event ? normalizeEvent(event, uid) : null;
+}
+
+/**
+ * Check the calendar URL and login before saving them
+ * @param {Object} integration - Unsaved integration ({ access_token, config })
+ * @returns {Promise<{ok: boolean, displayName?: string|null, reason?: string}>}
+ */
+async function verifyConnection(integration) {
+  const settings = getCaldavSettings(integration);
+  const body = `<?xml version="1.0" encoding="utf-8" ?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:displayname/>
+  </d:prop>
+</d:propfind>`;
+
+  try {
+    const response = await caldavRequest(settings, 'PROPFIND', settings.calendarUrl, {
+      data: body,
+      headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' }
+    });
+    const resourceType = getXmlElements(response.data, 'resourcetype')[0] || '';
+
+    if (!/<(?:[\w-]+:)?calendar\b/.test(resourceType)) {
+      return { ok: false, reason: 'URL is not a calendar collection' };
+    }
+
+    return { ok: true, displayName: decodeXml(getXmlElements(response.data, 'displayname')[0] || '') || null };
+  } catch (error) {
+    const status = error.response?.status;
+
+    if (error instanceof PrivateAddressError) {
+      return { ok: false, reason: 'Calendar URL must point to a public server' };
+    }
+
+    if (status === 401 || status === 403) {
+      return { ok: false, reason: 'Username or password rejected' };
+    }
+
+    return { ok: false, reason: status ? `Calendar server returned ${status}` : error.message };
+  }
+}
+
+/**
+ * Every service has a duration, so all of them can be booked
+ */
+function supportsService(service) {
+  return !!service;
+}
+
+function getBookingUid(booking) {
+  return booking.external_uid || null;
+}
+
+/**
+ * bookings columns identifying a CalDAV event
+ */
+function toBookingColumns(booking) {
+  return {
+    calendar_provider: name,
+    ...(booking.uid ? { external_uid: booking.uid } : {})
+  };
+}
+
+module.exports = {
+  name,
+  requiresCredentials,
+  sendsConfirmationEmail,
+  listSlots,
+  book,
+  cancel,
+  reschedule,
+  getBooking,
+  getSlotMinutes,
+  supportsService,
+  getBookingUid,
+  toBookingColumns,
+  verifyConnection
+};
@@ -0,0 +1,140 @@
+/**
+ * Slot Holds
+ *
+ * Holds the slots the assistant has just offered a caller for a few minutes,
+ * so nobody else books them while the caller decides. Providers that can
+ * reserve slots themselves do (Cal.com: reserveSlot/releaseReservation);
+ * for CalDAV and the native scheduler the slot_holds row is the hold and
+ * their listSlots treats it as busy.
+ *
+ * A caller's holds are released whenever they are offered new times, book,
+ * or reschedule, and expire on their own otherwise.
+ */
+
+const { createSlotHolds, deleteSlotHolds } = require('../supabase');
+const { getCalendarProvider, getProvider } = require('./index');
+
+// Texters take longer to answer than callers
+const HOLD_MINUTES = {
+  voice: 5,
+  sms: 15
+};
+const DEFAULT_HOLD_MINUTES = 5;
+const DEFAULT_SLOT_MINUTES = 30;
+
+/**
+ * Identify who holds slots for a tool session
+ * @param {Object} session - Tool session (see lib/assistant-tools.js)
+ * @returns {string|null} e.g. 'vapi:<call id>', 'sms:<conversation id>'
+ */
+function getHoldOwner(session) {
+  if (session?.vapiCallId) return `vapi:${session.vapiCallId}`;
+  if (session?.metadata?.sms_conversation_id) return `sms:${session.metadata.sms_conversation_id}`;
+  if (session?.callId) return `call:${session.callId}`;
+  if (session?.customerPhone) return `phone:${session.customerPhone}`;
+  return null;
+}
+
+/**
+ * Hold offered slots for the caller
+ * Best effort: a failed hold never stops the assistant from offering times.
+ * @param {string} businessId - Business UUID
+ * @param {Object} session - Tool session
+ * @param {Array<string>} slots - Offered slot starts (ISO 8601)
+ * @param {Object} [options]
+ * @param {Object} [options.service] - business_services row being booked
+ * @param {number} [options.deadline] - Stop waiting on the provider at this time (ms)
+ * @returns {Promise<Array>} Created slot_holds rows
+ */
+async function holdSlots(businessId, session, slots, { service = null, deadline } = {}) {
+  const holder = getHoldOwner(session);
+
+  if (!holder || !slots?.length) {
+    return [];
+  }
+
+  try {
+    const { provider } = await getCalendarProvider(businessId);
+    const minutes = HOLD_MINUTES[session.channel] || DEFAULT_HOLD_MINUTES;
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    const slotMinutes = provider.getSlotMinutes
+      ? await provider.getSlotMinutes(businessId, service)
+      : service?.duration_minutes || DEFAULT_SLOT_MINUTES;
+
+    const holds = await Promise.all(slots.map(async slot => {
+      let reservationUid = null;
+
+      if (provider.reserveSlot) {
+        try {
+          reservationUid = await provider.reserveSlot(businessId, { start: slot, service, minutes, deadline });
+        } catch (error) {
+          console.error('⚠️ Failed to reserve slot:', { provider: provider.name, slot, error: error.message });
+        }
+
+        // Nothing to track if the provider didn't reserve it
+        if (!reservationUid) {
+          return null;
+        }
+      }
+
+      return {
+        business_id: businessId,
+        calendar_provider: provider.name,
+        holder,
+        slot_start: new Date(slot).toISOString(),
+        slot_end: new Date(new Date(slot).getTime() + slotMinutes * 60 * 1000).toISOString(),
+        service_id: service?.id || null,
+        reservation_uid: reservationUid,
+        expires_at: expiresAt
+      };
+    }));
+
+    const rows = holds.filter(Boolean);
+    const created = rows.length > 0 ? await createSlotHolds(rows) : [];
+    console.log('⏳ Holding offered slots:', { holder, provider: provider.name, count: created.length, expiresAt });
+    return created;
+  } catch (error) {
+    console.error('⚠️ Failed to hold offered slots:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Release the caller's holds (and clear expired ones)
+ * @param {string} businessId - Business UUID
+ * @param {Object} session - Tool session
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Stop waiting on the provider at this time (ms)
+ * @returns {Promise<void>}
+ */
+async function releaseHolds(businessId, session, { deadline } = {}) {
+  const holder = getHoldOwner(session);
+
+  if (!holder) {
+    return;
+  }
+
+  try {
+    const released = await deleteSlotHolds(businessId, holder);
+    const now = Date.now();
+
+    await Promise.all(released
+      .filter(hold => hold.holder === holder && hold.reservation_uid && new Date(hold.expires_at).getTime() > now)
+      .map(async hold => {
+        try {
+          await getProvider(hold.calendar_provider).releaseReservation(businessId, hold.reservation_uid, { deadline });
+        } catch (error) {
+          console.error('⚠️ Failed to release slot reservation:', { reservationUid: hold.reservation_uid, error: error.message });
+        }
+      }));
+  } catch (error) {
+    console.error('⚠️ Failed to release slot holds:', error.message);
+  }
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  getHoldOwner,
+  holdSlots,
+  releaseHolds
+};
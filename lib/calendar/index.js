@@ -0,0 +1,309 @@
+/**
+ * Calendar Providers
+ *
+ * The assistant tools and booking endpoints work with whichever calendar a
+ * business has connected, through one provider interface:
+ *
+ * - listSlots(businessId, { startDate, endDate, timeZone, service, deadline }) → slot starts (ISO 8601)
+ * - book(businessId, { name, email, phone, start, notes, service, deadline }) → booking
+ * - cancel(businessId, uid, reason, { deadline })
+ * - reschedule(businessId, uid, newStart, reason, { deadline }) → booking
+ * - getBooking(businessId, uid, { deadline }) → booking or null
+ * - supportsService(service) → whether a business_services row can be booked
+ * - getBookingUid(bookingRow) / toBookingColumns(booking) → map to and from `bookings` rows
+ * - sendsConfirmationEmail → whether the provider emails the customer itself
+ * - requiresCredentials → whether the integration row needs an access_token to be usable
+ *
+ * `deadline` (ms timestamp, optional) is when the assistant's tool call has to
+ * answer; providers calling a remote API stop waiting for it then.
+ *
+ * Optional, for holding offered slots (lib/calendar/holds.js):
+ * - reserveSlot(businessId, { start, service, minutes, deadline }) / releaseReservation(businessId, uid, { deadline })
+ *   → providers that reserve slots themselves (Cal.com)
+ * - getSlotMinutes(businessId, service) → appointment length, to size local holds
+ *
+ * Bookings returned by providers look like
+ * `{ uid, id, start, end, durationMinutes, status }`.
+ *
+ * Providers: 'calcom' (lib/calendar/calcom.js), 'caldav' (lib/calendar/caldav.js),
+ * 'native' (lib/calendar/native.js, the built-in scheduler).
+ * A business books through its connected integration; if several are
+ * connected, the most recently updated one wins.
+ */
+
+const { getBusinessById, getBusinessClosures, getConnectedIntegrations } = require('../supabase');
+const { getBusinessTimeZone, getLocalDateTimeParts, addDaysToDate } = require('../time');
+const { getHoursForDay, isTimeWithinHours } = require('../business-hours');
+const { filterSlotsByTimePreference, formatSpokenSlotLabel } = require('./slots');
+
+const PROVIDERS = {
+  calcom: require('./calcom'),
+  caldav: require('./caldav'),
+  native: require('./native')
+};
+
+const CALENDAR_PROVIDERS = Object.keys(PROVIDERS);
+const MAX_SEARCH_DAYS = 31;
+const NEAREST_SEARCH_DAYS = 7;
+
+/**
+ * Get a provider implementation by name
+ * @param {string} providerName - 'calcom', 'caldav' or 'native'
+ * @returns {Object} Provider
+ */
+function getProvider(providerName) {
+  const provider = PROVIDERS[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown calendar provider: ${providerName}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Get the calendar integration a business books through
+ * @param {string} businessId - Business UUID
+ * @returns {Promise<Object|null>} business_integrations row, or null if none is connected
+ */
+async function getCalendarIntegration(businessId) {
+  const integrations = await getConnectedIntegrations(businessId, CALENDAR_PROVIDERS);
+  return integrations.find(integration => (
+    integration.access_token || !getProvider(integration.provider).requiresCredentials
+  )) || null;
+}
+
+/**
+ * Get the provider a business books through
+ * @param {string} businessId - Business UUID
+ * @returns {Promise<{provider: Object, integration: Object}>}
+ */
+async function getCalendarProvider(businessId) {
+  const integration = await getCalendarIntegration(businessId);
+
+  if (!integration) {
+    throw new Error('Business not connected to a calendar');
+  }
+
+  return { provider: getProvider(integration.provider), integration };
+}
+
+/**
+ * Get the provider that holds an existing booking
+ * @param {Object} booking - bookings row
+ * @returns {Object} Provider
+ */
+function getBookingProvider(booking) {
+  return getProvider(booking.calendar_provider || 'calcom');
+}
+
+/**
+ * Provider-side ID of a stored booking
+ * @param {Object} booking - bookings row
+ * @returns {string|null}
+ */
+function getBookingUid(booking) {
+  return getBookingProvider(booking).getBookingUid(booking);
+}
+
+/**
+ * Check availability for a specific date
+ * @param {string} businessId - Business UUID
+ * @param {string} date - Date to check (YYYY-MM-DD)
+ * @param {string} timePreference - 'morning', 'afternoon', 'evening', or 'any'
+ * @param {Object} [options]
+ * @param {Object} [options.service] - business_services row being booked
+ * @param {number} [options.deadline] - Give up at this time (ms)
+ * @returns {Promise<Array>} Available time slots (ISO 8601 strings)
+ */
+async function checkAvailability(businessId, date, timePreference = 'any', options = {}) {
+  const { service = null, deadline } = options;
+  const [{ provider }, business] = await Promise.all([
+    getCalendarProvider(businessId),
+    getBusinessById(businessId)
+  ]);
+  const timeZone = getBusinessTimeZone(business);
+
+  console.log('📅 Checking availability:', { businessId, date, timePreference, provider: provider.name, service: service?.name });
+
+  const slots = (await provider.listSlots(businessId, { startDate: date, endDate: date, timeZone, service, deadline }))
+    .filter(slot => getLocalDateTimeParts(slot, timeZone).date === date)
+    .sort();
+
+  console.log('📅 Found', slots.length, 'available slots');
+
+  return timePreference !== 'any'
+    ? filterSlotsByTimePreference(slots, timePreference, timeZone)
+    : slots;
+}
+
+/**
+ * List future slots within the hours the business publishes
+ * Provider schedules can be wider than business_hours and business_closures,
+ * so slots outside them are dropped.
+ * @param {string} businessId - Business UUID
+ * @param {Object} options
+ * @param {string} [options.startDate] - First local date (default/earliest: today in the business timezone)
+ * @param {number} options.days - Number of days to search
+ * @param {Object} [options.service] - business_services row being booked
+ * @param {Date} [options.now] - Current time; earlier slots are skipped
+ * @param {number} [options.deadline] - Give up at this time (ms)
+ * @returns {Promise<{slots: Array<string>, timeZone: string, today: string, startDate: string, endDate: string}>}
+ *   Slots in time order
+ */
+async function listOpenSlots(businessId, { startDate = null, days, service = null, now = new Date(), deadline }) {
+  const [{ provider }, business] = await Promise.all([
+    getCalendarProvider(businessId),
+    getBusinessById(businessId)
+  ]);
+  const timeZone = getBusinessTimeZone(business);
+  const today = getLocalDateTimeParts(now, timeZone).date;
+  const firstDate = startDate && startDate > today ? startDate : today;
+  const endDate = addDaysToDate(firstDate, days - 1);
+
+  console.log('📅 Searching open slots:', { businessId, startDate: firstDate, endDate, provider: provider.name, service: service?.name });
+
+  const [slots, closures] = await Promise.all([
+    provider.listSlots(businessId, { startDate: firstDate, endDate, timeZone, service, deadline }),
+    getBusinessClosures(businessId, firstDate, endDate).catch(error => {
+      console.error('⚠️ Failed to load closures for availability search:', error.message);
+      return [];
+    })
+  ]);
+
+  const closuresByDate = new Map(closures.map(closure => [closure.closure_date, closure]));
+  const open = slots
+    .filter(slot => {
+      const local = getLocalDateTimeParts(slot, timeZone);
+
+      if (new Date(slot).getTime() <= now.getTime() || local.date < firstDate || local.date > endDate) {
+        return false;
+      }
+
+      const hours = getHoursForDay(business?.business_hours, local.weekday, closuresByDate.get(local.date) || null);
+      return isTimeWithinHours(hours, local.time);
+    })
+    .sort((a, b) => new Date(a) - new Date(b));
+
+  return { slots: open, timeZone, today, startDate: firstDate, endDate };
+}
+
+/**
+ * Find the soonest open slots across several days in one provider request
+ * @param {string} businessId - Business UUID
+ * @param {Object} [options] - Search options
+ * @param {string} [options.startDate] - First local date to search (default: today in the business timezone)
+ * @param {number} [options.days=14] - Number of days to search (1-31)
+ * @param {string} [options.timePreference='any'] - 'morning', 'afternoon', 'evening', or 'any'
+ * @param {number} [options.limit=3] - Maximum number of options to return
+ * @param {number} [options.maxPerDay=2] - Maximum options from the same day, so callers hear a spread of days
+ * @param {Object} [options.service] - business_services row being booked
+ * @param {Date} [options.now] - Current time; earlier slots are skipped
+ * @param {number} [options.deadline] - Give up at this time (ms)
+ * @returns {Promise<Array<{start: string, date: string, label: string}>>} Options in time order,
+ *   with spoken labels like "tomorrow at 9:00 AM"
+ */
+async function findNextAvailable(businessId, options = {}) {
+  const {
+    startDate = null,
+    timePreference = 'any',
+    limit = 3,
+    maxPerDay = 2,
+    service = null,
+    now = new Date(),
+    deadline
+  } = options;
+  const days = Math.min(Math.max(parseInt(options.days, 10) || 14, 1), MAX_SEARCH_DAYS);
+
+  const { slots, timeZone, today } = await listOpenSlots(businessId, { startDate, days, service, now, deadline });
+
+  const perDay = new Map();
+  const results = [];
+
+  for (const slot of filterSlotsByTimePreference(slots, timePreference, timeZone)) {
+    const date = getLocalDateTimeParts(slot, timeZone).date;
+    const countForDay = perDay.get(date) || 0;
+
+    if (countForDay >= maxPerDay) {
+      continue;
+    }
+
+    perDay.set(date, countForDay + 1);
+    results.push({
+      start: slot,
+      date,
+      label: formatSpokenSlotLabel(slot, timeZone, today)
+    });
+
+    if (results.length >= limit) {
+      break;
+    }
+  }
+
+  console.log('📅 Found', results.length, 'next available options');
+  return results;
+}
+
+/**
+ * Find the open slots closest to a time that turned out to be taken
+ * Searches from the day before the requested time, so earlier options on
+ * the same day (or the evening before) are offered too.
+ * @param {string} businessId - Business UUID
+ * @param {string} requestedStart - The unavailable start time (ISO 8601)
+ * @param {Object} [options]
+ * @param {number} [options.days=7] - Days to search after the requested date
+ * @param {number} [options.limit=3] - Maximum number of options to return
+ * @param {Object} [options.service] - business_services row being booked
+ * @param {Date} [options.now] - Current time; earlier slots are skipped
+ * @param {number} [options.deadline] - Give up at this time (ms)
+ * @returns {Promise<Array<{start: string, date: string, label: string}>>} Closest options, in time order
+ */
+async function findNearestAvailable(businessId, requestedStart, options = {}) {
+  const {
+    days = NEAREST_SEARCH_DAYS,
+    limit = 3,
+    service = null,
+    now = new Date(),
+    deadline
+  } = options;
+  const requested = new Date(requestedStart);
+  const requestedDate = String(requestedStart).match(/^(\d{4}-\d{2}-\d{2})/)?.[1];
+
+  if (Number.isNaN(requested.getTime()) || !requestedDate) {
+    return [];
+  }
+
+  const { slots, timeZone, today } = await listOpenSlots(businessId, {
+    startDate: addDaysToDate(requestedDate, -1),
+    days: days + 2,
+    service,
+    now,
+    deadline
+  });
+
+  const nearest = slots
+    .filter(slot => new Date(slot).getTime() !== requested.getTime())
+    .sort((a, b) => Math.abs(new Date(a) - requested) - Math.abs(new Date(b) - requested))
+    .slice(0, limit)
+    .sort((a, b) => new Date(a) - new Date(b));
+
+  console.log('📅 Found', nearest.length, 'alternatives near', requestedStart);
+
+  return nearest.map(slot => ({
+    start: slot,
+    date: getLocalDateTimeParts(slot, timeZone).date,
+    label: formatSpokenSlotLabel(slot, timeZone, today)
+  }));
+}
+
+module.exports = {
+  CALENDAR_PROVIDERS,
+  getProvider,
+  getCalendarIntegration,
+  getCalendarProvider,
+  getBookingProvider,
+  getBookingUid,
+  checkAvailability,
+  findNextAvailable,
+  findNearestAvailable
+};
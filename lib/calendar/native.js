@@ -0,0 +1,416 @@
+/**
+ * Native Scheduler
+ *
+ * Built-in calendar for businesses without Cal.com or CalDAV. Open slots are
+ * generated from business_hours, business_closures and booking_blackouts,
+ * minus the business's active bookings and slots other callers are holding
+ * (lib/calendar/holds.js), and bookings are written straight to
+ * the bookings table. Customers get an .ics invite by email (when email is
+ * configured) for new, moved and cancelled appointments.
+ *
+ * Integration row (business_integrations, provider 'native', no secrets):
+ * - config.slot_minutes: Default appointment length (default: 30)
+ * - config.slot_interval_minutes: Minutes between slot starts (default: slot length)
+ * - config.buffer_before_minutes / config.buffer_after_minutes: Gaps kept free around appointments (default: 0)
+ * - config.capacity: Appointments allowed at the same time (default: 1)
+ * - config.min_notice_minutes: How soon a slot can be booked (default: 60)
+ *
+ * Services book with their business_services.duration_minutes.
+ */
+
+const crypto = require('crypto');
+const {
+  getBusinessById,
+  getBusinessClosures,
+  getIntegrationCredentials,
+  getActiveBookingsInRange,
+  getBookingBlackouts,
+  getBookingByExternalUid,
+  claimNativeSlot,
+  updateBooking,
+  getActiveSlotHolds
+} = require('../supabase');
+const { getBusinessTimeZone, getLocalDayRangeUtc, getLocalDateTimeParts } = require('../time');
+const { buildCalendarEvent } = require('../ics');
+const { isEmailConfigured, sendEmail, escapeHtml } = require('../email');
+const { generateSlots, matchRequestedSlot, SlotUnavailableError } = require('./slots');
+
+const name = 'native';
+
+// No credentials: the integration row only holds scheduling settings
+const requiresCredentials = false;
+const DEFAULT_SLOT_MINUTES = 30;
+const DEFAULT_MIN_NOTICE_MINUTES = 60;
+
+// Bookings that start this long before a range can still overlap it
+const BOOKING_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+function readMinutes(value, fallback) {
+  const minutes = parseInt(value, 10);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : fallback;
+}
+
+/**
+ * Read scheduling settings from an integration row (or connect-form input)
+ * @param {Object} integration - business_integrations row
+ * @returns {{slotMinutes: number, intervalMinutes: number|null, bufferBeforeMinutes: number,
+ *   bufferAfterMinutes: number, capacity: number, minNoticeMinutes: number}}
+ */
+function getNativeSettings(integration) {
+  const config = integration?.config || {};
+
+  return {
+    slotMinutes: readMinutes(config.slot_minutes, 0) || DEFAULT_SLOT_MINUTES,
+    intervalMinutes: readMinutes(config.slot_interval_minutes, 0) || null,
+    bufferBeforeMinutes: readMinutes(config.buffer_before_minutes, 0),
+    bufferAfterMinutes: readMinutes(config.buffer_after_minutes, 0),
+    capacity: readMinutes(config.capacity, 0) || 1,
+    minNoticeMinutes: readMinutes(config.min_notice_minutes, DEFAULT_MIN_NOTICE_MINUTES)
+  };
+}
+
+async function loadContext(businessId) {
+  const [integration, business] = await Promise.all([
+    getIntegrationCredentials(businessId, name),
+    getBusinessById(businessId)
+  ]);
+
+  if (!integration || integration.status === 'disconnected') {
+    throw new Error('Business not connected to the native scheduler');
+  }
+
+  return {
+    settings: getNativeSettings(integration),
+    business,
+    timeZone: getBusinessTimeZone(business)
+  };
+}
+
+function getDurationMinutes(settings, service) {
+  return service?.duration_minutes || settings.slotMinutes;
+}
+
+/**
+ * Appointment length for a service (used to size slot holds)
+ */
+async function getSlotMinutes(businessId, service = null) {
+  const { settings } = await loadContext(businessId);
+  return getDurationMinutes(settings, service);
+}
+
+/**
+ * Slots other callers are holding (lib/calendar/holds.js)
+ */
+async function getHeldPeriods(businessId, rangeStart, rangeEnd) {
+  try {
+    const holds = await getActiveSlotHolds(businessId, name, rangeStart.toISOString(), rangeEnd.toISOString());
+    return holds.map(hold => ({ start: new Date(hold.slot_start), end: new Date(hold.slot_end) }));
+  } catch (error) {
+    console.error('⚠️ Failed to load slot holds:', error.message);
+    return [];
+  }
+}
+
+async function listSlotsWithContext(businessId, context, { startDate, endDate, service = null, ignoreUid = null, now = new Date() }) {
+  const { settings, business, timeZone } = context;
+  const rangeStart = getLocalDayRangeUtc(startDate, timeZone).startUtc;
+  const rangeEnd = getLocalDayRangeUtc(endDate, timeZone).endUtc;
+
+  const [bookings, blackouts, closures, held] = await Promise.all([
+    getActiveBookingsInRange(
+      businessId,
+      new Date(rangeStart.getTime() - BOOKING_LOOKBACK_MS).toISOString(),
+      rangeEnd.toISOString()
+    ),
+    getBookingBlackouts(businessId, rangeStart.toISOString(), rangeEnd.toISOString()),
+    getBusinessClosures(businessId, startDate, endDate).catch(error => {
+      console.error('⚠️ Failed to load closures for native availability:', error.message);
+      return [];
+    }),
+    getHeldPeriods(businessId, rangeStart, rangeEnd)
+  ]);
+
+  const busy = bookings
+    .filter(booking => booking.external_uid !== ignoreUid)
+    .map(booking => {
+      const start = new Date(booking.scheduled_at);
+      return { start, end: new Date(start.getTime() + booking.duration_minutes * 60 * 1000) };
+    })
+    .concat(held);
+  const earliest = now.getTime() + settings.minNoticeMinutes * 60 * 1000;
+
+  return generateSlots({
+    businessHours: business?.business_hours,
+    closures,
+    startDate,
+    endDate,
+    timeZone,
+    durationMinutes: getDurationMinutes(settings, service),
+    intervalMinutes: settings.intervalMinutes,
+    busy,
+    blocked: blackouts.map(blackout => ({ start: new Date(blackout.starts_at), end: new Date(blackout.ends_at) })),
+    capacity: settings.capacity,
+    bufferBeforeMinutes: settings.bufferBeforeMinutes,
+    bufferAfterMinutes: settings.bufferAfterMinutes
+  }).filter(slot => new Date(slot).getTime() >= earliest);
+}
+
+async function listSlots(businessId, options) {
+  return await listSlotsWithContext(businessId, await loadContext(businessId), options);
+}
+
+function slotUnavailableError(requestedStart) {
+  return new SlotUnavailableError(`Requested slot ${requestedStart} is not currently available`, requestedStart);
+}
+
+/**
+ * Check a requested time is still open and return the exact slot
+ */
+async function resolveSlot(businessId, context, requestedStart, service, ignoreUid = null) {
+  const requested = new Date(requestedStart);
+
+  if (Number.isNaN(requested.getTime())) {
+    throw new Error('Invalid booking start time');
+  }
+
+  const localDate = String(requestedStart).match(/^(\d{4}-\d{2}-\d{2})T/)?.[1]
+    || getLocalDateTimeParts(requested, context.timeZone).date;
+  const slots = await listSlotsWithContext(businessId, context, {
+    startDate: localDate,
+    endDate: localDate,
+    service,
+    ignoreUid
+  });
+  const slot = matchRequestedSlot(slots, requestedStart, context.timeZone);
+
+  if (!slot) {
+    throw slotUnavailableError(requestedStart);
+  }
+
+  return slot;
+}
+
+function getOrganizerEmail(business) {
+  const from = process.env.EMAIL_FROM || '';
+  return business?.email || from.match(/<([^>]+)>/)?.[1] || from || null;
+}
+
+/**
+ * Email the customer an .ics invite (or cancellation) for a booking
+ * Failures are logged, not thrown: the booking itself already succeeded.
+ * @param {Object} business - Business record
+ * @param {Object} booking - bookings row
+ * @param {string} method - 'REQUEST' (new or moved) or 'CANCEL'
+ * @param {number} sequence - iCalendar SEQUENCE for this revision
+ */
+async function sendInvite(business, booking, method, sequence) {
+  if (!booking.customer_email || !isEmailConfigured()) {
+    return;
+  }
+
+  const start = new Date(booking.scheduled_at);
+  const end = new Date(start.getTime() + booking.duration_minutes * 60 * 1000);
+  const cancelled = method === 'CANCEL';
+  const businessName = business?.name || 'us';
+  const when = start.toLocaleString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: getBusinessTimeZone(business)
+  });
+  const organizerEmail = getOrganizerEmail(business);
+
+  const ics = buildCalendarEvent({
+    uid: booking.external_uid,
+    start,
+    end,
+    summary: `Appointment with ${businessName}`,
+    description: booking.notes || null,
+    organizer: organizerEmail ? { name: business?.name, email: organizerEmail } : null,
+    attendees: [{ name: booking.customer_name, email: booking.customer_email }],
+    sequence,
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    method
+  });
+
+  const subject = cancelled
+    ? `Cancelled: your appointment with ${businessName}`
+    : `${sequence > 0 ? 'Updated' : 'Confirmed'}: your appointment with ${businessName}`;
+  const text = cancelled
+    ? `Your appointment on ${when} has been cancelled.`
+    : `Your appointment is booked for ${when}. The attached invite adds it to your calendar.`;
+
+  try {
+    const result = await sendEmail({
+      to: booking.customer_email,
+      subject,
+      text,
+      html: `<p>${escapeHtml(text)}</p>`,
+      attachments: [{
+        filename: cancelled ? 'cancel.ics' : 'invite.ics',
+        content: Buffer.from(ics, 'utf8').toString('base64')
+      }]
+    });
+
+    if (!result.ok) {
+      console.error('⚠️ Booking invite email failed:', result.error);
+    }
+  } catch (error) {
+    console.error('⚠️ Booking invite email failed:', error.message);
+  }
+}
+
+function normalizeBooking(booking) {
+  const start = new Date(booking.scheduled_at);
+
+  return {
+    uid: booking.external_uid,
+    id: booking.id,
+    start: start.toISOString(),
+    end: new Date(start.getTime() + booking.duration_minutes * 60 * 1000).toISOString(),
+    durationMinutes: booking.duration_minutes,
+    status: booking.status
+  };
+}
+
+async function book(businessId, { name: customerName, email, phone, start, notes, service = null }) {
+  const context = await loadContext(businessId);
+  const slot = await resolveSlot(businessId, context, start, service);
+  const uid = crypto.randomUUID();
+
+  const booking = await claimNativeSlot({
+    businessId,
+    externalUid: uid,
+    scheduledAt: slot,
+    durationMinutes: getDurationMinutes(context.settings, service),
+    bufferBeforeMinutes: context.settings.bufferBeforeMinutes,
+    bufferAfterMinutes: context.settings.bufferAfterMinutes,
+    capacity: context.settings.capacity,
+    booking: {
+      service_id: service?.id || null,
+      customer_name: customerName,
+      customer_email: email || null,
+      customer_phone: phone || null,
+      notes: notes || null
+    }
+  });
+
+  // Someone else took the last place between the slot check and the claim
+  if (!booking) {
+    throw slotUnavailableError(start);
+  }
+
+  console.log('✅ Native booking created:', uid);
+
+  await sendInvite(context.business, booking, 'REQUEST', booking.ics_sequence);
+
+  return normalizeBooking(booking);
+}
+
+async function findBooking(businessId, uid) {
+  const booking = await getBookingByExternalUid(name, uid);
+  return booking && booking.business_id === businessId ? booking : null;
+}
+
+async function reschedule(businessId, uid, newStart) {
+  const context = await loadContext(businessId);
+  const existing = await findBooking(businessId, uid);
+
+  if (!existing) {
+    throw Object.assign(new Error('Booking not found in calendar'), { response: { status: 404 } });
+  }
+
+  const slot = await resolveSlot(businessId, context, newStart, { duration_minutes: existing.duration_minutes }, uid);
+
+  const booking = await claimNativeSlot({
+    businessId,
+    externalUid: uid,
+    scheduledAt: slot,
+    durationMinutes: existing.duration_minutes,
+    bufferBeforeMinutes: context.settings.bufferBeforeMinutes,
+    bufferAfterMinutes: context.settings.bufferAfterMinutes,
+    capacity: context.settings.capacity
+  });
+
+  if (!booking) {
+    throw slotUnavailableError(newStart);
+  }
+
+  console.log('✅ Native booking moved:', uid);
+
+  await sendInvite(context.business, booking, 'REQUEST', booking.ics_sequence);
+
+  return normalizeBooking(booking);
+}
+
+async function cancel(businessId, uid) {
+  const booking = await findBooking(businessId, uid);
+
+  if (!booking || booking.status === 'cancelled') {
+    console.log('⚠️ Native booking already gone:', uid);
+    return;
+  }
+
+  const sequence = booking.ics_sequence + 1;
+
+  await updateBooking(booking.id, {
+    status: 'cancelled',
+    cancelled_at: new Date().toISOString(),
+    ics_sequence: sequence
+  });
+
+  console.log('✅ Native booking cancelled:', uid);
+
+  await sendInvite(await getBusinessById(businessId), booking, 'CANCEL', sequence);
+}
+
+async function getBooking(businessId, uid) {
+  const booking = await findBooking(businessId, uid);
+  return booking ? normalizeBooking(booking) : null;
+}
+
+/**
+ * Every service has a duration, so all of them can be booked
+ */
+function supportsService(service) {
+  return !!service;
+}
+
+function getBookingUid(booking) {
+  return booking.external_uid || null;
+}
+
+/**
+ * bookings columns identifying a native booking
+ * The row already exists (claim_native_slot inserts it), so createBooking
+ * upserts onto it by external_uid.
+ */
+function toBookingColumns(booking) {
+  return {
+    calendar_provider: name,
+    ...(booking.uid ? { external_uid: booking.uid } : {})
+  };
+}
+
+module.exports = {
+  name,
+  requiresCredentials,
+  // Invites go out only when an email provider is configured
+  get sendsConfirmationEmail() {
+    return isEmailConfigured();
+  },
+  listSlots,
+  book,
+  cancel,
+  reschedule,
+  getBooking,
+  getSlotMinutes,
+  supportsService,
+  getBookingUid,
+  toBookingColumns,
+  getNativeSettings
+};
@@ -0,0 +1,228 @@
+/**
+ * Slot Helpers
+ *
+ * Provider-independent helpers for appointment slots (ISO 8601 start times):
+ * generating them from business hours, filtering by time of day, matching
+ * the time a caller asked for, and saying them out loud.
+ */
+
+const {
+  APP_TIME_ZONE,
+  addDaysToDate,
+  getLocalDateTimeParts,
+  zonedTimeToUtc
+} = require('../time');
+const { parseClockTime, getHoursForDay } = require('../business-hours');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Thrown when a requested time is no longer open (taken since it was offered)
+ * Carries a 409 response status like provider conflict errors.
+ */
+class SlotUnavailableError extends Error {
+  constructor(message, requestedStart = null) {
+    super(message);
+    this.name = 'SlotUnavailableError';
+    this.requestedStart = requestedStart;
+    this.response = { status: 409 };
+  }
+}
+
+/**
+ * Whether an error means the requested slot was taken
+ * @param {Error} error - Error from a provider
+ * @returns {boolean}
+ */
+function isSlotConflict(error) {
+  return error instanceof SlotUnavailableError || error?.response?.status === 409;
+}
+
+function getHourInTimeZone(dateTime, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone
+  }).formatToParts(new Date(dateTime));
+
+  const hour = parts.find(part => part.type === 'hour');
+  return hour ? Number(hour.value) : NaN;
+}
+
+/**
+ * Filter time slots by time of day preference
+ * @param {Array} slots - Array of ISO 8601 time strings
+ * @param {string} preference - 'morning', 'afternoon', or 'evening'
+ * @param {string} timeZone - IANA timezone used to interpret the slot hour
+ * @returns {Array} Filtered slots
+ */
+function filterSlotsByTimePreference(slots, preference, timeZone = APP_TIME_ZONE) {
+  return slots.filter(slot => {
+    const hour = getHourInTimeZone(slot, timeZone);
+
+    switch (preference) {
+      case 'morning':
+        return hour >= 6 && hour < 12;
+      case 'afternoon':
+        return hour >= 12 && hour < 17;
+      case 'evening':
+        return hour >= 17 && hour < 21;
+      default:
+        return true;
+    }
+  });
+}
+
+/**
+ * Describe a slot the way a receptionist would say it
+ * @param {string} slot - Slot start (ISO 8601)
+ * @param {string} timeZone - Business timezone
+ * @param {string} today - Today's local date (YYYY-MM-DD)
+ * @returns {string} e.g. "today at 2:30 PM", "tomorrow at 9:00 AM", "Thursday, October 30 at 10:00 AM"
+ */
+function formatSpokenSlotLabel(slot, timeZone, today) {
+  const slotDate = getLocalDateTimeParts(slot, timeZone).date;
+  const time = new Date(slot).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone
+  });
+
+  if (slotDate === today) {
+    return `today at ${time}`;
+  }
+
+  if (slotDate === addDaysToDate(today, 1)) {
+    return `tomorrow at ${time}`;
+  }
+
+  const day = new Date(slot).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    timeZone
+  });
+
+  return `${day} at ${time}`;
+}
+
+/**
+ * Find the offered slot a requested start time refers to
+ * The assistant often sends the business's wall-clock time with the wrong
+ * offset (or none), so the local date and time are matched first, then the
+ * exact instant.
+ * @param {Array<string>} slots - Offered slot starts (ISO 8601)
+ * @param {string} requestedStart - Requested start (ISO 8601)
+ * @param {string} timeZone - Business timezone
+ * @returns {string|null} Matching slot, or null if the time isn't offered
+ */
+function matchRequestedSlot(slots, requestedStart, timeZone = APP_TIME_ZONE) {
+  const wallClock = String(requestedStart || '').match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/);
+  const requestedInstant = new Date(requestedStart).getTime();
+
+  if (wallClock) {
+    const wallClockMatch = slots.find(slot => {
+      const slotParts = getLocalDateTimeParts(slot, timeZone);
+      return slotParts.date === wallClock[1] && slotParts.time === `${wallClock[2]}:${wallClock[3]}`;
+    });
+
+    if (wallClockMatch) {
+      return wallClockMatch;
+    }
+  }
+
+  return slots.find(slot => new Date(slot).getTime() === requestedInstant) || null;
+}
+
+/**
+ * Generate open slots from business hours, skipping busy periods
+ * @param {Object} options
+ * @param {Object} options.businessHours - business_hours JSON
+ * @param {Array} [options.closures] - business_closures rows in the range
+ * @param {string} options.startDate - First local date (YYYY-MM-DD)
+ * @param {string} options.endDate - Last local date (YYYY-MM-DD), inclusive
+ * @param {string} options.timeZone - Business timezone
+ * @param {number} options.durationMinutes - Appointment length
+ * @param {number} [options.intervalMinutes] - Minutes between slot starts (default: durationMinutes)
+ * @param {Array<{start: Date, end: Date}>} [options.busy] - Existing appointments and events
+ * @param {Array<{start: Date, end: Date}>} [options.blocked] - Periods that can't be booked at all (blackouts)
+ * @param {number} [options.capacity=1] - Appointments allowed at the same time
+ * @param {number} [options.bufferBeforeMinutes=0] - Gap kept free before each appointment
+ * @param {number} [options.bufferAfterMinutes=0] - Gap kept free after each appointment
+ * @returns {Array<string>} Slot starts (ISO 8601), in time order
+ */
+function generateSlots(options) {
+  const {
+    businessHours,
+    closures = [],
+    startDate,
+    endDate,
+    timeZone,
+    durationMinutes,
+    busy = [],
+    blocked = [],
+    capacity = 1,
+    bufferBeforeMinutes = 0,
+    bufferAfterMinutes = 0
+  } = options;
+  const intervalMinutes = options.intervalMinutes || durationMinutes;
+  const bufferBeforeMs = bufferBeforeMinutes * 60 * 1000;
+  const bufferAfterMs = bufferAfterMinutes * 60 * 1000;
+  const closuresByDate = new Map(closures.map(closure => [closure.closure_date, closure]));
+  const slots = [];
+
+  for (let date = startDate; date <= endDate; date = addDaysToDate(date, 1)) {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+    const hours = getHoursForDay(businessHours, weekday, closuresByDate.get(date) || null);
+
+    if (!hours) {
+      continue;
+    }
+
+    const opensAt = parseClockTime(hours.start);
+    const closesAt = parseClockTime(hours.end);
+
+    if (Number.isNaN(opensAt) || Number.isNaN(closesAt)) {
+      console.warn('⚠️ Unparseable business hours, no slots generated:', { date, hours });
+      continue;
+    }
+
+    for (let minutes = opensAt; minutes + durationMinutes <= closesAt; minutes += intervalMinutes) {
+      const start = zonedTimeToUtc(timeZone, {
+        year,
+        month,
+        day,
+        hour: Math.floor(minutes / 60),
+        minute: minutes % 60
+      });
+      const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+
+      if (blocked.some(period => period.start < end && period.end > start)) {
+        continue;
+      }
+
+      // Buffers pad both the new appointment and the ones already booked
+      const overlapping = busy.filter(period => (
+        period.start.getTime() - bufferBeforeMs < end.getTime() + bufferAfterMs
+        && period.end.getTime() + bufferAfterMs > start.getTime() - bufferBeforeMs
+      )).length;
+
+      if (overlapping < capacity) {
+        slots.push(start.toISOString());
+      }
+    }
+  }
+
+  return slots;
+}
+
+module.exports = {
+  SlotUnavailableError,
+  isSlotConflict,
+  filterSlotsByTimePreference,
+  formatSpokenSlotLabel,
+  matchRequestedSlot,
+  generateSlots
+};
@@ -0,0 +1,290 @@
+/**
+ * Callback Queue
+ *
+ * Stores scheduleCallback requests in callback_requests, parses the caller's
+ * preferred time ("tomorrow morning", "after 3pm") into a window in the
+ * business timezone, and notifies the business right away.
+ */
+
+const { createCallbackRequest, updateCallbackRequest } = require('./supabase');
+const { escapeHtml } = require('./email');
+const { notifyBusinessOwner } = require('./notifications');
+const {
+  getBusinessTimeZone,
+  getLocalDateTimeParts,
+  addDaysToDate,
+  zonedTimeToUtc
+} = require('./time');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Full names or exact abbreviations, so "month", "friend" or "satisfied" don't match
+const WEEKDAY_PATTERNS = [
+  /\b(sunday|sun)\b/,
+  /\b(monday|mon)\b/,
+  /\b(tuesday|tues?)\b/,
+  /\b(wednesday|wed)\b/,
+  /\b(thursday|thu|thur|thurs)\b/,
+  /\b(friday|fri)\b/,
+  /\b(saturday|sat)\b/
+];
+const ASAP_PATTERN = /(asap|as soon as possible|right away|right now|immediately|\bnow\b)/;
+const NOT_NOW_PATTERN = /\bnot (right )?now\b/;
+
+// Minutes after local midnight ("afternoon" must be matched before "noon")
+const DAY_PARTS = {
+  morning: [9 * 60, 12 * 60],
+  afternoon: [12 * 60, 17 * 60],
+  evening: [17 * 60, 20 * 60],
+  tonight: [17 * 60, 20 * 60],
+  lunch: [12 * 60, 13 * 60],
+  noon: [12 * 60, 13 * 60]
+};
+const DEFAULT_DAY_WINDOW = [9 * 60, 17 * 60];
+const LATEST_CALLBACK_MINUTES = 20 * 60;
+const ASAP_WINDOW_MINUTES = 120;
+
+function toUtc(date, minutes, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  return zonedTimeToUtc(timeZone, {
+    year,
+    month,
+    day,
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60
+  });
+}
+
+/**
+ * Parse "3pm", "3:30 pm", "15:00" or a bare "3" into minutes after midnight.
+ * Bare hours 1-7 are read as afternoon.
+ */
+function parseClockTime(text) {
+  const match = text.match(/(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] ? match[3].toLowerCase()[0] : null;
+
+  if (hour > 23 || minute > 59) return null;
+
+  if (meridiem === 'p' && hour < 12) hour += 12;
+  if (meridiem === 'a' && hour === 12) hour = 0;
+  if (!meridiem && hour >= 1 && hour <= 7) hour += 12;
+
+  return hour * 60 + minute;
+}
+
+/**
+ * Parse a spoken callback preference into a UTC window
+ * @param {string} text - e.g. "tomorrow morning", "after 3pm today", "asap"
+ * @param {string} timeZone - Business timezone
+ * @param {Date} [now] - Current time
+ * @returns {{start: Date, end: Date}|null} Window, or null for "any time"
+ */
+function parseCallbackWindow(text, timeZone, now = new Date()) {
+  const value = (text || '').toLowerCase();
+  if (!value.trim()) return null;
+
+  const local = getLocalDateTimeParts(now, timeZone);
+  let date = null;
+
+  const isoDate = value.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (isoDate) {
+    date = isoDate[1];
+  } else if (/\btomorrow\b/.test(value)) {
+    date = addDaysToDate(local.date, 1);
+  } else if (/\b(today|tonight|this (morning|afternoon|evening))\b/.test(value)) {
+    date = local.date;
+  } else {
+    const weekday = WEEKDAY_PATTERNS.findIndex(pattern => pattern.test(value));
+    if (weekday !== -1) {
+      const offset = (weekday - WEEKDAYS.indexOf(local.weekday) + 7) % 7;
+      date = addDaysToDate(local.date, offset);
+    }
+  }
+
+  let window = null;
+  const afterMatch = value.match(/\b(after|from)\s+([^,;]+)/);
+  const beforeMatch = value.match(/\b(before|by|until)\s+([^,;]+)/);
+  const atMatch = value.match(/\b(at|around|about)\s+([^,;]+)/);
+
+  const partName = Object.keys(DAY_PARTS).find(part => value.includes(part));
+  const afterTime = afterMatch ? parseClockTime(afterMatch[2]) : null;
+  const beforeTime = beforeMatch ? (/noon/.test(beforeMatch[2]) ? 12 * 60 : parseClockTime(beforeMatch[2])) : null;
+  const atTime = atMatch ? parseClockTime(atMatch[2]) : null;
+
+  if (afterTime !== null && beforeTime !== null && beforeTime > afterTime) {
+    window = [afterTime, beforeTime];
+  } else if (afterTime !== null) {
+    window = [afterTime, Math.min(afterTime + 3 * 60, LATEST_CALLBACK_MINUTES)];
+  } else if (beforeTime !== null) {
+    window = [Math.min(DEFAULT_DAY_WINDOW[0], beforeTime - 60), beforeTime];
+  } else if (atTime !== null) {
+    window = [atTime, atTime + 60];
+  } else if (partName) {
+    window = DAY_PARTS[partName];
+  }
+
+  // "asap" only when no later day or time was given ("not now, tomorrow morning")
+  const isAsap = ASAP_PATTERN.test(value) && !NOT_NOW_PATTERN.test(value);
+  if (isAsap && !window && (!date || date === local.date)) {
+    return { start: now, end: new Date(now.getTime() + ASAP_WINDOW_MINUTES * 60 * 1000) };
+  }
+
+  if (!date && !window) {
+    return null;
+  }
+
+  window = window || DEFAULT_DAY_WINDOW;
+  date = date || local.date;
+
+  let start = toUtc(date, window[0], timeZone);
+  let end = toUtc(date, window[1], timeZone);
+
+  // "after 3pm" said at 5pm means tomorrow unless a day was given
+  if (end <= now && !isoDate && !/\b(today|tonight|this )/.test(value)) {
+    const nextDate = addDaysToDate(date, date === local.date ? 1 : 7);
+    start = toUtc(nextDate, window[0], timeZone);
+    end = toUtc(nextDate, window[1], timeZone);
+  }
+
+  if (start < now && end > now) {
+    start = now;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Human-readable callback window in the business timezone
+ * @param {Object} business - Business object from DB
+ * @param {Object} callback - callback_requests row
+ * @returns {string} e.g. "Tue, Mar 10, 9:00 AM - 12:00 PM" or "Any time"
+ */
+function formatCallbackWindow(business, callback) {
+  if (!callback.window_start || !callback.window_end) {
+    return callback.preferred_time_text || 'Any time';
+  }
+
+  const timeZone = getBusinessTimeZone(business);
+  const day = new Date(callback.window_start).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone
+  });
+  const time = value => new Date(value).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone
+  });
+
+  return `${day}, ${time(callback.window_start)} - ${time(callback.window_end)}`;
+}
+
+/**
+ * Store a callback request and notify the business
+ * @param {Object} business - Business object from DB
+ * @param {Object} request - Request details
+ * @param {string|null} request.callId - calls.id
+ * @param {string|null} [request.smsConversationId] - sms_conversations.id
+ * @param {string} request.channel - 'voice' or 'sms'
+ * @param {string} request.customerPhone - Number to call back
+ * @param {string} [request.customerName] - Caller name
+ * @param {string} request.reason - Why they want a callback
+ * @param {string} [request.preferredTime] - Caller's words, e.g. "tomorrow morning"
+ * @returns {Promise<Object>} callback_requests row
+ */
+async function requestCallback(business, {
+  callId = null,
+  smsConversationId = null,
+  channel,
+  customerPhone,
+  customerName = null,
+  reason,
+  preferredTime = null
+}) {
+  const window = parseCallbackWindow(preferredTime, getBusinessTimeZone(business));
+
+  const callback = await createCallbackRequest({
+    business_id: business.id,
+    call_id: callId,
+    sms_conversation_id: smsConversationId,
+    channel,
+    customer_name: customerName,
+    customer_phone: customerPhone,
+    reason,
+    preferred_time_text: preferredTime,
+    window_start: window?.start.toISOString() || null,
+    window_end: window?.end.toISOString() || null
+  });
+
+  console.log('📞 Callback requested:', {
+    callbackId: callback.id,
+    business: business.name,
+    window: formatCallbackWindow(business, callback)
+  });
+
+  const notified = await notifyCallbackRequest(business, callback);
+  if (notified) {
+    try {
+      await updateCallbackRequest(business.id, callback.id, { notified_at: new Date().toISOString() });
+    } catch (error) {
+      console.error('⚠️ Failed to mark callback notified:', error.message);
+    }
+  }
+
+  return callback;
+}
+
+/**
+ * Email and text the business owner about a new callback request
+ * @param {Object} business - Business object from DB
+ * @param {Object} callback - callback_requests row
+ * @returns {Promise<boolean>} True if at least one notification was sent
+ */
+async function notifyCallbackRequest(business, callback) {
+  const who = callback.customer_name
+    ? `${callback.customer_name} (${callback.customer_phone})`
+    : callback.customer_phone;
+  const when = formatCallbackWindow(business, callback);
+  const dashboardLink = process.env.DASHBOARD_URL || '';
+
+  const text = [
+    `Callback requested for ${business.name}`,
+    '',
+    `Caller: ${who}`,
+    `Preferred time: ${when}`,
+    `Reason: ${callback.reason}`,
+    '',
+    dashboardLink ? `Mark it done in the dashboard: ${dashboardLink}` : ''
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; color: #111; line-height: 1.5;">
+      <h2 style="margin-bottom: 4px;">Callback requested</h2>
+      <p style="margin: 0;"><strong>${escapeHtml(business.name)}</strong></p>
+      <hr />
+      <p><strong>Caller:</strong> ${escapeHtml(who)}<br />
+      <strong>Preferred time:</strong> ${escapeHtml(when)}<br />
+      <strong>Reason:</strong> ${escapeHtml(callback.reason)}</p>
+      ${dashboardLink ? `<p><a href="${dashboardLink}">Open dashboard</a></p>` : ''}
+    </div>
+  `;
+
+  return await notifyBusinessOwner(business, {
+    subject: `Callback requested by ${who} - ${business.name}`,
+    text,
+    html,
+    sms: `Callback requested: ${who}, ${when}. Reason: ${callback.reason}`
+  });
+}
+
+module.exports = {
+  parseCallbackWindow,
+  formatCallbackWindow,
+  requestCallback
+};
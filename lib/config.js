@@ -0,0 +1,18 @@
+/**
+ * Runtime Configuration
+ *
+ * Environment lookups shared by modules that behave differently in
+ * production (webhook authentication, token encryption, ...).
+ */
+
+/**
+ * Name of the current deployment environment
+ * @returns {string} 'production', 'preview' or 'development'
+ */
+function getDeploymentEnvironment() {
+  return process.env.VERCEL_ENV || process.env.NODE_ENV || 'development';
+}
+
+module.exports = {
+  getDeploymentEnvironment
+};
@@ -0,0 +1,132 @@
+/**
+ * Customers
+ *
+ * Returning-caller recognition. Each business has one customers row per
+ * phone number, linked to that caller's calls and bookings and kept up to
+ * date with the name and email given when booking.
+ *
+ * At the start of a call (or SMS reply) getCustomerContext() loads what we
+ * know about the caller so the assistant can greet them by name and skip
+ * questions they've already answered.
+ */
+
+const {
+  upsertCustomer,
+  getCustomerByPhone,
+  getLastVisit,
+  getUpcomingBookings,
+  getCallbackRequests,
+  updateCall,
+  updateBooking
+} = require('./supabase');
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * Record a call from a customer and link it to their record
+ * @param {Object} business - Business object from DB
+ * @param {Object} details - Call details
+ * @param {string} details.phone - Caller number (E.164)
+ * @param {string} [details.callId] - calls.id to link
+ * @returns {Promise<Object|null>} Customer record, or null for unknown/withheld numbers
+ */
+async function recordCustomerCall(business, { phone, callId = null }) {
+  if (!E164_PATTERN.test(phone || '')) {
+    return null;
+  }
+
+  try {
+    const customer = await upsertCustomer({
+      business_id: business.id,
+      phone_number: phone,
+      last_call_at: new Date().toISOString()
+    });
+
+    if (callId) {
+      await updateCall(callId, { customer_id: customer.id });
+    }
+
+    return customer;
+  } catch (error) {
+    console.error('⚠️ Failed to record customer call:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Save booking details on the customer record and link the booking
+ * @param {Object} business - Business object from DB
+ * @param {Object} details - Booking details
+ * @param {string} details.phone - Customer phone (E.164)
+ * @param {string} [details.name] - Name given at booking
+ * @param {string} [details.email] - Email given at booking
+ * @param {string} [details.bookingId] - bookings.id to link
+ * @returns {Promise<Object|null>} Customer record, or null if it couldn't be saved
+ */
+async function recordCustomerBooking(business, { phone, name = null, email = null, bookingId = null }) {
+  if (!E164_PATTERN.test(phone || '')) {
+    return null;
+  }
+
+  try {
+    const customer = await upsertCustomer({
+      business_id: business.id,
+      phone_number: phone,
+      ...(name ? { name: name.trim() } : {}),
+      ...(email ? { email: email.trim().toLowerCase() } : {})
+    });
+
+    if (bookingId) {
+      await updateBooking(bookingId, { customer_id: customer.id });
+    }
+
+    return customer;
+  } catch (error) {
+    console.error('⚠️ Failed to record customer booking:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Load what we know about a caller
+ * @param {Object} business - Business object from DB
+ * @param {string} phone - Caller number (E.164)
+ * @returns {Promise<Object|null>} `{ name, email, lastVisit, upcomingAppointment, openCallbacks }`,
+ *   or null for new callers
+ */
+async function getCustomerContext(business, phone) {
+  if (!business?.id || !E164_PATTERN.test(phone || '')) {
+    return null;
+  }
+
+  try {
+    const [customer, lastVisit, upcoming, openCallbacks] = await Promise.all([
+      getCustomerByPhone(business.id, phone),
+      getLastVisit(business.id, phone),
+      getUpcomingBookings(business.id, { phone }, 1),
+      getCallbackRequests(business.id, { customerPhone: phone, limit: 3 })
+    ]);
+
+    const context = {
+      name: customer?.name || upcoming[0]?.customer_name || null,
+      email: customer?.email || upcoming[0]?.customer_email || null,
+      lastVisit,
+      upcomingAppointment: upcoming[0] || null,
+      openCallbacks
+    };
+
+    const known = context.name || context.email || context.lastVisit
+      || context.upcomingAppointment || context.openCallbacks.length > 0;
+
+    return known ? context : null;
+  } catch (error) {
+    console.error('⚠️ Failed to load customer context:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  recordCustomerCall,
+  recordCustomerBooking,
+  getCustomerContext
+};
@@ -0,0 +1,323 @@
+/**
+ * Spoken Email Capture
+ *
+ * Email is the hardest booking detail to get right by voice. The
+ * verifyEmail assistant tool:
+ * 1. Normalizes what the caller said ("john dot doe at gmail") into an address
+ * 2. Checks the syntax and that the domain has mail servers (MX lookup)
+ * 3. Returns a letter-by-letter read-back for the assistant to confirm
+ *
+ * When the caller can't spell it, the tool texts them a link to a short form
+ * (api/email-capture.js). createBooking doesn't wait for it: until the
+ * address is submitted it asks the caller to say when they've sent it, and
+ * picks it up when the assistant calls it again.
+ * Links belong to the call they were sent on, so an address submitted on an
+ * earlier call is never picked up by a later one.
+ *
+ * MX lookups use Node's DNS resolver; setMxResolver() swaps in another one
+ * (e.g. DNS over HTTPS on hosts where DNS lookups are blocked).
+ *
+ * Environment variables:
+ * - EMAIL_CAPTURE_URL: Public URL of the form, e.g. https://your-domain.com/api/email-capture
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const {
+  createEmailCapture,
+  getEmailCaptureByToken,
+  getLatestEmailCaptureForCall,
+  updateEmailCapture
+} = require('./supabase');
+const { sendSMS } = require('./twilio');
+const { fillTemplate, EMAIL_CAPTURE_SMS } = require('./prompts');
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+// Mail providers callers often name without the ".com"
+const KNOWN_DOMAINS = {
+  gmail: 'gmail.com',
+  yahoo: 'yahoo.com',
+  hotmail: 'hotmail.com',
+  outlook: 'outlook.com',
+  icloud: 'icloud.com',
+  aol: 'aol.com'
+};
+
+const SPOKEN_SYMBOLS = [
+  [/\bat sign\b/g, '@'],
+  [/\bat\b/g, '@'],
+  [/\b(dot|period|point)\b/g, '.'],
+  [/\bunder ?score\b/g, '_'],
+  [/\b(dash|hyphen|minus)\b/g, '-'],
+  [/\bplus\b/g, '+']
+];
+
+const SYMBOL_WORDS = {
+  '.': 'dot',
+  _: 'underscore',
+  '-': 'dash',
+  '+': 'plus'
+};
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+// DNS answers meaning the domain can't receive mail
+const NO_MAIL_SERVER_CODES = ['ENOTFOUND', 'ENODATA'];
+
+const MX_TIMEOUT_MS = 3000;
+const CAPTURE_TTL_MINUTES = 30;
+
+let mxResolver = domain => dns.promises.resolveMx(domain);
+
+/**
+ * Replace the MX resolver
+ * @param {Function} resolver - `async (domain) => [{ exchange, priority }]`; rejects
+ *   with code ENOTFOUND / ENODATA when the domain has no mail servers
+ */
+function setMxResolver(resolver) {
+  mxResolver = resolver;
+}
+
+/**
+ * Turn a spoken or spelled-out email into an address
+ * @param {string} spoken - What the caller said, e.g. "j o h n dot doe at gmail"
+ * @returns {string} Normalized address (may still be invalid)
+ */
+function normalizeSpokenEmail(spoken) {
+  const input = (spoken || '').trim().toLowerCase();
+
+  // Already an address (typed, or transcribed with symbols)
+  if (/^\S+@\S+$/.test(input)) {
+    return input;
+  }
+
+  let text = ` ${input} `;
+
+  // "b as in boy" -> "b", "double l" -> "ll"
+  text = text.replace(/\b([a-z0-9])\s+(?:as in|like)\s+[a-z]+\b/g, '$1');
+  text = text.replace(/\bdouble\s+([a-z0-9])\b/g, '$1$1');
+  text = text.replace(/\b(all )?(lower ?case|capital|upper ?case)\b/g, ' ');
+
+  for (const [pattern, symbol] of SPOKEN_SYMBOLS) {
+    text = text.replace(pattern, ` ${symbol} `);
+  }
+
+  NUMBER_WORDS.forEach((word, digit) => {
+    text = text.replace(new RegExp(`\\b${word}\\b`, 'g'), String(digit));
+  });
+
+  let email = text.replace(/\s+/g, '').replace(/\.{2,}/g, '.').replace(/^\.+|\.+$/g, '');
+
+  const at = email.lastIndexOf('@');
+  const domain = at > 0 ? email.slice(at + 1) : null;
+  if (domain && KNOWN_DOMAINS[domain]) {
+    email = `${email.slice(0, at)}@${KNOWN_DOMAINS[domain]}`;
+  }
+
+  return email;
+}
+
+/**
+ * Check email syntax
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+function isValidEmail(email) {
+  if (!email || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+    return false;
+  }
+
+  return email.split('@')[0].length <= 64;
+}
+
+/**
+ * Check that an email's domain has mail servers
+ * Lookup failures other than "no mail server" (timeouts, resolver errors)
+ * don't reject the address.
+ * @param {string} email - Email address
+ * @returns {Promise<{ok: boolean, unverified?: boolean}>}
+ */
+async function checkEmailDomain(email) {
+  const domain = email.split('@').pop();
+  let timer;
+
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error('MX lookup timed out'), { code: 'ETIMEOUT' })), MX_TIMEOUT_MS);
+    });
+    const records = await Promise.race([mxResolver(domain), timeout]);
+
+    // A null MX (RFC 7505) has an empty exchange
+    const servers = (records || []).filter(record => record.exchange && record.exchange !== '.');
+    return { ok: servers.length > 0 };
+  } catch (error) {
+    if (NO_MAIL_SERVER_CODES.includes(error.code)) {
+      return { ok: false };
+    }
+
+    console.warn('⚠️ MX lookup failed, accepting email unverified:', { domain, error: error.message });
+    return { ok: true, unverified: true };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Normalize and check an email address
+ * @param {string} input - Spoken or typed email
+ * @returns {Promise<{email: string, valid: boolean, reason?: string}>} reason: 'invalid_syntax' or 'no_mail_server'
+ */
+async function verifyEmailAddress(input) {
+  const email = normalizeSpokenEmail(input);
+
+  if (!isValidEmail(email)) {
+    return { email, valid: false, reason: 'invalid_syntax' };
+  }
+
+  const domain = await checkEmailDomain(email);
+  if (!domain.ok) {
+    return { email, valid: false, reason: 'no_mail_server' };
+  }
+
+  return { email, valid: true };
+}
+
+/**
+ * Spell an email out for the assistant to read back
+ * @param {string} email - Email address
+ * @returns {string} e.g. "j o h n, dot, d o e, at gmail dot com"
+ */
+function spellEmailForSpeech(email) {
+  const at = email.lastIndexOf('@');
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+  const spell = part => part
+    .split(/([._+-])/)
+    .filter(Boolean)
+    .map(piece => SYMBOL_WORDS[piece] || piece.split('').join(' '))
+    .join(', ');
+
+  const spokenDomain = Object.values(KNOWN_DOMAINS).includes(domain)
+    ? domain.replace(/\./g, ' dot ')
+    : spell(domain);
+
+  return `${spell(local)}, at ${spokenDomain}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Text the caller a link where they can type their email
+ * @param {Object} business - Business object from DB
+ * @param {Object} session - Tool session (see lib/assistant-tools.js)
+ * @returns {Promise<Object|null>} email_captures row, or null if no link could be sent
+ */
+async function requestEmailByText(business, session) {
+  const captureUrl = process.env.EMAIL_CAPTURE_URL;
+
+  if (!captureUrl || !session.vapiCallId || !E164_PATTERN.test(session.customerPhone || '')) {
+    console.log('ℹ️ Email link not available:', {
+      captureUrl: !!captureUrl,
+      vapiCallId: session.vapiCallId,
+      customerPhone: session.customerPhone
+    });
+    return null;
+  }
+
+  try {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const capture = await createEmailCapture({
+      business_id: business.id,
+      vapi_call_id: session.vapiCallId,
+      customer_phone: session.customerPhone,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + CAPTURE_TTL_MINUTES * 60 * 1000).toISOString()
+    });
+
+    const body = fillTemplate(EMAIL_CAPTURE_SMS, {
+      businessName: business.name,
+      link: `${captureUrl}?t=${token}`
+    });
+    await sendSMS(session.customerPhone, body, session.businessPhone ? { from: session.businessPhone } : {});
+
+    console.log('📱 Email capture link sent:', { to: session.customerPhone, captureId: capture.id });
+    return capture;
+  } catch (error) {
+    console.error('❌ Failed to send email capture link:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the email a caller submitted through the link texted on this call
+ * @param {Object} business - Business object from DB
+ * @param {Object} session - Tool session
+ * @returns {Promise<Object|null>} Latest email_captures row ('pending' or 'submitted'),
+ *   or null if no link was sent on this call
+ */
+async function getCapturedEmail(business, session) {
+  if (!session.vapiCallId) {
+    return null;
+  }
+
+  return await getLatestEmailCaptureForCall(business.id, session.vapiCallId);
+}
+
+/**
+ * Look up the capture behind a texted link
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object|null>} Unexpired email_captures row (with business name), or null
+ */
+async function getEmailCaptureForLink(token) {
+  if (!token) {
+    return null;
+  }
+
+  const capture = await getEmailCaptureByToken(hashToken(String(token)));
+
+  if (!capture || new Date(capture.expires_at) <= new Date()) {
+    return null;
+  }
+
+  return capture;
+}
+
+/**
+ * Store the email a caller typed into the form
+ * @param {Object} capture - email_captures row from getEmailCaptureForLink
+ * @param {string} input - Typed email
+ * @returns {Promise<{email: string, valid: boolean, reason?: string}>}
+ */
+async function submitCapturedEmail(capture, input) {
+  const check = await verifyEmailAddress((input || '').trim());
+
+  if (!check.valid) {
+    return check;
+  }
+
+  await updateEmailCapture(capture.id, {
+    status: 'submitted',
+    email: check.email,
+    submitted_at: new Date().toISOString()
+  });
+
+  console.log('✅ Email submitted through link:', { captureId: capture.id });
+  return check;
+}
+
+module.exports = {
+  setMxResolver,
+  normalizeSpokenEmail,
+  isValidEmail,
+  checkEmailDomain,
+  verifyEmailAddress,
+  spellEmailForSpeech,
+  requestEmailByText,
+  getCapturedEmail,
+  getEmailCaptureForLink,
+  submitCapturedEmail
+};
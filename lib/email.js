@@ -0,0 +1,103 @@
+/**
+ * Email Helpers
+ *
+ * Sends transactional email through Resend and resolves where business
+ * notifications should go.
+ *
+ * Environment variables required:
+ * - RESEND_API_KEY: Resend API key
+ * - EMAIL_FROM: Verified sender address
+ */
+
+const { supabaseService } = require('./supabase');
+
+/**
+ * Whether email sending is configured
+ * @returns {boolean}
+ */
+function isEmailConfigured() {
+  return !!(process.env.RESEND_API_KEY && process.env.EMAIL_FROM);
+}
+
+/**
+ * Send an email via Resend
+ * @param {Object} email - Email to send
+ * @param {string|string[]} email.to - Recipient(s)
+ * @param {string} email.subject - Subject line
+ * @param {string} email.html - HTML body
+ * @param {string} email.text - Plain-text body
+ * @param {Array} [email.attachments] - Resend attachments ({ filename, content })
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+async function sendEmail({ to, subject, html, text, attachments }) {
+  if (!isEmailConfigured()) {
+    return { ok: false, error: 'Email provider not configured' };
+  }
+
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      from: process.env.EMAIL_FROM,
+      to,
+      subject,
+      html,
+      text,
+      ...(attachments?.length ? { attachments } : {})
+    })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('❌ Resend error:', response.status, errorText);
+    return { ok: false, error: errorText };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Resolve the business owner's email (business email, then owner auth user)
+ * @param {Object} business - Business with id and email
+ * @returns {Promise<string|null>} Email address or null
+ */
+async function resolveRecipientEmail(business) {
+  if (business.email) return business.email;
+
+  const { data: owners, error } = await supabaseService
+    .from('business_users')
+    .select('user_id, role')
+    .eq('business_id', business.id)
+    .eq('role', 'owner')
+    .limit(1);
+
+  if (error || !owners || owners.length === 0) return null;
+
+  const ownerId = owners[0].user_id;
+  try {
+    const { data } = await supabaseService.auth.admin.getUserById(ownerId);
+    return data?.user?.email || null;
+  } catch (err) {
+    console.error('❌ Failed to load owner email:', err);
+    return null;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+module.exports = {
+  isEmailConfigured,
+  sendEmail,
+  resolveRecipientEmail,
+  escapeHtml
+};
@@ -0,0 +1,248 @@
+/**
+ * Secret Encryption
+ *
+ * Envelope encryption for third-party credentials stored in the database
+ * (business_integrations tokens). Each value gets its own random data key;
+ * the value is encrypted with AES-256-GCM under that data key, and the data
+ * key is wrapped with a key-encryption key (KEK) from the environment.
+ *
+ * Stored format:
+ *   enc:v1:<kekId>:<wrapped data key>:<iv>:<auth tag>:<ciphertext>   (base64url parts)
+ *
+ * Rotation: put a new key first in TOKEN_ENCRYPTION_KEYS and keep the old
+ * ones after it. New values use the first key; old values still decrypt.
+ * rewrapSecret() moves a value to the current key by re-wrapping only its
+ * data key (see scripts/encrypt-integration-tokens.js).
+ *
+ * Values without the `enc:` prefix are treated as legacy plaintext.
+ *
+ * Environment variables:
+ * - TOKEN_ENCRYPTION_KEYS: Comma-separated `<kekId>:<base64 32-byte key>`, current key first,
+ *   e.g. "2026-10:3q2+7w...,2026-01:q83v..." (generate with `openssl rand -base64 32`)
+ */
+
+const crypto = require('crypto');
+const { getDeploymentEnvironment } = require('./config');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+let cachedKeys = null;
+let cachedKeysSource = null;
+
+/**
+ * Parse TOKEN_ENCRYPTION_KEYS
+ * @returns {{currentKeyId: string|null, keys: Map<string, Buffer>}}
+ */
+function getKeyring() {
+  const source = process.env.TOKEN_ENCRYPTION_KEYS || '';
+
+  if (cachedKeys && cachedKeysSource === source) {
+    return cachedKeys;
+  }
+
+  const keys = new Map();
+  let currentKeyId = null;
+
+  for (const entry of source.split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || !KEY_ID_PATTERN.test(keyId) || key.length !== 32) {
+      throw new Error('Invalid TOKEN_ENCRYPTION_KEYS entry: expected <kekId>:<base64 32-byte key>');
+    }
+
+    keys.set(keyId, key);
+    currentKeyId = currentKeyId || keyId;
+  }
+
+  cachedKeys = { currentKeyId, keys };
+  cachedKeysSource = source;
+  return cachedKeys;
+}
+
+/**
+ * Whether secrets can be encrypted in this environment
+ * @returns {boolean}
+ */
+function isEncryptionConfigured() {
+  return !!getKeyring().currentKeyId;
+}
+
+/**
+ * Whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Key ID an encrypted value was wrapped with
+ * @param {*} value - Stored value
+ * @returns {string|null} kekId, or null for plaintext
+ */
+function getSecretKeyId(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+function seal(key, plaintext, aad = null) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+
+  if (aad) {
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+  }
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }, aad = null) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+
+  if (aad) {
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+  }
+
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function wrapDataKey(keyId, dataKey) {
+  const { keys } = getKeyring();
+  const sealed = seal(keys.get(keyId), dataKey, `kek:${keyId}`);
+  return Buffer.concat([sealed.iv, sealed.tag, sealed.ciphertext]).toString('base64url');
+}
+
+function unwrapDataKey(keyId, wrapped) {
+  const key = getKeyring().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Unknown encryption key: ${keyId}`);
+  }
+
+  const raw = Buffer.from(wrapped, 'base64url');
+  return open(key, {
+    iv: raw.subarray(0, 12),
+    tag: raw.subarray(12, 28),
+    ciphertext: raw.subarray(28)
+  }, `kek:${keyId}`);
+}
+
+function parseEncrypted(value) {
+  const parts = value.slice(PREFIX.length).split(':');
+
+  if (parts.length !== 5) {
+    throw new Error('Malformed encrypted secret');
+  }
+
+  const [keyId, wrappedKey, iv, tag, ciphertext] = parts;
+  return {
+    keyId,
+    wrappedKey,
+    iv: Buffer.from(iv, 'base64url'),
+    tag: Buffer.from(tag, 'base64url'),
+    ciphertext: Buffer.from(ciphertext, 'base64url')
+  };
+}
+
+/**
+ * Encrypt a secret for storage
+ * Without TOKEN_ENCRYPTION_KEYS, values are stored as plaintext outside
+ * production (with a warning) and rejected in production.
+ * @param {string|null} plaintext - Secret value
+ * @param {string} [context] - Where the value is stored, e.g. "<business_id>:access_token";
+ *   the same context is required to decrypt, so values can't be copied between rows
+ * @returns {string|null} Encrypted value (null/undefined pass through)
+ */
+function encryptSecret(plaintext, context = null) {
+  if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const { currentKeyId } = getKeyring();
+
+  if (!currentKeyId) {
+    if (getDeploymentEnvironment() === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEYS not configured');
+    }
+
+    console.warn('⚠️ TOKEN_ENCRYPTION_KEYS not set - storing integration secrets unencrypted outside production');
+    return plaintext;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), context);
+
+  return PREFIX + [
+    currentKeyId,
+    wrapDataKey(currentKeyId, dataKey),
+    sealed.iv.toString('base64url'),
+    sealed.tag.toString('base64url'),
+    sealed.ciphertext.toString('base64url')
+  ].join(':');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string|null} value - Stored value (encrypted or legacy plaintext)
+ * @param {string} [context] - Context used when encrypting
+ * @returns {string|null} Plaintext
+ */
+function decryptSecret(value, context = null) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const parsed = parseEncrypted(value);
+  const dataKey = unwrapDataKey(parsed.keyId, parsed.wrappedKey);
+
+  return open(dataKey, parsed, context).toString('utf8');
+}
+
+/**
+ * Re-wrap an encrypted value's data key with the current key
+ * The ciphertext itself is unchanged, so no context is needed.
+ * @param {string} value - Encrypted value
+ * @returns {string} Value wrapped with the current key (unchanged if already current)
+ */
+function rewrapSecret(value) {
+  const { currentKeyId } = getKeyring();
+
+  if (!isEncrypted(value) || !currentKeyId) {
+    return value;
+  }
+
+  const parsed = parseEncrypted(value);
+
+  if (parsed.keyId === currentKeyId) {
+    return value;
+  }
+
+  const dataKey = unwrapDataKey(parsed.keyId, parsed.wrappedKey);
+  const [, , ...rest] = value.slice(PREFIX.length).split(':');
+
+  return PREFIX + [currentKeyId, wrapDataKey(currentKeyId, dataKey), ...rest].join(':');
+}
+
+/**
+ * ID of the key new values are encrypted with
+ * @returns {string|null}
+ */
+function getCurrentKeyId() {
+  return getKeyring().currentKeyId;
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  isEncrypted,
+  isEncryptionConfigured,
+  getSecretKeyId,
+  getCurrentKeyId
+};
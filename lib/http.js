@@ -0,0 +1,85 @@
+/**
+ * HTTP Request Helpers
+ *
+ * Webhooks signed over the request body (Vapi HMAC, Cal.com) must be verified
+ * against the exact bytes the sender signed, not a re-serialized req.body.
+ * Routes using readRawBody/readJsonBody turn off Vercel's body parser:
+ *
+ *   module.exports.config = { api: { bodyParser: false } };
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Read the raw request body
+ * The result is cached on req.rawBody so it can be read more than once.
+ * @param {Request} req - Vercel request object (with body parsing disabled)
+ * @returns {Promise<string>} Body as UTF-8 text ('' when empty)
+ */
+async function readRawBody(req) {
+  if (typeof req.rawBody === 'string') {
+    return req.rawBody;
+  }
+
+  if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+    req.rawBody = req.body.toString('utf8');
+    return req.rawBody;
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+
+  req.rawBody = Buffer.concat(chunks).toString('utf8');
+  return req.rawBody;
+}
+
+/**
+ * Read the raw body and parse it as JSON into req.body
+ * @param {Request} req - Vercel request object (with body parsing disabled)
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ * @throws {SyntaxError} When the body is not valid JSON
+ */
+async function readJsonBody(req) {
+  const rawBody = await readRawBody(req);
+  req.body = rawBody ? JSON.parse(rawBody) : {};
+  return req.body;
+}
+
+/**
+ * Constant-time string comparison, for signatures and shared secrets
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+
+  if (left.length !== right.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Client IP for security event logs (first X-Forwarded-For hop on Vercel)
+ * @param {Request} req - Vercel request object
+ * @returns {string|null} IP address
+ */
+function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket?.remoteAddress || null;
+}
+
+module.exports = {
+  readRawBody,
+  readJsonBody,
+  safeEqual,
+  getClientIp
+};
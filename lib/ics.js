@@ -0,0 +1,309 @@
+/**
+ * iCalendar (RFC 5545)
+ *
+ * Builds and parses the VEVENT data stored in CalDAV calendars and emailed
+ * as native scheduler invites. Only the properties bookings need are
+ * supported: times, summary, description, status, transparency, attendees
+ * and sequence.
+ */
+
+const { zonedTimeToUtc, isValidTimeZone, APP_TIME_ZONE } = require('./time');
+
+const PRODID = '-//AI Missed Call Recovery//Booking//EN';
+const MAX_LINE_LENGTH = 75;
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (match, char) => (
+    char === 'n' || char === 'N' ? '\n' : char
+  ));
+}
+
+/**
+ * Fold a content line at 75 octets (continuation lines start with a space)
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+
+  if (bytes.length <= MAX_LINE_LENGTH) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? MAX_LINE_LENGTH : MAX_LINE_LENGTH - 1;
+
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+    }
+
+    current += char;
+    currentLength += charLength;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a Date as an iCalendar UTC date-time (20261020T150000Z)
+ * @param {Date|string} date - Instant
+ * @returns {string}
+ */
+function formatUtcDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build a VCALENDAR containing one VEVENT
+ * @param {Object} event - Event details
+ * @param {string} event.uid - Globally unique event ID
+ * @param {Date|string} event.start - Start instant
+ * @param {Date|string} event.end - End instant
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Notes
+ * @param {string} [event.location] - Location
+ * @param {{name?: string, email: string}} [event.organizer] - Organizer
+ * @param {Array<{name?: string, email: string}>} [event.attendees] - Attendees
+ * @param {number} [event.sequence=0] - Revision number (increment on every change)
+ * @param {string} [event.status='CONFIRMED'] - CONFIRMED, TENTATIVE or CANCELLED
+ * @param {string} [event.method] - iTIP method for email invites (REQUEST, CANCEL)
+ * @param {Date} [event.now] - DTSTAMP
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+function buildCalendarEvent(event) {
+  const {
+    uid,
+    start,
+    end,
+    summary,
+    description = null,
+    location = null,
+    organizer = null,
+    attendees = [],
+    sequence = 0,
+    status = 'CONFIRMED',
+    method = null,
+    now = new Date()
+  } = event;
+
+  const formatPerson = (person, role) => {
+    const name = person.name ? `;CN="${String(person.name).replace(/"/g, "'")}"` : '';
+    return `${role}${name}:mailto:${person.email}`;
+  };
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    ...(method ? [`METHOD:${method}`] : []),
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtcDateTime(now)}`,
+    `DTSTART:${formatUtcDateTime(start)}`,
+    `DTEND:${formatUtcDateTime(end)}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${status}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(organizer?.email ? [formatPerson(organizer, 'ORGANIZER')] : []),
+    ...attendees
+      .filter(attendee => attendee?.email)
+      .map(attendee => formatPerson(attendee, 'ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=FALSE')),
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split a content line into name, parameters and value
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let separator = -1;
+
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = {};
+
+  for (const param of rawParams) {
+    const equals = param.indexOf('=');
+    if (equals > 0) {
+      params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+    }
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+/**
+ * Parse a DATE or DATE-TIME property value
+ * UTC values end in Z; TZID values and floating times are read as wall-clock
+ * times in that zone (or the default zone).
+ */
+function parseDateValue(property, defaultTimeZone) {
+  const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0)
+  };
+  const allDay = hour === undefined || property.params.VALUE === 'DATE';
+
+  if (utc) {
+    return { date: new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)), allDay };
+  }
+
+  const timeZone = property.params.TZID && isValidTimeZone(property.params.TZID)
+    ? property.params.TZID
+    : defaultTimeZone;
+
+  return { date: zonedTimeToUtc(timeZone, parts), allDay };
+}
+
+/**
+ * Parse an ISO 8601 duration (P1D, PT30M, P1DT2H) into milliseconds
+ */
+function parseDuration(value) {
+  const match = String(value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 86400
+    + Number(hours || 0) * 3600
+    + Number(minutes || 0) * 60
+    + Number(seconds || 0)) * 1000;
+
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parse the VEVENTs in iCalendar text
+ * @param {string} text - iCalendar data
+ * @param {Object} [options]
+ * @param {string} [options.defaultTimeZone] - Zone for floating times and all-day dates
+ * @returns {Array<{uid: string, start: Date, end: Date, allDay: boolean, summary: string|null,
+ *   description: string|null, status: string|null, transparent: boolean, sequence: number,
+ *   attendees: Array<{name: string|null, email: string}>}>}
+ */
+function parseCalendarEvents(text, { defaultTimeZone = APP_TIME_ZONE } = {}) {
+  const lines = String(text || '')
+    .replace(/\r\n[ \t]/g, '')
+    .replace(/\n[ \t]/g, '')
+    .split(/\r?\n/);
+
+  const events = [];
+  let current = null;
+  let nestedDepth = 0;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT' && !current) {
+        current = { properties: [] };
+      } else if (current) {
+        nestedDepth += 1; // VALARM etc.
+      }
+      continue;
+    }
+
+    if (property.name === 'END') {
+      if (current && nestedDepth > 0) {
+        nestedDepth -= 1;
+      } else if (current && property.value.toUpperCase() === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+
+    if (current && nestedDepth === 0) {
+      current.properties.push(property);
+    }
+  }
+
+  return events.flatMap(({ properties }) => {
+    const get = name => properties.find(property => property.name === name) || null;
+    const startProperty = get('DTSTART');
+    const start = startProperty ? parseDateValue(startProperty, defaultTimeZone) : null;
+
+    if (!start) {
+      return [];
+    }
+
+    const endProperty = get('DTEND');
+    const duration = parseDuration(get('DURATION')?.value);
+    let end = endProperty ? parseDateValue(endProperty, defaultTimeZone)?.date : null;
+
+    if (!end) {
+      end = new Date(start.date.getTime() + (duration ?? (start.allDay ? 86400000 : 0)));
+    }
+
+    return [{
+      uid: get('UID')?.value || null,
+      start: start.date,
+      end,
+      allDay: start.allDay,
+      summary: get('SUMMARY') ? unescapeText(get('SUMMARY').value) : null,
+      description: get('DESCRIPTION') ? unescapeText(get('DESCRIPTION').value) : null,
+      status: get('STATUS')?.value?.toUpperCase() || null,
+      transparent: get('TRANSP')?.value?.toUpperCase() === 'TRANSPARENT',
+      sequence: parseInt(get('SEQUENCE')?.value, 10) || 0,
+      attendees: properties
+        .filter(property => property.name === 'ATTENDEE')
+        .map(property => ({
+          name: property.params.CN || null,
+          email: property.value.replace(/^mailto:/i, '')
+        }))
+    }];
+  });
+}
+
+module.exports = {
+  buildCalendarEvent,
+  parseCalendarEvents,
+  formatUtcDateTime
+};
@@ -0,0 +1,76 @@
+/**
+ * LLM Helper
+ *
+ * Thin wrapper around the OpenAI Chat Completions API for work that happens
+ * outside a Vapi call (SMS conversations, voicemail analysis).
+ *
+ * Environment variables required:
+ * - OPENAI_API_KEY: OpenAI API key
+ * - OPENAI_MODEL: Optional model override (default: gpt-4o-mini)
+ */
+
+const { MODEL_DEFAULTS } = require('./vapi');
+
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+const DEFAULT_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+/**
+ * Convert Vapi/OpenAI-style function definitions to the `tools` format
+ * @param {Array} functions - Function definitions from lib/vapi/functions.js
+ * @returns {Array} Chat Completions tools
+ */
+function toChatTools(functions = []) {
+  return functions.map(fn => ({
+    type: 'function',
+    function: fn
+  }));
+}
+
+/**
+ * Request a chat completion
+ * @param {Object} options - Request options
+ * @param {Array} options.messages - Chat messages
+ * @param {Array} [options.functions] - Function definitions the model may call
+ * @param {Object} [options.responseFormat] - e.g. `{ type: 'json_object' }`
+ * @param {number} [options.maxTokens] - Completion token limit
+ * @param {number} [options.timeoutMs] - Abort the request after this long
+ * @returns {Promise<Object>} The first choice's message
+ */
+async function createChatCompletion({ messages, functions = [], responseFormat = null, maxTokens = 300, timeoutMs = null }) {
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY not configured');
+  }
+
+  const response = await fetch(OPENAI_API_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: DEFAULT_MODEL,
+      temperature: MODEL_DEFAULTS.temperature,
+      max_tokens: maxTokens,
+      messages,
+      ...(functions.length > 0 ? { tools: toChatTools(functions) } : {}),
+      ...(responseFormat ? { response_format: responseFormat } : {})
+    }),
+    ...(timeoutMs ? { signal: AbortSignal.timeout(timeoutMs) } : {})
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('❌ OpenAI API error:', response.status, errorText);
+    throw new Error(`OpenAI API error ${response.status}`);
+  }
+
+  const payload = await response.json();
+  return payload.choices?.[0]?.message || { role: 'assistant', content: '' };
+}
+
+module.exports = {
+  createChatCompletion,
+  toChatTools
+};
@@ -0,0 +1,142 @@
+/**
+ * Outbound Request Guards
+ *
+ * Some URLs the server fetches are supplied by business owners (CalDAV
+ * calendar URLs). They must not reach the server's own network: loopback,
+ * private, link-local (including cloud metadata at 169.254.169.254) and other
+ * non-public addresses are refused.
+ *
+ * assertPublicUrl() resolves the host and checks every address it returns.
+ * The agents from getPublicAgents() check the address each connection
+ * actually uses, so a DNS answer that changes after the check (rebinding)
+ * is refused too.
+ *
+ * Environment variables:
+ * - ALLOW_PRIVATE_NETWORK_URLS: Local dev only - allow non-public addresses, e.g. a
+ *   Radicale server on localhost (ignored in production)
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getDeploymentEnvironment } = require('./config');
+
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the IPv4 rules
+const blockList = new net.BlockList();
+for (const [prefix, bits, type] of BLOCKED_SUBNETS) {
+  blockList.addSubnet(prefix, bits, type);
+}
+
+let cachedAgents = null;
+
+/**
+ * Thrown when a URL's host is, or resolves to, a non-public address
+ */
+class PrivateAddressError extends Error {
+  constructor(hostname) {
+    super(`${hostname} is not a public address`);
+    this.name = 'PrivateAddressError';
+    this.hostname = hostname;
+  }
+}
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+
+  if (!family) {
+    return false;
+  }
+
+  return !blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function allowsPrivateNetwork() {
+  return process.env.ALLOW_PRIVATE_NETWORK_URLS === 'true' && getDeploymentEnvironment() !== 'production';
+}
+
+/**
+ * Check that a URL's host only resolves to public addresses
+ * @param {string} url - Absolute URL
+ * @returns {Promise<void>}
+ * @throws {PrivateAddressError} If any address is not public
+ */
+async function assertPublicUrl(url) {
+  if (allowsPrivateNetwork()) {
+    return;
+  }
+
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+  if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw new PrivateAddressError(hostname);
+  }
+}
+
+/**
+ * dns.lookup for http(s).Agent that refuses non-public answers
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+
+    if (!allowsPrivateNetwork() && addresses.some(entry => !isPublicAddress(entry.address))) {
+      return callback(new PrivateAddressError(hostname));
+    }
+
+    return callback(null, address, family);
+  });
+}
+
+/**
+ * HTTP agents that only connect to public addresses (for axios httpAgent/httpsAgent)
+ * @returns {{httpAgent: http.Agent, httpsAgent: https.Agent}}
+ */
+function getPublicAgents() {
+  if (!cachedAgents) {
+    cachedAgents = {
+      httpAgent: new http.Agent({ lookup: publicLookup }),
+      httpsAgent: new https.Agent({ lookup: publicLookup })
+    };
+  }
+
+  return cachedAgents;
+}
+
+module.exports = {
+  PrivateAddressError,
+  isPublicAddress,
+  assertPublicUrl,
+  getPublicAgents
+};
@@ -0,0 +1,126 @@
+/**
+ * Business Notifications
+ *
+ * Sends alerts to the business owner: email to the business/owner address
+ * and SMS to businesses.notification_phone. Used for voicemails and
+ * callback requests.
+ *
+ * Urgent-call alerts (lib/alerts.js) go to on_call_contacts instead, one
+ * escalation level at a time, respecting each contact's quiet hours.
+ */
+
+const { sendSMS } = require('./twilio');
+const { sendEmail, resolveRecipientEmail } = require('./email');
+const { getLocalDateTimeParts } = require('./time');
+
+/**
+ * Notify the business owner by email and SMS
+ * @param {Object} business - Business with id, email and notification_phone
+ * @param {Object} message - Notification content
+ * @param {string} message.subject - Email subject
+ * @param {string} message.text - Plain-text email body
+ * @param {string} message.html - HTML email body
+ * @param {string} [message.sms] - SMS body (skipped if omitted)
+ * @returns {Promise<boolean>} True if at least one notification was sent
+ */
+async function notifyBusinessOwner(business, { subject, text, html, sms }) {
+  let sent = false;
+
+  try {
+    const recipient = await resolveRecipientEmail(business);
+    if (recipient) {
+      const result = await sendEmail({ to: recipient, subject, html, text });
+      sent = sent || result.ok;
+    }
+  } catch (error) {
+    console.error('❌ Owner email notification failed:', error.message);
+  }
+
+  if (sms && business.notification_phone) {
+    try {
+      await sendSMS(business.notification_phone, sms);
+      sent = true;
+    } catch (error) {
+      console.error('❌ Owner SMS notification failed:', error.message);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Convert a "HH:MM" or "HH:MM:SS" time to minutes after midnight
+ * @param {string} value - Clock time
+ * @returns {number} Minutes, or NaN if unparseable
+ */
+function toMinutes(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * Check whether a contact is in their quiet hours
+ * @param {Object} contact - on_call_contacts row
+ * @param {string} timeZone - Business timezone
+ * @param {Date} now - Moment to evaluate (default: current time)
+ * @returns {boolean} True if the contact should only get emergencies
+ */
+function isWithinQuietHours(contact, timeZone, now = new Date()) {
+  const start = toMinutes(contact.quiet_hours_start);
+  const end = toMinutes(contact.quiet_hours_end);
+
+  if (Number.isNaN(start) || Number.isNaN(end) || start === end) {
+    return false;
+  }
+
+  const minutes = toMinutes(getLocalDateTimeParts(now, timeZone).time);
+
+  // Windows like 22:00-07:00 wrap past midnight
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Alert one on-call contact by SMS and email
+ * @param {Object} contact - on_call_contacts row
+ * @param {Object} message - Notification content
+ * @param {string} message.subject - Email subject
+ * @param {string} message.text - Plain-text email body
+ * @param {string} message.html - HTML email body
+ * @param {string} message.sms - SMS body
+ * @param {Object} options - Send options
+ * @param {string} [options.from] - Number to send the SMS from (so replies reach the business)
+ * @returns {Promise<Array<{channel: string, ok: boolean}>>} One entry per attempted channel
+ */
+async function notifyOnCallContact(contact, { subject, text, html, sms }, { from = null } = {}) {
+  const deliveries = [];
+
+  if (contact.phone_number && sms) {
+    try {
+      await sendSMS(contact.phone_number, sms, from ? { from } : {});
+      deliveries.push({ channel: 'sms', ok: true });
+    } catch (error) {
+      console.error('❌ On-call SMS failed:', { contact: contact.id, error: error.message });
+      deliveries.push({ channel: 'sms', ok: false });
+    }
+  }
+
+  if (contact.email) {
+    try {
+      const result = await sendEmail({ to: contact.email, subject, html, text });
+      deliveries.push({ channel: 'email', ok: result.ok });
+    } catch (error) {
+      console.error('❌ On-call email failed:', { contact: contact.id, error: error.message });
+      deliveries.push({ channel: 'email', ok: false });
+    }
+  }
+
+  return deliveries;
+}
+
+module.exports = {
+  notifyBusinessOwner,
+  notifyOnCallContact,
+  isWithinQuietHours
+};
@@ -0,0 +1,119 @@
+/**
+ * OAuth State
+ *
+ * Signed, expiring `state` values for OAuth connect flows, so a callback can
+ * only complete a connection that an authenticated business owner started.
+ *
+ * Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 of the payload)
+ * Payload: { p: provider, b: businessId, u: userId, n: nonce, exp: epoch ms }
+ *
+ * The nonce is also stored in oauth_states and consumed by the callback, so
+ * each state can be used once.
+ *
+ * Environment variables:
+ * - OAUTH_STATE_SECRET: HMAC key for state values
+ * - OAUTH_STATE_TTL_MINUTES: How long a connect link stays valid (default: 10)
+ */
+
+const crypto = require('crypto');
+const { createOAuthState, consumeOAuthState } = require('./supabase');
+const { safeEqual } = require('./http');
+
+const DEFAULT_TTL_MINUTES = 10;
+
+function getStateSecret() {
+  const secret = process.env.OAUTH_STATE_SECRET;
+
+  if (!secret) {
+    throw new Error('OAUTH_STATE_SECRET not configured');
+  }
+
+  return secret;
+}
+
+function getTtlMs() {
+  const minutes = parseInt(process.env.OAUTH_STATE_TTL_MINUTES, 10);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES) * 60 * 1000;
+}
+
+function sign(encodedPayload) {
+  return crypto
+    .createHmac('sha256', getStateSecret())
+    .update(encodedPayload)
+    .digest('base64url');
+}
+
+/**
+ * Create a signed state for an OAuth connect flow
+ * @param {Object} details - Flow details
+ * @param {string} details.provider - e.g. 'calcom'
+ * @param {string} details.businessId - UUID of the business being connected
+ * @param {string} details.userId - auth.users id of the owner starting the flow
+ * @returns {Promise<string>} State value for the authorization URL
+ */
+async function createSignedState({ provider, businessId, userId }) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + getTtlMs();
+
+  await createOAuthState({
+    nonce,
+    provider,
+    business_id: businessId,
+    user_id: userId,
+    expires_at: new Date(expiresAt).toISOString()
+  });
+
+  const encodedPayload = Buffer
+    .from(JSON.stringify({ p: provider, b: businessId, u: userId, n: nonce, exp: expiresAt }))
+    .toString('base64url');
+
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Verify and consume a state returned to an OAuth callback
+ * @param {string} state - `state` query parameter
+ * @param {string} provider - Expected provider
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {Promise<{ok: boolean, reason?: string, businessId?: string, userId?: string}>}
+ */
+async function verifySignedState(state, provider, { now = Date.now() } = {}) {
+  const [encodedPayload, signature, extra] = String(state || '').split('.');
+
+  if (!encodedPayload || !signature || extra !== undefined) {
+    return { ok: false, reason: 'malformed_state' };
+  }
+
+  if (!safeEqual(signature, sign(encodedPayload))) {
+    return { ok: false, reason: 'invalid_signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { ok: false, reason: 'malformed_state' };
+  }
+
+  if (payload.p !== provider || !payload.b || !payload.u || !payload.n) {
+    return { ok: false, reason: 'malformed_state' };
+  }
+
+  if (!Number.isFinite(payload.exp) || payload.exp < now) {
+    return { ok: false, reason: 'expired_state' };
+  }
+
+  const stored = await consumeOAuthState(payload.n, provider);
+
+  if (!stored || stored.business_id !== payload.b || stored.user_id !== payload.u) {
+    return { ok: false, reason: 'state_already_used' };
+  }
+
+  return { ok: true, businessId: payload.b, userId: payload.u };
+}
+
+module.exports = {
+  createSignedState,
+  verifySignedState
+};
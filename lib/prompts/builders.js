@@ -11,10 +11,16 @@ const {
   BOOKING_GUIDELINES,
   APPOINTMENT_HANDLING,
   DENTAL_SECTION,
+  AFTER_HOURS_SECTION,
+  BOOKABLE_SERVICES_SECTION,
+  RETURNING_CALLER_SECTION,
+  URGENT_CALL_SECTION,
+  TRANSFER_SECTION,
+  TRANSFER_UNAVAILABLE_SECTION,
   FIRST_MESSAGES,
   END_CALL_MESSAGES
 } = require('./templates');
-const { APP_TIME_ZONE } = require('../time');
+const { APP_TIME_ZONE, getBusinessTimeZone } = require('../time');
 
 /**
  * Get today's hours from business_hours JSON
@@ -164,6 +170,111 @@ function buildIndustrySection(business, options = {}) {
   return 'INDUSTRY-SPECIFIC HANDLING:\n- Use the business reference to answer simple questions and collect the details needed for follow-up.';
 }
 
+/**
+ * Build the after-hours section for closed days.
+ * @param {Object} options - Builder options
+ * @returns {string} Prompt section, or empty string during normal operation
+ */
+function buildAfterHoursSection(options = {}) {
+  if (!options.afterHours) {
+    return '';
+  }
+
+  return fillTemplate(AFTER_HOURS_SECTION, {
+    closureNote: options.closureReason ? ` (${options.closureReason})` : ''
+  });
+}
+
+/**
+ * Build the bookable-services section.
+ * @param {Object} options - Builder options
+ * @param {boolean} [options.enableBooking] - Direct booking enabled
+ * @param {Array} [options.bookableServices] - business_services rows with Cal.com event types
+ * @returns {string} Prompt section, or empty string when booking uses the default event type
+ */
+function buildBookableServicesSection(options = {}) {
+  const { enableBooking = false, bookableServices = [] } = options;
+
+  if (!enableBooking || bookableServices.length === 0) {
+    return '';
+  }
+
+  return fillTemplate(BOOKABLE_SERVICES_SECTION, {
+    services: bookableServices
+      .map(service => `- ${service.name} (${service.duration_minutes} min)${service.description ? `: ${service.description}` : ''}`)
+      .join('\n')
+  });
+}
+
+/**
+ * Build the returning-caller section.
+ * @param {Object} business - Business object from DB
+ * @param {Object} options - Builder options
+ * @param {Object} [options.customerContext] - From getCustomerContext() in lib/customers.js
+ * @returns {string} Prompt section, or empty string for new callers
+ */
+function buildReturningCallerSection(business, options = {}) {
+  const { customerContext } = options;
+
+  if (!customerContext) {
+    return '';
+  }
+
+  const timeZone = getBusinessTimeZone(business);
+  const formatDate = (value, withTime) => new Date(value).toLocaleString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    ...(withTime ? { hour: 'numeric', minute: '2-digit', hour12: true } : {}),
+    timeZone
+  });
+
+  const details = [
+    customerContext.name ? `- Name on file: ${customerContext.name}` : null,
+    customerContext.email ? `- Email on file: ${customerContext.email}` : null,
+    customerContext.lastVisit ? `- Last visit: ${formatDate(customerContext.lastVisit.scheduled_at, false)}` : null,
+    customerContext.upcomingAppointment
+      ? `- Upcoming appointment: ${formatDate(customerContext.upcomingAppointment.scheduled_at, true)}`
+      : null,
+    ...customerContext.openCallbacks.map(callback => `- Open callback request: ${callback.reason}`)
+  ].filter(Boolean);
+
+  return fillTemplate(RETURNING_CALLER_SECTION, { details: details.join('\n') });
+}
+
+/**
+ * Build the live-transfer section.
+ * @param {Object} options - Builder options
+ * @param {Array} [options.transferDestinations] - Destinations from lib/transfers.js (voice only)
+ * @returns {string} Prompt section, or empty string when transfers aren't configured
+ */
+function buildTransferSection(options = {}) {
+  const { transferDestinations } = options;
+
+  // null/undefined = not a voice call, or no destinations configured
+  if (!transferDestinations) {
+    return '';
+  }
+
+  if (transferDestinations.length === 0) {
+    return TRANSFER_UNAVAILABLE_SECTION;
+  }
+
+  const conditionLabels = {
+    emergency: 'emergencies',
+    caller_request: 'caller asks for a person',
+    vip: 'priority caller'
+  };
+
+  return fillTemplate(TRANSFER_SECTION, {
+    destinations: transferDestinations
+      .map(destination => `  - ${destination.label}: ${destination.conditions
+        .map(condition => conditionLabels[condition] || condition)
+        .join(', ')}`)
+      .join('\n')
+  });
+}
+
 /**
  * Build system prompt for a business
  * @param {Object} business - Business object from DB
@@ -174,6 +285,7 @@ function buildSystemPrompt(business, options = {}) {
   const {
     enableBooking = false,
     enableCallback = false,
+    enableUrgentAlerts = true,
     appointmentHandlingEnabled,
     personality = 'a warm, upbeat, polished front-desk assistant',
     tone = 'Warm, upbeat, calm, and genuinely helpful'
@@ -181,7 +293,7 @@ function buildSystemPrompt(business, options = {}) {
 
   // Get business data with fallbacks
   const businessName = business?.name || 'our business';
-  const timezone = APP_TIME_ZONE;
+  const timezone = getBusinessTimeZone(business);
   const businessHours = business?.business_hours;
   
   // Build services list from DB or use default
@@ -228,7 +340,16 @@ function buildSystemPrompt(business, options = {}) {
     guidelines: enableBooking ? BOOKING_GUIDELINES : DEFAULT_GUIDELINES,
     appointmentHandling: APPOINTMENT_HANDLING[appointmentMode],
     tone,
-    industrySection: buildIndustrySection(business, options),
+    industrySection: [
+      buildIndustrySection(business, options),
+      buildAfterHoursSection(options),
+      buildBookableServicesSection(options),
+      buildReturningCallerSection(business, options),
+      enableUrgentAlerts ? URGENT_CALL_SECTION : '',
+      buildTransferSection(options)
+    ]
+      .filter(Boolean)
+      .join('\n\n'),
     businessDetails: detailsSection
   };
 
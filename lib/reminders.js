@@ -0,0 +1,466 @@
+/**
+ * Appointment Confirmations and Reminders
+ *
+ * Messages customers about appointments when businesses.booking_reminders_enabled:
+ * - a confirmation right after the assistant books or moves an appointment
+ * - reminders businesses.booking_reminder_offsets minutes before it
+ *   (default 24h and 2h), sent by api/cron/send-reminders.js
+ *
+ * Messages are texted from the business number, or emailed when the
+ * customer has no mobile number. Replying YES to a text confirms the
+ * appointment and C cancels it in the calendar (CANCEL and STOP are Twilio
+ * opt-out keywords, so they can't be used).
+ *
+ * Every send is stored in booking_messages, keyed by the appointment time:
+ * reminders follow reschedules made anywhere (assistant, Cal.com, staff)
+ * and stop once the booking is cancelled. A reminder that failed, or was
+ * left 'sending' past its lease by a run that timed out, is retried by the
+ * next run up to MAX_SEND_ATTEMPTS times.
+ */
+
+const {
+  getPrimaryBusinessPhone,
+  getBookingsForReminders,
+  getBookingMessages,
+  createBookingMessage,
+  updateBookingMessage,
+  getLatestBookingText,
+  getOpenSmsConversation,
+  updateBooking
+} = require('./supabase');
+const { sendSMS } = require('./twilio');
+const { isEmailConfigured, sendEmail, escapeHtml } = require('./email');
+const { getBusinessTimeZone } = require('./time');
+const { getBookingProvider, getBookingUid } = require('./calendar');
+const { fillTemplate, BOOKING_CONFIRMATION_SMS, BOOKING_REMINDER_SMS } = require('./prompts');
+
+// Postgres unique_violation - this message was already sent for the appointment time
+const DUPLICATE_KEY_ERROR = '23505';
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+const MAX_SEND_ATTEMPTS = 3;
+
+// Longer than the 30s function timeout (vercel.json), so a live send is never taken over
+const SENDING_LEASE_MS = 60 * 1000;
+
+const DEFAULT_REMINDER_OFFSETS = [1440, 120];
+
+// Bookings further out than this are not loaded by the reminder run
+const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+
+const CONFIRM_PATTERN = /^(y|yes|confirm|confirmed)$/i;
+const CANCEL_PATTERN = /^c$/i;
+
+function getLeaseExpiry(now = new Date()) {
+  return new Date(now.getTime() + SENDING_LEASE_MS).toISOString();
+}
+
+/**
+ * Whether a reminder that didn't go out may be sent again
+ * Rows created before locked_until existed fall back to updated_at.
+ * @param {Object} message - booking_messages row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isRetryable(message, now) {
+  if ((message.attempts || 1) >= MAX_SEND_ATTEMPTS) {
+    return false;
+  }
+
+  if (message.status === 'failed') {
+    return true;
+  }
+
+  const lockedUntil = message.locked_until
+    ? new Date(message.locked_until).getTime()
+    : new Date(message.updated_at || message.created_at).getTime() + SENDING_LEASE_MS;
+
+  return message.status === 'sending' && lockedUntil <= now.getTime();
+}
+
+/**
+ * Describe an appointment for messages
+ * @param {Object} business - Business object from DB
+ * @param {Object} booking - bookings row
+ * @returns {{appointment: string, appointmentTime: string}}
+ */
+function describeAppointment(business, booking) {
+  const service = booking.metadata?.service;
+
+  return {
+    appointment: service ? `${service} appointment` : 'appointment',
+    appointmentTime: new Date(booking.scheduled_at).toLocaleString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: getBusinessTimeZone(business)
+    })
+  };
+}
+
+/**
+ * Build a confirmation or reminder
+ * @param {Object} business - Business object from DB
+ * @param {Object} booking - bookings row
+ * @param {string} kind - 'confirmation' or 'reminder'
+ * @param {string|null} fromPhone - Business number (for the email footer)
+ * @returns {{subject: string, text: string, html: string, sms: string}}
+ */
+function buildBookingMessage(business, booking, kind, fromPhone) {
+  const { appointment, appointmentTime } = describeAppointment(business, booking);
+  const variables = { businessName: business.name, appointment, appointmentTime };
+  const headline = kind === 'reminder'
+    ? `Reminder: your ${appointment} with ${business.name} is on ${appointmentTime}.`
+    : `Your ${appointment} with ${business.name} is booked for ${appointmentTime}.`;
+  const footer = fromPhone
+    ? `To change or cancel it, call or text us at ${fromPhone}.`
+    : `To change or cancel it, please give us a call.`;
+
+  return {
+    subject: kind === 'reminder'
+      ? `Reminder: ${appointment} with ${business.name}`
+      : `Your ${appointment} with ${business.name} is booked`,
+    text: `${headline}\n\n${footer}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <p style="font-size: 16px;">${escapeHtml(headline)}</p>
+        <p style="color: #6b7280;">${escapeHtml(footer)}</p>
+      </div>
+    `,
+    sms: fillTemplate(kind === 'reminder' ? BOOKING_REMINDER_SMS : BOOKING_CONFIRMATION_SMS, variables)
+  };
+}
+
+/**
+ * Pick how to reach the customer: text if they have a mobile number, else email
+ * @param {Object} booking - bookings row
+ * @returns {{channel: string, recipient: string}|null} null if they can't be reached
+ */
+function getMessageChannel(booking) {
+  if (E164_PATTERN.test(booking.customer_phone || '')) {
+    return { channel: 'sms', recipient: booking.customer_phone };
+  }
+
+  if (booking.customer_email && isEmailConfigured()) {
+    return { channel: 'email', recipient: booking.customer_email };
+  }
+
+  return null;
+}
+
+/**
+ * Send a confirmation or reminder and record it in booking_messages
+ * @param {Object} business - Business object from DB
+ * @param {Object} booking - bookings row
+ * @param {Object} message - Message details
+ * @param {string} message.kind - 'confirmation' or 'reminder'
+ * @param {number} [message.offsetMinutes] - Reminder offset before the appointment
+ * @param {string|null} [message.fromPhone] - Business number to text from
+ * @param {boolean} [message.skipEmail] - Don't email (the calendar already did)
+ * @param {Object|null} [message.retry] - booking_messages row of an earlier attempt to send again
+ * @returns {Promise<Object|null>} booking_messages row, or null if nothing was sent
+ */
+async function deliverBookingMessage(business, booking, { kind, offsetMinutes = 0, fromPhone = null, skipEmail = false, retry = null }) {
+  const target = getMessageChannel(booking);
+
+  if (!target || (skipEmail && target.channel === 'email')) {
+    return null;
+  }
+
+  const content = buildBookingMessage(business, booking, kind, fromPhone);
+  const fields = {
+    channel: target.channel,
+    recipient: target.recipient,
+    from_phone: target.channel === 'sms' ? fromPhone : null,
+    body: target.channel === 'sms' ? content.sms : content.text,
+    locked_until: getLeaseExpiry()
+  };
+  let message;
+
+  if (retry) {
+    // Only one run may take over a failed or stale send
+    message = await updateBookingMessage(retry.id, {
+      ...fields,
+      status: 'sending',
+      attempts: (retry.attempts || 1) + 1,
+      error: null
+    }, { expectedStatus: retry.status, expectedAttempts: retry.attempts || 1 });
+
+    if (!message) {
+      console.log('ℹ️ Booking message retry already claimed:', { bookingId: booking.id, kind, offsetMinutes });
+      return null;
+    }
+
+    console.log('🔁 Retrying booking message:', { bookingId: booking.id, kind, offsetMinutes, attempt: message.attempts });
+  } else {
+    try {
+      message = await createBookingMessage({
+        ...fields,
+        business_id: business.id,
+        booking_id: booking.id,
+        kind,
+        offset_minutes: offsetMinutes,
+        appointment_at: new Date(booking.scheduled_at).toISOString()
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        console.log('ℹ️ Booking message already sent:', { bookingId: booking.id, kind, offsetMinutes });
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  try {
+    let twilioMessageSid = null;
+
+    if (target.channel === 'sms') {
+      const sent = await sendSMS(target.recipient, content.sms, fromPhone ? { from: fromPhone } : {});
+      twilioMessageSid = sent.sid;
+    } else {
+      const result = await sendEmail({ to: target.recipient, subject: content.subject, html: content.html, text: content.text });
+      if (!result.ok) {
+        throw new Error(result.error || 'Email not sent');
+      }
+    }
+
+    console.log('📱 Booking message sent:', { bookingId: booking.id, kind, offsetMinutes, channel: target.channel });
+
+    return await updateBookingMessage(message.id, {
+      status: 'sent',
+      twilio_message_sid: twilioMessageSid,
+      sent_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to send booking message:', { bookingId: booking.id, kind, error: error.message });
+    return await updateBookingMessage(message.id, { status: 'failed', error: error.message });
+  }
+}
+
+/**
+ * Confirm a booking the assistant just made or moved
+ * Best effort: a failed confirmation never fails the booking.
+ * @param {Object} business - Business object from DB
+ * @param {Object} booking - bookings row
+ * @param {Object} [options]
+ * @param {string|null} [options.fromPhone] - Business number the customer called or texted
+ * @param {boolean} [options.emailedByCalendar] - The calendar provider already emails a confirmation
+ * @returns {Promise<Object|null>} booking_messages row, or null if nothing was sent
+ */
+async function sendBookingConfirmation(business, booking, { fromPhone = null, emailedByCalendar = false } = {}) {
+  if (!business?.booking_reminders_enabled || !booking) {
+    return null;
+  }
+
+  try {
+    return await deliverBookingMessage(business, booking, {
+      kind: 'confirmation',
+      fromPhone: fromPhone || await getPrimaryBusinessPhone(business.id),
+      skipEmail: emailedByCalendar
+    });
+  } catch (error) {
+    console.error('❌ Failed to send booking confirmation:', { bookingId: booking.id, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Work out which reminder is due for a booking
+ * Only the latest offset that has passed is sent, and not if the customer
+ * booked, or was already messaged about this time, after it passed. A
+ * reminder for that offset that didn't go out is sent again while
+ * isRetryable() allows it.
+ * @param {Object} booking - bookings row
+ * @param {Array<number>} offsets - Reminder offsets (minutes before the appointment)
+ * @param {Array} messages - booking_messages rows for the booking
+ * @param {Date} now - Current time
+ * @returns {{offset: number, retry: Object|null}|null} Offset to send (with the
+ *   earlier attempt to retry, if any), or null
+ */
+function getDueReminder(booking, offsets, messages, now) {
+  const startsAt = new Date(booking.scheduled_at).getTime();
+  const passed = offsets
+    .filter(offset => Number.isInteger(offset) && offset > 0)
+    .filter(offset => startsAt - offset * 60 * 1000 <= now.getTime());
+
+  if (passed.length === 0) {
+    return null;
+  }
+
+  const offset = Math.min(...passed);
+  const sendAt = startsAt - offset * 60 * 1000;
+  const sameTime = messages.filter(message => new Date(message.appointment_at).getTime() === startsAt);
+  const previous = sameTime.find(message => message.kind === 'reminder' && message.offset_minutes === offset);
+
+  if (previous) {
+    return isRetryable(previous, now) ? { offset, retry: previous } : null;
+  }
+
+  // A message that failed to send doesn't count as having reached the customer
+  if (new Date(booking.created_at).getTime() > sendAt
+    || sameTime.some(message => message.status !== 'failed' && new Date(message.created_at).getTime() >= sendAt)) {
+    return null;
+  }
+
+  return { offset, retry: null };
+}
+
+/**
+ * Send reminders that are due (run from cron)
+ * @param {Object} options - Run options
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<{checked: number, sent: number, failed: number, errors: Array}>}
+ */
+async function sendDueReminders({ now = new Date() } = {}) {
+  const bookings = await getBookingsForReminders(
+    now.toISOString(),
+    new Date(now.getTime() + MAX_REMINDER_OFFSET_MINUTES * 60 * 1000).toISOString()
+  );
+  const messages = await getBookingMessages(bookings.map(booking => booking.id));
+  const businessPhones = new Map();
+  const errors = [];
+  let sent = 0;
+  let failed = 0;
+
+  for (const booking of bookings) {
+    const business = booking.businesses;
+    const bookingMessages = messages.filter(message => message.booking_id === booking.id);
+    const due = getDueReminder(
+      booking,
+      business.booking_reminder_offsets || DEFAULT_REMINDER_OFFSETS,
+      bookingMessages,
+      now
+    );
+
+    if (!due) {
+      continue;
+    }
+
+    try {
+      // Text from the number the customer used, so replies reach the business
+      let fromPhone = bookingMessages.find(message => message.from_phone)?.from_phone || null;
+      if (!fromPhone) {
+        if (!businessPhones.has(business.id)) {
+          businessPhones.set(business.id, await getPrimaryBusinessPhone(business.id));
+        }
+        fromPhone = businessPhones.get(business.id);
+      }
+
+      const message = await deliverBookingMessage(business, booking, {
+        kind: 'reminder',
+        offsetMinutes: due.offset,
+        fromPhone,
+        retry: due.retry
+      });
+
+      if (message?.status === 'sent') sent += 1;
+      if (message?.status === 'failed') failed += 1;
+    } catch (error) {
+      console.error('❌ Failed to send reminder:', { bookingId: booking.id, error: error.message });
+      errors.push({ bookingId: booking.id, error: error.message });
+    }
+  }
+
+  return { checked: bookings.length, sent, failed, errors };
+}
+
+/**
+ * Read a reply to a confirmation or reminder text
+ * @param {string} body - Inbound message text
+ * @returns {string|null} 'confirm', 'cancel', or null for anything else
+ */
+function parseReminderReply(body) {
+  const text = (body || '').trim().replace(/[.!]+$/, '');
+
+  if (CONFIRM_PATTERN.test(text)) return 'confirm';
+  if (CANCEL_PATTERN.test(text)) return 'cancel';
+  return null;
+}
+
+/**
+ * Handle YES / C replies to confirmation and reminder texts
+ * Only applies when our text is the last thing sent to the customer, so a
+ * "yes" in an ongoing SMS assistant conversation still reaches the assistant.
+ * The caller must have verified the Twilio signature: the booking is found by
+ * the sender's number alone.
+ * @param {Object} business - Business object from DB
+ * @param {string} customerPhone - Number the reply came from (from a signed request)
+ * @param {string} body - Reply text
+ * @param {Object} options - Options
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<string|null>} Text to reply with, or null if this isn't a reminder reply
+ */
+async function handleReminderReply(business, customerPhone, body, { now = new Date() } = {}) {
+  const answer = parseReminderReply(body);
+  if (!answer) {
+    return null;
+  }
+
+  const message = await getLatestBookingText(business.id, customerPhone);
+  const booking = message?.bookings;
+
+  if (!booking
+    || !['pending', 'confirmed'].includes(booking.status)
+    || new Date(booking.scheduled_at) <= now
+    || new Date(booking.scheduled_at).getTime() !== new Date(message.appointment_at).getTime()) {
+    return null;
+  }
+
+  const conversation = await getOpenSmsConversation(business.id, customerPhone);
+  if (conversation && new Date(conversation.last_message_at) > new Date(message.sent_at)) {
+    return null;
+  }
+
+  const { appointment, appointmentTime } = describeAppointment(business, booking);
+
+  if (answer === 'confirm') {
+    await updateBooking(booking.id, {
+      status: 'confirmed',
+      customer_confirmed_at: now.toISOString()
+    });
+    await updateBookingMessage(message.id, { reply: 'confirm', replied_at: now.toISOString() });
+
+    console.log('✅ Appointment confirmed by text:', { bookingId: booking.id });
+    return `Thanks! Your ${appointment} on ${appointmentTime} is confirmed.`;
+  }
+
+  const reason = 'Cancelled by customer reply to reminder text';
+
+  try {
+    const bookingUid = getBookingUid(booking);
+    if (!bookingUid) {
+      throw new Error('Booking has no calendar UID');
+    }
+
+    await getBookingProvider(booking).cancel(business.id, bookingUid, reason);
+  } catch (error) {
+    console.error('❌ Cancellation by text failed:', { bookingId: booking.id, error: error.message });
+    return `Sorry, we couldn't cancel your ${appointment} by text right now. Please call ${business.name} to cancel.`;
+  }
+
+  await updateBooking(booking.id, {
+    status: 'cancelled',
+    cancelled_at: now.toISOString(),
+    metadata: {
+      ...booking.metadata,
+      cancellation_reason: reason,
+      cancelled_via: 'sms_reply'
+    }
+  });
+  await updateBookingMessage(message.id, { reply: 'cancel', replied_at: now.toISOString() });
+
+  console.log('🗑️ Appointment cancelled by text:', { bookingId: booking.id });
+  return `Your ${appointment} on ${appointmentTime} has been cancelled. Reply to this text if you'd like to book a new time.`;
+}
+
+module.exports = {
+  DEFAULT_REMINDER_OFFSETS,
+  sendBookingConfirmation,
+  sendDueReminders,
+  parseReminderReply,
+  handleReminderReply
+};
@@ -0,0 +1,115 @@
+/**
+ * Bookable Services
+ *
+ * Maps a business's services (business_services) to what its calendar can
+ * book, so each service gets the right appointment length. With Cal.com a
+ * service needs its own event type; businesses without mapped services keep
+ * using the default event type from business_integrations.config.event_type_id.
+ * CalDAV calendars and the native scheduler book every service with its
+ * duration_minutes.
+ */
+
+const { getBusinessServices } = require('./supabase');
+const { getCalendarIntegration, getProvider } = require('./calendar');
+
+/**
+ * Get the services the assistant can book through the business's calendar
+ * @param {string} businessId - UUID of the business
+ * @param {Object} [integration] - Connected calendar integration, if already loaded
+ * @returns {Promise<Array>} business_services rows the calendar provider can book
+ */
+async function getBookableServices(businessId, integration = undefined) {
+  try {
+    const calendar = integration === undefined ? await getCalendarIntegration(businessId) : integration;
+
+    if (!calendar) {
+      return [];
+    }
+
+    const provider = getProvider(calendar.provider);
+    const services = await getBusinessServices(businessId);
+    return services.filter(service => provider.supportsService(service));
+  } catch (error) {
+    console.error('⚠️ Failed to load bookable services:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Find the services a caller's request could mean
+ * @param {Array} services - Bookable services
+ * @param {string} requested - Service name from the assistant
+ * @returns {Array} The exact match alone, else every partial match
+ */
+function findMatchingServices(services, requested) {
+  const wanted = (requested || '').trim().toLowerCase();
+
+  if (!wanted) {
+    return [];
+  }
+
+  const exact = services.find(service => service.name.toLowerCase() === wanted);
+  if (exact) {
+    return [exact];
+  }
+
+  return services.filter(service => {
+    const name = service.name.toLowerCase();
+    return name.includes(wanted) || wanted.includes(name);
+  });
+}
+
+/**
+ * Find the service a caller asked for
+ * @param {Array} services - Bookable services
+ * @param {string} requested - Service name from the assistant
+ * @returns {Object|null} The only matching service, or null if none or several match
+ */
+function matchService(services, requested) {
+  const matches = findMatchingServices(services, requested);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Resolve the service for an availability check or booking
+ * @param {string} businessId - UUID of the business
+ * @param {string} requested - Service name from the assistant (optional)
+ * @returns {Promise<{service: Object|null, error: string|null}>} `service` is null
+ *   when the business has no mapped services (use the default event type);
+ *   `error` is a prompt for the assistant when the service is missing, unknown
+ *   or matches more than one service
+ */
+async function resolveBookingService(businessId, requested) {
+  const services = await getBookableServices(businessId);
+
+  if (services.length === 0) {
+    return { service: null, error: null };
+  }
+
+  const matches = findMatchingServices(services, requested);
+
+  if (matches.length > 1) {
+    return {
+      service: null,
+      error: `Which service is the appointment for: ${matches.map(row => row.name).join(', ')}?`
+    };
+  }
+
+  if (matches.length === 0) {
+    const names = services.map(row => row.name).join(', ');
+    return {
+      service: null,
+      error: requested
+        ? `We don't offer "${requested}" for online booking. Which of these services is it for: ${names}?`
+        : `Which service is the appointment for: ${names}?`
+    };
+  }
+
+  return { service: matches[0], error: null };
+}
+
+module.exports = {
+  getBookableServices,
+  matchService,
+  resolveBookingService
+};
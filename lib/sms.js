@@ -0,0 +1,199 @@
+/**
+ * SMS Conversations
+ *
+ * Missed-call text-back and the two-way SMS assistant. Replies use the same
+ * business prompt and tools as the voice assistant, with SMS-specific rules
+ * appended.
+ *
+ * Conversations are stored in sms_conversations / sms_messages, linked to the
+ * customer's phone number and the call that triggered the text-back.
+ */
+
+const {
+  getBookingByCallId,
+  getOpenSmsConversation,
+  getSmsConversationByCall,
+  createSmsConversation,
+  insertSmsMessage,
+  getSmsMessages
+} = require('./supabase');
+const { sendSMS } = require('./twilio');
+const { createChatCompletion } = require('./llm');
+const { runAssistantTool } = require('./assistant-tools');
+const { getCustomerContext } = require('./customers');
+const { getBookableServices } = require('./services');
+const { getCalendarIntegration } = require('./calendar');
+const { getFunctions } = require('./vapi/functions');
+const {
+  buildSystemPrompt,
+  fillTemplate,
+  SMS_CHANNEL_SECTION,
+  SMS_TEXTBACK_MESSAGE
+} = require('./prompts');
+
+// Tool round-trips allowed per inbound message before giving up
+const MAX_TOOL_ROUNDS = 3;
+
+// Twilio abandons the messaging webhook after 15s; leave room to store and return the reply
+const SMS_REPLY_BUDGET_MS = 10000;
+const MIN_ROUND_MS = 1500;
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * Text the caller after a missed or unbooked call
+ * @param {Object} business - Business object from DB
+ * @param {Object} details - Call details
+ * @param {string|null} details.callId - calls.id of the triggering call
+ * @param {string} details.customerPhone - Caller number (E.164)
+ * @param {string} details.businessPhone - Business number to send from
+ * @param {string} [details.reason] - Why the text was sent (ended reason, dial status)
+ * @returns {Promise<Object|null>} Conversation record, or null if nothing was sent
+ */
+async function sendMissedCallText(business, { callId, customerPhone, businessPhone, reason = null }) {
+  if (!business?.sms_textback_enabled) {
+    return null;
+  }
+
+  if (!E164_PATTERN.test(customerPhone || '') || !E164_PATTERN.test(businessPhone || '')) {
+    console.log('ℹ️ Skipping text-back, no valid phone numbers:', { customerPhone, businessPhone });
+    return null;
+  }
+
+  try {
+    if (callId) {
+      const [existingThread, booking] = await Promise.all([
+        getSmsConversationByCall(callId),
+        getBookingByCallId(callId)
+      ]);
+
+      if (existingThread || booking) {
+        console.log('ℹ️ Skipping text-back, call already booked or texted:', callId);
+        return null;
+      }
+    }
+
+    if (await getOpenSmsConversation(business.id, customerPhone)) {
+      console.log('ℹ️ Skipping text-back, conversation already open for:', customerPhone);
+      return null;
+    }
+
+    const conversation = await createSmsConversation({
+      business_id: business.id,
+      call_id: callId || null,
+      customer_phone: customerPhone,
+      business_phone: businessPhone
+    });
+
+    const body = fillTemplate(business.sms_textback_message || SMS_TEXTBACK_MESSAGE, {
+      businessName: business.name
+    });
+    const message = await sendSMS(customerPhone, body, { from: businessPhone });
+
+    await insertSmsMessage({
+      conversation_id: conversation.id,
+      direction: 'outbound',
+      body,
+      twilio_message_sid: message.sid,
+      metadata: { type: 'missed_call_textback', reason }
+    });
+
+    console.log('📱 Missed-call text sent:', { to: customerPhone, callId, sid: message.sid });
+    return conversation;
+
+  } catch (error) {
+    console.error('❌ Failed to send missed-call text:', error);
+    return null;
+  }
+}
+
+/**
+ * Build the assistant's reply to the latest inbound message in a conversation
+ * @param {Object} business - Business object from DB
+ * @param {Object} conversation - sms_conversations row
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Epoch ms by which the reply must be ready
+ * @returns {Promise<string>} Reply text
+ */
+async function generateSmsReply(business, conversation, { deadline = Date.now() + SMS_REPLY_BUDGET_MS } = {}) {
+  const calendarIntegration = await getCalendarIntegration(business.id);
+  const enableBooking = !!(business.calcom_enabled && calendarIntegration);
+  // Callbacks stay available with booking so calendar outages fall back to them
+  const enableCallback = enableBooking || business.appointment_handling_enabled === true;
+
+  const customerContext = await getCustomerContext(business, conversation.customer_phone);
+  const bookableServices = enableBooking ? await getBookableServices(business.id, calendarIntegration) : [];
+
+  const systemPrompt = buildSystemPrompt(business, {
+    enableBooking,
+    enableCallback,
+    appointmentHandlingEnabled: business.appointment_handling_enabled,
+    customerContext,
+    bookableServices
+  });
+  const functions = getFunctions({ enableBooking, enableCallback, services: bookableServices });
+  const history = await getSmsMessages(conversation.id);
+
+  const messages = [
+    { role: 'system', content: `${systemPrompt}\n\n${SMS_CHANNEL_SECTION}` },
+    ...history.map(message => ({
+      role: message.direction === 'inbound' ? 'user' : 'assistant',
+      content: message.body
+    }))
+  ];
+
+  const session = {
+    channel: 'sms',
+    vapiCallId: null,
+    callId: conversation.call_id,
+    customerPhone: conversation.customer_phone,
+    businessPhone: conversation.business_phone,
+    metadata: { sms_conversation_id: conversation.id }
+  };
+
+  const followUpReply = `Thanks for your message! Someone from ${business.name} will follow up with you shortly.`;
+
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round += 1) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs < MIN_ROUND_MS) {
+      console.warn('⚠️ SMS assistant ran out of time:', conversation.id);
+      return followUpReply;
+    }
+
+    const reply = await createChatCompletion({ messages, functions, timeoutMs: remainingMs });
+
+    if (!reply.tool_calls?.length) {
+      return (reply.content || '').trim();
+    }
+
+    messages.push(reply);
+
+    for (const toolCall of reply.tool_calls) {
+      const name = toolCall.function?.name;
+      let parameters = {};
+
+      try {
+        parameters = JSON.parse(toolCall.function?.arguments || '{}');
+      } catch (error) {
+        console.warn('⚠️ Failed to parse SMS tool arguments:', toolCall.function?.arguments);
+      }
+
+      console.log('🛠️ SMS tool call:', { name, parameters, conversationId: conversation.id });
+
+      const payload = await runAssistantTool(business, session, name, parameters, { deadline });
+      messages.push({
+        role: 'tool',
+        tool_call_id: toolCall.id,
+        content: payload.result || payload.error || JSON.stringify(payload)
+      });
+    }
+  }
+
+  console.warn('⚠️ SMS assistant exceeded tool rounds:', conversation.id);
+  return followUpReply;
+}
+
+module.exports = {
+  sendMissedCallText,
+  generateSmsReply
+};
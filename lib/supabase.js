@@ -11,6 +11,7 @@
  */
 
 const { createClient } = require('@supabase/supabase-js');
+const { encryptSecret, decryptSecret, getCurrentKeyId } = require('./encryption');
 
 // Validate environment variables
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -46,6 +47,53 @@ const supabaseAnon = SUPABASE_ANON_KEY
   ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY)
   : null;
 
+// business_integrations columns holding third-party secrets (see lib/encryption.js).
+// Only this module's service-side helpers decrypt them; RLS clients see ciphertext.
+const INTEGRATION_SECRET_FIELDS = ['access_token', 'refresh_token', 'webhook_secret'];
+
+function getIntegrationSecretContext(businessId, provider, field) {
+  return `business_integrations:${businessId}:${provider}:${field}`;
+}
+
+/**
+ * Encrypt the secret fields of a business_integrations write
+ * @param {string} businessId - UUID of the business
+ * @param {string} provider - Integration provider, e.g. 'calcom'
+ * @param {Object} fields - Columns to write
+ * @returns {Object} Columns with secrets encrypted and encryption_key_id set
+ */
+function encryptIntegrationSecrets(businessId, provider, fields) {
+  const encrypted = { ...fields };
+
+  for (const field of INTEGRATION_SECRET_FIELDS) {
+    if (encrypted[field] !== undefined) {
+      encrypted[field] = encryptSecret(encrypted[field], getIntegrationSecretContext(businessId, provider, field));
+    }
+  }
+
+  encrypted.encryption_key_id = getCurrentKeyId();
+  return encrypted;
+}
+
+/**
+ * Decrypt the secret fields of a business_integrations row
+ * @param {Object|null} row - Row as stored
+ * @returns {Object|null} Row with plaintext secrets
+ */
+function decryptIntegrationSecrets(row) {
+  if (!row) {
+    return row;
+  }
+
+  const decrypted = { ...row };
+
+  for (const field of INTEGRATION_SECRET_FIELDS) {
+    decrypted[field] = decryptSecret(row[field], getIntegrationSecretContext(row.business_id, row.provider, field));
+  }
+
+  return decrypted;
+}
+
 /**
  * Get business by phone number (for webhook lookups)
  * @param {string} phoneNumber - Phone number to lookup (E.164 format recommended)
@@ -65,6 +113,7 @@ async function getBusinessByPhone(phoneNumber) {
         id,
         name,
         email,
+        notification_phone,
         timezone,
         business_hours,
         vapi_assistant_id,
@@ -81,6 +130,12 @@ async function getBusinessByPhone(phoneNumber) {
         custom_greeting,
         custom_closing,
         ai_voice_preset,
+        sms_textback_enabled,
+        sms_textback_message,
+        booking_reminders_enabled,
+        booking_reminder_offsets,
+        transfer_hours,
+        vip_phone_numbers,
         active
       )
     `)
@@ -97,6 +152,143 @@ async function getBusinessByPhone(phoneNumber) {
   return data?.businesses || null;
 }
 
+/**
+ * Get a business phone number row with its routing settings
+ * @param {string} phoneNumber - Dialed number (E.164)
+ * @returns {Promise<Object|null>} Phone number row (with `businesses` joined) or null
+ */
+async function getPhoneNumberConfig(phoneNumber) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('business_phone_numbers')
+    .select(`
+      id,
+      business_id,
+      phone_number,
+      label,
+      routing_mode,
+      ring_targets,
+      ring_timeout_seconds,
+      businesses (
+        id,
+        name,
+        timezone,
+        business_hours,
+        sms_textback_enabled,
+        sms_textback_message,
+        active
+      )
+    `)
+    .eq('phone_number', phoneNumber)
+    .eq('active', true)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching phone number config:', error);
+    return null;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get the closure/holiday exception for a business on a local date
+ * @param {string} businessId - UUID of the business
+ * @param {string} date - Local date (YYYY-MM-DD) in the business timezone
+ * @returns {Promise<Object|null>} business_closures row or null
+ */
+async function getBusinessClosure(businessId, date) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('business_closures')
+    .select('id, closure_date, reason, start_time, end_time')
+    .eq('business_id', businessId)
+    .eq('closure_date', date)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching business closure:', error);
+    return null;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get a business's closures within a date range
+ * @param {string} businessId - UUID of the business
+ * @param {string} startDate - First local date (YYYY-MM-DD)
+ * @param {string} endDate - Last local date (YYYY-MM-DD), inclusive
+ * @returns {Promise<Array>} business_closures rows ordered by date
+ */
+async function getBusinessClosures(businessId, startDate, endDate) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('business_closures')
+    .select('id, closure_date, reason, start_time, end_time')
+    .eq('business_id', businessId)
+    .gte('closure_date', startDate)
+    .lte('closure_date', endDate)
+    .order('closure_date', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching business closures:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a business's active live-transfer destinations
+ * @param {string} businessId - UUID of the business
+ * @returns {Promise<Array>} transfer_destinations rows, highest priority first
+ */
+async function getTransferDestinations(businessId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('transfer_destinations')
+    .select('id, label, phone_number, conditions, always_available, warm_transfer, sms_summary, priority')
+    .eq('business_id', businessId)
+    .eq('active', true)
+    .order('priority', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching transfer destinations:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a business's active services
+ * @param {string} businessId - UUID of the business
+ * @returns {Promise<Array>} business_services rows in display order
+ */
+async function getBusinessServices(businessId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('business_services')
+    .select('id, name, description, duration_minutes, calcom_event_type_id, sort_order')
+    .eq('business_id', businessId)
+    .eq('active', true)
+    .order('sort_order', { ascending: true })
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching business services:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
 /**
  * Get business by ID
  * @param {string} businessId - UUID of the business
@@ -107,7 +299,7 @@ async function getBusinessById(businessId) {
 
   const { data, error } = await supabaseService
     .from('businesses')
-    .select('id, name, email, timezone, calcom_enabled, appointment_handling_enabled, active')
+    .select('id, name, email, notification_phone, timezone, business_hours, calcom_enabled, appointment_handling_enabled, active')
     .eq('id', businessId)
     .single();
 
@@ -119,18 +311,43 @@ async function getBusinessById(businessId) {
   return data;
 }
 
+/**
+ * Switch direct booking on for a business (after it connects a calendar)
+ * businesses.calcom_enabled is the booking switch for every calendar provider;
+ * owners can set it back to false to pause booking.
+ * @param {string} businessId - UUID of the business
+ * @returns {Promise<void>}
+ */
+async function enableBusinessBooking(businessId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { error } = await supabaseService
+    .from('businesses')
+    .update({ calcom_enabled: true })
+    .eq('id', businessId);
+
+  if (error) {
+    console.error('Error enabling business booking:', error);
+    throw error;
+  }
+}
+
 /**
  * Create or update a call record
  * @param {Object} callData - Call data object
+ * @param {Object} options - Upsert options
+ * @param {string} options.onConflict - Unique column to match on ('vapi_call_id' or 'twilio_call_sid')
  * @returns {Promise<Object>} Created/updated call record
  */
-async function upsertCall(callData) {
+async function upsertCall(callData, options = {}) {
   if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { onConflict = 'vapi_call_id' } = options;
   
   const { data, error } = await supabaseService
     .from('calls')
     .upsert(callData, {
-      onConflict: 'vapi_call_id',
+      onConflict,
       ignoreDuplicates: false
     })
     .select()
@@ -144,28 +361,84 @@ async function upsertCall(callData) {
   return data;
 }
 
+/**
+ * Get a call by its inbound Twilio CallSid
+ * @param {string} callSid - Twilio CallSid
+ * @returns {Promise<Object|null>} Call record or null
+ */
+async function getCallByTwilioSid(callSid) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('calls')
+    .select('id, business_id, customer_phone, from_phone, to_phone')
+    .eq('twilio_call_sid', callSid)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching call by CallSid:', error);
+    return null;
+  }
+
+  return data || null;
+}
+
+/**
+ * Update a call by ID
+ * @param {string} callId - calls.id
+ * @param {Object} updates - Columns to update
+ * @returns {Promise<Object>} Updated call
+ */
+async function updateCall(callId, updates) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('calls')
+    .update(updates)
+    .eq('id', callId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error updating call:', error);
+    throw error;
+  }
+
+  return data;
+}
+
 /**
  * Insert a transcript entry
  * @param {string} callId - UUID of the call
  * @param {string} role - 'user', 'assistant', or 'system'
  * @param {string} text - Transcript text
- * @param {number} sequenceNumber - Order in conversation
+ * @param {number|null} sequenceNumber - Order in conversation (null = next in DB)
+ * @param {string|null} spokenAt - ISO timestamp of the utterance (default: now)
  * @returns {Promise<Object>} Created transcript record
  */
-async function insertTranscript(callId, role, text, sequenceNumber = null) {
+async function insertTranscript(callId, role, text, sequenceNumber = null, spokenAt = null) {
   if (!supabaseService) throw new Error('Supabase service client not initialized');
-  
-  const { data, error } = await supabaseService
-    .from('call_transcripts')
-    .insert({
-      call_id: callId,
-      role,
-      text,
-      sequence_number: sequenceNumber,
-      spoken_at: new Date().toISOString()
-    })
-    .select()
-    .single();
+
+  // Without an explicit sequence, let Postgres assign the next one atomically
+  const query = sequenceNumber === null
+    ? supabaseService.rpc('insert_call_transcript', {
+        p_call_id: callId,
+        p_role: role,
+        p_text: text,
+        p_spoken_at: spokenAt || new Date().toISOString()
+      })
+    : supabaseService
+        .from('call_transcripts')
+        .insert({
+          call_id: callId,
+          role,
+          text,
+          sequence_number: sequenceNumber,
+          spoken_at: spokenAt || new Date().toISOString()
+        })
+        .select();
+
+  const { data, error } = await query.single();
 
   if (error) {
     console.error('Error inserting transcript:', error);
@@ -183,9 +456,18 @@ async function insertTranscript(callId, role, text, sequenceNumber = null) {
 async function createBooking(bookingData) {
   if (!supabaseService) throw new Error('Supabase service client not initialized');
   
-  const { data, error } = await supabaseService
-    .from('bookings')
-    .insert(bookingData)
+  // The Cal.com webhook may have stored this booking already, and the
+  // native scheduler inserts its row when it claims the slot
+  let query;
+  if (bookingData.calcom_uid) {
+    query = supabaseService.from('bookings').upsert(bookingData, { onConflict: 'calcom_uid' });
+  } else if (bookingData.external_uid) {
+    query = supabaseService.from('bookings').upsert(bookingData, { onConflict: 'calendar_provider,external_uid' });
+  } else {
+    query = supabaseService.from('bookings').insert(bookingData);
+  }
+
+  const { data, error } = await query
     .select()
     .single();
 
@@ -198,90 +480,1668 @@ async function createBooking(bookingData) {
 }
 
 /**
- * Get business's Cal.com credentials
- * @param {string} businessId - UUID of the business
- * @returns {Promise<Object|null>} Cal.com credentials or null
+ * Get the booking made on a call, if any
+ * @param {string} callId - UUID of the call
+ * @returns {Promise<Object|null>} Booking record or null
  */
-async function getCalcomCredentials(businessId) {
+async function getBookingByCallId(callId) {
   if (!supabaseService) throw new Error('Supabase service client not initialized');
-  
+
   const { data, error } = await supabaseService
-    .from('business_integrations')
-    .select('*')
-    .eq('business_id', businessId)
-    .eq('provider', 'calcom')
+    .from('bookings')
+    .select('id, status, scheduled_at')
+    .eq('call_id', callId)
     .single();
 
   if (error && error.code !== 'PGRST116') {
-    console.error('Error fetching Cal.com credentials:', error);
+    console.error('Error fetching booking for call:', error);
     return null;
   }
 
-  return data;
+  return data || null;
 }
 
 /**
- * Update business's Cal.com credentials (after OAuth)
+ * Get a business's upcoming active bookings for a customer
+ * Matches on caller phone number and/or email.
  * @param {string} businessId - UUID of the business
- * @param {Object} credentials - Cal.com OAuth tokens
- * @returns {Promise<Object>} Updated integration record
+ * @param {Object} customer - Lookup keys (at least one required)
+ * @param {string} [customer.phone] - Customer phone (E.164)
+ * @param {string} [customer.email] - Customer email (case-insensitive; stored lowercased)
+ * @param {number} [limit] - Max bookings to return (default: 5)
+ * @returns {Promise<Array>} Bookings ordered by start time
  */
-async function updateCalcomCredentials(businessId, credentials) {
+async function getUpcomingBookings(businessId, { phone = null, email = null } = {}, limit = 5) {
   if (!supabaseService) throw new Error('Supabase service client not initialized');
-  
-  // First check if integration exists
-  const existing = await getCalcomCredentials(businessId);
-  
-  if (existing) {
-    // Merge config: keep existing config and update with new values
-    const existingConfig = existing.config || {};
-    const updatedConfig = {
-      ...existingConfig,
-      ...(credentials.event_type_id && { event_type_id: credentials.event_type_id })
-    };
-    
-    // Update existing integration
-    const { data, error } = await supabaseService
-      .from('business_integrations')
-      .update({
-        access_token: credentials.access_token,
-        refresh_token: credentials.refresh_token,
-        token_expires_at: credentials.expires_at,
-        config: updatedConfig
-      })
-      .eq('id', existing.id)
-      .select()
-      .single();
 
-    if (error) {
-      console.error('Error updating Cal.com credentials:', error);
-      throw error;
-    }
+  const lookups = [];
+  if (phone) lookups.push(['customer_phone', phone]);
+  if (email) lookups.push(['customer_email', email.trim().toLowerCase()]);
 
-    return data;
-  } else {
-    // Create new integration
+  const results = await Promise.all(lookups.map(async ([column, value]) => {
+    // Exact match: the email comes from the caller, so no pattern matching
     const { data, error } = await supabaseService
-      .from('business_integrations')
-      .insert({
-        business_id: businessId,
-        provider: 'calcom',
-        access_token: credentials.access_token,
-        refresh_token: credentials.refresh_token,
-        token_expires_at: credentials.expires_at,
-        config: {
-          event_type_id: credentials.event_type_id || null
-        }
-      })
-      .select()
-      .single();
+      .from('bookings')
+      .select('id, business_id, calcom_booking_id, calcom_uid, customer_name, customer_email, customer_phone, scheduled_at, duration_minutes, status, metadata')
+      .eq('business_id', businessId)
+      .eq(column, value)
+      .in('status', ['pending', 'confirmed'])
+      .gte('scheduled_at', new Date().toISOString())
+      .order('scheduled_at', { ascending: true })
+      .limit(limit);
 
     if (error) {
-      console.error('Error creating Cal.com credentials:', error);
+      console.error('Error fetching upcoming bookings:', error);
       throw error;
     }
 
-    return data;
+    return data || [];
+  }));
+
+  const byId = new Map();
+  for (const booking of results.flat()) {
+    byId.set(booking.id, booking);
+  }
+
+  return [...byId.values()]
+    .sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at))
+    .slice(0, limit);
+}
+
+/**
+ * Get a booking by ID, scoped to a business
+ * @param {string} businessId - UUID of the business
+ * @param {string} bookingId - UUID of the booking
+ * @returns {Promise<Object|null>} Booking record or null
+ */
+async function getBookingById(businessId, bookingId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('bookings')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('id', bookingId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching booking:', error);
+    return null;
+  }
+
+  return data || null;
+}
+
+/**
+ * Update a booking record
+ * @param {string} bookingId - UUID of the booking
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated booking record
+ */
+async function updateBooking(bookingId, updates) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('bookings')
+    .update(updates)
+    .eq('id', bookingId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error updating booking:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get a business's booking by its Cal.com UID
+ * @param {string} businessId - UUID of the business
+ * @param {string} calcomUid - Cal.com booking UID
+ * @returns {Promise<Object|null>} Booking record or null
+ */
+async function getBookingByCalcomUid(businessId, calcomUid) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('bookings')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('calcom_uid', calcomUid)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching booking by Cal.com UID:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Insert a booking keyed by its Cal.com UID, unless that UID is already stored
+ * An existing row is never overwritten, so a webhook can't take over another
+ * business's booking by reusing its UID.
+ * @param {Object} bookingData - Booking fields, including business_id and calcom_uid
+ * @returns {Promise<Object|null>} Inserted record, or null if the UID already existed
+ */
+async function insertBookingByCalcomUid(bookingData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('bookings')
+    .upsert(bookingData, { onConflict: 'calcom_uid', ignoreDuplicates: true })
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error inserting booking by Cal.com UID:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get a booking by its provider-side ID (bookings.external_uid)
+ * @param {string} provider - Calendar provider, e.g. 'caldav' or 'native'
+ * @param {string} externalUid - Provider event ID
+ * @returns {Promise<Object|null>} Booking record or null
+ */
+async function getBookingByExternalUid(provider, externalUid) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('bookings')
+    .select('*')
+    .eq('calendar_provider', provider)
+    .eq('external_uid', externalUid)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching booking by external UID:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get a business's active bookings that start within a time range
+ * @param {string} businessId - UUID of the business
+ * @param {string} startsAfter - Range start (ISO 8601)
+ * @param {string} startsBefore - Range end (ISO 8601), exclusive
+ * @returns {Promise<Array>} Bookings ordered by start time
+ */
+async function getActiveBookingsInRange(businessId, startsAfter, startsBefore) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('bookings')
+    .select('id, external_uid, scheduled_at, duration_minutes, status')
+    .eq('business_id', businessId)
+    .in('status', ['pending', 'confirmed'])
+    .gte('scheduled_at', startsAfter)
+    .lt('scheduled_at', startsBefore)
+    .order('scheduled_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching bookings in range:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Book or move a native scheduler booking if the slot still has capacity
+ * Runs under a per-business lock in the database (claim_native_slot).
+ * @param {Object} claim
+ * @param {string} claim.businessId - UUID of the business
+ * @param {string} claim.externalUid - Booking UID (an existing one moves that booking)
+ * @param {string} claim.scheduledAt - Slot start (ISO 8601)
+ * @param {number} claim.durationMinutes - Appointment length
+ * @param {number} claim.bufferBeforeMinutes - Gap kept free before
+ * @param {number} claim.bufferAfterMinutes - Gap kept free after
+ * @param {number} claim.capacity - Bookings allowed at the same time
+ * @param {Object} [claim.booking] - Customer fields for a new booking
+ * @returns {Promise<Object|null>} Booking record, or null if the slot is full
+ */
+async function claimNativeSlot(claim) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService.rpc('claim_native_slot', {
+    p_business_id: claim.businessId,
+    p_external_uid: claim.externalUid,
+    p_scheduled_at: claim.scheduledAt,
+    p_duration_minutes: claim.durationMinutes,
+    p_buffer_before_minutes: claim.bufferBeforeMinutes,
+    p_buffer_after_minutes: claim.bufferAfterMinutes,
+    p_capacity: claim.capacity,
+    p_booking: claim.booking || {}
+  });
+
+  if (error) {
+    console.error('Error claiming native slot:', error);
+    throw error;
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Get a business's booking blackouts overlapping a time range
+ * @param {string} businessId - UUID of the business
+ * @param {string} startsAt - Range start (ISO 8601)
+ * @param {string} endsAt - Range end (ISO 8601)
+ * @returns {Promise<Array>} booking_blackouts rows
+ */
+async function getBookingBlackouts(businessId, startsAt, endsAt) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('booking_blackouts')
+    .select('id, starts_at, ends_at, reason')
+    .eq('business_id', businessId)
+    .lt('starts_at', endsAt)
+    .gt('ends_at', startsAt)
+    .order('starts_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching booking blackouts:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Store holds on offered slots
+ * @param {Array<Object>} holds - slot_holds rows
+ * @returns {Promise<Array>} Created holds
+ */
+async function createSlotHolds(holds) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('slot_holds')
+    .insert(holds)
+    .select();
+
+  if (error) {
+    console.error('Error creating slot holds:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get unexpired holds on a business's slots within a time range
+ * @param {string} businessId - UUID of the business
+ * @param {string} provider - Calendar provider the holds were made with
+ * @param {string} startsAt - Range start (ISO 8601)
+ * @param {string} endsAt - Range end (ISO 8601)
+ * @returns {Promise<Array>} slot_holds rows
+ */
+async function getActiveSlotHolds(businessId, provider, startsAt, endsAt) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('slot_holds')
+    .select('id, holder, slot_start, slot_end, reservation_uid, expires_at')
+    .eq('business_id', businessId)
+    .eq('calendar_provider', provider)
+    .lt('slot_start', endsAt)
+    .gt('slot_end', startsAt)
+    .gt('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('Error fetching slot holds:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Delete a holder's slot holds (and any expired holds for the business)
+ * @param {string} businessId - UUID of the business
+ * @param {string} holder - Hold owner, e.g. 'vapi:<call id>'
+ * @returns {Promise<Array>} Deleted holds
+ */
+async function deleteSlotHolds(businessId, holder) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('slot_holds')
+    .delete()
+    .eq('business_id', businessId)
+    .or(`holder.eq.${JSON.stringify(holder)},expires_at.lt."${new Date().toISOString()}"`)
+    .select('id, holder, calendar_provider, reservation_uid, expires_at');
+
+  if (error) {
+    console.error('Error deleting slot holds:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get the number a business texts customers from
+ * @param {string} businessId - UUID of the business
+ * @returns {Promise<string|null>} Primary (or any active) business number, or null
+ */
+async function getPrimaryBusinessPhone(businessId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('business_phone_numbers')
+    .select('phone_number')
+    .eq('business_id', businessId)
+    .eq('active', true)
+    .order('is_primary', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('Error fetching business phone number:', error);
+    return null;
+  }
+
+  return data?.[0]?.phone_number || null;
+}
+
+/**
+ * Get upcoming bookings of businesses that send appointment reminders
+ * @param {string} startsAfter - Earliest appointment start to include (ISO 8601)
+ * @param {string} startsBefore - Latest appointment start to include (ISO 8601)
+ * @param {number} [limit] - Max bookings to return (default: 500)
+ * @returns {Promise<Array>} Active bookings with `businesses` joined, soonest first
+ */
+async function getBookingsForReminders(startsAfter, startsBefore, limit = 500) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('bookings')
+    .select('*, businesses!inner (id, name, timezone, active, booking_reminders_enabled, booking_reminder_offsets)')
+    .in('status', ['pending', 'confirmed'])
+    .gt('scheduled_at', startsAfter)
+    .lte('scheduled_at', startsBefore)
+    .eq('businesses.booking_reminders_enabled', true)
+    .eq('businesses.active', true)
+    .order('scheduled_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error fetching bookings for reminders:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get the confirmation and reminder messages sent for bookings
+ * @param {Array<string>} bookingIds - bookings.id values
+ * @returns {Promise<Array>} booking_messages rows
+ */
+async function getBookingMessages(bookingIds) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  if (!bookingIds?.length) {
+    return [];
+  }
+
+  const { data, error } = await supabaseService
+    .from('booking_messages')
+    .select('*')
+    .in('booking_id', bookingIds)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching booking messages:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Record a confirmation or reminder before it is sent
+ * @param {Object} messageData - booking_messages row
+ * @returns {Promise<Object>} Created message (throws 23505 if it was already sent for this appointment time)
+ */
+async function createBookingMessage(messageData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('booking_messages')
+    .insert(messageData)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code !== '23505') {
+      console.error('Error creating booking message:', error);
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Update a confirmation or reminder message
+ * @param {string} messageId - booking_messages.id
+ * @param {Object} updates - Columns to update
+ * @param {Object} [options]
+ * @param {string} [options.expectedStatus] - Only update if the message is in this status
+ * @param {number} [options.expectedAttempts] - Only update if attempts still has this value
+ * @returns {Promise<Object|null>} Updated message, or null if a guard didn't match
+ */
+async function updateBookingMessage(messageId, updates, options = {}) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  let query = supabaseService
+    .from('booking_messages')
+    .update(updates)
+    .eq('id', messageId);
+
+  if (options.expectedStatus) {
+    query = query.eq('status', options.expectedStatus);
+  }
+
+  if (options.expectedAttempts !== undefined) {
+    query = query.eq('attempts', options.expectedAttempts);
+  }
+
+  const { data, error } = await query.select().maybeSingle();
+
+  if (error) {
+    console.error('Error updating booking message:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get the latest confirmation or reminder texted to a customer
+ * @param {string} businessId - UUID of the business
+ * @param {string} customerPhone - Customer number (E.164)
+ * @returns {Promise<Object|null>} booking_messages row with `bookings` joined, or null
+ */
+async function getLatestBookingText(businessId, customerPhone) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('booking_messages')
+    .select('*, bookings (*)')
+    .eq('business_id', businessId)
+    .eq('recipient', customerPhone)
+    .eq('channel', 'sms')
+    .eq('status', 'sent')
+    .order('sent_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('Error fetching latest booking text:', error);
+    throw error;
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Create an email capture link for a caller
+ * @param {Object} captureData - email_captures row
+ * @returns {Promise<Object>} Created capture
+ */
+async function createEmailCapture(captureData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('email_captures')
+    .insert(captureData)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating email capture:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get an email capture by its link token hash
+ * @param {string} tokenHash - SHA-256 of the link token (hex)
+ * @returns {Promise<Object|null>} email_captures row with `businesses` (name) joined, or null
+ */
+async function getEmailCaptureByToken(tokenHash) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('email_captures')
+    .select('*, businesses (name)')
+    .eq('token_hash', tokenHash)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching email capture:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get the latest unexpired email capture sent during a call
+ * @param {string} businessId - UUID of the business
+ * @param {string} vapiCallId - Vapi call ID the link was texted on
+ * @returns {Promise<Object|null>} email_captures row or null
+ */
+async function getLatestEmailCaptureForCall(businessId, vapiCallId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('email_captures')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('vapi_call_id', vapiCallId)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('Error fetching latest email capture:', error);
+    throw error;
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Update an email capture
+ * @param {string} captureId - email_captures.id
+ * @param {Object} updates - Columns to update
+ * @returns {Promise<Object>} Updated capture
+ */
+async function updateEmailCapture(captureId, updates) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('email_captures')
+    .update(updates)
+    .eq('id', captureId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error updating email capture:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Record a booking change in the history log
+ * @param {Object} eventData - booking_events fields
+ * @returns {Promise<Object>} Created event record
+ */
+async function createBookingEvent(eventData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('booking_events')
+    .insert(eventData)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating booking event:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get the open SMS conversation between a business and a customer
+ * @param {string} businessId - UUID of the business
+ * @param {string} customerPhone - Customer number (E.164)
+ * @returns {Promise<Object|null>} Conversation record or null
+ */
+async function getOpenSmsConversation(businessId, customerPhone) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('sms_conversations')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('customer_phone', customerPhone)
+    .eq('status', 'open')
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching SMS conversation:', error);
+    return null;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get the SMS conversation started for a call
+ * @param {string} callId - UUID of the call
+ * @returns {Promise<Object|null>} Conversation record or null
+ */
+async function getSmsConversationByCall(callId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('sms_conversations')
+    .select('*')
+    .eq('call_id', callId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching SMS conversation for call:', error);
+    return null;
+  }
+
+  return data || null;
+}
+
+/**
+ * Create an SMS conversation
+ * @param {Object} conversationData - Conversation data object
+ * @returns {Promise<Object>} Created conversation record
+ */
+async function createSmsConversation(conversationData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('sms_conversations')
+    .insert(conversationData)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating SMS conversation:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Store an SMS message and bump the conversation's last_message_at
+ * @param {Object} messageData - Message data object
+ * @returns {Promise<Object>} Created message record
+ */
+async function insertSmsMessage(messageData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('sms_messages')
+    .insert(messageData)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error inserting SMS message:', error);
+    throw error;
+  }
+
+  await supabaseService
+    .from('sms_conversations')
+    .update({ last_message_at: data.created_at })
+    .eq('id', messageData.conversation_id);
+
+  return data;
+}
+
+/**
+ * Get the most recent messages in a conversation, oldest first
+ * @param {string} conversationId - UUID of the conversation
+ * @param {number} limit - Number of messages to retrieve
+ * @returns {Promise<Array>} Array of message records
+ */
+async function getSmsMessages(conversationId, limit = 30) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('sms_messages')
+    .select('direction, body, created_at')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error fetching SMS messages:', error);
+    return [];
+  }
+
+  return data.reverse();
+}
+
+/**
+ * Get a voicemail by ID
+ * @param {string} voicemailId - voicemails.id
+ * @returns {Promise<Object|null>} Voicemail record or null
+ */
+async function getVoicemailById(voicemailId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('voicemails')
+    .select('id, business_id, recording_sid, recording_url')
+    .eq('id', voicemailId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching voicemail:', error);
+    return null;
+  }
+
+  return data || null;
+}
+
+/**
+ * Create or update a voicemail record (matched on recording_sid)
+ * @param {Object} voicemailData - Voicemail data object
+ * @returns {Promise<Object>} Created/updated voicemail record
+ */
+async function upsertVoicemail(voicemailData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('voicemails')
+    .upsert(voicemailData, {
+      onConflict: 'recording_sid',
+      ignoreDuplicates: false
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error upserting voicemail:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Create or update the customer for a business and phone number
+ * @param {Object} customerData - customers row; business_id and phone_number required.
+ *   Only the columns given are written, so existing names/emails aren't cleared.
+ * @returns {Promise<Object>} Customer record
+ */
+async function upsertCustomer(customerData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('customers')
+    .upsert(customerData, { onConflict: 'business_id,phone_number' })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error upserting customer:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get a business's customer by phone number
+ * @param {string} businessId - UUID of the business
+ * @param {string} phoneNumber - Customer phone (E.164)
+ * @returns {Promise<Object|null>} Customer record or null
+ */
+async function getCustomerByPhone(businessId, phoneNumber) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('customers')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('phone_number', phoneNumber)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching customer:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get a customer's most recent past appointment
+ * @param {string} businessId - UUID of the business
+ * @param {string} phoneNumber - Customer phone (E.164)
+ * @returns {Promise<Object|null>} Booking or null
+ */
+async function getLastVisit(businessId, phoneNumber) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('bookings')
+    .select('id, scheduled_at, status, metadata')
+    .eq('business_id', businessId)
+    .eq('customer_phone', phoneNumber)
+    .in('status', ['confirmed', 'completed'])
+    .lt('scheduled_at', new Date().toISOString())
+    .order('scheduled_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('Error fetching last visit:', error);
+    throw error;
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Create a callback request
+ * @param {Object} callbackData - callback_requests fields
+ * @returns {Promise<Object>} Created callback request
+ */
+async function createCallbackRequest(callbackData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('callback_requests')
+    .insert(callbackData)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating callback request:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * List a business's callback requests
+ * @param {string} businessId - UUID of the business
+ * @param {Object} [options]
+ * @param {string[]} [options.statuses] - Statuses to include (default: open + in_progress)
+ * @param {string} [options.customerPhone] - Only this customer's requests
+ * @param {number} [options.limit] - Max rows (default: 50)
+ * @returns {Promise<Array>} Callback requests, oldest first
+ */
+async function getCallbackRequests(businessId, { statuses = ['open', 'in_progress'], customerPhone = null, limit = 50 } = {}) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  let query = supabaseService
+    .from('callback_requests')
+    .select('*')
+    .eq('business_id', businessId)
+    .in('status', statuses)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (customerPhone) {
+    query = query.eq('customer_phone', customerPhone);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error fetching callback requests:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Update a callback request, scoped to a business
+ * @param {string} businessId - UUID of the business
+ * @param {string} callbackId - UUID of the callback request
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated record, or null if not found
+ */
+async function updateCallbackRequest(businessId, callbackId, updates) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('callback_requests')
+    .update(updates)
+    .eq('business_id', businessId)
+    .eq('id', callbackId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error updating callback request:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get a business's active on-call contacts
+ * @param {string} businessId - UUID of the business
+ * @returns {Promise<Array>} on_call_contacts rows ordered by escalation level
+ */
+async function getOnCallContacts(businessId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('on_call_contacts')
+    .select('id, name, phone_number, email, escalation_level, quiet_hours_start, quiet_hours_end')
+    .eq('business_id', businessId)
+    .eq('active', true)
+    .order('escalation_level', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching on-call contacts:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Create an urgent alert
+ * @param {Object} alertData - urgent_alerts row
+ * @returns {Promise<Object>} Created alert (throws 23505 if the call already has one)
+ */
+async function createUrgentAlert(alertData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('urgent_alerts')
+    .insert(alertData)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code !== '23505') {
+      console.error('Error creating urgent alert:', error);
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get the urgent alert raised for a call
+ * @param {string} callId - calls.id
+ * @returns {Promise<Object|null>} urgent_alerts row or null
+ */
+async function getUrgentAlertByCall(callId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('urgent_alerts')
+    .select('*')
+    .eq('call_id', callId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching urgent alert:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get unacknowledged urgent alerts, with the business they belong to
+ * @param {Object} filters - Optional filters
+ * @param {string} [filters.businessId] - Limit to one business
+ * @param {number} [filters.limit] - Max rows (default 100)
+ * @returns {Promise<Array>} Pending urgent_alerts rows with `businesses` joined
+ */
+async function getPendingUrgentAlerts({ businessId = null, limit = 100 } = {}) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  let query = supabaseService
+    .from('urgent_alerts')
+    .select('*, businesses (id, name, email, notification_phone, timezone, alert_escalation_minutes)')
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (businessId) {
+    query = query.eq('business_id', businessId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error fetching pending urgent alerts:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Update an urgent alert
+ * @param {string} alertId - urgent_alerts.id
+ * @param {Object} updates - Columns to update
+ * @param {Object} options - Update options
+ * @param {string} [options.expectedStatus] - Only update if the alert still has this status
+ * @returns {Promise<Object|null>} Updated alert, or null if the status no longer matched
+ */
+async function updateUrgentAlert(alertId, updates, { expectedStatus = null } = {}) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  let query = supabaseService
+    .from('urgent_alerts')
+    .update(updates)
+    .eq('id', alertId);
+
+  if (expectedStatus) {
+    query = query.eq('status', expectedStatus);
+  }
+
+  const { data, error } = await query.select().maybeSingle();
+
+  if (error) {
+    console.error('Error updating urgent alert:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get a user's role in a business
+ * @param {string} businessId - UUID of the business
+ * @param {string} userId - auth.users.id
+ * @returns {Promise<string|null>} 'owner', 'staff', or null if not a member
+ */
+async function getBusinessRole(businessId, userId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('business_users')
+    .select('role')
+    .eq('business_id', businessId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching business role:', error);
+    return null;
+  }
+
+  return data?.role || null;
+}
+
+/**
+ * Store a one-time OAuth state nonce
+ * @param {Object} stateData - oauth_states fields (nonce, provider, business_id, user_id, expires_at)
+ * @returns {Promise<Object>} Created record
+ */
+async function createOAuthState(stateData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('oauth_states')
+    .insert(stateData)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating OAuth state:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Consume an OAuth state nonce
+ * Only succeeds once, and only before the nonce expires.
+ * @param {string} nonce - Nonce from the signed state
+ * @param {string} provider - e.g. 'calcom'
+ * @returns {Promise<Object|null>} The consumed record, or null if unknown, expired or already used
+ */
+async function consumeOAuthState(nonce, provider) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabaseService
+    .from('oauth_states')
+    .update({ consumed_at: now })
+    .eq('nonce', nonce)
+    .eq('provider', provider)
+    .is('consumed_at', null)
+    .gt('expires_at', now)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error consuming OAuth state:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Record a security event (rejected webhook, bad signature, etc.)
+ * Never throws - failures are logged so the caller can still respond.
+ * @param {Object} eventData - Event fields
+ * @param {string} eventData.source - Endpoint or subsystem, e.g. 'vapi-webhook'
+ * @param {string} eventData.event_type - e.g. 'webhook_auth_failed'
+ * @param {string} [eventData.reason] - Why the request was rejected
+ * @param {string} [eventData.ip_address] - Client IP
+ * @param {string} [eventData.user_agent] - Client user agent
+ * @param {Object} [eventData.metadata] - Extra context
+ * @returns {Promise<void>}
+ */
+async function logSecurityEvent(eventData) {
+  console.warn('🚨 Security event:', eventData);
+
+  if (!supabaseService) return;
+
+  const { error } = await supabaseService
+    .from('security_events')
+    .insert(eventData);
+
+  if (error) {
+    console.error('Error logging security event:', error);
+  }
+}
+
+/**
+ * Insert a webhook event log entry
+ * Throws the Postgres error as-is so callers can detect duplicates (23505).
+ * @param {Object} eventData - webhook_events fields
+ * @returns {Promise<Object>} Created event record
+ */
+async function insertWebhookEvent(eventData) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('webhook_events')
+    .insert(eventData)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code !== '23505') {
+      console.error('Error inserting webhook event:', error);
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get a webhook event by its dedupe key
+ * @param {string} source - 'vapi' or 'twilio'
+ * @param {string} dedupeKey - Dedupe key
+ * @returns {Promise<Object|null>} Event record or null
+ */
+async function getWebhookEvent(source, dedupeKey) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('webhook_events')
+    .select('id, source, event_type, dedupe_key, status, attempts, response, locked_until, created_at, updated_at')
+    .eq('source', source)
+    .eq('dedupe_key', dedupeKey)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching webhook event:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Update a webhook event
+ * @param {string} eventId - UUID of the event
+ * @param {Object} updates - Fields to update
+ * @param {Object} [options]
+ * @param {string} [options.expectedStatus] - Only update if the event is in this status
+ * @param {number} [options.expectedAttempts] - Only update if attempts still has this value
+ * @returns {Promise<Object|null>} Updated record, or null if a guard didn't match
+ */
+async function updateWebhookEvent(eventId, updates, options = {}) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  let query = supabaseService
+    .from('webhook_events')
+    .update(updates)
+    .eq('id', eventId);
+
+  if (options.expectedStatus) {
+    query = query.eq('status', options.expectedStatus);
+  }
+
+  if (options.expectedAttempts !== undefined) {
+    query = query.eq('attempts', options.expectedAttempts);
+  }
+
+  const { data, error } = await query.select().maybeSingle();
+
+  if (error) {
+    console.error('Error updating webhook event:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Get business's Cal.com credentials
+ * @param {string} businessId - UUID of the business
+ * @returns {Promise<Object|null>} Cal.com credentials or null
+ */
+async function getCalcomCredentials(businessId) {
+  return await getIntegrationCredentials(businessId, 'calcom');
+}
+
+/**
+ * Get a business's integration row for a provider, with secrets decrypted
+ * @param {string} businessId - UUID of the business
+ * @param {string} provider - Integration provider, e.g. 'calcom' or 'caldav'
+ * @returns {Promise<Object|null>} business_integrations row or null
+ */
+async function getIntegrationCredentials(businessId, provider) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+  
+  const { data, error } = await supabaseService
+    .from('business_integrations')
+    .select('*')
+    .eq('business_id', businessId)
+    .eq('provider', provider)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error(`Error fetching ${provider} credentials:`, error);
+    return null;
+  }
+
+  try {
+    return decryptIntegrationSecrets(data);
+  } catch (decryptError) {
+    // Keep the row so reconnecting overwrites it, but treat it as disconnected
+    console.error(`🚨 Failed to decrypt ${provider} credentials (check TOKEN_ENCRYPTION_KEYS):`, decryptError.message);
+    return { ...data, access_token: null, refresh_token: null, webhook_secret: null };
+  }
+}
+
+/**
+ * Get an integration row by ID, with secrets decrypted
+ * @param {string} integrationId - business_integrations.id
+ * @returns {Promise<Object|null>} business_integrations row or null
+ */
+async function getIntegrationById(integrationId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('business_integrations')
+    .select('*')
+    .eq('id', integrationId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    console.error('Error fetching integration:', error);
+    return null;
+  }
+
+  try {
+    return decryptIntegrationSecrets(data);
+  } catch (decryptError) {
+    console.error('🚨 Failed to decrypt integration secrets (check TOKEN_ENCRYPTION_KEYS):', decryptError.message);
+    return null;
+  }
+}
+
+/**
+ * Get a business's connected integrations among some providers
+ * @param {string} businessId - UUID of the business
+ * @param {Array<string>} providers - Providers to consider
+ * @returns {Promise<Array>} Connected rows with secrets decrypted, most recently updated first
+ */
+async function getConnectedIntegrations(businessId, providers) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('business_integrations')
+    .select('*')
+    .eq('business_id', businessId)
+    .in('provider', providers)
+    .eq('status', 'connected')
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching connected integrations:', error);
+    return [];
+  }
+
+  return (data || []).flatMap(row => {
+    try {
+      return [decryptIntegrationSecrets(row)];
+    } catch (decryptError) {
+      console.error(`🚨 Failed to decrypt ${row.provider} credentials (check TOKEN_ENCRYPTION_KEYS):`, decryptError.message);
+      return [];
+    }
+  });
+}
+
+/**
+ * Create or replace a business's credentials for a provider
+ * Used by connect flows that don't go through OAuth (e.g. CalDAV).
+ * @param {string} businessId - UUID of the business
+ * @param {string} provider - Integration provider
+ * @param {Object} fields - Columns to store (access_token, refresh_token, config, ...)
+ * @returns {Promise<Object>} Integration record with secrets decrypted
+ */
+async function saveIntegrationCredentials(businessId, provider, fields) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const existing = await getIntegrationCredentials(businessId, provider);
+  const row = encryptIntegrationSecrets(businessId, provider, {
+    ...fields,
+    status: 'connected',
+    disconnected_at: null,
+    last_error: null
+  });
+
+  const query = existing
+    ? supabaseService.from('business_integrations').update(row).eq('id', existing.id)
+    : supabaseService.from('business_integrations').insert({ ...row, business_id: businessId, provider });
+
+  const { data, error } = await query
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Error saving ${provider} credentials:`, error);
+    throw error;
+  }
+
+  return decryptIntegrationSecrets(data);
+}
+
+/**
+ * Update business's Cal.com credentials (after OAuth)
+ * @param {string} businessId - UUID of the business
+ * @param {Object} credentials - Cal.com OAuth tokens
+ * @returns {Promise<Object>} Updated integration record
+ */
+async function updateCalcomCredentials(businessId, credentials) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+  
+  // First check if integration exists
+  const existing = await getCalcomCredentials(businessId);
+  
+  if (existing) {
+    // Merge config: keep existing config and update with new values
+    const existingConfig = existing.config || {};
+    const updatedConfig = {
+      ...existingConfig,
+      ...(credentials.event_type_id && { event_type_id: credentials.event_type_id })
+    };
+    
+    // Update existing integration
+    const { data, error } = await supabaseService
+      .from('business_integrations')
+      .update(encryptIntegrationSecrets(businessId, 'calcom', {
+        access_token: credentials.access_token,
+        refresh_token: credentials.refresh_token,
+        token_expires_at: credentials.expires_at,
+        config: updatedConfig,
+        status: 'connected',
+        disconnected_at: null,
+        last_error: null
+      }))
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error updating Cal.com credentials:', error);
+      throw error;
+    }
+
+    return decryptIntegrationSecrets(data);
+  } else {
+    // Create new integration
+    const { data, error } = await supabaseService
+      .from('business_integrations')
+      .insert(encryptIntegrationSecrets(businessId, 'calcom', {
+        business_id: businessId,
+        provider: 'calcom',
+        access_token: credentials.access_token,
+        refresh_token: credentials.refresh_token,
+        token_expires_at: credentials.expires_at,
+        config: {
+          event_type_id: credentials.event_type_id || null
+        }
+      }))
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creating Cal.com credentials:', error);
+      throw error;
+    }
+
+    return decryptIntegrationSecrets(data);
+  }
+}
+
+/**
+ * Update settings in a business's Cal.com integration config
+ * @param {string} businessId - UUID of the business
+ * @param {Object} updates - Config keys to set, e.g. { event_type_id: 123 }
+ * @returns {Promise<Object>} Updated integration record
+ */
+async function updateCalcomConfig(businessId, updates) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const existing = await getCalcomCredentials(businessId);
+
+  if (!existing) {
+    throw new Error('Business not connected to Cal.com');
+  }
+
+  const { data, error } = await supabaseService
+    .from('business_integrations')
+    .update({ config: { ...(existing.config || {}), ...updates } })
+    .eq('id', existing.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error updating Cal.com config:', error);
+    throw error;
+  }
+
+  return decryptIntegrationSecrets(data);
+}
+
+/**
+ * Store the webhook registered on a business's Cal.com account
+ * @param {string} businessId - UUID of the business
+ * @param {Object} webhook
+ * @param {string} webhook.webhookId - Cal.com webhook ID
+ * @param {string} webhook.webhookSecret - Secret Cal.com signs deliveries with
+ * @returns {Promise<Object>} Updated integration record
+ */
+async function updateCalcomWebhook(businessId, { webhookId, webhookSecret }) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const existing = await getCalcomCredentials(businessId);
+
+  if (!existing) {
+    throw new Error('Business not connected to Cal.com');
+  }
+
+  const { data, error } = await supabaseService
+    .from('business_integrations')
+    .update(encryptIntegrationSecrets(businessId, 'calcom', {
+      webhook_secret: webhookSecret,
+      config: { ...(existing.config || {}), webhook_id: webhookId }
+    }))
+    .eq('id', existing.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error storing Cal.com webhook:', error);
+    throw error;
+  }
+
+  return decryptIntegrationSecrets(data);
+}
+
+/**
+ * Take the token-refresh lease on an integration
+ * Succeeds only if no other request holds an unexpired lease.
+ * @param {string} integrationId - business_integrations.id
+ * @param {string} lockId - Unique ID for this attempt
+ * @param {number} leaseSeconds - How long the lease lasts if never released
+ * @returns {Promise<boolean>} True if the lease was taken
+ */
+async function acquireIntegrationRefreshLock(integrationId, lockId, leaseSeconds) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const now = new Date();
+
+  const { data, error } = await supabaseService
+    .from('business_integrations')
+    .update({
+      refresh_lock_id: lockId,
+      refresh_locked_until: new Date(now.getTime() + leaseSeconds * 1000).toISOString()
+    })
+    .eq('id', integrationId)
+    .or(`refresh_locked_until.is.null,refresh_locked_until.lt.${now.toISOString()}`)
+    .select('id')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error acquiring integration refresh lock:', error);
+    throw error;
+  }
+
+  return !!data;
+}
+
+/**
+ * Release a token-refresh lease (no-op if another request has taken it over)
+ * @param {string} integrationId - business_integrations.id
+ * @param {string} lockId - ID passed to acquireIntegrationRefreshLock
+ * @returns {Promise<void>}
+ */
+async function releaseIntegrationRefreshLock(integrationId, lockId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { error } = await supabaseService
+    .from('business_integrations')
+    .update({ refresh_lock_id: null, refresh_locked_until: null })
+    .eq('id', integrationId)
+    .eq('refresh_lock_id', lockId);
+
+  if (error) {
+    console.error('Error releasing integration refresh lock:', error);
+  }
+}
+
+/**
+ * Mark an integration disconnected after the provider rejected its tokens
+ * Clears the tokens so every caller treats the business as not connected.
+ * @param {string} integrationId - business_integrations.id
+ * @param {string} reason - Error to record
+ * @returns {Promise<Object|null>} Updated record, or null if it was already disconnected
+ */
+async function markIntegrationDisconnected(integrationId, reason) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService
+    .from('business_integrations')
+    .update({
+      status: 'disconnected',
+      disconnected_at: new Date().toISOString(),
+      last_error: reason,
+      access_token: null,
+      refresh_token: null,
+      refresh_lock_id: null,
+      refresh_locked_until: null
+    })
+    .eq('id', integrationId)
+    .eq('status', 'connected')
+    .select('id, business_id, provider, status, disconnected_at')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error marking integration disconnected:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Count a failed provider request toward the integration's circuit breaker
+ * @param {string} integrationId - business_integrations.id
+ * @param {number} threshold - Consecutive failures that open the circuit
+ * @param {number} openSeconds - How long the circuit stays open
+ * @returns {Promise<string|null>} circuit_open_until (ISO), or null while still closed
+ */
+async function recordIntegrationFailure(integrationId, threshold, openSeconds) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { data, error } = await supabaseService.rpc('record_integration_failure', {
+    p_integration_id: integrationId,
+    p_threshold: threshold,
+    p_open_seconds: openSeconds
+  });
+
+  if (error) {
+    console.error('Error recording integration failure:', error);
+    throw error;
+  }
+
+  return data || null;
+}
+
+/**
+ * Close an integration's circuit breaker after a successful request
+ * @param {string} integrationId - business_integrations.id
+ * @returns {Promise<void>}
+ */
+async function resetIntegrationCircuit(integrationId) {
+  if (!supabaseService) throw new Error('Supabase service client not initialized');
+
+  const { error } = await supabaseService
+    .from('business_integrations')
+    .update({ circuit_failures: 0, circuit_open_until: null })
+    .eq('id', integrationId)
+    .gt('circuit_failures', 0);
+
+  if (error) {
+    console.error('Error resetting integration circuit:', error);
   }
 }
 
@@ -313,11 +2173,80 @@ module.exports = {
   supabaseService,
   supabaseAnon,
   getBusinessByPhone,
+  getPhoneNumberConfig,
+  getBusinessClosure,
+  getBusinessClosures,
+  getTransferDestinations,
+  getBusinessServices,
   getBusinessById,
+  enableBusinessBooking,
   upsertCall,
+  getCallByTwilioSid,
+  updateCall,
   insertTranscript,
   createBooking,
+  getBookingByCallId,
+  getUpcomingBookings,
+  getBookingById,
+  updateBooking,
+  getBookingByCalcomUid,
+  insertBookingByCalcomUid,
+  getBookingByExternalUid,
+  getActiveBookingsInRange,
+  claimNativeSlot,
+  getBookingBlackouts,
+  createSlotHolds,
+  getActiveSlotHolds,
+  deleteSlotHolds,
+  getPrimaryBusinessPhone,
+  getBookingsForReminders,
+  getBookingMessages,
+  createBookingMessage,
+  updateBookingMessage,
+  getLatestBookingText,
+  createEmailCapture,
+  getEmailCaptureByToken,
+  getLatestEmailCaptureForCall,
+  updateEmailCapture,
+  createBookingEvent,
+  getOpenSmsConversation,
+  getSmsConversationByCall,
+  createSmsConversation,
+  insertSmsMessage,
+  getSmsMessages,
+  getVoicemailById,
+  upsertVoicemail,
+  upsertCustomer,
+  getCustomerByPhone,
+  getLastVisit,
+  createCallbackRequest,
+  getCallbackRequests,
+  updateCallbackRequest,
+  getBusinessRole,
+  getOnCallContacts,
+  createUrgentAlert,
+  getUrgentAlertByCall,
+  getPendingUrgentAlerts,
+  updateUrgentAlert,
+  logSecurityEvent,
+  createOAuthState,
+  consumeOAuthState,
+  insertWebhookEvent,
+  getWebhookEvent,
+  updateWebhookEvent,
   getCalcomCredentials,
+  getIntegrationById,
+  updateCalcomWebhook,
+  getIntegrationCredentials,
+  getConnectedIntegrations,
+  saveIntegrationCredentials,
   updateCalcomCredentials,
+  updateCalcomConfig,
+  acquireIntegrationRefreshLock,
+  releaseIntegrationRefreshLock,
+  markIntegrationDisconnected,
+  recordIntegrationFailure,
+  resetIntegrationCircuit,
+  encryptIntegrationSecrets,
   getRecentCalls
 };
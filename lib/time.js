@@ -1,25 +1,209 @@
+/**
+ * Time Zone Helpers
+ *
+ * All "today", slot and digest calculations should run in the business's own
+ * timezone (`businesses.timezone`). APP_TIME_ZONE is only the fallback when a
+ * business has no valid timezone configured.
+ */
+
 const APP_TIME_ZONE = 'America/New_York';
 
 function getAppTimeZone() {
   return APP_TIME_ZONE;
 }
 
-function getCurrentDateInAppTimeZone() {
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pick the first valid IANA timezone, falling back to APP_TIME_ZONE
+ * @param {...string} candidates - Timezones in order of preference
+ * @returns {string} IANA timezone
+ */
+function resolveTimeZone(...candidates) {
+  const timeZone = candidates.find(isValidTimeZone);
+
+  if (!timeZone && candidates.some(Boolean)) {
+    console.warn('⚠️ Invalid timezone(s), falling back to', APP_TIME_ZONE, candidates);
+  }
+
+  return timeZone || APP_TIME_ZONE;
+}
+
+/**
+ * Timezone a business operates in
+ * @param {Object} business - Business object from DB
+ * @returns {string} IANA timezone
+ */
+function getBusinessTimeZone(business) {
+  return resolveTimeZone(business?.timezone);
+}
+
+function getCurrentDateInTimeZone(timeZone = APP_TIME_ZONE) {
   return new Date().toLocaleDateString('en-CA', {
-    timeZone: APP_TIME_ZONE
+    timeZone
   });
 }
 
+function getTomorrowDateInTimeZone(timeZone = APP_TIME_ZONE) {
+  return addDaysToDate(getCurrentDateInTimeZone(timeZone), 1);
+}
+
+function getCurrentDateInAppTimeZone() {
+  return getCurrentDateInTimeZone(APP_TIME_ZONE);
+}
+
 function getTomorrowDateInAppTimeZone() {
-  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
-  return tomorrow.toLocaleDateString('en-CA', {
-    timeZone: APP_TIME_ZONE
+  return getTomorrowDateInTimeZone(APP_TIME_ZONE);
+}
+
+/**
+ * Add calendar days to a YYYY-MM-DD date (DST-safe, no clock arithmetic)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function addDaysToDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function getLocalDateTimeParts(date, timeZone = APP_TIME_ZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date));
+
+  const lookup = Object.fromEntries(
+    parts
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${lookup.year}-${lookup.month}-${lookup.day}`,
+    time: `${lookup.hour}:${lookup.minute}`,
+    weekday: lookup.weekday.toLowerCase().slice(0, 3)
+  };
+}
+
+function getTimeZoneParts(date, timeZone) {
+  const dtf = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
   });
+
+  const parts = dtf.formatToParts(date);
+  const map = {};
+  for (const part of parts) {
+    if (part.type !== 'literal') {
+      map[part.type] = part.value;
+    }
+  }
+
+  return {
+    year: Number(map.year),
+    month: Number(map.month),
+    day: Number(map.day),
+    hour: Number(map.hour),
+    minute: Number(map.minute),
+    second: Number(map.second)
+  };
+}
+
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getTimeZoneParts(date, timeZone);
+  const asUTC = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUTC - date.getTime();
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date.
+ * The offset is re-checked at the result so times near a DST switch resolve
+ * with the offset actually in effect at that instant.
+ */
+function zonedTimeToUtc(timeZone, parts) {
+  const utcGuess = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour || 0,
+    parts.minute || 0,
+    parts.second || 0
+  );
+  const firstOffset = getTimeZoneOffset(new Date(utcGuess), timeZone);
+  const firstResult = utcGuess - firstOffset;
+  const secondOffset = getTimeZoneOffset(new Date(firstResult), timeZone);
+
+  return new Date(secondOffset === firstOffset ? firstResult : utcGuess - secondOffset);
+}
+
+/**
+ * UTC bounds of a local calendar day (23 or 25 hours long on DST switch days)
+ * @param {string} date - Local date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA timezone
+ * @returns {{startUtc: Date, endUtc: Date}} Start inclusive, end exclusive
+ */
+function getLocalDayRangeUtc(date, timeZone) {
+  const toParts = value => {
+    const [year, month, day] = value.split('-').map(Number);
+    return { year, month, day, hour: 0, minute: 0, second: 0 };
+  };
+
+  return {
+    startUtc: zonedTimeToUtc(timeZone, toParts(date)),
+    endUtc: zonedTimeToUtc(timeZone, toParts(addDaysToDate(date, 1)))
+  };
+}
+
+function getLocalDateKey(date, timeZone) {
+  return getLocalDateTimeParts(date, timeZone).date;
 }
 
 module.exports = {
   APP_TIME_ZONE,
   getAppTimeZone,
+  isValidTimeZone,
+  resolveTimeZone,
+  getBusinessTimeZone,
+  getCurrentDateInTimeZone,
+  getTomorrowDateInTimeZone,
   getCurrentDateInAppTimeZone,
-  getTomorrowDateInAppTimeZone
+  getTomorrowDateInAppTimeZone,
+  addDaysToDate,
+  getLocalDateTimeParts,
+  getTimeZoneParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getLocalDayRangeUtc,
+  getLocalDateKey
 };
@@ -0,0 +1,186 @@
+/**
+ * Live Transfers
+ *
+ * Decides which transfer_destinations the voice assistant may hand a caller
+ * to, and follows up after Vapi reports a transfer (transfer-update event).
+ *
+ * Each destination lists the conditions it is used for:
+ * - emergency: the caller describes an urgent or safety issue
+ * - caller_request: the caller asks to speak to a person
+ * - vip: the caller's number is in businesses.vip_phone_numbers
+ *
+ * Transfers are offered only during businesses.transfer_hours (falls back to
+ * business_hours and closures). Destinations marked always_available ignore
+ * the hours, e.g. an on-call emergency line.
+ *
+ * Warm transfers: the assistant speaks a call summary to the staff member
+ * before connecting (Vapi warm-transfer-say-summary). Destinations with
+ * sms_summary also get the summary by text.
+ */
+
+const { getBusinessClosure, getTransferDestinations } = require('./supabase');
+const { HOURS_STATUS, getBusinessHoursStatus } = require('./business-hours');
+const { getBusinessTimeZone, getLocalDateTimeParts } = require('./time');
+const { createChatCompletion } = require('./llm');
+const { sendSMS } = require('./twilio');
+
+const TRANSFER_CONDITIONS = {
+  EMERGENCY: 'emergency',
+  CALLER_REQUEST: 'caller_request',
+  VIP: 'vip'
+};
+
+// SMS summaries are capped to stay within two segments
+const MAX_SMS_SUMMARY_LENGTH = 300;
+
+/**
+ * Check whether transfers are allowed right now
+ * @param {Object} business - Business with timezone, business_hours and transfer_hours
+ * @param {Object} options - Evaluation options
+ * @param {Date} options.now - Moment to evaluate (default: current time)
+ * @returns {Promise<boolean>} True during transfer hours
+ */
+async function isWithinTransferHours(business, { now = new Date() } = {}) {
+  let closure = null;
+
+  // Closures only apply when transfers follow the regular business hours
+  if (!business.transfer_hours) {
+    const { date } = getLocalDateTimeParts(now, getBusinessTimeZone(business));
+    closure = await getBusinessClosure(business.id, date);
+  }
+
+  const { status } = getBusinessHoursStatus({
+    ...business,
+    business_hours: business.transfer_hours || business.business_hours
+  }, { now, closure });
+
+  return status === HOURS_STATUS.OPEN;
+}
+
+/**
+ * Check whether a caller is on the business's VIP list
+ * @param {Object} business - Business with vip_phone_numbers
+ * @param {string} callerPhone - Caller number
+ * @returns {boolean}
+ */
+function isVipCaller(business, callerPhone) {
+  const digits = value => (value || '').replace(/\D/g, '').slice(-10);
+  const caller = digits(callerPhone);
+
+  if (caller.length !== 10) {
+    return false;
+  }
+
+  return (business.vip_phone_numbers || []).some(number => digits(number) === caller);
+}
+
+/**
+ * Get the destinations the assistant may transfer this caller to
+ * @param {Object} business - Business object from DB
+ * @param {Object} options - Call context
+ * @param {string} [options.callerPhone] - Caller number (for VIP destinations)
+ * @param {Date} [options.now] - Moment to evaluate (default: current time)
+ * @returns {Promise<Array|null>} transfer_destinations rows with conditions narrowed to those
+ *   that apply now, or null if the business has no destinations configured
+ */
+async function getAvailableTransferDestinations(business, { callerPhone = null, now = new Date() } = {}) {
+  let destinations;
+
+  try {
+    destinations = await getTransferDestinations(business.id);
+  } catch (error) {
+    // Build the assistant without transfers rather than failing the call
+    console.error('⚠️ Transfer destinations unavailable:', error.message);
+    return null;
+  }
+
+  if (destinations.length === 0) {
+    return null;
+  }
+
+  const inHours = await isWithinTransferHours(business, { now });
+  const vip = isVipCaller(business, callerPhone);
+
+  return destinations
+    .filter(destination => inHours || destination.always_available)
+    .map(destination => ({
+      ...destination,
+      conditions: (destination.conditions || []).filter(condition =>
+        condition !== TRANSFER_CONDITIONS.VIP || vip
+      )
+    }))
+    .filter(destination => destination.conditions.length > 0);
+}
+
+/**
+ * Summarize a call for the staff member receiving a transfer
+ * @param {Object} business - Business object from DB
+ * @param {string} transcript - Conversation so far
+ * @returns {Promise<string>} Short summary
+ */
+async function buildTransferSummary(business, transcript) {
+  const fallback = 'Transferred caller from the AI receptionist. No summary available.';
+
+  if (!transcript) {
+    return fallback;
+  }
+
+  try {
+    const reply = await createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You brief a staff member at ${business?.name || 'a small business'} who is about to take a transferred phone call.
+In one or two sentences, say who is calling, what they need, how urgent it is, and any details already collected. Plain text only.`
+        },
+        { role: 'user', content: transcript }
+      ],
+      maxTokens: 120
+    });
+
+    return (reply.content || '').trim() || fallback;
+  } catch (error) {
+    console.error('⚠️ Transfer summary failed:', error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Text the warm-transfer summary to the staff member taking the call
+ * @param {Object} business - Business object from DB
+ * @param {Object} transfer - Transfer details
+ * @param {Object} transfer.destination - transfer_destinations row
+ * @param {string} [transfer.callerPhone] - Caller number
+ * @param {string} [transfer.transcript] - Conversation before the transfer
+ * @param {string} [transfer.businessPhone] - Business number to send from
+ * @returns {Promise<string|null>} Summary sent, or null if skipped
+ */
+async function sendTransferSummary(business, { destination, callerPhone = null, transcript = '', businessPhone = null }) {
+  if (!destination?.sms_summary) {
+    return null;
+  }
+
+  const summary = await buildTransferSummary(business, transcript);
+  const body = [
+    `Incoming transfer from ${callerPhone || 'unknown caller'}.`,
+    summary
+  ].join(' ').slice(0, MAX_SMS_SUMMARY_LENGTH);
+
+  try {
+    await sendSMS(destination.phone_number, body, businessPhone ? { from: businessPhone } : {});
+    console.log('📱 Transfer summary sent:', { to: destination.phone_number, label: destination.label });
+    return summary;
+  } catch (error) {
+    console.error('❌ Failed to send transfer summary:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  TRANSFER_CONDITIONS,
+  isWithinTransferHours,
+  isVipCaller,
+  getAvailableTransferDestinations,
+  buildTransferSummary,
+  sendTransferSummary
+};
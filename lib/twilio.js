@@ -5,6 +5,7 @@
  */
 
 const twilio = require('twilio');
+const { getDeploymentEnvironment } = require('./config');
 
 /**
  * Get configured Twilio client
@@ -45,11 +46,13 @@ async function getRecording(recordingSid) {
  * Send SMS notification
  * @param {string} to - Recipient phone number
  * @param {string} body - Message body
+ * @param {Object} options - Send options
+ * @param {string} options.from - Sending number (default: TWILIO_PHONE_NUMBER)
  * @returns {Promise<import('twilio/lib/rest/api/v2010/account/message').MessageInstance>}
  */
-async function sendSMS(to, body) {
+async function sendSMS(to, body, options = {}) {
   const client = getTwilioClient();
-  const from = process.env.TWILIO_PHONE_NUMBER;
+  const from = options.from || process.env.TWILIO_PHONE_NUMBER;
 
   if (!from) {
     throw new Error('Missing TWILIO_PHONE_NUMBER in environment variables');
@@ -84,10 +87,76 @@ async function makeCall(to, twimlUrl) {
   });
 }
 
+/**
+ * Check the request's Twilio signature, with no dev-mode bypass
+ * @param {Request} req - Vercel request object
+ * @returns {boolean} True only when the auth token is set and the signature matches
+ */
+function hasValidTwilioSignature(req) {
+  const twilioSignature = req.headers['x-twilio-signature'];
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  if (!authToken || !twilioSignature) {
+    return false;
+  }
+
+  const url = `https://${req.headers.host}${req.url}`;
+  return twilio.validateRequest(authToken, twilioSignature, url, req.body);
+}
+
+/**
+ * Validate that a webhook request was signed by Twilio.
+ * Unsigned requests are only accepted when TWILIO_SKIP_SIGNATURE_VALIDATION=true
+ * outside production (local dev with curl / ngrok).
+ * @param {Request} req - Vercel request object
+ * @returns {boolean} True when the signature matches or dev mode allows unsigned requests
+ */
+function validateTwilioRequest(req) {
+  if (hasValidTwilioSignature(req)) {
+    return true;
+  }
+
+  if (process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true' && getDeploymentEnvironment() !== 'production') {
+    console.warn('⚠️ TWILIO_SKIP_SIGNATURE_VALIDATION set - accepting Twilio request without a valid signature');
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Send a TwiML document as the HTTP response
+ * @param {Response} res - Vercel response object
+ * @param {string|import('twilio').twiml.VoiceResponse} twiml - TwiML to return
+ */
+function sendTwiml(res, twiml) {
+  res.setHeader('Content-Type', 'text/xml');
+  return res.status(200).send(twiml.toString());
+}
+
+/**
+ * Speak an error message to the caller and hang up
+ * @param {Response} res - Vercel response object
+ * @param {string} message - Error message to speak
+ */
+function sendErrorTwiml(res, message) {
+  const errorTwiml = new twilio.twiml.VoiceResponse();
+  errorTwiml.say({
+    voice: 'Polly.Joanna'
+  }, message);
+  errorTwiml.hangup();
+
+  return sendTwiml(res, errorTwiml);
+}
+
 module.exports = {
   getTwilioClient,
   getCallDetails,
   getRecording,
   sendSMS,
-  makeCall
+  makeCall,
+  hasValidTwilioSignature,
+  validateTwilioRequest,
+  sendTwiml,
+  sendErrorTwiml
 };
@@ -0,0 +1,120 @@
+/**
+ * VAPI Analysis Plan
+ *
+ * Asks Vapi to extract structured call outcomes after each call. The
+ * extracted data arrives in the end-of-call report as
+ * `analysis.structuredData` and is written to typed columns on `calls`.
+ */
+
+const CALL_INTENTS = ['booking', 'modification', 'inquiry', 'pricing', 'complaint', 'emergency', 'general'];
+const CALL_URGENCY_LEVELS = ['low', 'normal', 'high', 'emergency'];
+const CALL_OUTCOMES = ['booked', 'callback', 'info', 'spam'];
+const CALL_SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+/**
+ * Structured-data schema for the analysis plan
+ */
+const STRUCTURED_DATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    intent: {
+      type: 'string',
+      enum: CALL_INTENTS,
+      description: 'Main reason for the call. "modification" = reschedule or cancel an existing appointment.'
+    },
+    urgency: {
+      type: 'string',
+      enum: CALL_URGENCY_LEVELS,
+      description: '"emergency" only for safety or health issues; "high" if the caller needs help today.'
+    },
+    outcome: {
+      type: 'string',
+      enum: CALL_OUTCOMES,
+      description: 'booked = an appointment was booked or changed; callback = the team needs to call back; info = the question was answered; spam = robocall, sales pitch or wrong number.'
+    },
+    callerName: {
+      type: 'string',
+      description: 'Caller full name if they gave it, otherwise empty.'
+    },
+    serviceRequested: {
+      type: 'string',
+      description: 'Service the caller asked about, in a few words, otherwise empty.'
+    },
+    followUpNeeded: {
+      type: 'boolean',
+      description: 'True if someone from the business must act after the call.'
+    },
+    followUpNotes: {
+      type: 'string',
+      description: 'What the team needs to do, in one sentence, otherwise empty.'
+    },
+    sentiment: {
+      type: 'string',
+      enum: CALL_SENTIMENTS,
+      description: "Caller's overall sentiment."
+    }
+  },
+  required: ['intent', 'urgency', 'outcome', 'followUpNeeded']
+};
+
+/**
+ * Build the Vapi analysisPlan for a business
+ * @param {Object} business - Business object from DB (may be null)
+ * @returns {Object} Vapi analysisPlan
+ */
+function buildAnalysisPlan(business) {
+  const businessName = business?.name || 'the business';
+
+  return {
+    structuredDataPlan: {
+      enabled: true,
+      schema: STRUCTURED_DATA_SCHEMA,
+      messages: [
+        {
+          role: 'system',
+          content: `You review phone calls answered by the AI receptionist for ${businessName}. Extract the call outcome as JSON matching this schema:\n\n{{schema}}\n\nOnly use what was said on the call. Use an empty string for unknown text fields.`
+        },
+        {
+          role: 'user',
+          content: 'Here is the transcript:\n\n{{transcript}}\n\nHere is the ended reason of the call:\n\n{{endedReason}}\n\n'
+        }
+      ]
+    }
+  };
+}
+
+/**
+ * Convert Vapi structured data to calls columns
+ * @param {Object} structuredData - `analysis.structuredData` from the end-of-call report
+ * @returns {Object} Column values; unknown or invalid fields are omitted
+ */
+function parseStructuredData(structuredData) {
+  if (!structuredData || typeof structuredData !== 'object') {
+    return {};
+  }
+
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+  const oneOf = (value, allowed) => (allowed.includes(value) ? value : undefined);
+
+  const columns = {
+    intent: oneOf(structuredData.intent, CALL_INTENTS),
+    urgency: oneOf(structuredData.urgency, CALL_URGENCY_LEVELS),
+    outcome: oneOf(structuredData.outcome, CALL_OUTCOMES),
+    sentiment: oneOf(structuredData.sentiment, CALL_SENTIMENTS),
+    caller_name: text(structuredData.callerName),
+    service_requested: text(structuredData.serviceRequested),
+    follow_up_needed: typeof structuredData.followUpNeeded === 'boolean' ? structuredData.followUpNeeded : undefined,
+    follow_up_notes: text(structuredData.followUpNotes)
+  };
+
+  return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+  CALL_INTENTS,
+  CALL_URGENCY_LEVELS,
+  CALL_OUTCOMES,
+  STRUCTURED_DATA_SCHEMA,
+  buildAnalysisPlan,
+  parseStructuredData
+};
@@ -0,0 +1,137 @@
+/**
+ * VAPI Webhook Authentication
+ *
+ * Verifies that server events really come from Vapi before we create call
+ * records or run tools (bookings) for a business.
+ *
+ * Supported schemes (configure one in the Vapi dashboard):
+ * - HMAC credential: `x-vapi-signature` = hex HMAC-SHA256 of
+ *   "{timestamp}.{raw body}", with the timestamp in `x-vapi-timestamp`
+ * - Server secret: `x-vapi-secret` header equal to the shared secret
+ *
+ * Both schemes require a timestamp (header, or `message.timestamp` in the
+ * body) and reject requests older than the allowed age. The server secret
+ * doesn't sign the body, so its timestamp only stops naive replays; retried or
+ * replayed events are also deduplicated in webhook_events (lib/webhook-events.js).
+ *
+ * The HMAC is computed over the exact request bytes, so the route must read
+ * the raw body (lib/http.js) with Vercel's body parser turned off.
+ *
+ * Environment variables:
+ * - VAPI_WEBHOOK_SECRET: Shared secret / HMAC key
+ * - VAPI_WEBHOOK_SECRET_<VERCEL_ENV>: Per-environment override, e.g.
+ *   VAPI_WEBHOOK_SECRET_PRODUCTION, VAPI_WEBHOOK_SECRET_PREVIEW
+ * - VAPI_WEBHOOK_MAX_AGE_SECONDS: Allowed clock skew (default: 300)
+ * - VAPI_SKIP_WEBHOOK_AUTH: Local dev only - accept events while no secret is
+ *   configured (ignored in production; each bypass is logged by the caller)
+ */
+
+const crypto = require('crypto');
+const { getDeploymentEnvironment } = require('../config');
+const { safeEqual } = require('../http');
+
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+/**
+ * Resolve the webhook secret for the current environment
+ * @returns {string|null} Secret or null if not configured
+ */
+function getVapiWebhookSecret() {
+  const envKey = `VAPI_WEBHOOK_SECRET_${getDeploymentEnvironment().toUpperCase()}`;
+  return process.env[envKey] || process.env.VAPI_WEBHOOK_SECRET || null;
+}
+
+function getMaxAgeMs() {
+  const seconds = parseInt(process.env.VAPI_WEBHOOK_MAX_AGE_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_MAX_AGE_SECONDS) * 1000;
+}
+
+/**
+ * Parse a seconds or milliseconds epoch (number or numeric string) or ISO date
+ * @returns {number|null} Epoch milliseconds
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) {
+    // Treat values before ~2001 in ms as seconds
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Verify a Vapi server webhook request
+ * @param {Object} req - Incoming request, with req.rawBody set by readJsonBody (lib/http.js)
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {{ok: boolean, scheme: string, reason?: string, bypassed?: boolean}}
+ */
+function verifyVapiRequest(req, { now = Date.now() } = {}) {
+  const secret = getVapiWebhookSecret();
+
+  if (!secret) {
+    if (process.env.VAPI_SKIP_WEBHOOK_AUTH === 'true' && getDeploymentEnvironment() !== 'production') {
+      console.warn('⚠️ VAPI_SKIP_WEBHOOK_AUTH set - accepting unauthenticated Vapi event');
+      return { ok: true, scheme: 'none', bypassed: true };
+    }
+
+    return { ok: false, scheme: 'none', reason: 'secret_not_configured' };
+  }
+
+  const headers = req.headers || {};
+  const signature = headers['x-vapi-signature'];
+  const providedSecret = headers['x-vapi-secret'];
+  const timestamp = parseTimestamp(headers['x-vapi-timestamp'] ?? req.body?.message?.timestamp);
+
+  let scheme;
+
+  if (signature) {
+    scheme = 'hmac';
+
+    if (!headers['x-vapi-timestamp']) {
+      return { ok: false, scheme, reason: 'missing_timestamp' };
+    }
+
+    if (typeof req.rawBody !== 'string') {
+      return { ok: false, scheme, reason: 'missing_raw_body' };
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${headers['x-vapi-timestamp']}.${req.rawBody}`)
+      .digest('hex');
+
+    if (!safeEqual(String(signature).replace(/^sha256=/, ''), expected)) {
+      return { ok: false, scheme, reason: 'invalid_signature' };
+    }
+  } else if (providedSecret) {
+    scheme = 'secret';
+
+    if (!safeEqual(providedSecret, secret)) {
+      return { ok: false, scheme, reason: 'invalid_secret' };
+    }
+  } else {
+    return { ok: false, scheme: 'none', reason: 'missing_credentials' };
+  }
+
+  if (timestamp === null) {
+    return { ok: false, scheme, reason: 'missing_timestamp' };
+  }
+
+  if (Math.abs(now - timestamp) > getMaxAgeMs()) {
+    return { ok: false, scheme, reason: 'stale_timestamp' };
+  }
+
+  return { ok: true, scheme };
+}
+
+module.exports = {
+  verifyVapiRequest,
+  getVapiWebhookSecret
+};
@@ -0,0 +1,126 @@
+/**
+ * VAPI Phone Call Provider Bypass
+ *
+ * Creates a Vapi call for a live Twilio call and returns the TwiML that
+ * connects the caller to the AI assistant.
+ *
+ * Based on: https://github.com/VapiAI/example-phone-call-provider-bypass
+ *
+ * Environment variables required:
+ * - VAPI_API_KEY: Vapi private API key
+ * - VAPI_ASSISTANT_ID: Default assistant (overridden by assistant-request)
+ * - VAPI_PHONE_NUMBER_ID: Optional, if the Twilio number was imported to Vapi
+ */
+
+const VAPI_API_BASE = 'https://api.vapi.ai';
+
+/**
+ * Error raised when Vapi cannot produce TwiML for a call.
+ * `userMessage` is safe to speak to the caller.
+ */
+class VapiCallError extends Error {
+  constructor(message, userMessage) {
+    super(message);
+    this.name = 'VapiCallError';
+    this.userMessage = userMessage;
+  }
+}
+
+/**
+ * Create a Vapi call and return its TwiML
+ * @param {Object} params - Call details from the Twilio webhook
+ * @param {string} params.callSid - Twilio CallSid
+ * @param {string} params.from - Caller number
+ * @param {string} params.to - Business (Twilio) number that was dialed
+ * @param {string} [params.callerLocation] - "City, State" for logging/metadata
+ * @param {Object} [params.metadata] - Extra metadata to attach to the Vapi call
+ * @returns {Promise<{id: string, twiml: string}>} Vapi call ID and TwiML
+ */
+async function createBypassCall({ callSid, from, to, callerLocation, metadata = {} }) {
+  const vapiApiKey = process.env.VAPI_API_KEY;
+  const vapiPhoneNumberId = process.env.VAPI_PHONE_NUMBER_ID;
+  const vapiAssistantId = process.env.VAPI_ASSISTANT_ID;
+  const twilioAccountSid = process.env.TWILIO_ACCOUNT_SID;
+  const twilioAuthToken = process.env.TWILIO_AUTH_TOKEN;
+
+  console.log('🔧 Env vars check:', {
+    hasVapiKey: !!vapiApiKey,
+    hasAssistantId: !!vapiAssistantId,
+    hasPhoneNumberId: !!vapiPhoneNumberId,
+    hasTwilioSid: !!twilioAccountSid,
+    hasTwilioToken: !!twilioAuthToken
+  });
+
+  if (!vapiApiKey) {
+    throw new VapiCallError('VAPI_API_KEY not configured', 'Service configuration error. Please contact support.');
+  }
+
+  if (!vapiAssistantId) {
+    throw new VapiCallError('VAPI_ASSISTANT_ID not configured', 'Service configuration error. Please contact support.');
+  }
+
+  console.log('🤖 Requesting Vapi AI TwiML...');
+
+  const vapiCallResponse = await fetch(`${VAPI_API_BASE}/call`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${vapiApiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      // Phone number ID from Vapi dashboard (if you imported Twilio number to Vapi)
+      // OR pass the raw phone number below
+      phoneNumberId: vapiPhoneNumberId || undefined,
+
+      // If no phoneNumberId, pass the Twilio number as object
+      phoneNumber: vapiPhoneNumberId ? undefined : {
+        twilioAccountSid: twilioAccountSid,
+        twilioAuthToken: twilioAuthToken,
+        twilioPhoneNumber: to
+      },
+
+      // This tells Vapi to return TwiML instead of initiating the call itself
+      phoneCallProviderBypassEnabled: true,
+
+      customer: {
+        number: from
+      },
+
+      assistantId: vapiAssistantId,
+
+      metadata: {
+        twilioCallSid: callSid,
+        twilioNumber: to,
+        callerLocation,
+        timestamp: new Date().toISOString(),
+        ...metadata
+      }
+    })
+  });
+
+  if (!vapiCallResponse.ok) {
+    const errorText = await vapiCallResponse.text();
+    throw new VapiCallError(
+      `Vapi API error ${vapiCallResponse.status}: ${errorText}`,
+      'AI service temporarily unavailable. Please try again.'
+    );
+  }
+
+  const vapiCall = await vapiCallResponse.json();
+  console.log('✅ Vapi call created:', vapiCall.id);
+
+  // This TwiML contains the WebSocket connection to Vapi's AI assistant
+  const twiml = vapiCall.phoneCallProviderDetails?.twiml;
+
+  if (!twiml) {
+    console.error('❌ No TwiML in Vapi response:', vapiCall);
+    throw new VapiCallError('No TwiML in Vapi response', 'AI service error. Please try again.');
+  }
+
+  return { id: vapiCall.id, twiml };
+}
+
+module.exports = {
+  VapiCallError,
+  createBypassCall
+};
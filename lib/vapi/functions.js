@@ -29,6 +29,36 @@ const checkAvailabilityFunction = {
   }
 };
 
+/**
+ * Find next available function - searches several days for the soonest open slots
+ */
+const findNextAvailableFunction = {
+  name: 'findNextAvailable',
+  description: 'Find the soonest open appointment times across the next few days in one search. Use this when the caller wants the next available or soonest appointment, or has no particular date in mind.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timePreference: {
+        type: 'string',
+        enum: ['morning', 'afternoon', 'evening', 'any'],
+        description: 'Preferred time of day. Use "any" if customer has no preference.'
+      },
+      startDate: {
+        type: 'string',
+        description: 'Earliest date the caller can come in, in YYYY-MM-DD format (optional, defaults to today). Example: "2026-03-09"',
+        pattern: '^\\d{4}-\\d{2}-\\d{2}$'
+      },
+      days: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 31,
+        description: 'How many days to search from startDate (optional, defaults to 14).'
+      }
+    },
+    required: []
+  }
+};
+
 /**
  * Create booking function - confirms an appointment
  */
@@ -44,7 +74,7 @@ const createBookingFunction = {
       },
       email: {
         type: 'string',
-        description: 'Customer email address for confirmation. Example: "john@example.com"'
+        description: 'Customer email address for confirmation, exactly as confirmed with verifyEmail. Leave empty if verifyEmail texted the caller a link: the booking waits for the address they submit. Example: "john@example.com"'
       },
       phone: {
         type: 'string',
@@ -52,7 +82,7 @@ const createBookingFunction = {
       },
       dateTime: {
         type: 'string',
-        description: 'Appointment date and time in ISO 8601 format using the exact slot returned by checkAvailability. Do not reconstruct it manually and do not change the timezone offset. Never use a past date. Example: "2026-03-09T14:00:00-04:00"',
+        description: 'Appointment date and time in ISO 8601 format using the exact slot returned by checkAvailability, findNextAvailable, or the alternatives offered when a time was taken. Do not reconstruct it manually and do not change the timezone offset. Never use a past date. Example: "2026-03-09T14:00:00-04:00"',
         format: 'date-time'
       },
       notes: {
@@ -60,7 +90,108 @@ const createBookingFunction = {
         description: 'Additional notes or reason for appointment. Example: "Annual cleaning, prefers morning appointments"'
       }
     },
-    required: ['name', 'email', 'dateTime']
+    required: ['name', 'dateTime']
+  }
+};
+
+/**
+ * Verify email function - normalizes and checks a spoken email address
+ */
+const verifyEmailFunction = {
+  name: 'verifyEmail',
+  description: 'Check the customer\'s email address before booking. Pass exactly what the customer said or spelled; returns the address to read back for confirmation. If they can\'t spell it, call with textLink true to text them a link where they can type it instead.',
+  parameters: {
+    type: 'object',
+    properties: {
+      spokenEmail: {
+        type: 'string',
+        description: 'Email exactly as the customer said it. Example: "john dot doe at gmail dot com"'
+      },
+      textLink: {
+        type: 'boolean',
+        description: 'Text the customer a link to type their email instead (when spelling it out isn\'t working)'
+      }
+    },
+    required: []
+  }
+};
+
+/**
+ * Find my appointment function - looks up the caller's upcoming bookings
+ */
+const findMyAppointmentFunction = {
+  name: 'findMyAppointment',
+  description: 'Look up the caller\'s upcoming appointments. Use this before rescheduling or cancelling. Matches the caller ID automatically; ask for the email used at booking if nothing is found.',
+  parameters: {
+    type: 'object',
+    properties: {
+      email: {
+        type: 'string',
+        description: 'Email address the appointment was booked with (optional if calling from the booked phone number). Example: "john@example.com"'
+      }
+    },
+    required: []
+  }
+};
+
+/**
+ * Reschedule appointment function - moves an existing booking
+ */
+const rescheduleAppointmentFunction = {
+  name: 'rescheduleAppointment',
+  description: 'Move an existing appointment to a new time. Only call after findMyAppointment, after checking availability for the new date, and after the caller confirms the change.',
+  parameters: {
+    type: 'object',
+    properties: {
+      appointmentId: {
+        type: 'string',
+        description: 'Appointment ID returned by findMyAppointment'
+      },
+      newDateTime: {
+        type: 'string',
+        description: 'New date and time in ISO 8601 format using the exact slot returned by checkAvailability, findNextAvailable, or the alternatives offered when a time was taken. Example: "2026-03-10T10:00:00-04:00"',
+        format: 'date-time'
+      },
+      name: {
+        type: 'string',
+        description: 'Name the appointment was booked under (required when the caller is not calling from the booked phone number)'
+      },
+      email: {
+        type: 'string',
+        description: 'Email the appointment was booked with (required when the caller is not calling from the booked phone number)'
+      }
+    },
+    required: ['appointmentId', 'newDateTime']
+  }
+};
+
+/**
+ * Cancel appointment function - cancels an existing booking
+ */
+const cancelAppointmentFunction = {
+  name: 'cancelAppointment',
+  description: 'Cancel an existing appointment. Only call after findMyAppointment and after the caller explicitly confirms they want to cancel.',
+  parameters: {
+    type: 'object',
+    properties: {
+      appointmentId: {
+        type: 'string',
+        description: 'Appointment ID returned by findMyAppointment'
+      },
+      reason: {
+        type: 'string',
+        description: 'Reason for cancelling, if the caller gave one'
+      },
+      name: {
+        type: 'string',
+        description: 'Name the appointment was booked under (required when the caller is not calling from the booked phone number)'
+      },
+      email: {
+        type: 'string',
+        description: 'Email the appointment was booked with (required when the caller is not calling from the booked phone number)'
+      }
+    },
+    required: ['appointmentId']
   }
 };
 
@@ -80,12 +211,118 @@ const scheduleCallbackFunction = {
       reason: {
         type: 'string',
         description: 'Reason for the callback request'
+      },
+      name: {
+        type: 'string',
+        description: 'Caller name, if given'
+      },
+      phone: {
+        type: 'string',
+        description: 'Number to call back (optional, will use caller ID if not provided)'
       }
     },
     required: ['reason']
   }
 };
 
+/**
+ * Add a required `service` parameter listing the business's bookable services
+ * @param {Object} fn - Function definition
+ * @param {Array} services - business_services rows
+ * @returns {Object} Copy of the definition with the service parameter
+ */
+function withServiceParameter(fn, services) {
+  return {
+    ...fn,
+    parameters: {
+      ...fn.parameters,
+      properties: {
+        ...fn.parameters.properties,
+        service: {
+          type: 'string',
+          enum: services.map(service => service.name),
+          description: 'Service the appointment is for. Each service has its own length and availability.'
+        }
+      },
+      required: [...fn.parameters.required, 'service']
+    }
+  };
+}
+
+/**
+ * Urgent call function - alerts the on-call team immediately
+ */
+const flagUrgentCallFunction = {
+  name: 'flagUrgentCall',
+  description: 'Immediately alert the on-call team about an urgent call: an emergency or safety issue, a very upset caller, or a caller who needs a call back right away. Call at most once per conversation.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'Short description of why the call is urgent. Example: "No heat, elderly resident, house is 50 degrees"'
+      },
+      urgency: {
+        type: 'string',
+        enum: ['high', 'emergency'],
+        description: '"emergency" for safety or health issues, otherwise "high"'
+      }
+    },
+    required: ['reason', 'urgency']
+  }
+};
+
+/**
+ * How each transfer_destinations condition is described to the model
+ */
+const CONDITION_DESCRIPTIONS = {
+  emergency: 'the caller describes an emergency or urgent safety issue',
+  caller_request: 'the caller asks to speak to a person',
+  vip: 'the caller is a priority customer'
+};
+
+// Spoken to the staff member before a warm transfer connects
+const TRANSFER_SUMMARY_PROMPT = 'Summarize this call for the staff member taking the transfer in two short sentences: who is calling, what they need, and how urgent it is.';
+
+/**
+ * Build the Vapi transferCall tool for a business's transfer destinations
+ * @param {Array} destinations - Rows from getAvailableTransferDestinations (lib/transfers.js)
+ * @returns {Object|null} Vapi tool, or null if there is nowhere to transfer
+ */
+function buildTransferCallTool(destinations) {
+  if (!destinations?.length) {
+    return null;
+  }
+
+  return {
+    type: 'transferCall',
+    function: {
+      name: 'transferCall',
+      description: 'Transfer the caller to a staff member. Only use a destination when its conditions apply.'
+    },
+    destinations: destinations.map(destination => ({
+      type: 'number',
+      number: destination.phone_number,
+      message: 'Please hold while I connect you.',
+      description: `${destination.label}. Use when ${destination.conditions
+        .map(condition => CONDITION_DESCRIPTIONS[condition] || condition)
+        .join(', or when ')}.`,
+      transferPlan: destination.warm_transfer
+        ? {
+          mode: 'warm-transfer-say-summary',
+          summaryPlan: {
+            enabled: true,
+            messages: [
+              { role: 'system', content: TRANSFER_SUMMARY_PROMPT },
+              { role: 'user', content: 'Here is the transcript:\n\n{{transcript}}\n\n' }
+            ]
+          }
+        }
+        : { mode: 'blind-transfer' }
+    }))
+  };
+}
+
 /**
  * Get functions based on feature flags
  * @param {Object} options - Feature flags
@@ -95,20 +332,37 @@ function getFunctions(options = {}) {
   const {
     enableBooking = false,
     enableCallback = false,
+    enableUrgentAlerts = true,
+    services = [],
     customFunctions = []
   } = options;
 
   const functions = [];
 
   if (enableBooking) {
-    functions.push(checkAvailabilityFunction);
-    functions.push(createBookingFunction);
+    if (services.length > 0) {
+      functions.push(withServiceParameter(checkAvailabilityFunction, services));
+      functions.push(withServiceParameter(findNextAvailableFunction, services));
+      functions.push(withServiceParameter(createBookingFunction, services));
+    } else {
+      functions.push(checkAvailabilityFunction);
+      functions.push(findNextAvailableFunction);
+      functions.push(createBookingFunction);
+    }
+    functions.push(verifyEmailFunction);
+    functions.push(findMyAppointmentFunction);
+    functions.push(rescheduleAppointmentFunction);
+    functions.push(cancelAppointmentFunction);
   }
 
   if (enableCallback) {
     functions.push(scheduleCallbackFunction);
   }
 
+  if (enableUrgentAlerts) {
+    functions.push(flagUrgentCallFunction);
+  }
+
   // Add any custom functions
   if (customFunctions.length > 0) {
     functions.push(...customFunctions);
@@ -125,8 +379,14 @@ function getFunctions(options = {}) {
 function getFunctionByName(name) {
   const allFunctions = {
     checkAvailability: checkAvailabilityFunction,
+    findNextAvailable: findNextAvailableFunction,
     createBooking: createBookingFunction,
-    scheduleCallback: scheduleCallbackFunction
+    verifyEmail: verifyEmailFunction,
+    findMyAppointment: findMyAppointmentFunction,
+    rescheduleAppointment: rescheduleAppointmentFunction,
+    cancelAppointment: cancelAppointmentFunction,
+    scheduleCallback: scheduleCallbackFunction,
+    flagUrgentCall: flagUrgentCallFunction
   };
 
   return allFunctions[name] || null;
@@ -134,8 +394,15 @@ function getFunctionByName(name) {
 
 module.exports = {
   checkAvailabilityFunction,
+  findNextAvailableFunction,
   createBookingFunction,
+  verifyEmailFunction,
+  findMyAppointmentFunction,
+  rescheduleAppointmentFunction,
+  cancelAppointmentFunction,
   scheduleCallbackFunction,
+  flagUrgentCallFunction,
   getFunctions,
-  getFunctionByName
+  getFunctionByName,
+  buildTransferCallTool
 };
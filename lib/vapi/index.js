@@ -9,10 +9,13 @@ const {
   buildSystemPrompt, 
   buildFirstMessage, 
   buildEndCallMessage,
-  getVoiceConfig 
+  getVoiceConfig,
+  fillTemplate,
+  FIRST_MESSAGES
 } = require('../prompts');
 
-const { getFunctions } = require('./functions');
+const { getFunctions, buildTransferCallTool } = require('./functions');
+const { buildAnalysisPlan } = require('./analysis');
 
 /**
  * Model configuration defaults
@@ -31,6 +34,7 @@ const ASSISTANT_TYPES = {
   BASIC: 'basic',
   BOOKING: 'booking',
   CALLBACK: 'callback',
+  AFTER_HOURS: 'after_hours',
   CUSTOM: 'custom'
 };
 
@@ -45,7 +49,11 @@ function buildAssistantConfig(business, options = {}) {
     type = ASSISTANT_TYPES.BASIC,
     enableBooking = false,
     enableCallback = false,
+    enableUrgentAlerts = true,
+    afterHours = false,
     voicePreset = 'rachel',
+    transferDestinations = null,
+    bookableServices = [],
     customConfig = {}
   } = options;
 
@@ -67,9 +75,14 @@ function buildAssistantConfig(business, options = {}) {
   const functions = getFunctions({ 
     enableBooking, 
     enableCallback,
+    enableUrgentAlerts,
+    services: enableBooking ? bookableServices : [],
     customFunctions: customConfig.functions 
   });
 
+  // Live transfer is a Vapi-native tool (no server round-trip)
+  const transferTool = buildTransferCallTool(transferDestinations);
+
   // Build system prompt - greeting is handled by firstMessage, not LLM
   const enhancedSystemPrompt = `${systemPrompt}
 
@@ -78,7 +91,13 @@ The caller has already been greeted. Continue the conversation naturally without
 
   // Short static first message (deterministic, no streaming issues)
   const businessName = business?.name || 'our office';
-  const firstMessage = `Thanks for calling ${businessName}. How can I help you today?`;
+  // Returning callers are greeted by first name
+  const callerName = options.customerContext?.name?.trim().split(/\s+/)[0];
+  const firstMessage = afterHours
+    ? fillTemplate(FIRST_MESSAGES.afterHours, { businessName })
+    : callerName
+      ? `Thanks for calling ${businessName}. Hi ${callerName}, how can I help you today?`
+      : `Thanks for calling ${businessName}. How can I help you today?`;
 
   // Build the complete config
   const config = {
@@ -91,7 +110,8 @@ The caller has already been greeted. Continue the conversation naturally without
           content: enhancedSystemPrompt
         }
       ],
-      ...(functions.length > 0 ? { functions } : {})
+      ...(functions.length > 0 ? { functions } : {}),
+      ...(transferTool ? { tools: [transferTool] } : {})
     },
     voice,
     // Static first message for consistency (short to avoid TTS issues)
@@ -114,6 +134,9 @@ The caller has already been greeted. Continue the conversation naturally without
     
     // Hang up if user is silent for 30 seconds
     silenceTimeoutSeconds: 30,
+
+    // Structured outcome (intent, urgency, outcome...) in the end-of-call report
+    analysisPlan: buildAnalysisPlan(business),
     
     ...customConfig.extraSettings
   };
@@ -138,18 +161,19 @@ function buildBasicConfig(business, options = {}) {
 /**
  * Quick config for booking-enabled assistant
  * @param {Object} business - Business object
- * @param {Object} calcomIntegration - Cal.com integration data
+ * @param {Object} calendarIntegration - Integration from getCalendarIntegration (lib/calendar);
+ *   native scheduler rows have no access_token
  * @param {Object} options - Additional options (voicePreset, etc.)
  * @returns {Object} Assistant config with booking functions
  */
-function buildBookingConfig(business, calcomIntegration = null, options = {}) {
-  // Only enable booking if Cal.com is properly configured
-  const hasCalcom = !!(calcomIntegration?.access_token);
+function buildBookingConfig(business, calendarIntegration = null, options = {}) {
+  // getCalendarIntegration only returns integrations that can book
+  const hasCalendar = !!calendarIntegration;
 
   return buildAssistantConfig(business, {
     type: ASSISTANT_TYPES.BOOKING,
-    enableBooking: hasCalcom,
-    enableCallback: !hasCalcom, // Enable callback as fallback
+    enableBooking: hasCalendar,
+    enableCallback: true, // Fallback when the calendar is unavailable, even mid-call
     ...options
   });
 }
@@ -162,6 +186,7 @@ function buildDefaultConfig() {
   return buildAssistantConfig(null, {
     type: ASSISTANT_TYPES.BASIC,
     enableBooking: false,
+    enableUrgentAlerts: false, // No business to alert
     voicePreset: 'tara' // Default to Tara voice
   });
 }
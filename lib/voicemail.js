@@ -0,0 +1,307 @@
+/**
+ * Voicemail Processing Pipeline
+ *
+ * Runs once Twilio delivers a voicemail transcription:
+ * 1. Extract summary, intent and urgency from the transcription
+ * 2. Store the results on the voicemails row
+ * 3. Notify the business owner by email and SMS with a link to the audio
+ *
+ * Twilio recording URLs need account credentials and shouldn't be handed out,
+ * so the audio link is a signed, expiring link to /api/voicemail-audio, which
+ * fetches the recording server-side.
+ *
+ * Environment variables:
+ * - VOICEMAIL_AUDIO_URL: Public URL of the audio endpoint, e.g. https://your-domain.com/api/voicemail-audio
+ * - RECORDING_LINK_SECRET: HMAC key for audio links
+ * - RECORDING_LINK_TTL_HOURS: How long an audio link works (default: 24)
+ */
+
+const crypto = require('crypto');
+const {
+  getBusinessById,
+  getCallByTwilioSid,
+  getPhoneNumberConfig,
+  upsertCall,
+  upsertVoicemail
+} = require('./supabase');
+const { createChatCompletion } = require('./llm');
+const { escapeHtml } = require('./email');
+const { notifyBusinessOwner } = require('./notifications');
+const { getBusinessTimeZone } = require('./time');
+const { EMERGENCY_PATTERN, URGENT_PATTERN } = require('./alerts');
+const { safeEqual } = require('./http');
+
+const URGENCY_LEVELS = ['low', 'normal', 'high', 'emergency'];
+const VOICEMAIL_INTENTS = ['booking', 'inquiry', 'complaint', 'modification', 'emergency', 'general'];
+const DEFAULT_RECORDING_LINK_TTL_HOURS = 24;
+
+/**
+ * Find or create the calls row for a voicemail
+ * @param {Object} params - Twilio request params
+ * @returns {Promise<Object|null>} Call record with business_id, or null
+ */
+async function resolveVoicemailCall({ CallSid, From, To }) {
+  const existing = await getCallByTwilioSid(CallSid);
+  if (existing) {
+    return existing;
+  }
+
+  const phoneConfig = await getPhoneNumberConfig(To);
+  if (!phoneConfig?.business_id) {
+    return null;
+  }
+
+  return await upsertCall({
+    business_id: phoneConfig.business_id,
+    twilio_call_sid: CallSid,
+    customer_phone: From,
+    from_phone: From || 'unknown',
+    to_phone: To || 'unknown',
+    status: 'completed',
+    missed: true
+  }, { onConflict: 'twilio_call_sid' });
+}
+
+/**
+ * Keyword-based analysis used when the LLM is unavailable
+ * @param {string} text - Transcription text
+ * @returns {{summary: string, intent: string, urgency: string}}
+ */
+function fallbackAnalysis(text) {
+  const lower = (text || '').toLowerCase();
+  let intent = 'general';
+
+  if (EMERGENCY_PATTERN.test(lower)) {
+    intent = 'emergency';
+  } else if (/(cancel|reschedule)/.test(lower)) {
+    intent = 'modification';
+  } else if (/(appointment|schedule|book)/.test(lower)) {
+    intent = 'booking';
+  } else if (/(problem|issue|complaint)/.test(lower)) {
+    intent = 'complaint';
+  } else if (/(question|information|how much|price)/.test(lower)) {
+    intent = 'inquiry';
+  }
+
+  let urgency = 'normal';
+  if (EMERGENCY_PATTERN.test(lower)) {
+    urgency = 'emergency';
+  } else if (URGENT_PATTERN.test(lower)) {
+    urgency = 'high';
+  }
+
+  return {
+    summary: text ? text.slice(0, 200) : 'Voicemail (no transcription available)',
+    intent,
+    urgency
+  };
+}
+
+/**
+ * Extract summary, intent and urgency from a voicemail transcription
+ * @param {Object} business - Business object from DB
+ * @param {string} transcriptionText - Twilio transcription
+ * @returns {Promise<{summary: string, intent: string, urgency: string}>}
+ */
+async function analyzeVoicemail(business, transcriptionText) {
+  if (!transcriptionText) {
+    return fallbackAnalysis('');
+  }
+
+  try {
+    const reply = await createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You analyze voicemails left for ${business?.name || 'a small business'}.
+Respond with a JSON object with exactly these keys:
+- "summary": one or two sentences describing who called and what they need
+- "intent": one of ${VOICEMAIL_INTENTS.join(', ')}
+- "urgency": one of ${URGENCY_LEVELS.join(', ')} ("emergency" only for safety or health issues)`
+        },
+        { role: 'user', content: transcriptionText }
+      ],
+      responseFormat: { type: 'json_object' },
+      maxTokens: 200
+    });
+
+    const parsed = JSON.parse(reply.content || '{}');
+    const fallback = fallbackAnalysis(transcriptionText);
+
+    return {
+      summary: parsed.summary || fallback.summary,
+      intent: VOICEMAIL_INTENTS.includes(parsed.intent) ? parsed.intent : fallback.intent,
+      urgency: URGENCY_LEVELS.includes(parsed.urgency) ? parsed.urgency : fallback.urgency
+    };
+  } catch (error) {
+    console.error('⚠️ Voicemail analysis failed, using keyword fallback:', error.message);
+    return fallbackAnalysis(transcriptionText);
+  }
+}
+
+function getRecordingLinkTtlMs() {
+  const hours = parseInt(process.env.RECORDING_LINK_TTL_HOURS, 10);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_RECORDING_LINK_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+function signRecordingLink(voicemailId, expires) {
+  return crypto
+    .createHmac('sha256', process.env.RECORDING_LINK_SECRET)
+    .update(`${voicemailId}.${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Signed, expiring link to the voicemail audio
+ * @param {Object} voicemail - voicemails row
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {string|null} Link, or null if there is no recording or links aren't configured
+ */
+function getRecordingLink(voicemail, { now = Date.now() } = {}) {
+  const audioUrl = process.env.VOICEMAIL_AUDIO_URL;
+
+  if (!voicemail?.id || !voicemail.recording_url) {
+    return null;
+  }
+
+  if (!audioUrl || !process.env.RECORDING_LINK_SECRET) {
+    console.warn('⚠️ VOICEMAIL_AUDIO_URL or RECORDING_LINK_SECRET not set - sending voicemail without an audio link');
+    return null;
+  }
+
+  const expires = Math.floor((now + getRecordingLinkTtlMs()) / 1000);
+  const params = new URLSearchParams({ v: voicemail.id, e: String(expires), s: signRecordingLink(voicemail.id, expires) });
+  return `${audioUrl}?${params}`;
+}
+
+/**
+ * Check an audio link's signature and expiry
+ * @param {Object} query - Link query parameters { v, e, s }
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {{ok: boolean, voicemailId?: string, reason?: string}}
+ */
+function verifyRecordingLink({ v, e, s } = {}, { now = Date.now() } = {}) {
+  const expires = Number(e);
+
+  if (!process.env.RECORDING_LINK_SECRET || !v || !s || !Number.isInteger(expires)) {
+    return { ok: false, reason: 'malformed_link' };
+  }
+
+  if (!safeEqual(s, signRecordingLink(v, expires))) {
+    return { ok: false, reason: 'invalid_signature' };
+  }
+
+  if (expires * 1000 < now) {
+    return { ok: false, reason: 'expired_link' };
+  }
+
+  return { ok: true, voicemailId: v };
+}
+
+/**
+ * Email and text the business owner about a new voicemail
+ * @param {Object} business - Business object from DB
+ * @param {Object} voicemail - voicemails row (with analysis fields)
+ * @returns {Promise<boolean>} True if at least one notification was sent
+ */
+async function notifyVoicemail(business, voicemail) {
+  const caller = voicemail.metadata?.from || 'Unknown caller';
+  const audioLink = getRecordingLink(voicemail);
+  const receivedAt = new Date(voicemail.created_at || Date.now()).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: getBusinessTimeZone(business)
+  });
+  const urgencyLabel = (voicemail.urgency || 'normal').toUpperCase();
+
+  const text = [
+    `New voicemail for ${business.name}`,
+    '',
+    `From: ${caller}`,
+    `Received: ${receivedAt}`,
+    `Urgency: ${urgencyLabel}`,
+    `Intent: ${voicemail.intent || 'unknown'}`,
+    '',
+    `Summary: ${voicemail.summary || 'No summary'}`,
+    '',
+    `Transcription: ${voicemail.transcription_text || 'Not available'}`,
+    '',
+    audioLink ? `Listen: ${audioLink}` : ''
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; color: #111; line-height: 1.5;">
+      <h2 style="margin-bottom: 4px;">New voicemail</h2>
+      <p style="margin: 0;"><strong>${escapeHtml(business.name)}</strong></p>
+      <hr />
+      <p><strong>From:</strong> ${escapeHtml(caller)}<br />
+      <strong>Received:</strong> ${escapeHtml(receivedAt)}<br />
+      <strong>Urgency:</strong> ${escapeHtml(urgencyLabel)}<br />
+      <strong>Intent:</strong> ${escapeHtml(voicemail.intent || 'unknown')}</p>
+      <p><strong>Summary:</strong> ${escapeHtml(voicemail.summary || 'No summary')}</p>
+      <p style="color: #444;"><em>${escapeHtml(voicemail.transcription_text || 'Transcription not available')}</em></p>
+      ${audioLink ? `<p><a href="${escapeHtml(audioLink)}">Listen to the recording</a></p>` : ''}
+    </div>
+  `;
+
+  return await notifyBusinessOwner(business, {
+    subject: `${voicemail.urgency === 'emergency' || voicemail.urgency === 'high' ? '[URGENT] ' : ''}New voicemail from ${caller} - ${business.name}`,
+    text,
+    html,
+    sms: `New ${urgencyLabel === 'NORMAL' ? '' : `${urgencyLabel} `}voicemail from ${caller}: ${voicemail.summary || 'No summary'}${audioLink ? ` Listen: ${audioLink}` : ''}`
+  });
+}
+
+/**
+ * Analyze a transcribed voicemail, store the results and notify the owner
+ * @param {Object} voicemail - voicemails row
+ * @returns {Promise<Object>} Updated voicemail row
+ */
+async function processVoicemail(voicemail) {
+  const business = await getBusinessById(voicemail.business_id);
+
+  if (!business) {
+    console.warn('⚠️ Voicemail business not found:', voicemail.business_id);
+    return voicemail;
+  }
+
+  const analysis = await analyzeVoicemail(business, voicemail.transcription_text);
+  let updated = await upsertVoicemail({
+    ...voicemail,
+    ...analysis
+  });
+
+  console.log('🧠 Voicemail analyzed:', {
+    recordingSid: updated.recording_sid,
+    intent: updated.intent,
+    urgency: updated.urgency
+  });
+
+  if (updated.notified_at) {
+    return updated;
+  }
+
+  const notified = await notifyVoicemail(business, updated);
+  if (notified) {
+    updated = await upsertVoicemail({
+      ...updated,
+      notified_at: new Date().toISOString()
+    });
+  }
+
+  return updated;
+}
+
+module.exports = {
+  resolveVoicemailCall,
+  analyzeVoicemail,
+  notifyVoicemail,
+  processVoicemail,
+  getRecordingLink,
+  verifyRecordingLink
+};
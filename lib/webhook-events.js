@@ -0,0 +1,198 @@
+/**
+ * Webhook Event Log
+ *
+ * Every Vapi, Twilio and Cal.com webhook is recorded in webhook_events under
+ * a dedupe key before it is processed. Providers retry on timeouts and
+ * errors, so:
+ * - a new key is processed normally and its response stored
+ * - a processed key is answered with the stored response (no side effects)
+ * - a failed key is claimed again and reprocessed
+ * - a key stuck in 'processing' past its lease (the function timed out or
+ *   crashed) is taken over by the next retry
+ *
+ * If the event log itself is unavailable, events are processed anyway so a
+ * database hiccup never drops a live call.
+ */
+
+const crypto = require('crypto');
+const {
+  insertWebhookEvent,
+  getWebhookEvent,
+  updateWebhookEvent
+} = require('./supabase');
+
+// Postgres unique_violation
+const DUPLICATE_KEY_ERROR = '23505';
+
+// Longer than the 30s function timeout (vercel.json), so a live claim is never taken over
+const PROCESSING_LEASE_MS = 60 * 1000;
+
+function getLeaseExpiry() {
+  return new Date(Date.now() + PROCESSING_LEASE_MS).toISOString();
+}
+
+/**
+ * Whether a 'processing' claim has outlived its lease
+ * Rows claimed before locked_until existed fall back to updated_at.
+ */
+function isLeaseExpired(existing) {
+  const lockedUntil = existing.locked_until
+    ? new Date(existing.locked_until).getTime()
+    : new Date(existing.updated_at || existing.created_at).getTime() + PROCESSING_LEASE_MS;
+
+  return lockedUntil <= Date.now();
+}
+
+/**
+ * @typedef {Object} WebhookEventClaim
+ * @property {string|null} id - webhook_events.id (null if the log is unavailable)
+ * @property {string} dedupeKey - Dedupe key that was claimed
+ * @property {boolean} duplicate - True if the event was already processed or is in progress
+ * @property {*} response - Stored response of the original delivery (duplicates only;
+ *   null while the original delivery is still processing)
+ */
+
+/**
+ * Stable short hash of a payload, for events without a natural unique ID
+ * @param {*} payload - Any JSON-serializable value
+ * @returns {string} Hex digest
+ */
+function hashPayload(payload) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(payload ?? null))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Dedupe key for a Vapi server message
+ * @param {Object} message - event.message
+ * @returns {string} Dedupe key
+ */
+function getVapiDedupeKey(message = {}) {
+  const type = message.type || 'unknown';
+  const callId = message.call?.id || 'no-call';
+
+  switch (type) {
+    case 'assistant-request':
+    case 'end-of-call-report':
+      // One per call
+      return `${type}:${callId}`;
+
+    case 'tool-calls': {
+      const toolCallIds = (message.toolCallList || []).map(toolCall => toolCall.id).filter(Boolean);
+      if (toolCallIds.length > 0) {
+        return `${type}:${callId}:${toolCallIds.join(',')}`;
+      }
+      return `${type}:${callId}:${hashPayload(message)}`;
+    }
+
+    default:
+      // Retries resend the identical body
+      return `${type}:${callId}:${hashPayload(message)}`;
+  }
+}
+
+/**
+ * Claim an event for processing
+ * @param {Object} event - Event details
+ * @param {string} event.source - 'vapi', 'twilio' or 'calcom'
+ * @param {string} event.eventType - Event type
+ * @param {string} event.dedupeKey - Dedupe key (unique per source)
+ * @param {string} [event.externalId] - Provider ID for lookups (call ID, CallSid, ...)
+ * @param {Object} [event.payload] - Raw payload to store
+ * @returns {Promise<WebhookEventClaim>}
+ */
+async function claimWebhookEvent({ source, eventType, dedupeKey, externalId = null, payload = {} }) {
+  try {
+    const created = await insertWebhookEvent({
+      source,
+      event_type: eventType,
+      dedupe_key: dedupeKey,
+      external_id: externalId,
+      payload,
+      locked_until: getLeaseExpiry()
+    });
+
+    return { id: created.id, dedupeKey, duplicate: false, response: null };
+
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      console.error('⚠️ Webhook event log unavailable, processing without dedupe:', error.message);
+      return { id: null, dedupeKey, duplicate: false, response: null };
+    }
+  }
+
+  try {
+    const existing = await getWebhookEvent(source, dedupeKey);
+
+    const stale = existing?.status === 'processing' && isLeaseExpired(existing);
+
+    if (existing?.status === 'failed' || stale) {
+      // Only one retry may take over a failed or stale event
+      const reclaimed = await updateWebhookEvent(existing.id, {
+        status: 'processing',
+        attempts: (existing.attempts || 1) + 1,
+        error: stale ? 'Processing lease expired' : null,
+        locked_until: getLeaseExpiry()
+      }, { expectedStatus: existing.status, expectedAttempts: existing.attempts || 1 });
+
+      if (reclaimed) {
+        console.log(stale ? '🔁 Taking over stale webhook event:' : '🔁 Reprocessing failed webhook event:', dedupeKey);
+        return { id: existing.id, dedupeKey, duplicate: false, response: null };
+      }
+    }
+
+    return { id: existing?.id || null, dedupeKey, duplicate: true, response: existing?.response ?? null };
+
+  } catch (error) {
+    console.error('⚠️ Failed to load duplicate webhook event:', error.message);
+    return { id: null, dedupeKey, duplicate: true, response: null };
+  }
+}
+
+/**
+ * Mark a claimed event as processed and store its response
+ * @param {WebhookEventClaim|null} claim - Result of claimWebhookEvent
+ * @param {*} response - Response body returned to the provider
+ */
+async function completeWebhookEvent(claim, response = null) {
+  if (!claim?.id) return;
+
+  try {
+    await updateWebhookEvent(claim.id, {
+      status: 'processed',
+      response,
+      processed_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('⚠️ Failed to mark webhook event processed:', error.message);
+  }
+}
+
+/**
+ * Mark a claimed event as failed so a provider retry can reprocess it
+ * @param {WebhookEventClaim|null} claim - Result of claimWebhookEvent
+ * @param {Error} error - Processing error
+ */
+async function failWebhookEvent(claim, error) {
+  if (!claim?.id) return;
+
+  try {
+    await updateWebhookEvent(claim.id, {
+      status: 'failed',
+      error: error?.message || String(error)
+    });
+  } catch (updateError) {
+    console.error('⚠️ Failed to mark webhook event failed:', updateError.message);
+  }
+}
+
+module.exports = {
+  claimWebhookEvent,
+  completeWebhookEvent,
+  failWebhookEvent,
+  getVapiDedupeKey,
+  hashPayload
+};
@@ -0,0 +1,124 @@
+/*
+  Encrypt integration tokens at rest, and rotate them to the current key
+
+  - Plaintext access_token / refresh_token / webhook_secret values are encrypted
+  - Values wrapped with an older key are re-wrapped with the current key
+    (the first entry in TOKEN_ENCRYPTION_KEYS)
+
+  Safe to run repeatedly. Run once after deploying migration
+  021_integration_token_encryption.sql, and again after adding a new key.
+  Remove an old key from TOKEN_ENCRYPTION_KEYS only after this reports
+  no rows left on it.
+
+  Required env:
+    SUPABASE_URL
+    SUPABASE_SERVICE_KEY
+    TOKEN_ENCRYPTION_KEYS
+
+  Usage:
+    node scripts/encrypt-integration-tokens.js [--dry-run]
+*/
+
+const { supabaseService, encryptIntegrationSecrets } = require('../lib/supabase');
+const {
+  isEncryptionConfigured,
+  isEncrypted,
+  rewrapSecret,
+  getSecretKeyId,
+  getCurrentKeyId
+} = require('../lib/encryption');
+
+const SECRET_FIELDS = ['access_token', 'refresh_token', 'webhook_secret'];
+const PAGE_SIZE = 100;
+const dryRun = process.argv.includes('--dry-run');
+
+function required(value, name) {
+  if (!value) {
+    console.error(`Missing required env: ${name}`);
+    process.exit(1);
+  }
+  return value;
+}
+
+required(supabaseService, 'SUPABASE_SERVICE_KEY');
+required(isEncryptionConfigured(), 'TOKEN_ENCRYPTION_KEYS');
+
+/**
+ * Columns to update for a row, or null if it is already encrypted with the current key
+ */
+function getRowUpdates(row) {
+  const currentKeyId = getCurrentKeyId();
+  const plaintext = {};
+  const updates = {};
+
+  for (const field of SECRET_FIELDS) {
+    const value = row[field];
+
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    if (!isEncrypted(value)) {
+      plaintext[field] = value;
+    } else if (getSecretKeyId(value) !== currentKeyId) {
+      updates[field] = rewrapSecret(value);
+    }
+  }
+
+  if (Object.keys(plaintext).length > 0) {
+    Object.assign(updates, encryptIntegrationSecrets(row.business_id, row.provider, plaintext));
+  }
+
+  if (Object.keys(updates).length === 0 && row.encryption_key_id === currentKeyId) {
+    return null;
+  }
+
+  return { ...updates, encryption_key_id: currentKeyId };
+}
+
+async function main() {
+  let offset = 0;
+  let updated = 0;
+  let scanned = 0;
+
+  console.log(`Encrypting integration tokens with key ${getCurrentKeyId()}${dryRun ? ' (dry run)' : ''}`);
+
+  for (;;) {
+    const { data: rows, error } = await supabaseService
+      .from('business_integrations')
+      .select('id, business_id, provider, access_token, refresh_token, webhook_secret, encryption_key_id')
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    if (!rows || rows.length === 0) break;
+
+    for (const row of rows) {
+      scanned += 1;
+      const updates = getRowUpdates(row);
+
+      if (!updates) continue;
+
+      if (!dryRun) {
+        const { error: updateError } = await supabaseService
+          .from('business_integrations')
+          .update(updates)
+          .eq('id', row.id);
+
+        if (updateError) throw updateError;
+      }
+
+      updated += 1;
+      console.log(`${dryRun ? 'Would update' : 'Updated'} ${row.provider} integration ${row.id} (was: ${row.encryption_key_id || 'plaintext'})`);
+    }
+
+    offset += rows.length;
+  }
+
+  console.log(`Done. Scanned ${scanned}, ${dryRun ? 'would update' : 'updated'} ${updated}.`);
+}
+
+main().catch((err) => {
+  console.error('Token encryption failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,11 @@
+-- Ring-first routing: dial the business's own line(s) before handing the call to the AI.
+alter table public.business_phone_numbers
+  add column if not exists routing_mode text not null default 'ai'
+    check (routing_mode in ('ai', 'ring_first')),
+  add column if not exists ring_targets text[] not null default '{}',
+  add column if not exists ring_timeout_seconds integer not null default 20
+    check (ring_timeout_seconds between 5 and 60);
+
+-- Link call rows to the inbound Twilio leg (set before Vapi ever sees the call).
+alter table public.calls
+  add column if not exists twilio_call_sid text unique;
@@ -0,0 +1,47 @@
+-- Business-hours routing: ring staff while open, AI after hours and on closed days.
+alter table public.business_phone_numbers
+  drop constraint if exists business_phone_numbers_routing_mode_check;
+
+alter table public.business_phone_numbers
+  add constraint business_phone_numbers_routing_mode_check
+    check (routing_mode in ('ai', 'ring_first', 'business_hours'));
+
+-- Holiday / closure exceptions. Leave start_time/end_time null to close all day,
+-- or set both ("HH:MM", business timezone) for special hours on that date.
+create table if not exists public.business_closures (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+
+  closure_date date not null,
+  reason text,
+  start_time text,
+  end_time text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint business_closures_hours_check check (
+    (start_time is null and end_time is null)
+    or (start_time ~ '^\d{2}:\d{2}$' and end_time ~ '^\d{2}:\d{2}$')
+  )
+);
+
+create unique index if not exists uniq_business_closures_date
+on public.business_closures(business_id, closure_date);
+
+create trigger trg_business_closures_updated_at
+before update on public.business_closures
+for each row execute function public.update_updated_at_column();
+
+alter table public.business_closures enable row level security;
+
+create policy "closures: select if member"
+on public.business_closures
+for select
+using (public.is_business_member(business_id));
+
+create policy "closures: write if owner"
+on public.business_closures
+for all
+using (public.is_business_owner(business_id))
+with check (public.is_business_owner(business_id));
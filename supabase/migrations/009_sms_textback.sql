@@ -0,0 +1,69 @@
+-- Missed-call SMS text-back and two-way SMS conversations.
+alter table public.businesses
+  add column if not exists sms_textback_enabled boolean not null default false,
+  add column if not exists sms_textback_message text;
+
+-- One thread per customer per business number, linked to the call that triggered it
+create table if not exists public.sms_conversations (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+  call_id uuid references public.calls(id) on delete set null,
+
+  customer_phone text not null,
+  business_phone text not null,
+
+  status text not null check (status in ('open', 'closed')) default 'open',
+  last_message_at timestamptz not null default now(),
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists uniq_sms_conversations_open
+on public.sms_conversations(business_id, customer_phone)
+where status = 'open';
+
+create unique index if not exists uniq_sms_conversations_call
+on public.sms_conversations(call_id);
+
+create index if not exists idx_sms_conversations_customer
+on public.sms_conversations(customer_phone);
+
+create trigger trg_sms_conversations_updated_at
+before update on public.sms_conversations
+for each row execute function public.update_updated_at_column();
+
+create table if not exists public.sms_messages (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references public.sms_conversations(id) on delete cascade,
+
+  direction text not null check (direction in ('inbound', 'outbound')),
+  body text not null,
+  twilio_message_sid text unique,
+
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_sms_messages_conversation_created
+on public.sms_messages(conversation_id, created_at);
+
+alter table public.sms_conversations enable row level security;
+alter table public.sms_messages enable row level security;
+
+create policy "sms_conversations: select if member"
+on public.sms_conversations
+for select
+using (public.is_business_member(business_id));
+
+create policy "sms_messages: select if member"
+on public.sms_messages
+for select
+using (
+  exists (
+    select 1
+    from public.sms_conversations sc
+    where sc.id = sms_messages.conversation_id
+      and public.is_business_member(sc.business_id)
+  )
+);
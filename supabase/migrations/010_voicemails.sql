@@ -0,0 +1,46 @@
+-- Voicemail recordings and transcriptions from Twilio, linked to calls via CallSid.
+alter table public.businesses
+  add column if not exists notification_phone text;
+
+create table if not exists public.voicemails (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+  call_id uuid references public.calls(id) on delete set null,
+
+  twilio_call_sid text not null,
+  recording_sid text not null unique,
+  recording_url text,
+  duration_seconds integer,
+
+  transcription_sid text,
+  transcription_status text,
+  transcription_text text,
+
+  -- AI outputs
+  summary text,
+  intent text,
+  urgency text check (urgency in ('low', 'normal', 'high', 'emergency')),
+
+  notified_at timestamptz,
+  metadata jsonb not null default '{}'::jsonb,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_voicemails_business_created_at
+on public.voicemails(business_id, created_at desc);
+
+create index if not exists idx_voicemails_call_sid
+on public.voicemails(twilio_call_sid);
+
+create trigger trg_voicemails_updated_at
+before update on public.voicemails
+for each row execute function public.update_updated_at_column();
+
+alter table public.voicemails enable row level security;
+
+create policy "voicemails: select if member"
+on public.voicemails
+for select
+using (public.is_business_member(business_id));
@@ -0,0 +1,19 @@
+-- Audit log for rejected or suspicious webhook requests.
+-- Written by the service role only; no client access.
+create table if not exists public.security_events (
+  id uuid primary key default gen_random_uuid(),
+
+  source text not null,        -- e.g. 'vapi-webhook'
+  event_type text not null,    -- e.g. 'webhook_auth_failed'
+  reason text,
+  ip_address text,
+  user_agent text,
+  metadata jsonb not null default '{}'::jsonb,
+
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_security_events_source_created_at
+on public.security_events(source, created_at desc);
+
+alter table public.security_events enable row level security;
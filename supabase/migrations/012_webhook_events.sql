@@ -0,0 +1,69 @@
+-- Durable log of inbound Vapi/Twilio webhook events.
+-- Handlers claim an event by (source, dedupe_key) before processing, so
+-- provider retries are recognised and answered with the stored response.
+create table if not exists public.webhook_events (
+  id uuid primary key default gen_random_uuid(),
+
+  source text not null,            -- 'vapi' | 'twilio'
+  event_type text not null,        -- e.g. 'tool-calls', 'voice', 'sms'
+  dedupe_key text not null,
+  external_id text,                -- Vapi call id, CallSid, MessageSid, ...
+
+  status text not null check (status in ('processing', 'processed', 'failed')) default 'processing',
+  attempts integer not null default 1,
+
+  payload jsonb not null default '{}'::jsonb,
+  response jsonb,
+  error text,
+
+  processed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  unique (source, dedupe_key)
+);
+
+create index if not exists idx_webhook_events_external_id
+on public.webhook_events(external_id);
+
+create index if not exists idx_webhook_events_created_at
+on public.webhook_events(created_at desc);
+
+create trigger trg_webhook_events_updated_at
+before update on public.webhook_events
+for each row execute function public.update_updated_at_column();
+
+alter table public.webhook_events enable row level security;
+
+-- ============================================================
+-- TRANSCRIPT SEQUENCING
+-- ============================================================
+-- Assigns the next sequence_number for a call inside the database so
+-- concurrent serverless instances never reuse or skip numbers.
+create or replace function public.insert_call_transcript(
+  p_call_id uuid,
+  p_role text,
+  p_text text,
+  p_spoken_at timestamptz default now()
+)
+returns public.call_transcripts
+language plpgsql
+as $$
+declare
+  next_sequence integer;
+  inserted public.call_transcripts;
+begin
+  perform pg_advisory_xact_lock(hashtext(p_call_id::text));
+
+  select coalesce(max(sequence_number), 0) + 1
+  into next_sequence
+  from public.call_transcripts
+  where call_id = p_call_id;
+
+  insert into public.call_transcripts (call_id, role, text, spoken_at, sequence_number)
+  values (p_call_id, p_role, p_text, coalesce(p_spoken_at, now()), next_sequence)
+  returning * into inserted;
+
+  return inserted;
+end;
+$$;
@@ -0,0 +1,52 @@
+-- Callback queue filled by the scheduleCallback assistant tool.
+create table if not exists public.callback_requests (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+  call_id uuid references public.calls(id) on delete set null,
+  sms_conversation_id uuid references public.sms_conversations(id) on delete set null,
+
+  customer_name text,
+  customer_phone text not null,
+  reason text not null,
+
+  -- What the caller said, and the window it was parsed into (null = any time)
+  preferred_time_text text,
+  window_start timestamptz,
+  window_end timestamptz,
+
+  status text not null check (status in ('open', 'in_progress', 'done', 'cancelled')) default 'open',
+  assigned_to uuid, -- auth.users.id
+  completed_at timestamptz,
+  completed_by uuid, -- auth.users.id
+  resolution_notes text,
+
+  channel text not null check (channel in ('voice', 'sms')) default 'voice',
+  notified_at timestamptz,
+  metadata jsonb not null default '{}'::jsonb,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_callback_requests_business_status
+on public.callback_requests(business_id, status, created_at desc);
+
+create index if not exists idx_callback_requests_assigned_to
+on public.callback_requests(assigned_to)
+where status in ('open', 'in_progress');
+
+create trigger trg_callback_requests_updated_at
+before update on public.callback_requests
+for each row execute function public.update_updated_at_column();
+
+alter table public.callback_requests enable row level security;
+
+create policy "callback_requests: select if member"
+on public.callback_requests
+for select
+using (public.is_business_member(business_id));
+
+create policy "callback_requests: update if member"
+on public.callback_requests
+for update
+using (public.is_business_member(business_id));
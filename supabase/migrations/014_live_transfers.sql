@@ -0,0 +1,58 @@
+-- Live transfer from the AI assistant to a person.
+alter table public.businesses
+  -- Weekly hours (same shape as business_hours) when transfers are allowed.
+  -- null = use business_hours.
+  add column if not exists transfer_hours jsonb,
+  -- Callers who qualify for 'vip' transfer destinations
+  add column if not exists vip_phone_numbers text[] not null default '{}';
+
+create table if not exists public.transfer_destinations (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+
+  label text not null,          -- e.g. 'Front desk', 'On-call technician'
+  phone_number text not null,   -- E.164
+
+  -- When the assistant may use this destination
+  conditions text[] not null default '{caller_request}'
+    check (conditions <@ array['emergency', 'caller_request', 'vip']::text[] and cardinality(conditions) > 0),
+
+  -- Ignore transfer hours (e.g. an on-call emergency line)
+  always_available boolean not null default false,
+
+  -- Warm transfer: the assistant speaks a call summary to the staff member
+  -- before connecting; sms_summary also texts it to them
+  warm_transfer boolean not null default true,
+  sms_summary boolean not null default true,
+
+  priority integer not null default 0,
+  active boolean not null default true,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_transfer_destinations_business
+on public.transfer_destinations(business_id, priority)
+where active = true;
+
+create trigger trg_transfer_destinations_updated_at
+before update on public.transfer_destinations
+for each row execute function public.update_updated_at_column();
+
+alter table public.transfer_destinations enable row level security;
+
+create policy "transfer_destinations: select if member"
+on public.transfer_destinations
+for select
+using (public.is_business_member(business_id));
+
+create policy "transfer_destinations: write if owner"
+on public.transfer_destinations
+for all
+using (public.is_business_owner(business_id))
+with check (public.is_business_owner(business_id));
+
+alter table public.calls
+  add column if not exists transferred_at timestamptz,
+  add column if not exists transfer_destination_id uuid references public.transfer_destinations(id) on delete set null;
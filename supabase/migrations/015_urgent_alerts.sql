@@ -0,0 +1,104 @@
+-- Real-time urgent-call alerts with escalation chains.
+alter table public.businesses
+  -- Minutes to wait for an acknowledgement before alerting the next level
+  add column if not exists alert_escalation_minutes integer not null default 10
+    check (alert_escalation_minutes > 0);
+
+-- People alerted about urgent calls. Contacts on the same escalation_level
+-- are alerted together; the next level is alerted if nobody acknowledges.
+create table if not exists public.on_call_contacts (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+
+  name text not null,
+  phone_number text, -- E.164, SMS alerts
+  email text,
+  escalation_level integer not null default 1 check (escalation_level > 0),
+
+  -- Local (business timezone) window when only emergencies reach this contact.
+  -- May wrap midnight, e.g. 22:00-07:00.
+  quiet_hours_start time,
+  quiet_hours_end time,
+
+  active boolean not null default true,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint on_call_contacts_channel check (phone_number is not null or email is not null)
+);
+
+create index if not exists idx_on_call_contacts_business_level
+on public.on_call_contacts(business_id, escalation_level)
+where active = true;
+
+create trigger trg_on_call_contacts_updated_at
+before update on public.on_call_contacts
+for each row execute function public.update_updated_at_column();
+
+alter table public.on_call_contacts enable row level security;
+
+create policy "on_call_contacts: select if member"
+on public.on_call_contacts
+for select
+using (public.is_business_member(business_id));
+
+create policy "on_call_contacts: write if owner"
+on public.on_call_contacts
+for all
+using (public.is_business_owner(business_id))
+with check (public.is_business_owner(business_id));
+
+create table if not exists public.urgent_alerts (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+  call_id uuid references public.calls(id) on delete set null,
+
+  source text not null check (source in ('end_of_call', 'assistant_tool')),
+  urgency text not null check (urgency in ('high', 'emergency')),
+  reason text not null,
+  summary text,
+  customer_phone text,
+  recording_url text,
+
+  status text not null check (status in ('pending', 'acknowledged', 'exhausted')) default 'pending',
+  escalation_level integer not null default 0, -- last level alerted (0 = none yet)
+  last_notified_at timestamptz,
+  acknowledged_at timestamptz,
+  acknowledged_by uuid references public.on_call_contacts(id) on delete set null,
+
+  -- One entry per send: { contact_id, level, channel, ok, sent_at }
+  deliveries jsonb not null default '[]'::jsonb,
+  metadata jsonb not null default '{}'::jsonb,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One alert per call
+create unique index if not exists uniq_urgent_alerts_call
+on public.urgent_alerts(call_id)
+where call_id is not null;
+
+create index if not exists idx_urgent_alerts_pending
+on public.urgent_alerts(last_notified_at)
+where status = 'pending';
+
+create index if not exists idx_urgent_alerts_business_created_at
+on public.urgent_alerts(business_id, created_at desc);
+
+create trigger trg_urgent_alerts_updated_at
+before update on public.urgent_alerts
+for each row execute function public.update_updated_at_column();
+
+alter table public.urgent_alerts enable row level security;
+
+create policy "urgent_alerts: select if member"
+on public.urgent_alerts
+for select
+using (public.is_business_member(business_id));
+
+create policy "urgent_alerts: update if member"
+on public.urgent_alerts
+for update
+using (public.is_business_member(business_id));
@@ -0,0 +1,93 @@
+-- Returning-caller recognition: one customer per business and phone number.
+create table if not exists public.customers (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+
+  phone_number text not null, -- E.164, as received from the caller ID
+  name text,
+  email text,
+
+  first_seen_at timestamptz not null default now(),
+  last_call_at timestamptz,
+
+  notes text,
+  metadata jsonb not null default '{}'::jsonb,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint uniq_customers_business_phone unique (business_id, phone_number)
+);
+
+create index if not exists idx_customers_business_email
+on public.customers(business_id, lower(email));
+
+create trigger trg_customers_updated_at
+before update on public.customers
+for each row execute function public.update_updated_at_column();
+
+alter table public.customers enable row level security;
+
+create policy "customers: select if member"
+on public.customers
+for select
+using (public.is_business_member(business_id));
+
+create policy "customers: update if member"
+on public.customers
+for update
+using (public.is_business_member(business_id));
+
+alter table public.calls
+  add column if not exists customer_id uuid references public.customers(id) on delete set null;
+
+alter table public.bookings
+  add column if not exists customer_id uuid references public.customers(id) on delete set null;
+
+create index if not exists idx_calls_customer_id
+on public.calls(customer_id);
+
+create index if not exists idx_bookings_customer_id
+on public.bookings(customer_id);
+
+-- Backfill from existing calls and bookings
+insert into public.customers (business_id, phone_number, first_seen_at, last_call_at)
+select business_id, customer_phone, min(created_at), max(created_at)
+from public.calls
+where customer_phone like '+%'
+group by business_id, customer_phone
+on conflict (business_id, phone_number) do nothing;
+
+insert into public.customers (business_id, phone_number, first_seen_at)
+select business_id, customer_phone, min(created_at)
+from public.bookings
+where customer_phone like '+%'
+group by business_id, customer_phone
+on conflict (business_id, phone_number) do nothing;
+
+update public.customers cu
+set name = latest.customer_name,
+    email = latest.customer_email
+from (
+  select distinct on (business_id, customer_phone)
+    business_id, customer_phone, customer_name, customer_email
+  from public.bookings
+  where customer_phone like '+%'
+  order by business_id, customer_phone, created_at desc
+) latest
+where cu.business_id = latest.business_id
+  and cu.phone_number = latest.customer_phone;
+
+update public.calls c
+set customer_id = cu.id
+from public.customers cu
+where c.customer_id is null
+  and cu.business_id = c.business_id
+  and cu.phone_number = c.customer_phone;
+
+update public.bookings b
+set customer_id = cu.id
+from public.customers cu
+where b.customer_id is null
+  and cu.business_id = b.business_id
+  and cu.phone_number = b.customer_phone;
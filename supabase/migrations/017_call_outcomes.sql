@@ -0,0 +1,17 @@
+-- Structured call outcomes from the Vapi analysis plan (see lib/vapi/analysis.js).
+alter table public.calls
+  add column if not exists urgency text
+    check (urgency in ('low', 'normal', 'high', 'emergency')),
+  add column if not exists outcome text
+    check (outcome in ('booked', 'callback', 'info', 'spam')),
+  add column if not exists caller_name text,
+  add column if not exists service_requested text,
+  add column if not exists follow_up_needed boolean not null default false,
+  add column if not exists follow_up_notes text;
+
+create index if not exists idx_calls_business_outcome
+on public.calls(business_id, outcome);
+
+create index if not exists idx_calls_follow_up
+on public.calls(business_id, created_at desc)
+where follow_up_needed = true;
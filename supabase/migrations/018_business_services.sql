@@ -0,0 +1,41 @@
+-- Bookable services, each mapped to its own Cal.com event type.
+-- businesses.services stays the free-text list used in prompts; rows here
+-- are what the assistant can actually book.
+create table if not exists public.business_services (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+
+  name text not null,             -- e.g. 'Cleaning', 'Emergency exam'
+  description text,               -- shown to the assistant to help it pick
+  duration_minutes integer not null default 30 check (duration_minutes > 0),
+  calcom_event_type_id integer,   -- null = not bookable through Cal.com
+
+  sort_order integer not null default 0,
+  active boolean not null default true,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists uniq_business_services_name
+on public.business_services(business_id, lower(name));
+
+create trigger trg_business_services_updated_at
+before update on public.business_services
+for each row execute function public.update_updated_at_column();
+
+alter table public.business_services enable row level security;
+
+create policy "business_services: select if member"
+on public.business_services
+for select
+using (public.is_business_member(business_id));
+
+create policy "business_services: write if owner"
+on public.business_services
+for all
+using (public.is_business_owner(business_id))
+with check (public.is_business_owner(business_id));
+
+alter table public.bookings
+  add column if not exists service_id uuid references public.business_services(id) on delete set null;
@@ -0,0 +1,38 @@
+-- Change history for bookings, written by the Cal.com webhook receiver.
+-- One row per status or time change so cancellations, reschedules and
+-- no-shows made in Cal.com can be traced after bookings.status is synced.
+create table if not exists public.booking_events (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+  booking_id uuid references public.bookings(id) on delete cascade,
+
+  source text not null default 'calcom_webhook',
+  event_type text not null,        -- Cal.com trigger, e.g. 'BOOKING_CANCELLED'
+  calcom_uid text,
+
+  previous_status text,
+  status text,
+  previous_scheduled_at timestamptz,
+  scheduled_at timestamptz,
+
+  details jsonb not null default '{}'::jsonb,
+
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_booking_events_booking
+on public.booking_events(booking_id, created_at desc);
+
+create index if not exists idx_booking_events_business_created
+on public.booking_events(business_id, created_at desc);
+
+alter table public.booking_events enable row level security;
+
+create policy "booking_events: select if member"
+on public.booking_events
+for select
+using (public.is_business_member(business_id));
+
+-- Resolve bookings made directly in Cal.com to a business by event type
+create index if not exists idx_business_services_calcom_event_type
+on public.business_services(calcom_event_type_id);
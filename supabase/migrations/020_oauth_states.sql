@@ -0,0 +1,19 @@
+-- One-time nonces for OAuth connect flows (e.g. Cal.com).
+-- The signed `state` parameter carries the nonce; the callback consumes it
+-- so a state can only complete one connection. Service role only.
+create table if not exists public.oauth_states (
+  nonce text primary key,
+  provider text not null,          -- 'calcom'
+  business_id uuid not null references public.businesses(id) on delete cascade,
+  user_id uuid not null,           -- auth.users id of the owner who started the flow
+
+  expires_at timestamptz not null,
+  consumed_at timestamptz,
+
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_oauth_states_expires_at
+on public.oauth_states(expires_at);
+
+alter table public.oauth_states enable row level security;
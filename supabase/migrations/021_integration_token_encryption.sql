@@ -0,0 +1,17 @@
+-- Integration tokens are encrypted by the application (lib/encryption.js).
+-- access_token / refresh_token hold "enc:v1:<kekId>:..." values; this column
+-- records which key-encryption key wrapped them so rotation can find old rows.
+--
+-- After deploying with TOKEN_ENCRYPTION_KEYS set, encrypt existing rows:
+--   node scripts/encrypt-integration-tokens.js
+alter table public.business_integrations
+  add column if not exists encryption_key_id text;
+
+create index if not exists idx_integrations_encryption_key_id
+on public.business_integrations(encryption_key_id);
+
+comment on column public.business_integrations.access_token is
+  'Encrypted by the application (enc:v1:...). Never store plaintext.';
+
+comment on column public.business_integrations.refresh_token is
+  'Encrypted by the application (enc:v1:...). Never store plaintext.';
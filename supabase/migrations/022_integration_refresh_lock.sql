@@ -0,0 +1,18 @@
+-- Concurrency-safe token refresh and connection status for integrations.
+--
+-- Cal.com rotates refresh tokens, so only one request may refresh at a time.
+-- A refresh takes a short lease on the row (refresh_lock_id /
+-- refresh_locked_until); other requests wait and re-read the new token.
+-- A refresh the provider rejects marks the integration disconnected.
+alter table public.business_integrations
+  add column if not exists status text not null default 'connected'
+    check (status in ('connected', 'disconnected')),
+  add column if not exists disconnected_at timestamptz,
+  add column if not exists last_error text,
+  add column if not exists refresh_lock_id text,
+  add column if not exists refresh_locked_until timestamptz;
+
+-- Rows without tokens were never usable
+update public.business_integrations
+set status = 'disconnected'
+where access_token is null;
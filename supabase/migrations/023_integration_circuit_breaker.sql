@@ -0,0 +1,37 @@
+-- Per-business circuit breaker for calendar provider requests.
+--
+-- After repeated failed requests (timeouts, 5xx, rate limits that outlast
+-- retries) the circuit opens for a short cool-down. While it is open,
+-- requests fail fast and the assistant takes callback requests instead of
+-- attempting bookings. The first request after the cool-down is a trial:
+-- success closes the circuit, failure re-opens it.
+alter table public.business_integrations
+  add column if not exists circuit_failures integer not null default 0,
+  add column if not exists circuit_open_until timestamptz;
+
+-- Counts a failure atomically across serverless instances and opens the
+-- circuit once the threshold is reached. Returns circuit_open_until.
+create or replace function public.record_integration_failure(
+  p_integration_id uuid,
+  p_threshold integer,
+  p_open_seconds integer
+)
+returns timestamptz
+language plpgsql
+as $$
+declare
+  open_until timestamptz;
+begin
+  update public.business_integrations
+  set circuit_failures = circuit_failures + 1,
+      circuit_open_until = case
+        when circuit_failures + 1 >= p_threshold
+          then now() + make_interval(secs => p_open_seconds)
+        else circuit_open_until
+      end
+  where id = p_integration_id
+  returning circuit_open_until into open_until;
+
+  return open_until;
+end;
+$$;
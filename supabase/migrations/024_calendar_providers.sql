@@ -0,0 +1,25 @@
+-- Calendar providers besides Cal.com.
+--
+-- business_integrations can now hold a CalDAV calendar (provider 'caldav'):
+-- the password goes in access_token (encrypted like OAuth tokens, see
+-- lib/encryption.js) and config holds calendar_url, username and slot
+-- settings. businesses.calcom_enabled stays the switch for online booking,
+-- whichever calendar is connected.
+--
+-- bookings record which provider holds each booking. Cal.com bookings keep
+-- using calcom_uid; other providers store their event ID in external_uid.
+alter table public.business_integrations
+  drop constraint if exists business_integrations_provider_check;
+
+alter table public.business_integrations
+  add constraint business_integrations_provider_check
+  check (provider in ('calcom', 'caldav'));
+
+alter table public.bookings
+  add column if not exists calendar_provider text not null default 'calcom'
+    check (calendar_provider in ('calcom', 'caldav')),
+  add column if not exists external_uid text;
+
+create unique index if not exists uniq_bookings_external_uid
+on public.bookings(calendar_provider, external_uid)
+where external_uid is not null;
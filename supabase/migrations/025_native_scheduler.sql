@@ -0,0 +1,152 @@
+-- Built-in scheduler for businesses without an external calendar.
+--
+-- A business_integrations row with provider 'native' turns it on; config
+-- holds slot_minutes, slot_interval_minutes, buffer_before_minutes,
+-- buffer_after_minutes, capacity and min_notice_minutes (see
+-- lib/calendar/native.js). Slots come from business_hours,
+-- business_closures and booking_blackouts, and bookings go straight into
+-- the bookings table. Customers get .ics invites by email.
+alter table public.business_integrations
+  drop constraint if exists business_integrations_provider_check;
+
+alter table public.business_integrations
+  add constraint business_integrations_provider_check
+  check (provider in ('calcom', 'caldav', 'native'));
+
+alter table public.bookings
+  drop constraint if exists bookings_calendar_provider_check;
+
+alter table public.bookings
+  add constraint bookings_calendar_provider_check
+  check (calendar_provider in ('calcom', 'caldav', 'native'));
+
+-- Revision number for emailed invites (iCalendar SEQUENCE)
+alter table public.bookings
+  add column if not exists ics_sequence integer not null default 0;
+
+-- Full unique index (NULL external_uids never conflict) so bookings can be
+-- upserted on (calendar_provider, external_uid)
+drop index if exists public.uniq_bookings_external_uid;
+
+create unique index if not exists uniq_bookings_external_uid
+on public.bookings(calendar_provider, external_uid);
+
+-- Periods the native scheduler won't book (vacations, training days, ...).
+-- Unlike business_closures these don't change business hours or call routing.
+create table if not exists public.booking_blackouts (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  reason text,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  constraint booking_blackouts_range_check check (ends_at > starts_at)
+);
+
+create index if not exists idx_booking_blackouts_business_range
+on public.booking_blackouts(business_id, starts_at, ends_at);
+
+create trigger trg_booking_blackouts_updated_at
+before update on public.booking_blackouts
+for each row execute function public.update_updated_at_column();
+
+alter table public.booking_blackouts enable row level security;
+
+create policy "booking_blackouts: select if member"
+on public.booking_blackouts
+for select
+using (public.is_business_member(business_id));
+
+create policy "booking_blackouts: write if owner"
+on public.booking_blackouts
+for all
+using (public.is_business_owner(business_id))
+with check (public.is_business_owner(business_id));
+
+-- Books (or moves) a native booking if the slot still has capacity.
+-- A per-business advisory lock serializes concurrent bookings, so two
+-- callers can't both take the last place. Active bookings overlapping the
+-- slot, buffers included, count against p_capacity. Passing the
+-- external_uid of an existing booking moves it and bumps ics_sequence.
+-- Returns the booking, or no rows if the slot is full.
+create or replace function public.claim_native_slot(
+  p_business_id uuid,
+  p_external_uid text,
+  p_scheduled_at timestamptz,
+  p_duration_minutes integer,
+  p_buffer_before_minutes integer,
+  p_buffer_after_minutes integer,
+  p_capacity integer,
+  p_booking jsonb default '{}'::jsonb
+)
+returns setof public.bookings
+language plpgsql
+as $$
+declare
+  buffer_before interval := make_interval(mins => p_buffer_before_minutes);
+  buffer_after interval := make_interval(mins => p_buffer_after_minutes);
+  slot_end timestamptz := p_scheduled_at + make_interval(mins => p_duration_minutes);
+  taken integer;
+begin
+  perform pg_advisory_xact_lock(hashtext('native_booking:' || p_business_id::text));
+
+  select count(*) into taken
+  from public.bookings b
+  where b.business_id = p_business_id
+    and b.status in ('pending', 'confirmed')
+    and b.external_uid is distinct from p_external_uid
+    and b.scheduled_at - buffer_before < slot_end + buffer_after
+    and b.scheduled_at + make_interval(mins => b.duration_minutes) + buffer_after > p_scheduled_at - buffer_before;
+
+  if taken >= p_capacity then
+    return;
+  end if;
+
+  return query
+  update public.bookings
+  set scheduled_at = p_scheduled_at,
+      duration_minutes = p_duration_minutes,
+      ics_sequence = ics_sequence + 1
+  where calendar_provider = 'native'
+    and external_uid = p_external_uid
+    and business_id = p_business_id
+  returning *;
+
+  if found then
+    return;
+  end if;
+
+  return query
+  insert into public.bookings (
+    business_id,
+    calendar_provider,
+    external_uid,
+    scheduled_at,
+    duration_minutes,
+    status,
+    service_id,
+    customer_name,
+    customer_email,
+    customer_phone,
+    notes
+  )
+  values (
+    p_business_id,
+    'native',
+    p_external_uid,
+    p_scheduled_at,
+    p_duration_minutes,
+    'confirmed',
+    nullif(p_booking->>'service_id', '')::uuid,
+    p_booking->>'customer_name',
+    p_booking->>'customer_email',
+    p_booking->>'customer_phone',
+    p_booking->>'notes'
+  )
+  returning *;
+end;
+$$;
@@ -0,0 +1,35 @@
+-- Short-lived holds on slots the assistant has offered to a caller.
+--
+-- When the assistant reads out times, those slots are held for a few
+-- minutes so another caller can't book them before this caller decides.
+-- Cal.com slots are held with a Cal.com reservation (reservation_uid);
+-- for CalDAV and native calendars the row itself is the hold and other
+-- callers' availability skips it. Holds are released when the holder books
+-- or is offered different times, and expire on their own.
+create table if not exists public.slot_holds (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+
+  calendar_provider text not null check (calendar_provider in ('calcom', 'caldav', 'native')),
+  holder text not null,            -- e.g. 'vapi:<call id>', 'sms:<conversation id>'
+  slot_start timestamptz not null,
+  slot_end timestamptz not null,
+  service_id uuid references public.business_services(id) on delete set null,
+  reservation_uid text,            -- Cal.com reservation, when the provider holds the slot itself
+
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_slot_holds_business_range
+on public.slot_holds(business_id, slot_start, expires_at);
+
+create index if not exists idx_slot_holds_holder
+on public.slot_holds(business_id, holder);
+
+alter table public.slot_holds enable row level security;
+
+create policy "slot_holds: select if member"
+on public.slot_holds
+for select
+using (public.is_business_member(business_id));
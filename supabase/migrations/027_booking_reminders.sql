@@ -0,0 +1,61 @@
+-- Appointment confirmation and reminder messages.
+--
+-- After the assistant books (or moves) an appointment the customer gets an
+-- instant confirmation text, then reminders at booking_reminder_offsets
+-- (minutes before the appointment) from api/cron/send-reminders.js.
+-- Customers without a mobile number get them by email. Replying YES
+-- confirms the appointment and C cancels it (see lib/reminders.js).
+--
+-- Every send is stored in booking_messages for audit, together with the
+-- customer's reply.
+alter table public.businesses
+  add column if not exists booking_reminders_enabled boolean not null default false,
+  add column if not exists booking_reminder_offsets integer[] not null default '{1440,120}';
+
+-- Set when the customer confirms by replying to a reminder
+alter table public.bookings
+  add column if not exists customer_confirmed_at timestamptz;
+
+create table if not exists public.booking_messages (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+  booking_id uuid not null references public.bookings(id) on delete cascade,
+
+  kind text not null check (kind in ('confirmation', 'reminder')),
+  offset_minutes integer not null default 0,  -- reminders: minutes before the appointment
+  appointment_at timestamptz not null,        -- appointment time the message was about
+
+  channel text not null check (channel in ('sms', 'email')),
+  recipient text not null,
+  from_phone text,
+  body text not null,
+
+  status text not null check (status in ('sending', 'sent', 'failed')) default 'sending',
+  twilio_message_sid text,
+  error text,
+  sent_at timestamptz,
+
+  reply text check (reply in ('confirm', 'cancel')),
+  replied_at timestamptz,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One message per appointment time; a rescheduled booking gets new ones
+create unique index if not exists uniq_booking_messages_appointment
+on public.booking_messages(booking_id, kind, offset_minutes, appointment_at);
+
+create index if not exists idx_booking_messages_recipient
+on public.booking_messages(business_id, recipient, sent_at desc);
+
+create trigger trg_booking_messages_updated_at
+before update on public.booking_messages
+for each row execute function public.update_updated_at_column();
+
+alter table public.booking_messages enable row level security;
+
+create policy "booking_messages: select if member"
+on public.booking_messages
+for select
+using (public.is_business_member(business_id));
@@ -0,0 +1,36 @@
+-- Emails typed in by callers who couldn't spell them out on the phone.
+--
+-- The assistant's verifyEmail tool texts the caller a link to a short form
+-- (api/email-capture.js); the address they submit is stored here and
+-- createBooking waits for it (see lib/email-capture.js). Only a hash of the
+-- link token is stored.
+create table if not exists public.email_captures (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references public.businesses(id) on delete cascade,
+
+  vapi_call_id text,
+  customer_phone text not null,
+  token_hash text not null unique,
+
+  status text not null check (status in ('pending', 'submitted')) default 'pending',
+  email text,
+  submitted_at timestamptz,
+  expires_at timestamptz not null,
+
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_email_captures_customer
+on public.email_captures(business_id, customer_phone, created_at desc);
+
+create trigger trg_email_captures_updated_at
+before update on public.email_captures
+for each row execute function public.update_updated_at_column();
+
+alter table public.email_captures enable row level security;
+
+create policy "email_captures: select if member"
+on public.email_captures
+for select
+using (public.is_business_member(business_id));
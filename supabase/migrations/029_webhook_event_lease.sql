@@ -0,0 +1,12 @@
+-- Lease on webhook events that are being processed.
+--
+-- A claim sets locked_until a little past the function timeout. If the
+-- function times out or crashes the row stays 'processing'; once the lease
+-- has expired the next provider retry takes it over and reprocesses it
+-- instead of being answered as a duplicate (see lib/webhook-events.js).
+alter table public.webhook_events
+  add column if not exists locked_until timestamptz;
+
+create index if not exists idx_webhook_events_stale_processing
+on public.webhook_events(locked_until)
+where status = 'processing';
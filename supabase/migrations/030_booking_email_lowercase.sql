@@ -0,0 +1,24 @@
+-- Store booking emails lowercased so lookups can match them exactly.
+--
+-- Callers say their email to the assistant, so lookups by email
+-- (getUpcomingBookings) use an exact match on the lowercased address rather
+-- than a pattern match, which would treat "%" and "_" as wildcards.
+create or replace function public.normalize_booking_customer_email()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.customer_email := nullif(lower(btrim(new.customer_email)), '');
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_bookings_normalize_customer_email on public.bookings;
+
+create trigger trg_bookings_normalize_customer_email
+before insert or update of customer_email on public.bookings
+for each row execute function public.normalize_booking_customer_email();
+
+update public.bookings
+set customer_email = lower(btrim(customer_email))
+where customer_email is distinct from lower(btrim(customer_email));
@@ -0,0 +1,7 @@
+-- Email capture links are looked up by the call they were texted on, not by
+-- the caller's number, so an address submitted on an earlier call is never
+-- reused by a later one (see lib/email-capture.js).
+drop index if exists public.idx_email_captures_customer;
+
+create index if not exists idx_email_captures_call
+on public.email_captures(business_id, vapi_call_id, created_at desc);
@@ -0,0 +1,13 @@
+-- Each Cal.com connection gets its own webhook, registered through the Cal.com
+-- API when the owner connects (lib/calcom-webhooks.js). The subscriber URL
+-- names the integration, and only that integration's secret is accepted, so
+-- one business can't sign events for another business's bookings.
+--
+-- webhook_secret is encrypted by the application like the OAuth tokens.
+-- Businesses connected before this migration have no webhook secret; their
+-- webhook events are rejected until the owner reconnects Cal.com.
+alter table public.business_integrations
+  add column if not exists webhook_secret text;
+
+comment on column public.business_integrations.webhook_secret is
+  'Encrypted by the application (enc:v1:...). Never store plaintext.';
@@ -0,0 +1,9 @@
+-- Retries for reminder sends.
+--
+-- A send claims its booking_messages row with a lease (locked_until). A
+-- reminder that failed, or is stuck in 'sending' past its lease because the
+-- cron run timed out or crashed, is claimed again by the next reminder run,
+-- up to a few attempts (see lib/reminders.js).
+alter table public.booking_messages
+  add column if not exists attempts integer not null default 1,
+  add column if not exists locked_until timestamptz;
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// Bookings by business and Cal.com UID in place of lib/supabase
+const bookings = [];
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {
+    async getBookingByCalcomUid(businessId, calcomUid) {
+      return bookings.find(b => b.business_id === businessId && b.calcom_uid === calcomUid) || null;
+    },
+    async insertBookingByCalcomUid(booking) {
+      if (bookings.some(b => b.calcom_uid === booking.calcom_uid)) {
+        return null;
+      }
+      const stored = { id: `booking-${bookings.length + 1}`, ...booking };
+      bookings.push(stored);
+      return stored;
+    },
+    async updateBooking() {
+      throw new Error('updateBooking should not be called');
+    },
+    async createBookingEvent() {}
+  }
+};
+
+const { verifyCalcomWebhook, processCalcomWebhook } = require('../lib/calcom-webhooks');
+const { readJsonBody } = require('../lib/http');
+
+const SECRET = 'test-calcom-secret';
+const integration = { id: 'integration-1', business_id: 'business-1', provider: 'calcom', webhook_secret: SECRET };
+
+function buildRequest(rawBody, signature) {
+  const req = Readable.from([Buffer.from(rawBody)]);
+  req.headers = signature ? { 'x-cal-signature-256': signature } : {};
+  return req;
+}
+
+const sign = rawBody => crypto.createHmac('sha256', SECRET).update(rawBody).digest('hex');
+
+test('verifies the signature over the raw body bytes', async () => {
+  // Pretty-printed, as Cal.com may send it; JSON.stringify would not reproduce this
+  const rawBody = JSON.stringify({ triggerEvent: 'BOOKING_CANCELLED', payload: { uid: 'abc', title: 'Café' } }, null, 2);
+  const req = buildRequest(rawBody, sign(rawBody));
+
+  await readJsonBody(req);
+
+  assert.equal(req.body.payload.uid, 'abc');
+  assert.deepEqual(verifyCalcomWebhook(req, integration), { ok: true });
+});
+
+test('rejects a missing or mismatched signature', async () => {
+  const rawBody = '{"triggerEvent":"BOOKING_CANCELLED","payload":{"uid":"abc"}}';
+
+  const unsigned = buildRequest(rawBody, null);
+  const forged = buildRequest(rawBody, sign('{"triggerEvent":"BOOKING_CREATED"}'));
+  await readJsonBody(unsigned);
+  await readJsonBody(forged);
+
+  assert.equal(verifyCalcomWebhook(unsigned, integration).reason, 'missing_signature');
+  assert.equal(verifyCalcomWebhook(forged, integration).reason, 'invalid_signature');
+});
+
+test('rejects requests whose raw body was not read', () => {
+  const req = { headers: { 'x-cal-signature-256': 'abc' }, body: { triggerEvent: 'BOOKING_CREATED' } };
+
+  assert.equal(verifyCalcomWebhook(req, integration).reason, 'missing_raw_body');
+});
+
+test('rejects webhooks for an unknown integration', () => {
+  const req = { headers: { 'x-cal-signature-256': sign('{}') }, rawBody: '{}', body: {} };
+
+  assert.equal(verifyCalcomWebhook(req, null).reason, 'unknown_integration');
+  assert.equal(verifyCalcomWebhook(req, { ...integration, provider: 'google' }).reason, 'unknown_integration');
+});
+
+test('only the named integration\'s secret is accepted', () => {
+  const rawBody = '{"triggerEvent":"BOOKING_CANCELLED","payload":{"uid":"abc"}}';
+  const otherTenant = { ...integration, id: 'integration-2', business_id: 'business-2', webhook_secret: 'other-secret' };
+  const req = { headers: { 'x-cal-signature-256': sign(rawBody) }, rawBody, body: JSON.parse(rawBody) };
+
+  assert.equal(verifyCalcomWebhook(req, otherTenant).reason, 'invalid_signature');
+});
+
+test('without a secret, webhooks are rejected unless the dev bypass is set', () => {
+  const req = { headers: {}, rawBody: '{}', body: {} };
+  const saved = { ...process.env };
+
+  try {
+    integration.webhook_secret = null;
+
+    process.env.VERCEL_ENV = 'preview';
+    assert.deepEqual(verifyCalcomWebhook(req, integration), { ok: false, reason: 'secret_not_configured' });
+
+    process.env.VERCEL_ENV = 'development';
+    process.env.CALCOM_SKIP_WEBHOOK_AUTH = 'true';
+    assert.deepEqual(verifyCalcomWebhook(req, integration), { ok: true, bypassed: true });
+
+    process.env.VERCEL_ENV = 'production';
+    assert.equal(verifyCalcomWebhook(req, integration).reason, 'secret_not_configured');
+  } finally {
+    process.env = saved;
+    integration.webhook_secret = SECRET;
+  }
+});
+
+test('bookings are only matched within the webhook\'s business', async () => {
+  bookings.length = 0;
+  bookings.push({
+    id: 'booking-other',
+    business_id: 'business-2',
+    calcom_uid: 'uid-shared',
+    status: 'confirmed',
+    scheduled_at: '2026-10-22T15:00:00.000Z'
+  });
+
+  const event = {
+    triggerEvent: 'BOOKING_CREATED',
+    createdAt: '2026-10-19T12:00:00.000Z',
+    payload: { uid: 'uid-shared', startTime: '2026-10-23T15:00:00.000Z', endTime: '2026-10-23T15:30:00.000Z' }
+  };
+
+  assert.deepEqual(await processCalcomWebhook(event, 'business-1'), { received: true, ignored: true });
+  assert.equal(bookings.length, 1);
+
+  const created = await processCalcomWebhook({ ...event, payload: { ...event.payload, uid: 'uid-new' } }, 'business-1');
+  assert.equal(created.status, 'confirmed');
+  assert.equal(bookings.find(b => b.calcom_uid === 'uid-new').business_id, 'business-1');
+});
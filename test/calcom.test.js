@@ -0,0 +1,110 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BUSINESS_ID = 'business-1';
+const validCredentials = {
+  id: 'integration-1',
+  business_id: BUSINESS_ID,
+  provider: 'calcom',
+  access_token: 'access-token',
+  refresh_token: 'refresh-token',
+  token_expires_at: '2099-01-01T00:00:00.000Z',
+  circuit_failures: 0,
+  config: { event_type_id: 42 }
+};
+let credentials = validCredentials;
+let refreshLockFree = true;
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {
+    async getCalcomCredentials() {
+      return credentials;
+    },
+    async acquireIntegrationRefreshLock() {
+      return refreshLockFree;
+    },
+    async releaseIntegrationRefreshLock() {},
+    async recordIntegrationFailure() {
+      return null;
+    },
+    async resetIntegrationCircuit() {}
+  }
+};
+
+// Cal.com API calls in place of axios
+const apiRequests = [];
+let respond = async () => ({ data: { status: 'success', data: {} } });
+
+require.cache[require.resolve('axios')] = {
+  id: require.resolve('axios'),
+  loaded: true,
+  exports: async config => {
+    apiRequests.push(config);
+    return await respond(config);
+  }
+};
+
+const { getBooking, CalcomTimeoutError, CalcomUnavailableError } = require('../lib/calcom');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const timeoutError = () => Object.assign(new Error('timeout exceeded'), { code: 'ECONNABORTED' });
+
+// lib/calcom.js logs every request
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+mock.method(console, 'error', () => {});
+
+test.beforeEach(() => {
+  apiRequests.length = 0;
+  credentials = validCredentials;
+  refreshLockFree = true;
+  respond = async () => ({ data: { status: 'success', data: { uid: 'abc' } } });
+});
+
+test('attempts only use the time left before the deadline', async () => {
+  const startedAt = Date.now();
+  const deadline = startedAt + 4000;
+
+  assert.deepEqual(await getBooking(BUSINESS_ID, 'abc', { deadline }), { uid: 'abc' });
+  assert.equal(apiRequests.length, 1);
+  assert.ok(apiRequests[0].timeout <= deadline - startedAt);
+});
+
+test('stops retrying and reports unavailable once the deadline runs out', async () => {
+  respond = async config => {
+    await sleep(config.timeout);
+    throw timeoutError();
+  };
+
+  const startedAt = Date.now();
+  const error = await getBooking(BUSINESS_ID, 'abc', { deadline: startedAt + 1300 }).catch(err => err);
+
+  assert.ok(error instanceof CalcomTimeoutError);
+  assert.ok(error instanceof CalcomUnavailableError);
+  assert.equal(error.cause.code, 'ECONNABORTED');
+  assert.equal(apiRequests.length, 1);
+  assert.ok(Date.now() - startedAt < 2000);
+});
+
+test('does not start a request without enough time left', async () => {
+  const error = await getBooking(BUSINESS_ID, 'abc', { deadline: Date.now() + 200 }).catch(err => err);
+
+  assert.ok(error instanceof CalcomTimeoutError);
+  assert.equal(apiRequests.length, 0);
+});
+
+test('waiting for another request\'s token refresh ends at the deadline', async () => {
+  credentials = { ...validCredentials, token_expires_at: '2020-01-01T00:00:00.000Z' };
+  refreshLockFree = false;
+
+  const startedAt = Date.now();
+  const error = await getBooking(BUSINESS_ID, 'abc', { deadline: startedAt + 700 }).catch(err => err);
+
+  assert.ok(error instanceof CalcomTimeoutError);
+  assert.match(error.message, /token refresh/);
+  assert.equal(apiRequests.length, 0);
+  assert.ok(Date.now() - startedAt < 1500);
+});
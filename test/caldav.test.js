@@ -0,0 +1,234 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'caldav', name), 'utf8');
+
+const BUSINESS_ID = 'business-1';
+const CALENDAR_PATH = '/remote.php/dav/calendars/frontdesk/appointments/';
+
+// Mon 2030-03-04, 09:00-12:00 in New York (UTC-5): 30-minute slots from 14:00Z to 16:30Z
+const DATE = '2030-03-04';
+const business = {
+  id: BUSINESS_ID,
+  timezone: 'America/New_York',
+  business_hours: { mon: { start: '09:00', end: '12:00' } }
+};
+
+// The test server is on localhost (lib/network.js refuses it otherwise)
+process.env.ALLOW_PRIVATE_NETWORK_URLS = 'true';
+
+// Local CalDAV server replaying recorded responses
+const requests = [];
+const storedEvents = new Map([['existing-booking.ics', { ics: fixture('event.ics'), etag: '"e-2"' }]]);
+
+// Events another booker writes while a PUT is in flight, added to later REPORTs
+let eventsAddedOnPut = [];
+const addedEvents = [];
+
+function withAddedEvents(report) {
+  const responses = addedEvents.map(ics => (
+    `<d:response><d:href>${CALENDAR_PATH}added.ics</d:href><d:propstat><d:prop>`
+    + `<cal:calendar-data>${ics.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</cal:calendar-data>`
+    + '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>'
+  ));
+  return report.replace('</d:multistatus>', `${responses.join('')}</d:multistatus>`);
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    const file = decodeURIComponent(req.url.slice(CALENDAR_PATH.length));
+
+    if (req.headers.authorization !== `Basic ${Buffer.from('frontdesk:app-password').toString('base64')}`) {
+      res.writeHead(401).end();
+    } else if (req.method === 'PROPFIND') {
+      res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' }).end(fixture('propfind.xml'));
+    } else if (req.method === 'REPORT') {
+      res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' }).end(withAddedEvents(fixture('report.xml')));
+    } else if (req.method === 'GET' && storedEvents.has(file)) {
+      const stored = storedEvents.get(file);
+      res.writeHead(200, { 'Content-Type': 'text/calendar', ETag: stored.etag }).end(stored.ics);
+    } else if (req.method === 'PUT') {
+      storedEvents.set(file, { ics: body, etag: `"e-${requests.length}"` });
+      addedEvents.push(...eventsAddedOnPut);
+      eventsAddedOnPut = [];
+      res.writeHead(201).end();
+    } else if (req.method === 'DELETE' && storedEvents.delete(file)) {
+      res.writeHead(204).end();
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+});
+
+let integration;
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {
+    getBusinessById: async () => business,
+    getBusinessClosures: async () => [],
+    getIntegrationCredentials: async () => integration,
+    getActiveSlotHolds: async () => []
+  }
+};
+
+const caldav = require('../lib/calendar/caldav');
+const { buildCalendarEvent, parseCalendarEvents } = require('../lib/ics');
+
+test.before(async () => {
+  // Node 20's runner fails with "Unable to deserialize cloned data" when the
+  // provider's console logging interleaves with a test file's reports
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  integration = {
+    access_token: 'app-password',
+    config: {
+      calendar_url: `http://127.0.0.1:${server.address().port}${CALENDAR_PATH.slice(0, -1)}`,
+      username: 'frontdesk'
+    }
+  };
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  requests.length = 0;
+  addedEvents.length = 0;
+});
+
+test('verifyConnection reads the calendar name from PROPFIND', async () => {
+  assert.deepEqual(await caldav.verifyConnection(integration), { ok: true, displayName: 'Front Desk & Hygiene' });
+  assert.equal(requests[0].method, 'PROPFIND');
+  assert.equal(requests[0].headers.depth, '0');
+  assert.equal(requests[0].url, CALENDAR_PATH);
+});
+
+test('verifyConnection reports rejected logins', async () => {
+  const result = await caldav.verifyConnection({ ...integration, access_token: 'wrong' });
+
+  assert.deepEqual(result, { ok: false, reason: 'Username or password rejected' });
+});
+
+test('listSlots removes busy events but not transparent or cancelled ones', async () => {
+  const slots = await caldav.listSlots(BUSINESS_ID, { startDate: DATE, endDate: DATE });
+
+  // 10:00-11:00 local is busy; the transparent 11:00 and cancelled 11:30 events don't block
+  assert.deepEqual(slots, [
+    '2030-03-04T14:00:00.000Z',
+    '2030-03-04T14:30:00.000Z',
+    '2030-03-04T16:00:00.000Z',
+    '2030-03-04T16:30:00.000Z'
+  ]);
+
+  const [report] = requests;
+  assert.equal(report.method, 'REPORT');
+  assert.equal(report.headers.depth, '1');
+  assert.match(report.body, /<c:time-range start="20300304T050000Z" end="20300305T050000Z"\/>/);
+  assert.match(report.body, /<c:expand start="20300304T050000Z" end="20300305T050000Z"\/>/);
+});
+
+test('book PUTs a new event into an open slot', async () => {
+  const booking = await caldav.book(BUSINESS_ID, {
+    name: 'Sam Lee',
+    email: 'sam@example.com',
+    phone: '+15555550111',
+    start: '2030-03-04T09:30:00',
+    notes: 'First visit'
+  });
+
+  assert.equal(booking.start, '2030-03-04T14:30:00.000Z');
+  assert.equal(booking.end, '2030-03-04T15:00:00.000Z');
+
+  const put = requests.find(request => request.method === 'PUT');
+  assert.equal(put.url, `${CALENDAR_PATH}${booking.uid}.ics`);
+  assert.equal(put.headers['if-none-match'], '*');
+
+  const [event] = parseCalendarEvents(put.body);
+  assert.equal(event.uid, booking.uid);
+  assert.equal(event.summary, 'Appointment: Sam Lee');
+  assert.equal(event.description, 'Phone: +15555550111\nEmail: sam@example.com\nFirst visit');
+  assert.deepEqual(event.attendees, [{ name: 'Sam Lee', email: 'sam@example.com' }]);
+});
+
+test('book refuses a slot taken by a calendar event', async () => {
+  await assert.rejects(
+    caldav.book(BUSINESS_ID, { name: 'Sam Lee', start: '2030-03-04T10:00:00' }),
+    error => error.name === 'SlotUnavailableError'
+  );
+  assert.equal(requests.some(request => request.method === 'PUT'), false);
+});
+
+test('book backs out when another booking lands in the slot meanwhile', async () => {
+  eventsAddedOnPut = [buildCalendarEvent({
+    uid: 'rival-booking',
+    start: new Date('2030-03-04T14:00:00.000Z'),
+    end: new Date('2030-03-04T14:30:00.000Z'),
+    summary: 'Appointment: Rival'
+  })];
+
+  await assert.rejects(
+    caldav.book(BUSINESS_ID, { name: 'Sam Lee', start: '2030-03-04T09:00:00' }),
+    error => error.name === 'SlotUnavailableError'
+  );
+
+  const put = requests.find(request => request.method === 'PUT');
+  const deleted = requests.find(request => request.method === 'DELETE');
+  assert.equal(deleted.url, put.url);
+  assert.equal(storedEvents.has(decodeURIComponent(put.url.slice(CALENDAR_PATH.length))), false);
+});
+
+test('refuses calendars on private addresses unless allowed for local development', async () => {
+  const saved = process.env.ALLOW_PRIVATE_NETWORK_URLS;
+
+  try {
+    delete process.env.ALLOW_PRIVATE_NETWORK_URLS;
+
+    assert.deepEqual(await caldav.verifyConnection(integration), {
+      ok: false,
+      reason: 'Calendar URL must point to a public server'
+    });
+    await assert.rejects(caldav.listSlots(BUSINESS_ID, { startDate: DATE, endDate: DATE }), /not a public address/);
+    assert.equal(requests.length, 0);
+  } finally {
+    process.env.ALLOW_PRIVATE_NETWORK_URLS = saved;
+  }
+});
+
+test('reschedule keeps the UID, bumps SEQUENCE and sends If-Match', async () => {
+  // 45-minute slots: 09:00, 09:45, (10:30 busy), 11:15
+  const moved = await caldav.reschedule(BUSINESS_ID, 'existing-booking', '2030-03-04T11:15:00');
+
+  assert.equal(moved.uid, 'existing-booking');
+  assert.equal(moved.start, '2030-03-04T16:15:00.000Z');
+  assert.equal(moved.durationMinutes, 45);
+
+  const put = requests.find(request => request.method === 'PUT');
+  assert.equal(put.url, `${CALENDAR_PATH}existing-booking.ics`);
+  assert.equal(put.headers['if-match'], '"e-2"');
+
+  const [event] = parseCalendarEvents(put.body);
+  assert.equal(event.sequence, 3);
+  assert.equal(event.end.toISOString(), '2030-03-04T17:00:00.000Z');
+  assert.deepEqual(event.attendees, [{ name: 'Maria García', email: 'maria@example.com' }]);
+});
+
+test('getBooking returns null for an event that is not on the calendar', async () => {
+  assert.equal(await caldav.getBooking(BUSINESS_ID, 'missing'), null);
+});
+
+test('cancel deletes the event and tolerates one that is already gone', async () => {
+  await caldav.cancel(BUSINESS_ID, 'existing-booking');
+  await caldav.cancel(BUSINESS_ID, 'existing-booking');
+
+  assert.deepEqual(requests.map(request => request.method), ['DELETE', 'DELETE']);
+  assert.equal(storedEvents.has('existing-booking.ics'), false);
+});
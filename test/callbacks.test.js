@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {}
+};
+
+const { parseCallbackWindow } = require('../lib/callbacks');
+
+const TIME_ZONE = 'America/New_York';
+// Wed 2026-10-21, 10:00 in New York (UTC-4)
+const NOW = new Date('2026-10-21T14:00:00Z');
+
+const parse = (text, now = NOW) => {
+  const window = parseCallbackWindow(text, TIME_ZONE, now);
+  return window && { start: window.start.toISOString(), end: window.end.toISOString() };
+};
+
+test('asap requests start now and last two hours', () => {
+  const asap = { start: '2026-10-21T14:00:00.000Z', end: '2026-10-21T16:00:00.000Z' };
+
+  assert.deepEqual(parse('ASAP please'), asap);
+  assert.deepEqual(parse('right now'), asap);
+  assert.deepEqual(parse('now is fine'), asap);
+});
+
+test('"not now" with a later day is not an asap request', () => {
+  assert.deepEqual(parse('not now, tomorrow morning'), {
+    start: '2026-10-22T13:00:00.000Z',
+    end: '2026-10-22T16:00:00.000Z'
+  });
+  assert.equal(parse('not now'), null);
+});
+
+test('a later day wins over "now"', () => {
+  assert.deepEqual(parse('now I think friday afternoon works'), {
+    start: '2026-10-23T16:00:00.000Z',
+    end: '2026-10-23T21:00:00.000Z'
+  });
+});
+
+test('weekdays match full names and exact abbreviations', () => {
+  const monday = { start: '2026-10-26T13:00:00.000Z', end: '2026-10-26T21:00:00.000Z' };
+
+  assert.deepEqual(parse('monday'), monday);
+  assert.deepEqual(parse('mon'), monday);
+  assert.deepEqual(parse('tues after 3pm'), {
+    start: '2026-10-27T19:00:00.000Z',
+    end: '2026-10-27T22:00:00.000Z'
+  });
+  assert.deepEqual(parse('Thurs at 10'), {
+    start: '2026-10-22T14:00:00.000Z',
+    end: '2026-10-22T15:00:00.000Z'
+  });
+});
+
+test('words that start like weekdays are not weekdays', () => {
+  assert.equal(parse('sometime this month'), null);
+  assert.equal(parse('my friend will pick up'), null);
+  assert.equal(parse('any time, I\'m satisfied either way'), null);
+  assert.equal(parse('on wedding business'), null);
+});
+
+test('today\'s weekday means today, starting now', () => {
+  assert.deepEqual(parse('wednesday'), {
+    start: '2026-10-21T14:00:00.000Z',
+    end: '2026-10-21T21:00:00.000Z'
+  });
+});
+
+test('a time already past today rolls to tomorrow', () => {
+  // 19:00 local, after the 15:00-18:00 window
+  assert.deepEqual(parse('after 3pm', new Date('2026-10-21T23:00:00Z')), {
+    start: '2026-10-22T19:00:00.000Z',
+    end: '2026-10-22T22:00:00.000Z'
+  });
+});
+
+test('empty or unparseable preferences mean any time', () => {
+  assert.equal(parse(''), null);
+  assert.equal(parse('whenever'), null);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {
+    supabaseService: null,
+    getCallbackRequests: async () => []
+  }
+};
+
+const { shouldSendDigestNow } = require('../api/cron/daily-digest');
+
+const TIME_ZONE = 'America/Los_Angeles';
+const business = { digest_time_local: '08:00', last_digest_sent_at: null };
+const at = iso => new Date(iso);
+
+test('digest goes out at 08:00 local on the spring-forward day', () => {
+  // 2026-03-08: clocks jump from 02:00 PST to 03:00 PDT, so 08:00 is 15:00Z
+  assert.equal(shouldSendDigestNow(business, TIME_ZONE, at('2026-03-07T16:00:00Z')), true);
+  assert.equal(shouldSendDigestNow(business, TIME_ZONE, at('2026-03-08T15:00:00Z')), true);
+  assert.equal(shouldSendDigestNow(business, TIME_ZONE, at('2026-03-08T16:00:00Z')), false);
+});
+
+test('digest goes out at 08:00 local on the fall-back day', () => {
+  // 2026-11-01: clocks fall back from 02:00 PDT to 01:00 PST, so 08:00 is 16:00Z
+  assert.equal(shouldSendDigestNow(business, TIME_ZONE, at('2026-10-31T15:00:00Z')), true);
+  assert.equal(shouldSendDigestNow(business, TIME_ZONE, at('2026-11-01T15:00:00Z')), false);
+  assert.equal(shouldSendDigestNow(business, TIME_ZONE, at('2026-11-01T16:00:00Z')), true);
+});
+
+test('a digest time inside the repeated hour is sent once', () => {
+  const early = { digest_time_local: '01:30', last_digest_sent_at: null };
+
+  // 01:30 PDT, then 01:30 PST an hour later
+  assert.equal(shouldSendDigestNow(early, TIME_ZONE, at('2026-11-01T08:30:00Z')), true);
+  const sent = { ...early, last_digest_sent_at: '2026-11-01T08:30:05Z' };
+  assert.equal(shouldSendDigestNow(sent, TIME_ZONE, at('2026-11-01T09:30:00Z')), false);
+});
+
+test('a digest already sent today is not sent again', () => {
+  const sent = { ...business, last_digest_sent_at: '2026-03-08T15:00:10Z' };
+
+  assert.equal(shouldSendDigestNow(sent, TIME_ZONE, at('2026-03-08T15:00:00Z')), false);
+  assert.equal(shouldSendDigestNow(sent, TIME_ZONE, at('2026-03-09T15:00:00Z')), true);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// email_captures rows by Vapi call ID in place of lib/supabase
+const capturesByCall = new Map();
+const captureLookups = [];
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {
+    async getLatestEmailCaptureForCall(businessId, vapiCallId) {
+      captureLookups.push({ businessId, vapiCallId });
+      return capturesByCall.get(vapiCallId) || null;
+    },
+    async createEmailCapture() {
+      throw new Error('createEmailCapture should not be called');
+    }
+  }
+};
+
+const {
+  setMxResolver,
+  normalizeSpokenEmail,
+  isValidEmail,
+  checkEmailDomain,
+  verifyEmailAddress,
+  spellEmailForSpeech,
+  requestEmailByText,
+  getCapturedEmail
+} = require('../lib/email-capture');
+
+const dnsError = code => Object.assign(new Error(code), { code });
+const business = { id: 'business-1', name: 'Bright Smile Dental' };
+
+test.beforeEach(() => {
+  setMxResolver(async () => [{ exchange: 'mx.example.com', priority: 10 }]);
+});
+
+test('normalizes spoken emails', () => {
+  assert.equal(normalizeSpokenEmail('john dot doe at gmail'), 'john.doe@gmail.com');
+  assert.equal(normalizeSpokenEmail('j o h n underscore d o e at yahoo dot com'), 'john_doe@yahoo.com');
+  assert.equal(normalizeSpokenEmail('b as in boy o b double l at outlook'), 'bobll@outlook.com');
+  assert.equal(normalizeSpokenEmail('Capital M a r y dash two three at example dot co dot uk'), 'mary-23@example.co.uk');
+  assert.equal(normalizeSpokenEmail('sam plus dentist at sign icloud dot com.'), 'sam+dentist@icloud.com');
+});
+
+test('leaves typed addresses alone apart from case and whitespace', () => {
+  assert.equal(normalizeSpokenEmail('  Jane.Doe@Example.COM '), 'jane.doe@example.com');
+  assert.equal(normalizeSpokenEmail(''), '');
+  assert.equal(normalizeSpokenEmail(null), '');
+});
+
+test('checks email syntax', () => {
+  assert.equal(isValidEmail('jane.doe@example.com'), true);
+  assert.equal(isValidEmail('jane..doe@example.com'), false);
+  assert.equal(isValidEmail('jane@example'), false);
+  assert.equal(isValidEmail('janedoe.example.com'), false);
+  assert.equal(isValidEmail(`${'a'.repeat(65)}@example.com`), false);
+  assert.equal(isValidEmail(''), false);
+});
+
+test('accepts domains with mail servers', async () => {
+  const lookups = [];
+  setMxResolver(async domain => {
+    lookups.push(domain);
+    return [{ exchange: 'mx.example.com', priority: 10 }];
+  });
+
+  assert.deepEqual(await checkEmailDomain('jane@example.com'), { ok: true });
+  assert.deepEqual(lookups, ['example.com']);
+});
+
+test('rejects domains without mail servers', async () => {
+  setMxResolver(async () => { throw dnsError('ENOTFOUND'); });
+  assert.deepEqual(await checkEmailDomain('jane@no-such-domain.test'), { ok: false });
+
+  setMxResolver(async () => { throw dnsError('ENODATA'); });
+  assert.deepEqual(await checkEmailDomain('jane@example.com'), { ok: false });
+
+  // Null MX (RFC 7505)
+  setMxResolver(async () => [{ exchange: '.', priority: 0 }]);
+  assert.deepEqual(await checkEmailDomain('jane@example.com'), { ok: false });
+});
+
+test('accepts the address unverified when the lookup itself fails', async () => {
+  setMxResolver(async () => { throw dnsError('ESERVFAIL'); });
+
+  assert.deepEqual(await checkEmailDomain('jane@example.com'), { ok: true, unverified: true });
+});
+
+test('verifyEmailAddress reports why an address was rejected', async () => {
+  assert.deepEqual(await verifyEmailAddress('john dot doe at gmail'), { email: 'john.doe@gmail.com', valid: true });
+  assert.deepEqual(await verifyEmailAddress('john doe'), { email: 'johndoe', valid: false, reason: 'invalid_syntax' });
+
+  setMxResolver(async () => { throw dnsError('ENOTFOUND'); });
+  assert.deepEqual(await verifyEmailAddress('jane at gmial dot com'), {
+    email: 'jane@gmial.com',
+    valid: false,
+    reason: 'no_mail_server'
+  });
+});
+
+test('spells addresses for read-back', () => {
+  assert.equal(spellEmailForSpeech('john.doe@gmail.com'), 'j o h n, dot, d o e, at gmail dot com');
+  assert.equal(spellEmailForSpeech('sam_2@ab.io'), 's a m, underscore, 2, at a b, dot, i o');
+});
+
+test('only texts a link during a call', async () => {
+  process.env.EMAIL_CAPTURE_URL = 'https://example.com/api/email-capture';
+
+  const capture = await requestEmailByText(business, {
+    channel: 'voice',
+    vapiCallId: null,
+    customerPhone: '+15555550100'
+  });
+
+  assert.equal(capture, null);
+});
+
+test('captured emails are scoped to the call the link was sent on', async () => {
+  capturesByCall.set('call-earlier', { status: 'submitted', email: 'old@example.com' });
+  capturesByCall.set('call-current', { status: 'submitted', email: 'new@example.com' });
+  captureLookups.length = 0;
+
+  const current = await getCapturedEmail(business, { vapiCallId: 'call-current', customerPhone: '+15555550100' });
+  const later = await getCapturedEmail(business, { vapiCallId: 'call-later', customerPhone: '+15555550100' });
+  const sms = await getCapturedEmail(business, { vapiCallId: null, customerPhone: '+15555550100' });
+
+  assert.equal(current.email, 'new@example.com');
+  assert.equal(later, null);
+  assert.equal(sms, null);
+  assert.deepEqual(captureLookups, [
+    { businessId: 'business-1', vapiCallId: 'call-current' },
+    { businessId: 'business-1', vapiCallId: 'call-later' }
+  ]);
+});
+
+test('a pending link is returned without waiting for the caller', async () => {
+  capturesByCall.set('call-pending', { status: 'pending' });
+  captureLookups.length = 0;
+
+  const capture = await getCapturedEmail(business, { vapiCallId: 'call-pending' });
+
+  assert.equal(capture.status, 'pending');
+  assert.equal(captureLookups.length, 1);
+});
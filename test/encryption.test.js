@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  isEncrypted,
+  getSecretKeyId,
+  getCurrentKeyId
+} = require('../lib/encryption');
+
+const OLD_KEY = `2026-01:${crypto.randomBytes(32).toString('base64')}`;
+const NEW_KEY = `2026-10:${crypto.randomBytes(32).toString('base64')}`;
+const CONTEXT = 'business_integrations:business-1:calcom:access_token';
+
+function withEnv(env, fn) {
+  const saved = {};
+  for (const key of Object.keys(env)) {
+    saved[key] = process.env[key];
+    if (env[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = env[key];
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    for (const key of Object.keys(saved)) {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    }
+  }
+}
+
+// Replace one base64url part of an encrypted value, flipping a bit of its first byte
+function tamper(value, index) {
+  const parts = value.split(':');
+  const bytes = Buffer.from(parts[index], 'base64url');
+  bytes[0] ^= 1;
+  parts[index] = bytes.toString('base64url');
+  return parts.join(':');
+}
+
+test('round-trips a secret', () => {
+  withEnv({ TOKEN_ENCRYPTION_KEYS: OLD_KEY }, () => {
+    const encrypted = encryptSecret('cal_live_token', CONTEXT);
+
+    assert.ok(isEncrypted(encrypted));
+    assert.ok(!encrypted.includes('cal_live_token'));
+    assert.equal(getSecretKeyId(encrypted), '2026-01');
+    assert.equal(decryptSecret(encrypted, CONTEXT), 'cal_live_token');
+
+    // Fresh data key and IV each time
+    assert.notEqual(encryptSecret('cal_live_token', CONTEXT), encrypted);
+    assert.equal(encryptSecret(null, CONTEXT), null);
+  });
+});
+
+test('decrypts values wrapped with an older key after rotation', () => {
+  const encrypted = withEnv({ TOKEN_ENCRYPTION_KEYS: OLD_KEY }, () => encryptSecret('refresh-me', CONTEXT));
+
+  withEnv({ TOKEN_ENCRYPTION_KEYS: `${NEW_KEY},${OLD_KEY}` }, () => {
+    assert.equal(getCurrentKeyId(), '2026-10');
+    assert.equal(decryptSecret(encrypted, CONTEXT), 'refresh-me');
+    assert.equal(getSecretKeyId(encryptSecret('refresh-me', CONTEXT)), '2026-10');
+
+    const rewrapped = rewrapSecret(encrypted);
+    assert.equal(getSecretKeyId(rewrapped), '2026-10');
+    assert.equal(rewrapSecret(rewrapped), rewrapped);
+    assert.equal(decryptSecret(rewrapped, CONTEXT), 'refresh-me');
+  });
+
+  // Once the old key is removed, only re-wrapped values can be read
+  withEnv({ TOKEN_ENCRYPTION_KEYS: NEW_KEY }, () => {
+    assert.throws(() => decryptSecret(encrypted, CONTEXT), /Unknown encryption key: 2026-01/);
+  });
+});
+
+test('rejects a tampered tag, ciphertext, wrapped key or context', () => {
+  withEnv({ TOKEN_ENCRYPTION_KEYS: OLD_KEY }, () => {
+    const encrypted = encryptSecret('cal_live_token', CONTEXT);
+    // enc:v1:<kekId>:<wrapped key>:<iv>:<tag>:<ciphertext>
+    const [wrappedKey, tag, ciphertext] = [3, 5, 6];
+
+    assert.throws(() => decryptSecret(tamper(encrypted, tag), CONTEXT));
+    assert.throws(() => decryptSecret(tamper(encrypted, ciphertext), CONTEXT));
+    assert.throws(() => decryptSecret(tamper(encrypted, wrappedKey), CONTEXT));
+    assert.throws(() => decryptSecret(encrypted, 'business_integrations:business-2:calcom:access_token'));
+    assert.throws(() => decryptSecret(encrypted.split(':').slice(0, -1).join(':'), CONTEXT), /Malformed/);
+  });
+});
+
+test('passes legacy plaintext rows through', () => {
+  withEnv({ TOKEN_ENCRYPTION_KEYS: OLD_KEY }, () => {
+    assert.equal(isEncrypted('legacy-plaintext-token'), false);
+    assert.equal(getSecretKeyId('legacy-plaintext-token'), null);
+    assert.equal(decryptSecret('legacy-plaintext-token', CONTEXT), 'legacy-plaintext-token');
+    assert.equal(rewrapSecret('legacy-plaintext-token'), 'legacy-plaintext-token');
+    assert.equal(decryptSecret(null, CONTEXT), null);
+  });
+});
+
+test('without keys, stores plaintext outside production and refuses in production', t => {
+  t.mock.method(console, 'warn', () => {});
+
+  withEnv({ TOKEN_ENCRYPTION_KEYS: undefined, VERCEL_ENV: 'development' }, () => {
+    assert.equal(encryptSecret('cal_live_token', CONTEXT), 'cal_live_token');
+  });
+
+  withEnv({ TOKEN_ENCRYPTION_KEYS: undefined, VERCEL_ENV: 'production' }, () => {
+    assert.throws(() => encryptSecret('cal_live_token', CONTEXT), /TOKEN_ENCRYPTION_KEYS not configured/);
+  });
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildCalendarEvent, parseCalendarEvents, formatUtcDateTime } = require('../lib/ics');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'caldav', name), 'utf8');
+
+test('formatUtcDateTime drops separators and milliseconds', () => {
+  assert.equal(formatUtcDateTime('2030-03-04T14:00:00.000Z'), '20300304T140000Z');
+});
+
+test('built events parse back to the same booking', () => {
+  const ics = buildCalendarEvent({
+    uid: 'round-trip',
+    start: '2030-03-04T14:00:00Z',
+    end: '2030-03-04T14:30:00Z',
+    summary: 'Cleaning: O\'Brien, Pat; family',
+    description: 'Phone: +15555550100\nNotes: back door \\ side gate',
+    attendees: [{ name: 'Pat "PJ" O\'Brien', email: 'pat@example.com' }],
+    sequence: 3,
+    now: new Date('2030-02-01T12:00:00Z')
+  });
+
+  assert.match(ics, /\r\nDTSTAMP:20300201T120000Z\r\n/);
+  assert.ok(ics.endsWith('\r\n'));
+
+  const [event] = parseCalendarEvents(ics);
+  assert.equal(event.uid, 'round-trip');
+  assert.equal(event.start.toISOString(), '2030-03-04T14:00:00.000Z');
+  assert.equal(event.end.toISOString(), '2030-03-04T14:30:00.000Z');
+  assert.equal(event.summary, 'Cleaning: O\'Brien, Pat; family');
+  assert.equal(event.description, 'Phone: +15555550100\nNotes: back door \\ side gate');
+  assert.equal(event.status, 'CONFIRMED');
+  assert.equal(event.sequence, 3);
+  assert.deepEqual(event.attendees, [{ name: 'Pat \'PJ\' O\'Brien', email: 'pat@example.com' }]);
+});
+
+test('long lines are folded at 75 octets and unfolded on parse', () => {
+  const summary = `Consultation: ${'Zoë '.repeat(30).trim()}`;
+  const ics = buildCalendarEvent({
+    uid: 'folded',
+    start: '2030-03-04T14:00:00Z',
+    end: '2030-03-04T14:30:00Z',
+    summary
+  });
+
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `line too long: ${line}`);
+  }
+  assert.equal(parseCalendarEvents(ics)[0].summary, summary);
+});
+
+test('parses a stored event with a folded attendee line', () => {
+  const [event] = parseCalendarEvents(fixture('event.ics'));
+
+  assert.equal(event.uid, 'existing-booking');
+  assert.equal(event.sequence, 2);
+  assert.equal(event.summary, 'Consultation: Maria García');
+  assert.deepEqual(event.attendees, [{ name: 'Maria García', email: 'maria@example.com' }]);
+  assert.equal(event.end - event.start, 45 * 60 * 1000);
+});
+
+test('TZID and floating times are read as wall-clock times', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:tzid',
+    'DTSTART;TZID=Europe/London:20300701T090000',
+    'DTEND;TZID=Europe/London:20300701T100000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:floating',
+    'DTSTART:20300701T090000',
+    'DURATION:PT1H30M',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const [tzid, floating] = parseCalendarEvents(ics, { defaultTimeZone: 'America/New_York' });
+
+  assert.equal(tzid.start.toISOString(), '2030-07-01T08:00:00.000Z');
+  assert.equal(tzid.end.toISOString(), '2030-07-01T09:00:00.000Z');
+  assert.equal(floating.start.toISOString(), '2030-07-01T13:00:00.000Z');
+  assert.equal(floating.end.toISOString(), '2030-07-01T14:30:00.000Z');
+});
+
+test('all-day events last one local day and unknown zones use the default', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:all-day',
+    'DTSTART;VALUE=DATE:20300304',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:bad-zone',
+    'DTSTART;TZID=Mars/Olympus_Mons:20300304T090000',
+    'DTEND;TZID=Mars/Olympus_Mons:20300304T093000',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\n');
+
+  const [allDay, badZone] = parseCalendarEvents(ics, { defaultTimeZone: 'America/New_York' });
+
+  assert.equal(allDay.allDay, true);
+  assert.equal(allDay.start.toISOString(), '2030-03-04T05:00:00.000Z');
+  assert.equal(allDay.end.toISOString(), '2030-03-05T05:00:00.000Z');
+  assert.equal(badZone.start.toISOString(), '2030-03-04T14:00:00.000Z');
+});
+
+test('ignores nested components and events without a start', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:with-alarm',
+    'DTSTART:20300304T140000Z',
+    'DTEND:20300304T143000Z',
+    'SUMMARY:Visit',
+    'BEGIN:VALARM',
+    'SUMMARY:Alarm text',
+    'TRIGGER:-PT15M',
+    'END:VALARM',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:no-start',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const events = parseCalendarEvents(ics);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].summary, 'Visit');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isPublicAddress, assertPublicUrl, PrivateAddressError } = require('../lib/network');
+
+test('only public addresses are allowed', () => {
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+
+  for (const address of [
+    '127.0.0.1', '10.0.0.5', '172.20.1.1', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00:ec2::254', '::ffff:127.0.0.1', 'not-an-ip'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('assertPublicUrl refuses private hosts, however they are written', async () => {
+  delete process.env.ALLOW_PRIVATE_NETWORK_URLS;
+
+  for (const url of [
+    'http://127.0.0.1:8080/dav/',
+    'http://2130706433/dav/',
+    'http://[::1]/dav/',
+    'http://[::ffff:169.254.169.254]/latest/meta-data/',
+    'https://localhost/dav/'
+  ]) {
+    await assert.rejects(assertPublicUrl(url), PrivateAddressError, url);
+  }
+
+  await assertPublicUrl('https://93.184.216.34/dav/');
+});
+
+test('private hosts are only allowed outside production when opted in', async () => {
+  const saved = { ...process.env };
+
+  try {
+    process.env.ALLOW_PRIVATE_NETWORK_URLS = 'true';
+    process.env.VERCEL_ENV = 'development';
+    await assertPublicUrl('http://127.0.0.1:5232/radicale/');
+
+    process.env.VERCEL_ENV = 'production';
+    await assert.rejects(assertPublicUrl('http://127.0.0.1:5232/radicale/'), PrivateAddressError);
+  } finally {
+    process.env = saved;
+  }
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const NOW = new Date('2026-03-10T15:00:00.000Z');
+const business = {
+  id: 'business-1',
+  name: 'Bright Smile Dental',
+  timezone: 'America/New_York',
+  booking_reminders_enabled: true,
+  booking_reminder_offsets: [1440, 120]
+};
+
+// In-memory booking_messages table in place of lib/supabase
+let bookings = [];
+let messages = [];
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {
+    async getPrimaryBusinessPhone() {
+      return '+15550001111';
+    },
+    async getBookingsForReminders() {
+      return bookings;
+    },
+    async getBookingMessages() {
+      return messages.map(message => ({ ...message }));
+    },
+    async createBookingMessage(messageData) {
+      const duplicate = messages.some(message => message.booking_id === messageData.booking_id
+        && message.kind === messageData.kind
+        && message.offset_minutes === messageData.offset_minutes
+        && message.appointment_at === messageData.appointment_at);
+      if (duplicate) {
+        throw Object.assign(new Error('duplicate key'), { code: '23505' });
+      }
+      const row = { id: `message-${messages.length + 1}`, status: 'sending', attempts: 1, created_at: NOW.toISOString(), ...messageData };
+      messages.push(row);
+      return { ...row };
+    },
+    async updateBookingMessage(messageId, updates, options = {}) {
+      const row = messages.find(message => message.id === messageId);
+      if (!row
+        || (options.expectedStatus && row.status !== options.expectedStatus)
+        || (options.expectedAttempts !== undefined && row.attempts !== options.expectedAttempts)) {
+        return null;
+      }
+      Object.assign(row, updates);
+      return { ...row };
+    }
+  }
+};
+
+// Twilio sends in place of lib/twilio
+let smsFails = false;
+const sentTexts = [];
+
+require.cache[require.resolve('../lib/twilio')] = {
+  id: require.resolve('../lib/twilio'),
+  loaded: true,
+  exports: {
+    async sendSMS(to, body) {
+      if (smsFails) {
+        throw new Error('Twilio unavailable');
+      }
+      sentTexts.push({ to, body });
+      return { sid: `SM${sentTexts.length}` };
+    }
+  }
+};
+
+const { sendDueReminders } = require('../lib/reminders');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+test.beforeEach(() => {
+  bookings = [{
+    id: 'booking-1',
+    business_id: business.id,
+    customer_phone: '+15552223333',
+    scheduled_at: '2026-03-11T14:00:00.000Z',
+    created_at: '2026-03-01T12:00:00.000Z',
+    status: 'confirmed',
+    metadata: {},
+    businesses: business
+  }];
+  messages = [];
+  smsFails = false;
+  sentTexts.length = 0;
+});
+
+test('a failed reminder is sent again by the next run', async () => {
+  smsFails = true;
+  assert.equal((await sendDueReminders({ now: NOW })).failed, 1);
+  assert.equal(messages[0].status, 'failed');
+
+  smsFails = false;
+  const result = await sendDueReminders({ now: NOW });
+
+  assert.equal(result.sent, 1);
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].status, 'sent');
+  assert.equal(messages[0].attempts, 2);
+  assert.equal(sentTexts.length, 1);
+});
+
+test('a reminder stops being retried after the last attempt', async () => {
+  smsFails = true;
+  for (let run = 0; run < 5; run += 1) {
+    await sendDueReminders({ now: NOW });
+  }
+
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].status, 'failed');
+  assert.equal(messages[0].attempts, 3);
+});
+
+test('a send left in progress is taken over only once its lease has run out', async () => {
+  messages.push({
+    id: 'message-1',
+    business_id: business.id,
+    booking_id: 'booking-1',
+    kind: 'reminder',
+    offset_minutes: 1440,
+    appointment_at: '2026-03-11T14:00:00.000Z',
+    status: 'sending',
+    attempts: 1,
+    locked_until: new Date(NOW.getTime() + 30 * 1000).toISOString(),
+    created_at: NOW.toISOString()
+  });
+
+  assert.equal((await sendDueReminders({ now: NOW })).sent, 0);
+  assert.equal(sentTexts.length, 0);
+
+  messages[0].locked_until = new Date(NOW.getTime() - 1000).toISOString();
+  const result = await sendDueReminders({ now: NOW });
+
+  assert.equal(result.sent, 1);
+  assert.equal(messages[0].attempts, 2);
+});
+
+test('a sent reminder is not sent again', async () => {
+  await sendDueReminders({ now: NOW });
+  await sendDueReminders({ now: NOW });
+
+  assert.equal(sentTexts.length, 1);
+  assert.equal(messages[0].attempts, 1);
+});
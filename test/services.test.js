@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const services = [
+  { id: 'svc-1', name: 'Cleaning', duration_minutes: 60 },
+  { id: 'svc-2', name: 'Emergency exam', duration_minutes: 30 },
+  { id: 'svc-3', name: 'New patient exam', duration_minutes: 90 }
+];
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {
+    getConnectedIntegrations: async () => [{ provider: 'native', access_token: null, config: {} }],
+    getBusinessServices: async () => services
+  }
+};
+
+const { matchService, resolveBookingService } = require('../lib/services');
+
+test('an exact name wins over partial matches', async () => {
+  assert.equal(matchService(services, 'new patient exam').id, 'svc-3');
+  assert.deepEqual(await resolveBookingService('business-1', 'Emergency Exam'), { service: services[1], error: null });
+});
+
+test('a single partial match is used', async () => {
+  assert.deepEqual(await resolveBookingService('business-1', 'teeth cleaning'), { service: services[0], error: null });
+});
+
+test('a request matching several services asks which one', async () => {
+  assert.equal(matchService(services, 'exam'), null);
+  assert.deepEqual(await resolveBookingService('business-1', 'exam'), {
+    service: null,
+    error: 'Which service is the appointment for: Emergency exam, New patient exam?'
+  });
+});
+
+test('an unknown service lists every bookable service', async () => {
+  const { service, error } = await resolveBookingService('business-1', 'whitening');
+
+  assert.equal(service, null);
+  assert.equal(error, 'We don\'t offer "whitening" for online booking. Which of these services is it for: Cleaning, Emergency exam, New patient exam?');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  addDaysToDate,
+  zonedTimeToUtc,
+  getLocalDayRangeUtc,
+  getLocalDateKey
+} = require('../lib/time');
+
+const hoursBetween = ({ startUtc, endUtc }) => (endUtc - startUtc) / (60 * 60 * 1000);
+
+test('addDaysToDate crosses DST switches, months and years by calendar day', () => {
+  assert.equal(addDaysToDate('2026-03-07', 1), '2026-03-08');
+  assert.equal(addDaysToDate('2026-03-08', 1), '2026-03-09');
+  assert.equal(addDaysToDate('2026-11-01', -1), '2026-10-31');
+  assert.equal(addDaysToDate('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDaysToDate('2028-02-28', 1), '2028-02-29');
+});
+
+test('America/New_York spring-forward day is 23 hours', () => {
+  const range = getLocalDayRangeUtc('2026-03-08', 'America/New_York');
+  assert.equal(range.startUtc.toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(range.endUtc.toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(hoursBetween(range), 23);
+
+  assert.equal(zonedTimeToUtc('America/New_York', { year: 2026, month: 3, day: 8, hour: 1, minute: 30 }).toISOString(), '2026-03-08T06:30:00.000Z');
+  assert.equal(zonedTimeToUtc('America/New_York', { year: 2026, month: 3, day: 8, hour: 3, minute: 30 }).toISOString(), '2026-03-08T07:30:00.000Z');
+  assert.equal(zonedTimeToUtc('America/New_York', { year: 2026, month: 3, day: 8, hour: 9 }).toISOString(), '2026-03-08T13:00:00.000Z');
+});
+
+test('America/New_York fall-back day is 25 hours', () => {
+  const range = getLocalDayRangeUtc('2026-11-01', 'America/New_York');
+  assert.equal(range.startUtc.toISOString(), '2026-11-01T04:00:00.000Z');
+  assert.equal(range.endUtc.toISOString(), '2026-11-02T05:00:00.000Z');
+  assert.equal(hoursBetween(range), 25);
+
+  // 1:30 happens twice; the first (daylight time) occurrence is used
+  assert.equal(zonedTimeToUtc('America/New_York', { year: 2026, month: 11, day: 1, hour: 1, minute: 30 }).toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.equal(zonedTimeToUtc('America/New_York', { year: 2026, month: 11, day: 1, hour: 9 }).toISOString(), '2026-11-01T14:00:00.000Z');
+});
+
+test('Europe/London switch days', () => {
+  const spring = getLocalDayRangeUtc('2026-03-29', 'Europe/London');
+  assert.equal(spring.startUtc.toISOString(), '2026-03-29T00:00:00.000Z');
+  assert.equal(spring.endUtc.toISOString(), '2026-03-29T23:00:00.000Z');
+  assert.equal(hoursBetween(spring), 23);
+
+  const fall = getLocalDayRangeUtc('2026-10-25', 'Europe/London');
+  assert.equal(fall.startUtc.toISOString(), '2026-10-24T23:00:00.000Z');
+  assert.equal(fall.endUtc.toISOString(), '2026-10-26T00:00:00.000Z');
+  assert.equal(hoursBetween(fall), 25);
+
+  assert.equal(zonedTimeToUtc('Europe/London', { year: 2026, month: 3, day: 29, hour: 9 }).toISOString(), '2026-03-29T08:00:00.000Z');
+  assert.equal(zonedTimeToUtc('Europe/London', { year: 2026, month: 10, day: 25, hour: 9 }).toISOString(), '2026-10-25T09:00:00.000Z');
+});
+
+test('Australia/Sydney switch days (southern hemisphere)', () => {
+  const fallBack = getLocalDayRangeUtc('2026-04-05', 'Australia/Sydney');
+  assert.equal(fallBack.startUtc.toISOString(), '2026-04-04T13:00:00.000Z');
+  assert.equal(fallBack.endUtc.toISOString(), '2026-04-05T14:00:00.000Z');
+  assert.equal(hoursBetween(fallBack), 25);
+
+  const springForward = getLocalDayRangeUtc('2026-10-04', 'Australia/Sydney');
+  assert.equal(springForward.startUtc.toISOString(), '2026-10-03T14:00:00.000Z');
+  assert.equal(springForward.endUtc.toISOString(), '2026-10-04T13:00:00.000Z');
+  assert.equal(hoursBetween(springForward), 23);
+});
+
+test('getLocalDateKey uses the local calendar day around a switch', () => {
+  assert.equal(getLocalDateKey('2026-03-09T03:59:00Z', 'America/New_York'), '2026-03-08');
+  assert.equal(getLocalDateKey('2026-03-09T04:00:00Z', 'America/New_York'), '2026-03-09');
+  assert.equal(getLocalDateKey('2026-11-02T04:59:00Z', 'America/New_York'), '2026-11-01');
+  assert.equal(getLocalDateKey('2026-11-02T05:00:00Z', 'America/New_York'), '2026-11-02');
+});
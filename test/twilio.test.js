@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const twilio = require('twilio');
+const { hasValidTwilioSignature, validateTwilioRequest } = require('../lib/twilio');
+
+const AUTH_TOKEN = 'test-auth-token';
+const HOST = 'example.vercel.app';
+const PATH = '/api/sms-webhook';
+const BODY = { MessageSid: 'SM123', From: '+15555550100', To: '+15555550199', Body: 'C' };
+
+function buildRequest(signature) {
+  const headers = { host: HOST };
+  if (signature) {
+    headers['x-twilio-signature'] = signature;
+  }
+  return { headers, url: PATH, body: BODY };
+}
+
+function withEnv(env, fn) {
+  const saved = {};
+  for (const key of Object.keys(env)) {
+    saved[key] = process.env[key];
+    if (env[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = env[key];
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    for (const key of Object.keys(saved)) {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    }
+  }
+}
+
+const validSignature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, `https://${HOST}${PATH}`, BODY);
+
+test('accepts a request with a valid signature', () => {
+  withEnv({ TWILIO_AUTH_TOKEN: AUTH_TOKEN, TWILIO_SKIP_SIGNATURE_VALIDATION: undefined }, () => {
+    assert.equal(validateTwilioRequest(buildRequest(validSignature)), true);
+    assert.equal(hasValidTwilioSignature(buildRequest(validSignature)), true);
+  });
+});
+
+test('rejects a request with a missing or wrong signature', () => {
+  withEnv({ TWILIO_AUTH_TOKEN: AUTH_TOKEN, TWILIO_SKIP_SIGNATURE_VALIDATION: undefined }, () => {
+    assert.equal(validateTwilioRequest(buildRequest(null)), false);
+    assert.equal(validateTwilioRequest(buildRequest('forged')), false);
+  });
+});
+
+test('rejects unsigned requests when no auth token is configured', () => {
+  withEnv({ TWILIO_AUTH_TOKEN: undefined, TWILIO_SKIP_SIGNATURE_VALIDATION: undefined }, () => {
+    assert.equal(validateTwilioRequest(buildRequest(null)), false);
+  });
+});
+
+test('dev mode accepts unsigned requests outside production only', () => {
+  withEnv({ TWILIO_AUTH_TOKEN: AUTH_TOKEN, TWILIO_SKIP_SIGNATURE_VALIDATION: 'true', VERCEL_ENV: 'development' }, () => {
+    assert.equal(validateTwilioRequest(buildRequest(null)), true);
+    assert.equal(hasValidTwilioSignature(buildRequest(null)), false);
+  });
+
+  withEnv({ TWILIO_AUTH_TOKEN: AUTH_TOKEN, TWILIO_SKIP_SIGNATURE_VALIDATION: 'true', VERCEL_ENV: 'production' }, () => {
+    assert.equal(validateTwilioRequest(buildRequest(null)), false);
+  });
+});
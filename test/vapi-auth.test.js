@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { verifyVapiRequest } = require('../lib/vapi/auth');
+const { readJsonBody } = require('../lib/http');
+
+const SECRET = 'test-vapi-secret';
+const NOW = Date.parse('2026-10-19T15:00:00Z');
+
+process.env.VAPI_WEBHOOK_SECRET = SECRET;
+
+function buildStreamRequest(rawBody, headers) {
+  const req = Readable.from([Buffer.from(rawBody)]);
+  req.headers = headers;
+  return req;
+}
+
+function withEnv(env, fn) {
+  const saved = {};
+  for (const key of Object.keys(env)) {
+    saved[key] = process.env[key];
+    if (env[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = env[key];
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    for (const key of Object.keys(saved)) {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    }
+  }
+}
+
+function sign(timestamp, rawBody) {
+  return crypto.createHmac('sha256', SECRET).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+test('HMAC is verified against the raw bytes, not re-serialized JSON', async () => {
+  // Whitespace and escaping that JSON.stringify would not reproduce
+  const rawBody = '{ "message": { "type": "status-update", "note": "caf\\u00e9" } }';
+  const timestamp = String(NOW);
+  const req = buildStreamRequest(rawBody, {
+    'x-vapi-timestamp': timestamp,
+    'x-vapi-signature': sign(timestamp, rawBody)
+  });
+
+  await readJsonBody(req);
+
+  assert.equal(req.body.message.note, 'café');
+  assert.notEqual(JSON.stringify(req.body), rawBody);
+  assert.deepEqual(verifyVapiRequest(req, { now: NOW }), { ok: true, scheme: 'hmac' });
+});
+
+test('HMAC rejects a tampered body', async () => {
+  const timestamp = String(NOW);
+  const req = buildStreamRequest('{"message":{"type":"tool-calls"}}', {
+    'x-vapi-timestamp': timestamp,
+    'x-vapi-signature': sign(timestamp, '{"message":{"type":"status-update"}}')
+  });
+
+  await readJsonBody(req);
+
+  assert.equal(verifyVapiRequest(req, { now: NOW }).reason, 'invalid_signature');
+});
+
+test('HMAC rejects a stale timestamp', async () => {
+  const timestamp = String(NOW - 10 * 60 * 1000);
+  const rawBody = '{"message":{"type":"status-update"}}';
+  const req = buildStreamRequest(rawBody, {
+    'x-vapi-timestamp': timestamp,
+    'x-vapi-signature': sign(timestamp, rawBody)
+  });
+
+  await readJsonBody(req);
+
+  assert.equal(verifyVapiRequest(req, { now: NOW }).reason, 'stale_timestamp');
+});
+
+test('secret scheme requires a timestamp', async () => {
+  const req = buildStreamRequest('{"message":{"type":"status-update"}}', { 'x-vapi-secret': SECRET });
+
+  await readJsonBody(req);
+
+  assert.deepEqual(verifyVapiRequest(req, { now: NOW }), {
+    ok: false,
+    scheme: 'secret',
+    reason: 'missing_timestamp'
+  });
+});
+
+test('secret scheme accepts a fresh message.timestamp and rejects a stale one', async () => {
+  const fresh = buildStreamRequest(JSON.stringify({ message: { type: 'status-update', timestamp: NOW - 1000 } }), {
+    'x-vapi-secret': SECRET
+  });
+  const stale = buildStreamRequest(JSON.stringify({ message: { type: 'status-update', timestamp: NOW - 10 * 60 * 1000 } }), {
+    'x-vapi-secret': SECRET
+  });
+
+  await readJsonBody(fresh);
+  await readJsonBody(stale);
+
+  assert.deepEqual(verifyVapiRequest(fresh, { now: NOW }), { ok: true, scheme: 'secret' });
+  assert.equal(verifyVapiRequest(stale, { now: NOW }).reason, 'stale_timestamp');
+});
+
+test('without a secret, requests are rejected unless the dev bypass is set', () => {
+  const req = { headers: {}, body: { message: { type: 'tool-calls' } } };
+  const noSecret = { VAPI_WEBHOOK_SECRET: undefined, VAPI_WEBHOOK_SECRET_PREVIEW: undefined, VAPI_WEBHOOK_SECRET_PRODUCTION: undefined };
+
+  withEnv({ ...noSecret, VERCEL_ENV: 'preview', VAPI_SKIP_WEBHOOK_AUTH: undefined }, () => {
+    assert.deepEqual(verifyVapiRequest(req, { now: NOW }), {
+      ok: false,
+      scheme: 'none',
+      reason: 'secret_not_configured'
+    });
+  });
+
+  withEnv({ ...noSecret, VERCEL_ENV: 'development', VAPI_SKIP_WEBHOOK_AUTH: 'true' }, () => {
+    assert.deepEqual(verifyVapiRequest(req, { now: NOW }), { ok: true, scheme: 'none', bypassed: true });
+  });
+
+  withEnv({ ...noSecret, VERCEL_ENV: 'production', VAPI_SKIP_WEBHOOK_AUTH: 'true' }, () => {
+    assert.equal(verifyVapiRequest(req, { now: NOW }).reason, 'secret_not_configured');
+  });
+});
+
+test('readJsonBody rejects invalid JSON', async () => {
+  const req = buildStreamRequest('{not json', {});
+
+  await assert.rejects(readJsonBody(req), SyntaxError);
+});
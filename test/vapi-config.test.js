@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Integrations as saved by each connect flow; native scheduler rows have no token
+let integrations = [];
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {
+    getConnectedIntegrations: async () => integrations
+  }
+};
+
+const { getCalendarIntegration } = require('../lib/calendar');
+const { buildBookingConfig } = require('../lib/vapi');
+
+const business = { id: 'business-1', name: 'Bright Smile Dental', timezone: 'America/New_York', calcom_enabled: true };
+const BOOKING_TOOLS = ['checkAvailability', 'findNextAvailable', 'createBooking', 'rescheduleAppointment', 'cancelAppointment'];
+
+const functionNames = config => (config.model.functions || []).map(fn => fn.name);
+
+test('a native scheduler integration gets the booking tools', async () => {
+  integrations = [{ provider: 'native', access_token: null, config: {} }];
+
+  const integration = await getCalendarIntegration(business.id);
+  const names = functionNames(buildBookingConfig(business, integration, { voicePreset: 'tara' }));
+
+  assert.equal(integration.provider, 'native');
+  for (const tool of BOOKING_TOOLS) {
+    assert.ok(names.includes(tool), `missing ${tool}`);
+  }
+  assert.ok(names.includes('scheduleCallback'));
+});
+
+test('a Cal.com integration without a token is not used for booking', async () => {
+  integrations = [{ provider: 'calcom', access_token: null, config: {} }];
+
+  const integration = await getCalendarIntegration(business.id);
+  const names = functionNames(buildBookingConfig(business, integration, { voicePreset: 'tara' }));
+
+  assert.equal(integration, null);
+  assert.equal(names.includes('createBooking'), false);
+  assert.ok(names.includes('scheduleCallback'));
+});
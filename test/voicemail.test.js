@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {}
+};
+
+process.env.VOICEMAIL_AUDIO_URL = 'https://example.com/api/voicemail-audio';
+process.env.RECORDING_LINK_SECRET = 'test-recording-secret';
+
+const { getRecordingLink, verifyRecordingLink } = require('../lib/voicemail');
+
+const NOW = Date.parse('2026-10-19T15:00:00Z');
+const voicemail = {
+  id: 'd9f1c0de-0000-4000-8000-000000000001',
+  recording_url: 'https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE123'
+};
+
+const queryOf = link => Object.fromEntries(new URL(link).searchParams);
+
+test('recording links point at the app, not at Twilio', () => {
+  const link = getRecordingLink(voicemail, { now: NOW });
+
+  assert.ok(link.startsWith('https://example.com/api/voicemail-audio?'));
+  assert.equal(link.includes('twilio.com'), false);
+  assert.deepEqual(verifyRecordingLink(queryOf(link), { now: NOW }), { ok: true, voicemailId: voicemail.id });
+});
+
+test('recording links expire', () => {
+  const query = queryOf(getRecordingLink(voicemail, { now: NOW }));
+
+  assert.equal(verifyRecordingLink(query, { now: NOW + 23 * 60 * 60 * 1000 }).ok, true);
+  assert.equal(verifyRecordingLink(query, { now: NOW + 25 * 60 * 60 * 1000 }).reason, 'expired_link');
+});
+
+test('tampered recording links are rejected', () => {
+  const query = queryOf(getRecordingLink(voicemail, { now: NOW }));
+
+  assert.equal(verifyRecordingLink({ ...query, v: 'another-voicemail' }, { now: NOW }).reason, 'invalid_signature');
+  assert.equal(verifyRecordingLink({ ...query, e: String(Number(query.e) + 3600) }, { now: NOW }).reason, 'invalid_signature');
+  assert.equal(verifyRecordingLink({ v: query.v, e: query.e }, { now: NOW }).reason, 'malformed_link');
+});
+
+test('no link without a recording', () => {
+  assert.equal(getRecordingLink({ id: voicemail.id, recording_url: null }), null);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory webhook_events table in place of lib/supabase
+const rows = new Map();
+
+require.cache[require.resolve('../lib/supabase')] = {
+  id: require.resolve('../lib/supabase'),
+  loaded: true,
+  exports: {
+    async insertWebhookEvent(eventData) {
+      const key = `${eventData.source}:${eventData.dedupe_key}`;
+      if (rows.has(key)) {
+        throw Object.assign(new Error('duplicate key'), { code: '23505' });
+      }
+      const row = { id: key, status: 'processing', attempts: 1, response: null, ...eventData };
+      rows.set(key, row);
+      return row;
+    },
+    async getWebhookEvent(source, dedupeKey) {
+      return rows.get(`${source}:${dedupeKey}`) || null;
+    },
+    async updateWebhookEvent(eventId, updates, options = {}) {
+      const row = rows.get(eventId);
+      if (!row
+        || (options.expectedStatus && row.status !== options.expectedStatus)
+        || (options.expectedAttempts !== undefined && row.attempts !== options.expectedAttempts)) {
+        return null;
+      }
+      Object.assign(row, updates);
+      return row;
+    }
+  }
+};
+
+const { claimWebhookEvent, completeWebhookEvent, failWebhookEvent } = require('../lib/webhook-events');
+
+const event = dedupeKey => ({ source: 'vapi', eventType: 'tool-calls', dedupeKey, payload: {} });
+
+test('a processed event is answered with its stored response', async () => {
+  const claim = await claimWebhookEvent(event('processed'));
+  await completeWebhookEvent(claim, { results: [] });
+
+  const retry = await claimWebhookEvent(event('processed'));
+  assert.equal(retry.duplicate, true);
+  assert.deepEqual(retry.response, { results: [] });
+});
+
+test('a failed event is reprocessed by the next retry', async () => {
+  const claim = await claimWebhookEvent(event('failed'));
+  await failWebhookEvent(claim, new Error('insert failed'));
+
+  const retry = await claimWebhookEvent(event('failed'));
+  assert.equal(retry.duplicate, false);
+  assert.equal(rows.get('vapi:failed').attempts, 2);
+
+  const second = await claimWebhookEvent(event('failed'));
+  assert.equal(second.duplicate, true);
+  assert.equal(second.response, null);
+});
+
+test('an event still inside its lease is a duplicate with no response', async () => {
+  await claimWebhookEvent(event('in-progress'));
+
+  const retry = await claimWebhookEvent(event('in-progress'));
+  assert.equal(retry.duplicate, true);
+  assert.equal(retry.response, null);
+});
+
+test('a processing event past its lease is taken over once', async () => {
+  await claimWebhookEvent(event('stale'));
+  rows.get('vapi:stale').locked_until = new Date(Date.now() - 1000).toISOString();
+
+  const takeover = await claimWebhookEvent(event('stale'));
+  assert.equal(takeover.duplicate, false);
+  assert.equal(rows.get('vapi:stale').attempts, 2);
+  assert.ok(new Date(rows.get('vapi:stale').locked_until) > new Date());
+
+  const next = await claimWebhookEvent(event('stale'));
+  assert.equal(next.duplicate, true);
+});
+
+test('rows without locked_until fall back to updated_at', async () => {
+  rows.set('vapi:legacy', {
+    id: 'vapi:legacy',
+    status: 'processing',
+    attempts: 1,
+    response: null,
+    updated_at: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+  });
+
+  const takeover = await claimWebhookEvent(event('legacy'));
+  assert.equal(takeover.duplicate, false);
+});